@@ -0,0 +1,155 @@
+// Import dependencies as ES modules for MV3
+import { exporters } from './exporters.js';
+
+// Summaries of the time spent in each space, worked out from the daily activity records
+// that activityTracker.js keeps (see dbService.js for their shape). Days are local
+// dates ('YYYY-MM-DD'), which sort in date order
+export const activityReport = {
+    topDomainCount: 10,
+
+    getDay: timestamp => {
+        const date = new Date(timestamp);
+        const pad = number => String(number).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    },
+
+    // the count days up to and including the day of timestamp, oldest first
+    getDays: (timestamp, count) => {
+        const days = [];
+        const date = new Date(timestamp);
+        for (let i = 0; i < count; i += 1) {
+            days.unshift(activityReport.getDay(date.getTime()));
+            date.setDate(date.getDate() - 1);
+        }
+        return days;
+    },
+
+    // time is only counted against the domains of web pages
+    getDomain: url => {
+        try {
+            const { protocol, hostname } = new URL(exporters.normaliseTabUrl(url || ''));
+            if (protocol !== 'http:' && protocol !== 'https:') return false;
+            return hostname.replace(/^www\./, '');
+        } catch (e) {
+            return false;
+        }
+    },
+
+    // split the time from start to end at local midnights: [{ day, ms }]
+    splitByDay: (start, end) => {
+        const parts = [];
+        let partStart = start;
+
+        while (partStart < end) {
+            const midnight = new Date(partStart);
+            midnight.setHours(24, 0, 0, 0);
+            const partEnd = Math.min(end, midnight.getTime());
+            parts.push({ day: activityReport.getDay(partStart), ms: partEnd - partStart });
+            partStart = partEnd;
+        }
+        return parts;
+    },
+
+    // add time to a day's record (in place). ms can be negative to take time back
+    addTime: (record, sessionId, name, domain, ms) => {
+        const entry = record.sessions[sessionId] || { name: false, ms: 0, domains: {} };
+        entry.name = name || entry.name;
+        entry.ms = Math.max(0, entry.ms + ms);
+        if (domain) {
+            entry.domains[domain] = Math.max(0, (entry.domains[domain] || 0) + ms);
+        }
+        // eslint-disable-next-line no-param-reassign
+        record.sessions[sessionId] = entry;
+        return record;
+    },
+
+    _sortByTime: totals => {
+        return Object.keys(totals)
+            .map(domain => ({ domain, ms: totals[domain] }))
+            .sort((a, b) => b.ms - a.ms);
+    },
+
+    // { days, totalMs, spaces: [{ sessionId, name, ms, dailyMs, domains }], domains },
+    // with the spaces and domains that took up the most time first
+    summarise: (records, days) => {
+        const spacesById = {};
+        const domainTotals = {};
+        let totalMs = 0;
+
+        records.forEach(record => {
+            const dayIndex = days.indexOf(record.day);
+            if (dayIndex < 0) return;
+
+            Object.keys(record.sessions).forEach(sessionId => {
+                const entry = record.sessions[sessionId];
+                const space = spacesById[sessionId] || {
+                    sessionId: parseInt(sessionId, 10),
+                    name: false,
+                    ms: 0,
+                    dailyMs: days.map(() => 0),
+                    domainTotals: {},
+                };
+
+                // the most recent name, in case the space was renamed
+                space.name = entry.name || space.name;
+                space.ms += entry.ms;
+                space.dailyMs[dayIndex] += entry.ms;
+                totalMs += entry.ms;
+                Object.keys(entry.domains).forEach(domain => {
+                    space.domainTotals[domain] = (space.domainTotals[domain] || 0) + entry.domains[domain];
+                    domainTotals[domain] = (domainTotals[domain] || 0) + entry.domains[domain];
+                });
+                spacesById[sessionId] = space;
+            });
+        });
+
+        const spaces = Object.keys(spacesById)
+            .map(sessionId => {
+                const { domainTotals: spaceDomainTotals, ...space } = spacesById[sessionId];
+                return {
+                    ...space,
+                    domains: activityReport
+                        ._sortByTime(spaceDomainTotals)
+                        .slice(0, activityReport.topDomainCount),
+                };
+            })
+            .sort((a, b) => b.ms - a.ms);
+
+        return {
+            days,
+            totalMs,
+            spaces,
+            domains: activityReport._sortByTime(domainTotals).slice(0, activityReport.topDomainCount),
+        };
+    },
+
+    // eg. "2h 05m", "12m" or "<1m"
+    formatDuration: ms => {
+        const minutes = Math.floor(ms / 60000);
+        if (minutes < 1) return '<1m';
+        if (minutes < 60) return `${minutes}m`;
+        return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+    },
+
+    // one row per space, for opening in a spreadsheet
+    toCsv: summary => {
+        const rows = [['space', 'from', 'to', 'minutes', 'top domains']];
+        const from = summary.days[0];
+        const to = summary.days[summary.days.length - 1];
+
+        summary.spaces.forEach(space => {
+            rows.push([
+                space.name || '',
+                from,
+                to,
+                Math.round(space.ms / 60000),
+                space.domains
+                    .slice(0, 3)
+                    .map(({ domain }) => domain)
+                    .join(' '),
+            ]);
+        });
+
+        return `${rows.map(row => row.map(exporters.escapeCsv).join(',')).join('\r\n')}\r\n`;
+    },
+};
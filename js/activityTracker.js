@@ -0,0 +1,301 @@
+/* global chrome */
+
+// Import dependencies as ES modules for MV3
+import spacesService from './spacesService.js';
+import { dbService } from './dbService.js';
+import { activityReport } from './activityReport.js';
+import { preferences } from './preferences.js';
+
+// Times how long is spent in each saved space, and on each domain within it. Time is
+// counted while a space's window has focus and the user isn't idle, and added to the
+// record of the day it was spent (see activityReport.js).
+//
+// The service worker can be stopped at any time, so what is being timed is kept in
+// storage, and an alarm adds the time so far every minute. When the browser was closed
+// or the computer asleep, the alarm doesn't fire, and the time since it last did isn't
+// counted.
+//
+// It can be switched off with the activityTrackingEnabled preference.
+export const activityTracker = {
+    // chrome.alarms name for adding up the time so far
+    ALARM_NAME: 'flushActivity',
+    flushIntervalMinutes: 1,
+
+    // longer than this since the last flush and the time in between isn't counted
+    maxGapMs: 3 * 60 * 1000,
+
+    // chrome.idle reports the user as idle after this long without input
+    idleDetectionSeconds: 5 * 60,
+    retentionDays: 90,
+
+    // what is being timed ({ windowId, sessionId, domain, startedAt, lastSeenAt }) or false
+    current: false,
+    stateStorageKey: 'activityCurrent',
+
+    // how the service worker tells its own windows apart ({ isInternalWindow })
+    handlers: {},
+
+    taskQueue: Promise.resolve(),
+
+    initialise: handlers => {
+        activityTracker.handlers = handlers;
+
+        return new Promise(resolve => {
+            chrome.storage.local.get([activityTracker.stateStorageKey], result => {
+                activityTracker.current = (result || {})[activityTracker.stateStorageKey] || false;
+
+                if (chrome.idle) {
+                    chrome.idle.setDetectionInterval(activityTracker.idleDetectionSeconds);
+                }
+                activityTracker.pruneRecords(Date.now());
+
+                // carry on with whatever has focus now
+                activityTracker.refresh();
+                resolve();
+            });
+        });
+    },
+
+    isEnabled: () => {
+        return preferences.values.activityTrackingEnabled;
+    },
+
+    // preferences change listener
+    handlePreferencesChange: (values, changedNames) => {
+        if (changedNames.indexOf('activityTrackingEnabled') >= 0) {
+            activityTracker.refresh();
+        }
+    },
+
+    _enqueue: task => {
+        activityTracker.taskQueue = activityTracker.taskQueue.then(task).catch(error => {
+            console.error('activityTracker - failed to record activity:', error);
+        });
+        return activityTracker.taskQueue;
+    },
+
+    persistState: () => {
+        chrome.storage.local.set({ [activityTracker.stateStorageKey]: activityTracker.current });
+    },
+
+    // what to time for the active tab of a focused window, or false for nothing
+    getTarget: (windowId, tab) => {
+        if (!activityTracker.isEnabled() || activityTracker.handlers.isInternalWindow(windowId)) {
+            return false;
+        }
+
+        const session = spacesService.getSessionByWindowId(windowId);
+        if (!session || !session.id) {
+            return false;
+        }
+        return {
+            windowId,
+            sessionId: session.id,
+            domain: activityReport.getDomain(tab && tab.url),
+        };
+    },
+
+    isSameTarget: (a, b) => {
+        return (
+            !!a &&
+            !!b &&
+            a.windowId === b.windowId &&
+            a.sessionId === b.sessionId &&
+            a.domain === b.domain
+        );
+    },
+
+    // stop timing the current target at end, and start timing the new one from now
+    switchTo: (target, end) => {
+        return activityTracker._enqueue(async () => {
+            const now = Date.now();
+            const previous = activityTracker.current;
+
+            if (activityTracker.isSameTarget(previous, target)) return;
+
+            if (previous) {
+                await activityTracker.record(previous, Math.min(end || now, now));
+            }
+            activityTracker.current = target ? { ...target, startedAt: now, lastSeenAt: now } : false;
+            activityTracker.persistState();
+            activityTracker._updateAlarm(!!target);
+        });
+    },
+
+    // add the time so far, and carry on timing the same target
+    flush: () => {
+        return activityTracker._enqueue(async () => {
+            const now = Date.now();
+            const previous = activityTracker.current;
+            if (!previous) return;
+
+            await activityTracker.record(previous, now);
+            activityTracker.current = { ...previous, startedAt: now, lastSeenAt: now };
+            activityTracker.persistState();
+        });
+    },
+
+    // add the time of an interval to the records of the days it was spent on
+    record: async (interval, end) => {
+        const stopAt =
+            end - interval.lastSeenAt > activityTracker.maxGapMs ? interval.lastSeenAt : end;
+        const session = spacesService.getSessionBySessionId(interval.sessionId);
+        const name = session ? session.name : false;
+
+        // stopping before the interval started (see handleIdleStateChanged) takes back
+        // the time that flushes have already counted since then
+        const parts =
+            stopAt >= interval.startedAt
+                ? activityReport.splitByDay(interval.startedAt, stopAt)
+                : activityReport
+                      .splitByDay(stopAt, interval.startedAt)
+                      .map(part => ({ ...part, ms: -part.ms }));
+        for (let i = 0; i < parts.length; i += 1) {
+            const { day, ms } = parts[i];
+            // eslint-disable-next-line no-await-in-loop
+            const records = await new Promise(resolve => dbService.fetchActivity(day, day, resolve));
+            const record = records[0] || { day, sessions: {} };
+            activityReport.addTime(record, interval.sessionId, name, interval.domain, ms);
+            // eslint-disable-next-line no-await-in-loop
+            await new Promise(resolve => dbService.saveActivity(record, resolve));
+        }
+    },
+
+    // work out what should be timed from the focused window (the events that lead here
+    // don't say enough on their own, or may have been missed while the worker was stopped)
+    refresh: () => {
+        const stop = () => activityTracker.switchTo(false);
+
+        if (!activityTracker.isEnabled()) {
+            stop();
+            return;
+        }
+
+        activityTracker._queryIdleState(idleState => {
+            if (idleState !== 'active') {
+                stop();
+                return;
+            }
+            chrome.windows.getLastFocused({ populate: true }, curWindow => {
+                if (chrome.runtime.lastError || !curWindow || !curWindow.focused) {
+                    stop();
+                    return;
+                }
+                const activeTab = (curWindow.tabs || []).find(tab => tab.active);
+                activityTracker.switchTo(activityTracker.getTarget(curWindow.id, activeTab));
+            });
+        });
+    },
+
+    _queryIdleState: callback => {
+        if (!chrome.idle) {
+            callback('active');
+            return;
+        }
+        chrome.idle.queryState(activityTracker.idleDetectionSeconds, callback);
+    },
+
+    // the alarm only runs while something is being timed
+    _updateAlarm: active => {
+        if (!active) {
+            chrome.alarms.clear(activityTracker.ALARM_NAME);
+            return;
+        }
+        chrome.alarms.get(activityTracker.ALARM_NAME, alarm => {
+            if (!alarm) {
+                chrome.alarms.create(activityTracker.ALARM_NAME, {
+                    periodInMinutes: activityTracker.flushIntervalMinutes,
+                });
+            }
+        });
+    },
+
+    handleWindowFocussed: windowId => {
+        if (windowId === chrome.windows.WINDOW_ID_NONE) {
+            activityTracker.switchTo(false);
+        } else {
+            activityTracker.refresh();
+        }
+    },
+
+    handleTabActivated: activeInfo => {
+        const { current } = activityTracker;
+        if (!current || current.windowId !== activeInfo.windowId) return;
+
+        chrome.tabs.get(activeInfo.tabId, tab => {
+            if (chrome.runtime.lastError || !tab) return;
+            activityTracker.switchTo(activityTracker.getTarget(tab.windowId, tab));
+        });
+    },
+
+    handleTabUpdated: (tab, changeInfo) => {
+        const { current } = activityTracker;
+        if (!changeInfo.url || !tab.active || !current || current.windowId !== tab.windowId) {
+            return;
+        }
+        activityTracker.switchTo(activityTracker.getTarget(tab.windowId, tab));
+    },
+
+    // 'idle' is reported once the user has been idle for a while, so the time is
+    // counted up to when they stopped (taking back what was counted in the meantime)
+    handleIdleStateChanged: idleState => {
+        if (idleState === 'active') {
+            activityTracker.refresh();
+        } else if (idleState === 'idle') {
+            activityTracker.switchTo(false, Date.now() - activityTracker.idleDetectionSeconds * 1000);
+        } else {
+            activityTracker.switchTo(false);
+        }
+    },
+
+    // spacesService change listener. a window that is saved as a space (or loses its
+    // space) starts (or stops) being timed
+    handleSessionChange: (type, session) => {
+        const { current } = activityTracker;
+
+        if (
+            ((type === 'created' || type === 'opened') && session.windowId) ||
+            ((type === 'closed' || type === 'deleted') && current && current.sessionId === session.id)
+        ) {
+            activityTracker.refresh();
+        }
+    },
+
+    // the activity of the given number of days, up to and including today
+    fetchSummary: (dayCount, callback) => {
+        const days = activityReport.getDays(Date.now(), dayCount);
+
+        // include the time spent so far
+        activityTracker.flush().then(() => {
+            dbService.fetchActivity(days[0], days[days.length - 1], records => {
+                callback(activityReport.summarise(records, days));
+            });
+        });
+    },
+
+    pruneRecords: now => {
+        const [oldestDay] = activityReport.getDays(now, activityTracker.retentionDays);
+        dbService.fetchActivity('', oldestDay, records => {
+            records
+                .filter(record => record.day < oldestDay)
+                .forEach(record => dbService.removeActivity(record.day));
+        });
+    },
+
+    clearRecords: callback => {
+        activityTracker._enqueue(async () => {
+            const today = activityReport.getDay(Date.now());
+            const records = await new Promise(resolve => dbService.fetchActivity('', today, resolve));
+            await Promise.all(
+                records.map(
+                    record => new Promise(resolve => dbService.removeActivity(record.day, resolve))
+                )
+            );
+            if (activityTracker.current) {
+                const now = Date.now();
+                activityTracker.current = { ...activityTracker.current, startedAt: now, lastSeenAt: now };
+                activityTracker.persistState();
+            }
+        }).then(() => callback(true));
+    },
+};
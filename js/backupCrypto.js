@@ -0,0 +1,119 @@
+/* global crypto */
+
+// Passphrase encryption for backup files. An encrypted backup is a json envelope that
+// holds the backup file encrypted with AES-GCM, using a key derived from the passphrase
+// with PBKDF2. Everything needed to derive the key again (apart from the passphrase)
+// is stored in the envelope, and its version says how to read the rest of it
+export const backupCrypto = {
+    FORMAT: 'spaces-encrypted-backup',
+    VERSION: 1,
+    ITERATIONS: 310000,
+    SALT_BYTES: 16,
+    IV_BYTES: 12,
+
+    isEnvelope: json => {
+        return !!json && typeof json === 'object' && json.format === backupCrypto.FORMAT;
+    },
+
+    // returns the envelope, or false if the input isn't an encrypted backup
+    parseEnvelope: rawInput => {
+        try {
+            const json = JSON.parse(rawInput);
+            return backupCrypto.isEnvelope(json) ? json : false;
+        } catch (e) {
+            return false;
+        }
+    },
+
+    // resolves with the envelope for the text
+    encrypt: async (plaintext, passphrase, iterations = backupCrypto.ITERATIONS) => {
+        const salt = crypto.getRandomValues(new Uint8Array(backupCrypto.SALT_BYTES));
+        const iv = crypto.getRandomValues(new Uint8Array(backupCrypto.IV_BYTES));
+        const key = await backupCrypto.deriveKey(passphrase, salt, iterations);
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv },
+            key,
+            new TextEncoder().encode(plaintext)
+        );
+
+        return {
+            format: backupCrypto.FORMAT,
+            version: backupCrypto.VERSION,
+            kdf: 'PBKDF2-SHA-256',
+            iterations,
+            cipher: 'AES-GCM',
+            salt: backupCrypto.toBase64(salt),
+            iv: backupCrypto.toBase64(iv),
+            ciphertext: backupCrypto.toBase64(new Uint8Array(ciphertext)),
+        };
+    },
+
+    // resolves with the text, or rejects with an error that can be shown to the user
+    decrypt: async (envelope, passphrase) => {
+        if (!backupCrypto.isEnvelope(envelope)) {
+            throw new Error('This is not an encrypted backup');
+        }
+        if (envelope.version !== backupCrypto.VERSION) {
+            throw new Error(
+                `This backup was encrypted by a newer version of Spaces (format version ${envelope.version})`
+            );
+        }
+
+        let plaintext;
+        try {
+            const key = await backupCrypto.deriveKey(
+                passphrase,
+                backupCrypto.fromBase64(envelope.salt),
+                envelope.iterations
+            );
+            plaintext = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: backupCrypto.fromBase64(envelope.iv) },
+                key,
+                backupCrypto.fromBase64(envelope.ciphertext)
+            );
+        } catch (e) {
+            // AES-GCM can't tell a wrong key from altered data
+            throw new Error('Wrong passphrase, or the backup is damaged');
+        }
+        return new TextDecoder().decode(plaintext);
+    },
+
+    deriveKey: async (passphrase, salt, iterations) => {
+        if (!Number.isInteger(iterations) || iterations < 1) {
+            throw new Error(`Invalid number of iterations: ${iterations}`);
+        }
+
+        const baseKey = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    },
+
+    toBase64: bytes => {
+        // in pieces, as String.fromCharCode can only take so many arguments
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    },
+
+    fromBase64: text => {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i += 1) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    },
+};
@@ -0,0 +1,184 @@
+/* global chrome */
+
+// Import dependencies as ES modules for MV3
+import { dbService } from './dbService.js';
+import { exporters } from './exporters.js';
+import { preferences } from './preferences.js';
+
+// Full backups of every space, taken on a schedule. The most recent ones are kept in
+// the database, and can also be saved to a folder in the downloads directory. Any of
+// them can be restored from the spaces window, the same way as a backup file. How often
+// and how many is up to the autoBackup* preferences
+export const backupService = {
+    // chrome.alarms name for the scheduled backups
+    ALARM_NAME: 'autoBackup',
+
+    // chrome won't download a data url longer than this
+    maxDownloadUrlLength: 2 * 1024 * 1024,
+
+    noop: () => {},
+
+    // spaces are lean spaces, as in a backup file (see exporters.getLeanSpace).
+    // scheduled backups are skipped when nothing changed since the latest one, so that
+    // they don't rotate out older backups that differ. calls back with the new backup,
+    // or false if none was taken
+    createBackup: (spaces, trigger, callback) => {
+        // eslint-disable-next-line no-param-reassign
+        callback = typeof callback !== 'function' ? backupService.noop : callback;
+
+        if (spaces.length === 0) {
+            callback(false);
+            return;
+        }
+
+        dbService.fetchBackups(backups => {
+            if (
+                trigger === 'scheduled' &&
+                backups.length > 0 &&
+                backupService.isSameSpaces(backups[0].spaces, spaces)
+            ) {
+                callback(false);
+                return;
+            }
+
+            const settings = preferences.values;
+            const backup = {
+                createdAt: Date.now(),
+                trigger,
+                spaces,
+                downloadId: false,
+                downloadError: false,
+            };
+
+            dbService.saveBackup(backup, savedBackup => {
+                if (!savedBackup) {
+                    callback(false);
+                    return;
+                }
+
+                backupService.rotate([savedBackup, ...backups], settings.autoBackupKeepCount);
+
+                if (!settings.autoBackupDownload) {
+                    callback(savedBackup);
+                    return;
+                }
+                // a failed download is shown in the backups list
+                backupService.download(savedBackup, settings, (downloadId, error) => {
+                    savedBackup.downloadId = downloadId;
+                    savedBackup.downloadError = error || false;
+                    dbService.saveBackup(savedBackup, () => callback(savedBackup));
+                });
+            });
+        });
+    },
+
+    isSameSpaces: (a, b) => {
+        return JSON.stringify(a) === JSON.stringify(b);
+    },
+
+    // backups (most recent first) beyond the number to keep
+    getExpiredBackups: (backups, keepCount) => {
+        return backups.slice(keepCount);
+    },
+
+    // remove the oldest backups, along with the files they were downloaded as
+    rotate: (backups, keepCount) => {
+        backupService.getExpiredBackups(backups, keepCount).forEach(backup => {
+            dbService.removeBackup(backup.id);
+            if (backup.downloadId) {
+                backupService.removeDownload(backup.downloadId);
+            }
+        });
+    },
+
+    // downloads needs an optional permission, so may not be available
+    canDownload: () => {
+        return !!(chrome.downloads && chrome.downloads.download);
+    },
+
+    // save the backup as a json file, along with the current preferences (in the same
+    // format as a backup made from the spaces window). it isn't encrypted, as there is no
+    // passphrase to hand (one is only asked for when exporting), and the preference says
+    // so. calls back with the download id, or with false and the reason it failed
+    download: (backup, settings, callback) => {
+        if (!backupService.canDownload()) {
+            callback(false, 'Saving to downloads is not allowed');
+            return;
+        }
+
+        // service workers can't make object urls, so the file goes in a data url
+        const content = exporters.renderBackup(backup.spaces, preferences.values);
+        const url = `data:application/json;charset=utf-8,${encodeURIComponent(content)}`;
+        if (url.length > backupService.maxDownloadUrlLength) {
+            callback(false, 'Too large to save to downloads');
+            return;
+        }
+
+        chrome.downloads.download(
+            {
+                url,
+                filename: backupService.getFilename(settings.autoBackupFolder, backup.createdAt),
+                conflictAction: 'uniquify',
+                saveAs: false,
+            },
+            downloadId => {
+                if (chrome.runtime.lastError || !downloadId) {
+                    callback(
+                        false,
+                        chrome.runtime.lastError
+                            ? chrome.runtime.lastError.message
+                            : 'The download failed'
+                    );
+                    return;
+                }
+                callback(downloadId);
+            }
+        );
+    },
+
+    removeDownload: downloadId => {
+        if (!backupService.canDownload()) return;
+
+        chrome.downloads.removeFile(downloadId, () => {
+            // the file may have been moved or deleted already
+            if (chrome.runtime.lastError) return;
+            chrome.downloads.erase({ id: downloadId });
+        });
+    },
+
+    // eg. "Spaces backups/spaces-backup-2024-03-09-0815.json"
+    getFilename: (folder, timestamp) => {
+        const date = new Date(timestamp);
+        const pad = number => String(number).padStart(2, '0');
+        const stamp = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+            date.getDate()
+        )}-${pad(date.getHours())}${pad(date.getMinutes())}`;
+        const filename = `spaces-backup-${stamp}.json`;
+        const folderPath = backupService.sanitiseFolder(folder);
+
+        return folderPath ? `${folderPath}/${filename}` : filename;
+    },
+
+    // downloads must stay inside the downloads directory
+    sanitiseFolder: folder => {
+        return String(folder || '')
+            .replace(/[\\:*?"<>|]/g, '')
+            .split('/')
+            .map(part => part.trim())
+            .filter(part => part && part !== '.' && part !== '..')
+            .join('/');
+    },
+
+    // what the backups list shows for each backup
+    summariseBackup: backup => {
+        return {
+            backupId: backup.id,
+            createdAt: backup.createdAt,
+            trigger: backup.trigger,
+            spaceCount: backup.spaces.length,
+            tabCount: backup.spaces.reduce((count, space) => count + (space.tabs || []).length, 0),
+            downloaded: !!backup.downloadId,
+            downloadError: backup.downloadError || false,
+        };
+    },
+};
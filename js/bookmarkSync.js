@@ -0,0 +1,631 @@
+/* global chrome */
+
+// Import dependencies as ES modules for MV3
+import spacesService from './spacesService.js';
+import { preferences } from './preferences.js';
+
+// Optional two-way mirror between saved sessions and a bookmarks folder. Every saved
+// session gets a subfolder (named after it) under the "Spaces" folder, holding a
+// bookmark per tab. Changes to sessions are written to their folders, and edits made
+// in the bookmark manager flow back: adding, removing and reordering bookmarks changes
+// the session's tabs, renaming a folder renames the session, a new folder becomes a
+// new session and removing a folder deletes the session. As Chrome syncs bookmarks,
+// this carries spaces across devices. It is switched on, and the folder named, by the
+// bookmarkSyncEnabled and bookmarkFolderTitle preferences.
+//
+// While a session is open its window decides its tabs, so bookmark edits to an open
+// session's folder are undone the next time the folder is written.
+//
+// Bookmark work is done one task at a time. Every bookmark we write is noted before
+// the write, so that the event it causes is recognised as ours and ignored, while edits
+// made in the meantime still count.
+//
+// The "Spaces" folder lives in Other Bookmarks and holds a bookmark to the spaces page
+// as a marker, so that it can be found again after a reinstall (any other folder of the
+// same name is left alone).
+export const bookmarkSync = {
+    // { rootFolderId, folderLinks: { sessionId: folderId } }, kept in chrome.storage.local
+    stateStorageKey: 'bookmarkSyncState',
+    rootFolderId: false,
+    folderLinks: {},
+
+    // how the service worker creates and deletes sessions ({ createSession, deleteSession })
+    handlers: {},
+
+    // edits in the bookmark manager come in bursts (eg. a sync), wait for them to settle
+    syncDelay: 500,
+    folderSyncTimers: {},
+
+    taskQueue: Promise.resolve(),
+
+    // the events our own writes are still to cause, eg. 'moved:12' or
+    // 'created:5:https://a.com/' (see getWriteKey)
+    ownWrites: [],
+
+    noop: () => {},
+
+    initialise: handlers => {
+        bookmarkSync.handlers = handlers;
+
+        return new Promise(resolve => {
+            const key = bookmarkSync.stateStorageKey;
+            chrome.storage.local.get([key], result => {
+                const state = (result && result[key]) || {};
+                bookmarkSync.rootFolderId = state.rootFolderId || false;
+                bookmarkSync.folderLinks = state.folderLinks || {};
+                resolve();
+            });
+        });
+    },
+
+    isEnabled: () => {
+        return preferences.values.bookmarkSyncEnabled;
+    },
+
+    // preferences change listener
+    handlePreferencesChange: (values, changedNames) => {
+        if (!values.bookmarkSyncEnabled) return;
+
+        if (changedNames.indexOf('bookmarkSyncEnabled') >= 0) {
+            bookmarkSync.fullSync();
+        } else if (changedNames.indexOf('bookmarkFolderTitle') >= 0) {
+            bookmarkSync._enqueue(bookmarkSync.ensureRootFolder);
+        }
+    },
+
+    persistState: () => {
+        chrome.storage.local.set({
+            [bookmarkSync.stateStorageKey]: {
+                rootFolderId: bookmarkSync.rootFolderId,
+                folderLinks: bookmarkSync.folderLinks,
+            },
+        });
+    },
+
+    linkFolder: (sessionId, folderId) => {
+        bookmarkSync.folderLinks[sessionId] = folderId;
+        bookmarkSync.persistState();
+    },
+
+    unlinkFolder: sessionId => {
+        delete bookmarkSync.folderLinks[sessionId];
+        bookmarkSync.persistState();
+    },
+
+    getSessionIdForFolder: folderId => {
+        const sessionId = Object.keys(bookmarkSync.folderLinks).find(
+            curSessionId => bookmarkSync.folderLinks[curSessionId] === folderId
+        );
+        return sessionId ? parseInt(sessionId, 10) : false;
+    },
+
+    // Bookmark helpers
+
+    // promise wrapper for the callback style chrome.bookmarks api
+    _bookmarks: (method, ...args) => {
+        return new Promise((resolve, reject) => {
+            chrome.bookmarks[method](...args, result => {
+                if (chrome.runtime.lastError) {
+                    reject(new Error(chrome.runtime.lastError.message));
+                } else {
+                    resolve(result);
+                }
+            });
+        });
+    },
+
+    _getFolder: folderId => {
+        if (!folderId) return Promise.resolve(false);
+        return bookmarkSync
+            ._bookmarks('get', folderId)
+            .then(nodes => (nodes[0] && !nodes[0].url ? nodes[0] : false))
+            .catch(() => false);
+    },
+
+    _enqueue: task => {
+        bookmarkSync.taskQueue = bookmarkSync.taskQueue.then(task).catch(error => {
+            console.error('bookmarkSync - task failed:', error);
+        });
+        return bookmarkSync.taskQueue;
+    },
+
+    // the key of the event a write causes. a new bookmark's id isn't known until it is
+    // created (and its event may come first), so it is known by where it goes instead
+    getWriteKey: (type, id, node) => {
+        return type === 'created'
+            ? `created:${node.parentId}:${node.url || ''}:${node.title}`
+            : `${type}:${id}`;
+    },
+
+    // a bookmarks api call of ours: the event it causes is noted first
+    _writeBookmark: (type, method, ...args) => {
+        const key =
+            type === 'created'
+                ? bookmarkSync.getWriteKey(type, false, args[0])
+                : bookmarkSync.getWriteKey(type, args[0]);
+
+        bookmarkSync.ownWrites.push(key);
+        return bookmarkSync._bookmarks(method, ...args).catch(error => {
+            // no event is coming
+            bookmarkSync.isOwnWrite(key);
+            throw error;
+        });
+    },
+
+    // whether an event was caused by one of our writes (each write only covers one event)
+    isOwnWrite: key => {
+        const index = bookmarkSync.ownWrites.indexOf(key);
+        if (index === -1) return false;
+
+        bookmarkSync.ownWrites.splice(index, 1);
+        return true;
+    },
+
+    getFolderTitle: session => {
+        return session.name || 'Unnamed space';
+    },
+
+    // the tabs that can be bookmarked, as { url, title }
+    getBookmarkableTabs: tabs => {
+        return (tabs || [])
+            .filter(tab => typeof tab.url === 'string' && tab.url.indexOf('://') > 0)
+            .map(tab => ({ url: tab.url, title: tab.title || tab.url }));
+    },
+
+    // the tabs a folder holds, keeping what the session knew about each url (eg. pinned)
+    getTabsFromBookmarks: (children, sessionTabs) => {
+        const knownTabs = {};
+        (sessionTabs || []).forEach(tab => {
+            if (!knownTabs[tab.url]) knownTabs[tab.url] = tab;
+        });
+
+        return children
+            .filter(node => node.url)
+            .map(node => ({ ...knownTabs[node.url], url: node.url, title: node.title }));
+    },
+
+    isSameTabList: (children, tabs) => {
+        const bookmarks = children.filter(node => node.url);
+        return (
+            bookmarks.length === tabs.length &&
+            bookmarks.every(
+                (node, index) => node.url === tabs[index].url && node.title === tabs[index].title
+            )
+        );
+    },
+
+    // work out the bookmark changes that make a folder's children match a tab list.
+    // subfolders are left alone (after the bookmarks)
+    diffFolder: (children, tabs) => {
+        const ops = [];
+        const nodes = children.slice();
+
+        tabs.forEach((tab, index) => {
+            const matchIndex = nodes.findIndex(
+                (node, nodeIndex) => nodeIndex >= index && node.url === tab.url
+            );
+
+            if (matchIndex === -1) {
+                ops.push({ type: 'create', index, url: tab.url, title: tab.title });
+                nodes.splice(index, 0, { url: tab.url, title: tab.title });
+                return;
+            }
+
+            const node = nodes[matchIndex];
+            if (matchIndex !== index) {
+                ops.push({ type: 'move', id: node.id, index });
+                nodes.splice(matchIndex, 1);
+                nodes.splice(index, 0, node);
+            }
+            if (node.title !== tab.title) {
+                ops.push({ type: 'update', id: node.id, title: tab.title });
+            }
+        });
+
+        nodes.slice(tabs.length).forEach(node => {
+            if (node.url) ops.push({ type: 'remove', id: node.id });
+        });
+
+        return ops;
+    },
+
+    _applyOp: (folderId, op) => {
+        switch (op.type) {
+            case 'create':
+                return bookmarkSync._writeBookmark('created', 'create', {
+                    parentId: folderId,
+                    index: op.index,
+                    url: op.url,
+                    title: op.title,
+                });
+            case 'move':
+                return bookmarkSync._writeBookmark('moved', 'move', op.id, {
+                    parentId: folderId,
+                    index: op.index,
+                });
+            case 'update':
+                return bookmarkSync._writeBookmark('changed', 'update', op.id, { title: op.title });
+            default:
+                return bookmarkSync._writeBookmark('removed', 'remove', op.id);
+        }
+    },
+
+    // Writing sessions to bookmarks
+
+    getMarkerUrl: () => {
+        return chrome.runtime.getURL('spaces.html');
+    },
+
+    // the id of Other Bookmarks, where the spaces folder goes
+    getParentFolderId: () => {
+        return bookmarkSync._bookmarks('getChildren', '0').then(nodes => {
+            const otherBookmarks = nodes.find(node => node.folderType === 'other') || nodes[1];
+            return otherBookmarks ? otherBookmarks.id : '2';
+        });
+    },
+
+    // a spaces folder left by an earlier install: a folder of the right name in Other
+    // Bookmarks that holds our marker
+    findMarkedFolder: (parentId, title) => {
+        return bookmarkSync._bookmarks('getChildren', parentId).then(nodes => {
+            const candidates = nodes.filter(node => !node.url && node.title === title);
+
+            return candidates.reduce(
+                (chain, candidate) =>
+                    chain.then(match => {
+                        if (match) return match;
+                        return bookmarkSync
+                            ._bookmarks('getChildren', candidate.id)
+                            .then(children =>
+                                children.some(child => child.url === bookmarkSync.getMarkerUrl())
+                                    ? candidate
+                                    : false
+                            );
+                    }),
+                Promise.resolve(false)
+            );
+        });
+    },
+
+    createRootFolder: (parentId, title) => {
+        return bookmarkSync
+            ._writeBookmark('created', 'create', { parentId, title })
+            .then(rootFolder =>
+                bookmarkSync
+                    ._writeBookmark('created', 'create', {
+                        parentId: rootFolder.id,
+                        url: bookmarkSync.getMarkerUrl(),
+                        title: 'Spaces',
+                    })
+                    .then(() => rootFolder)
+            );
+    },
+
+    ensureRootFolder: () => {
+        const title = preferences.values.bookmarkFolderTitle;
+
+        return bookmarkSync._getFolder(bookmarkSync.rootFolderId).then(folder => {
+            if (folder) {
+                return folder.title === title
+                    ? folder.id
+                    : bookmarkSync
+                          ._writeBookmark('changed', 'update', folder.id, { title })
+                          .then(() => folder.id);
+            }
+
+            // find our folder (eg. after a reinstall), or create it
+            return bookmarkSync
+                .getParentFolderId()
+                .then(parentId =>
+                    bookmarkSync
+                        .findMarkedFolder(parentId, title)
+                        .then(match => match || bookmarkSync.createRootFolder(parentId, title))
+                )
+                .then(rootFolder => {
+                    bookmarkSync.rootFolderId = rootFolder.id;
+                    bookmarkSync.persistState();
+                    return rootFolder.id;
+                });
+        });
+    },
+
+    ensureSessionFolder: (session, rootFolderId) => {
+        const folderId = bookmarkSync.folderLinks[session.id];
+
+        return bookmarkSync._getFolder(folderId).then(folder => {
+            if (folder && folder.parentId === rootFolderId) {
+                return folder;
+            }
+            return bookmarkSync
+                ._writeBookmark('created', 'create', {
+                    parentId: rootFolderId,
+                    title: bookmarkSync.getFolderTitle(session),
+                })
+                .then(newFolder => {
+                    bookmarkSync.linkFolder(session.id, newFolder.id);
+                    return newFolder;
+                });
+        });
+    },
+
+    writeSession: session => {
+        return bookmarkSync
+            .ensureRootFolder()
+            .then(rootFolderId => bookmarkSync.ensureSessionFolder(session, rootFolderId))
+            .then(folder => {
+                const title = bookmarkSync.getFolderTitle(session);
+                const renamed =
+                    folder.title === title
+                        ? Promise.resolve()
+                        : bookmarkSync._writeBookmark('changed', 'update', folder.id, { title });
+
+                return renamed
+                    .then(() => bookmarkSync._bookmarks('getChildren', folder.id))
+                    .then(children => {
+                        const ops = bookmarkSync.diffFolder(
+                            children,
+                            bookmarkSync.getBookmarkableTabs(session.tabs)
+                        );
+                        return ops.reduce(
+                            (chain, op) => chain.then(() => bookmarkSync._applyOp(folder.id, op)),
+                            Promise.resolve()
+                        );
+                    });
+            });
+    },
+
+    removeSessionFolder: sessionId => {
+        const folderId = bookmarkSync.folderLinks[sessionId];
+        if (!folderId) return Promise.resolve();
+
+        bookmarkSync.unlinkFolder(sessionId);
+        return bookmarkSync
+            ._writeBookmark('removed', 'removeTree', folderId)
+            .catch(bookmarkSync.noop);
+    },
+
+    // spacesService change listener
+    handleSessionChange: (type, session) => {
+        if (!bookmarkSync.isEnabled() || !session.id) return;
+
+        switch (type) {
+            case 'created':
+            case 'renamed':
+            case 'tabsChanged':
+                bookmarkSync._enqueue(() => {
+                    // it may have been deleted while waiting
+                    const curSession = spacesService.getSessionBySessionId(session.id);
+                    return curSession ? bookmarkSync.writeSession(curSession) : false;
+                });
+                break;
+            case 'deleted':
+                bookmarkSync._enqueue(() => bookmarkSync.removeSessionFolder(session.id));
+                break;
+            default:
+        }
+    },
+
+    // Reading edits made to bookmarks
+
+    handleBookmarkCreated: (id, node) => {
+        if (bookmarkSync.isOwnWrite(bookmarkSync.getWriteKey('created', id, node))) return;
+
+        if (node.url) {
+            bookmarkSync.scheduleFolderSync(node.parentId);
+        } else {
+            bookmarkSync.scheduleFolderSync(id);
+        }
+    },
+
+    handleBookmarkRemoved: (id, removeInfo) => {
+        if (bookmarkSync.isOwnWrite(bookmarkSync.getWriteKey('removed', id))) return;
+        if (!bookmarkSync.isEnabled()) return;
+
+        if (id === bookmarkSync.rootFolderId) {
+            // never delete every space because of this: write them all out again
+            bookmarkSync.rootFolderId = false;
+            bookmarkSync.folderLinks = {};
+            bookmarkSync.persistState();
+            bookmarkSync.fullSync();
+            return;
+        }
+
+        const sessionId = bookmarkSync.getSessionIdForFolder(id);
+        if (sessionId) {
+            bookmarkSync._enqueue(() => bookmarkSync.removeLinkedSession(sessionId));
+        } else {
+            bookmarkSync.scheduleFolderSync(removeInfo.parentId);
+        }
+    },
+
+    handleBookmarkChanged: id => {
+        if (bookmarkSync.isOwnWrite(bookmarkSync.getWriteKey('changed', id))) return;
+        if (!bookmarkSync.isEnabled()) return;
+
+        if (bookmarkSync.getSessionIdForFolder(id)) {
+            bookmarkSync.scheduleFolderSync(id);
+            return;
+        }
+        bookmarkSync._bookmarks('get', id).then(
+            nodes => nodes[0] && bookmarkSync.scheduleFolderSync(nodes[0].parentId),
+            bookmarkSync.noop
+        );
+    },
+
+    handleBookmarkMoved: (id, moveInfo) => {
+        if (bookmarkSync.isOwnWrite(bookmarkSync.getWriteKey('moved', id))) return;
+
+        if (moveInfo.parentId === bookmarkSync.rootFolderId) {
+            // a folder moved in from elsewhere becomes a new space
+            bookmarkSync.scheduleFolderSync(id);
+        }
+        if (bookmarkSync.getSessionIdForFolder(id)) {
+            // a space's folder moved out of the spaces folder
+            bookmarkSync.scheduleFolderSync(id);
+        }
+        bookmarkSync.scheduleFolderSync(moveInfo.parentId);
+        if (moveInfo.oldParentId !== moveInfo.parentId) {
+            bookmarkSync.scheduleFolderSync(moveInfo.oldParentId);
+        }
+    },
+
+    handleChildrenReordered: id => {
+        bookmarkSync.scheduleFolderSync(id);
+    },
+
+    scheduleFolderSync: folderId => {
+        if (!bookmarkSync.isEnabled()) return;
+        if (!folderId || folderId === bookmarkSync.rootFolderId) return;
+
+        clearTimeout(bookmarkSync.folderSyncTimers[folderId]);
+        bookmarkSync.folderSyncTimers[folderId] = setTimeout(() => {
+            delete bookmarkSync.folderSyncTimers[folderId];
+            bookmarkSync._enqueue(() => bookmarkSync.syncFolder(folderId));
+        }, bookmarkSync.syncDelay);
+    },
+
+    // bring a session up to date with its folder (or create one for a new folder)
+    syncFolder: folderId => {
+        const sessionId = bookmarkSync.getSessionIdForFolder(folderId);
+
+        return bookmarkSync._getFolder(folderId).then(folder => {
+            if (!folder || folder.parentId !== bookmarkSync.rootFolderId) {
+                // only folders directly inside the spaces folder are spaces
+                return sessionId ? bookmarkSync.removeLinkedSession(sessionId) : false;
+            }
+
+            return bookmarkSync._bookmarks('getChildren', folderId).then(children => {
+                const session = sessionId && spacesService.getSessionBySessionId(sessionId);
+                if (!session) {
+                    return bookmarkSync.createSessionFromFolder(folder, children);
+                }
+                return bookmarkSync.updateSessionFromFolder(session, folder, children);
+            });
+        });
+    },
+
+    createSessionFromFolder: (folder, children) => {
+        const tabs = bookmarkSync.getTabsFromBookmarks(children, []);
+
+        return new Promise(resolve => {
+            bookmarkSync.handlers.createSession(
+                {
+                    name: folder.title || false,
+                    tabs,
+                    history: [],
+                    sessionHash: spacesService.generateSessionHash(tabs),
+                    lastAccess: Date.now(),
+                    windowId: false,
+                },
+                session => {
+                    if (session) bookmarkSync.linkFolder(session.id, folder.id);
+                    resolve(session);
+                }
+            );
+        });
+    },
+
+    updateSessionFromFolder: (session, folder, children) => {
+        if (folder.title && folder.title !== bookmarkSync.getFolderTitle(session)) {
+            spacesService.updateSessionName(session.id, folder.title);
+        }
+
+        const tabs = bookmarkSync.getBookmarkableTabs(session.tabs);
+        if (bookmarkSync.isSameTabList(children, tabs)) {
+            return Promise.resolve();
+        }
+        if (session.windowId) {
+            return bookmarkSync.writeSession(session);
+        }
+
+        return new Promise(resolve => {
+            spacesService.updateSessionTabs(
+                session.id,
+                bookmarkSync.getTabsFromBookmarks(children, session.tabs),
+                resolve
+            );
+        });
+    },
+
+    removeLinkedSession: sessionId => {
+        bookmarkSync.unlinkFolder(sessionId);
+        return new Promise(resolve => {
+            bookmarkSync.handlers.deleteSession(sessionId, resolve);
+        });
+    },
+
+    // link every session to a folder and every folder to a session, then write all
+    // sessions out. run when syncing is switched on, when the extension is installed or
+    // updated and when the spaces folder is deleted
+    fullSync: () => {
+        return bookmarkSync._enqueue(() => {
+            return bookmarkSync
+                .ensureRootFolder()
+                .then(rootFolderId => bookmarkSync._bookmarks('getChildren', rootFolderId))
+                .then(folders => {
+                    const savedSessions = spacesService.sessions.filter(session => session.id);
+                    const linkedFolderIds = {};
+
+                    Object.keys(bookmarkSync.folderLinks).forEach(sessionId => {
+                        linkedFolderIds[bookmarkSync.folderLinks[sessionId]] = true;
+                    });
+
+                    // a folder whose session was deleted while syncing was off goes too
+                    const staleFolders = folders.filter(folder => {
+                        const sessionId = bookmarkSync.getSessionIdForFolder(folder.id);
+                        return sessionId && !spacesService.getSessionBySessionId(sessionId);
+                    });
+
+                    // link folders to unlinked sessions of the same name
+                    savedSessions.forEach(session => {
+                        if (bookmarkSync.folderLinks[session.id]) return;
+                        const match = folders.find(
+                            folder =>
+                                !folder.url &&
+                                !linkedFolderIds[folder.id] &&
+                                folder.title === bookmarkSync.getFolderTitle(session)
+                        );
+                        if (match) {
+                            linkedFolderIds[match.id] = true;
+                            bookmarkSync.linkFolder(session.id, match.id);
+                        }
+                    });
+
+                    const newFolders = folders.filter(
+                        folder => !folder.url && !linkedFolderIds[folder.id]
+                    );
+
+                    return staleFolders
+                        .reduce(
+                            (chain, folder) =>
+                                chain.then(() =>
+                                    bookmarkSync.removeSessionFolder(
+                                        bookmarkSync.getSessionIdForFolder(folder.id)
+                                    )
+                                ),
+                            Promise.resolve()
+                        )
+                        .then(() =>
+                            newFolders.reduce(
+                                (chain, folder) =>
+                                    chain.then(() =>
+                                        bookmarkSync
+                                            ._bookmarks('getChildren', folder.id)
+                                            .then(children =>
+                                                bookmarkSync.createSessionFromFolder(folder, children)
+                                            )
+                                    ),
+                                Promise.resolve()
+                            )
+                        )
+                        .then(() =>
+                            savedSessions.reduce(
+                                (chain, session) =>
+                                    chain.then(() => bookmarkSync.writeSession(session)),
+                                Promise.resolve()
+                            )
+                        );
+                });
+        });
+    },
+};
@@ -389,11 +389,14 @@
                     resolve(server);
                 };
 
+                // the connection is only resolved from onsuccess, once the
+                // versionchange transaction (and any upgrade work) has completed
                 request.onupgradeneeded = function(e) {
                     var database = e.target.result;
-                    var server = new Server(database, options.server);
 
-                    if (options.schema) {
+                    if (options.upgrade) {
+                        options.upgrade(database, e.target.transaction, e.oldVersion, e.newVersion);
+                    } else if (options.schema) {
                         var schema = options.schema();
                         for (var table in schema) {
                             if (hasOwn.call(schema, table)) {
@@ -410,8 +413,6 @@
                             }
                         }
                     }
-
-                    resolve(server);
                 };
             });
         },
@@ -438,7 +439,6 @@
 
 // TODO: Add proper error handling for IndexedDB operations
 // TODO: Consider adding database connection pooling for better performance
-// TODO: Add database migration support for version updates
 
 // Export for ES modules
 export default db;
@@ -6,8 +6,14 @@ import db from './db.js';
 // Convert to ES module for MV3
 export const dbService = {
     DB_SERVER: 'spaces',
-    DB_VERSION: '1',
+    DB_VERSION: 6,
     DB_SESSIONS: 'ttSessions',
+    DB_SNAPSHOTS: 'ttSnapshots',
+    DB_TRASH: 'ttTrash',
+    DB_BACKUPS: 'ttBackups',
+    DB_ACTIVITY: 'ttActivity',
+
+    debug: false,
 
     noop() {},
 
@@ -18,7 +24,7 @@ export const dbService = {
         return db.open({
             server: dbService.DB_SERVER,
             version: dbService.DB_VERSION,
-            schema: dbService.getSchema,
+            upgrade: dbService.runMigrations,
         });
     },
 
@@ -28,20 +34,149 @@ export const dbService = {
      * session.sessionHash:  a hash formed from the combined urls in the session window
      * session.name:         the saved name of the session
      * session.tabs:         an array of chrome tab objects (often taken from the chrome window obj)
+     * session.groups:       the window's tab groups ({ id, title, color, collapsed }). tabs
+     *                       belong to a group when their groupId matches its id
      * session.history:      an array of chrome tab objects that have been removed from the session
-     * session.lastAccess:   timestamp that gets updated with every window focus
+     * session.lastAccess:   timestamp (ms) that gets updated with every window focus
+     * session.windowId:     id of the window the session is open in (false when closed)
+     * session.windowBounds: where the window was last shown ({ left, top, width, height,
+     *                       state, displayId })
+     * session.loadStrategy: how tabs load when the space is opened ('eager' or 'lazy'),
+     *                       or false to use the global setting
+     * session.lastEventId:  id of the last queued history event applied to the session, so that
+     *                       events replayed after the service worker restarts are skipped
+     * session.syncId:       id shared by every device the session is synced to (see syncEngine.js)
+     * session.syncRevision: revision vector of the session ({ deviceId: number of edits })
+     * session.syncHash:     hash of the session contents as they were last synced
+     */
+
+    /**
+     * Properties of a snapshot object
+     * snapshot.id:          auto-generated indexedDb object id
+     * snapshot.sessionId:   id of the session this is a version of
+     * snapshot.timestamp:   time (ms) the version was saved
+     * snapshot.tabs:        lean copies ({ url, title, favIconUrl, pinned }) of the session tabs
+     * snapshot.added:       number of tabs added since the previous version
+     * snapshot.removed:     number of tabs removed since the previous version
+     */
+
+    /**
+     * Properties of a trash entry
+     * entry.id:             id of the deleted session, which it gets back when restored
+     * entry.session:        the deleted session object
+     * entry.snapshots:      the session's version history
+     * entry.deletedAt:      time (ms) the session was deleted
      */
-    getSchema() {
-        return {
-            ttSessions: {
-                key: {
-                    keyPath: 'id',
-                    autoIncrement: true,
-                },
-                indexes: {
-                    id: {},
-                },
-            },
+
+    /**
+     * Properties of a backup object
+     * backup.id:            auto-generated indexedDb object id
+     * backup.createdAt:     time (ms) the backup was taken
+     * backup.trigger:       'scheduled' or 'manual'
+     * backup.spaces:        the spaces, as in a backup file ({ name, tabs, groups })
+     * backup.downloadId:    id of the download the backup was also saved as (or false)
+     */
+
+    /**
+     * Properties of an activity record (one per day)
+     * record.day:           the local date ('YYYY-MM-DD')
+     * record.sessions:      time spent in each session that day, keyed by session id
+     *                       ({ name, ms, domains: { hostname: ms } })
+     */
+
+    /**
+     * Schema migrations, keyed by the database version that each one upgrades to.
+     * Every step runs inside the single versionchange transaction, in order, so a
+     * failing step aborts the whole upgrade and leaves the old data untouched.
+     * To change the data model, bump DB_VERSION and add the next step here.
+     */
+    migrations: {
+        1: database => {
+            const store = database.createObjectStore(dbService.DB_SESSIONS, {
+                keyPath: 'id',
+                autoIncrement: true,
+            });
+            store.createIndex('id', 'id');
+        },
+
+        2: (database, transaction) => {
+            const store = transaction.objectStore(dbService.DB_SESSIONS);
+            store.createIndex('name', 'name');
+            store.createIndex('lastAccess', 'lastAccess');
+            store.createIndex('windowId', 'windowId');
+
+            dbService.rewriteRecords(store, session => {
+                // lastAccess was saved as a mix of Date objects and numbers, which
+                // sort separately in an index. store everything as a timestamp
+                const lastAccess = session.lastAccess
+                    ? new Date(session.lastAccess).getTime()
+                    : 0;
+
+                return {
+                    ...session,
+                    name: session.name || false,
+                    history: Array.isArray(session.history)
+                        ? session.history
+                        : [],
+                    lastAccess: Number.isNaN(lastAccess) ? 0 : lastAccess,
+                    // window ids are never valid across browser restarts
+                    windowId: false,
+                };
+            });
+        },
+
+        3: database => {
+            const store = database.createObjectStore(dbService.DB_SNAPSHOTS, {
+                keyPath: 'id',
+                autoIncrement: true,
+            });
+            store.createIndex('sessionId', 'sessionId');
+        },
+
+        4: database => {
+            const store = database.createObjectStore(dbService.DB_TRASH, {
+                keyPath: 'id',
+            });
+            store.createIndex('deletedAt', 'deletedAt');
+        },
+
+        5: database => {
+            const store = database.createObjectStore(dbService.DB_BACKUPS, {
+                keyPath: 'id',
+                autoIncrement: true,
+            });
+            store.createIndex('createdAt', 'createdAt');
+        },
+
+        6: database => {
+            database.createObjectStore(dbService.DB_ACTIVITY, {
+                keyPath: 'day',
+            });
+        },
+    },
+
+    runMigrations(database, transaction, oldVersion, newVersion) {
+        for (let version = oldVersion + 1; version <= newVersion; version += 1) {
+            const migration = dbService.migrations[version];
+            if (typeof migration !== 'function') {
+                throw new Error(`No database migration defined for version ${version}`);
+            }
+            if (dbService.debug) {
+                console.log(`dbService - migrating database to version ${version}`);
+            }
+            migration(database, transaction);
+        }
+    },
+
+    // rewrite every record of an object store in place (within the current transaction)
+    rewriteRecords(store, transform) {
+        const request = store.openCursor();
+        request.onsuccess = e => {
+            const cursor = e.target.result;
+            if (cursor) {
+                cursor.update(transform(cursor.value));
+                cursor.continue();
+            }
         };
     },
 
@@ -173,12 +308,267 @@ export const dbService = {
                 return s.update(dbService.DB_SESSIONS, session);
             })
             .then(result => {
-                if (result.length > 0) {
-                    _callback(result[0]);
-                }
+                _callback(result && result.length > 0 ? result[0] : false);
+            })
+            .catch(error => {
+                console.error('dbService.updateSession - error:', error);
+                _callback(false);
+            });
+    },
+
+    fetchSnapshots: (sessionId, callback) => {
+        const _sessionId =
+            typeof sessionId === 'string' ? parseInt(sessionId, 10) : sessionId;
+        const _callback =
+            typeof callback !== 'function' ? dbService.noop : callback;
+
+        dbService
+            .getDb()
+            .then(s => {
+                return s
+                    .query(dbService.DB_SNAPSHOTS, 'sessionId')
+                    .only(_sessionId)
+                    .execute();
+            })
+            .then(snapshots => {
+                // oldest first
+                _callback(snapshots.sort((a, b) => a.timestamp - b.timestamp));
+            })
+            .catch(error => {
+                console.error('dbService.fetchSnapshots - error:', error);
+                _callback([]);
+            });
+    },
+
+    fetchSnapshotById: (id, callback) => {
+        const _id = typeof id === 'string' ? parseInt(id, 10) : id;
+        const _callback =
+            typeof callback !== 'function' ? dbService.noop : callback;
+
+        dbService
+            .getDb()
+            .then(s => {
+                return s
+                    .query(dbService.DB_SNAPSHOTS)
+                    .only(_id)
+                    .execute();
+            })
+            .then(results => {
+                _callback(results.length > 0 ? results[0] : null);
+            });
+    },
+
+    // adds the snapshot, or overwrites it if it already has an id
+    saveSnapshot: (snapshot, callback) => {
+        const _callback =
+            typeof callback !== 'function' ? dbService.noop : callback;
+
+        dbService
+            .getDb()
+            .then(s => {
+                return snapshot.id
+                    ? s.update(dbService.DB_SNAPSHOTS, snapshot)
+                    : s.add(dbService.DB_SNAPSHOTS, snapshot);
+            })
+            .then(result => {
+                _callback(result.length > 0 ? result[0] : false);
+            })
+            .catch(error => {
+                console.error('dbService.saveSnapshot - error:', error);
+                _callback(false);
+            });
+    },
+
+    removeSnapshot: (id, callback) => {
+        const _callback =
+            typeof callback !== 'function' ? dbService.noop : callback;
+
+        dbService
+            .getDb()
+            .then(s => {
+                return s.remove(dbService.DB_SNAPSHOTS, id);
+            })
+            .then(_callback);
+    },
+
+    fetchTrash: callback => {
+        const _callback =
+            typeof callback !== 'function' ? dbService.noop : callback;
+
+        dbService
+            .getDb()
+            .then(s => {
+                return s.query(dbService.DB_TRASH).all().execute();
+            })
+            .then(entries => {
+                // most recently deleted first
+                _callback(entries.sort((a, b) => b.deletedAt - a.deletedAt));
+            });
+    },
+
+    fetchTrashEntry: (id, callback) => {
+        const _id = typeof id === 'string' ? parseInt(id, 10) : id;
+        const _callback =
+            typeof callback !== 'function' ? dbService.noop : callback;
+
+        dbService
+            .getDb()
+            .then(s => {
+                return s
+                    .query(dbService.DB_TRASH)
+                    .only(_id)
+                    .execute();
+            })
+            .then(results => {
+                _callback(results.length > 0 ? results[0] : null);
+            });
+    },
+
+    // adds the entry, or overwrites the one for the same session
+    saveTrashEntry: (entry, callback) => {
+        const _callback =
+            typeof callback !== 'function' ? dbService.noop : callback;
+
+        dbService
+            .getDb()
+            .then(s => {
+                return s.update(dbService.DB_TRASH, entry);
+            })
+            .then(result => {
+                _callback(result.length > 0 ? result[0] : false);
+            })
+            .catch(error => {
+                console.error('dbService.saveTrashEntry - error:', error);
+                _callback(false);
+            });
+    },
+
+    removeTrashEntry: (id, callback) => {
+        const _id = typeof id === 'string' ? parseInt(id, 10) : id;
+        const _callback =
+            typeof callback !== 'function' ? dbService.noop : callback;
+
+        dbService
+            .getDb()
+            .then(s => {
+                return s.remove(dbService.DB_TRASH, _id);
+            })
+            .then(_callback);
+    },
+
+    fetchBackups: callback => {
+        const _callback =
+            typeof callback !== 'function' ? dbService.noop : callback;
+
+        dbService
+            .getDb()
+            .then(s => {
+                return s.query(dbService.DB_BACKUPS).all().execute();
+            })
+            .then(backups => {
+                // most recent first
+                _callback(backups.sort((a, b) => b.createdAt - a.createdAt || b.id - a.id));
+            });
+    },
+
+    fetchBackup: (id, callback) => {
+        const _id = typeof id === 'string' ? parseInt(id, 10) : id;
+        const _callback =
+            typeof callback !== 'function' ? dbService.noop : callback;
+
+        dbService
+            .getDb()
+            .then(s => {
+                return s
+                    .query(dbService.DB_BACKUPS)
+                    .only(_id)
+                    .execute();
+            })
+            .then(results => {
+                _callback(results.length > 0 ? results[0] : null);
+            });
+    },
+
+    // adds the backup, or overwrites it if it has an id
+    saveBackup: (backup, callback) => {
+        const _callback =
+            typeof callback !== 'function' ? dbService.noop : callback;
+
+        dbService
+            .getDb()
+            .then(s => {
+                return backup.id
+                    ? s.update(dbService.DB_BACKUPS, backup)
+                    : s.add(dbService.DB_BACKUPS, backup);
+            })
+            .then(result => {
+                _callback(result.length > 0 ? result[0] : false);
+            })
+            .catch(error => {
+                console.error('dbService.saveBackup - error:', error);
+                _callback(false);
+            });
+    },
+
+    removeBackup: (id, callback) => {
+        const _id = typeof id === 'string' ? parseInt(id, 10) : id;
+        const _callback =
+            typeof callback !== 'function' ? dbService.noop : callback;
+
+        dbService
+            .getDb()
+            .then(s => {
+                return s.remove(dbService.DB_BACKUPS, _id);
+            })
+            .then(_callback);
+    },
+
+    // records for the days from fromDay to toDay (inclusive), oldest first
+    fetchActivity: (fromDay, toDay, callback) => {
+        const _callback =
+            typeof callback !== 'function' ? dbService.noop : callback;
+
+        dbService
+            .getDb()
+            .then(s => {
+                return s
+                    .query(dbService.DB_ACTIVITY)
+                    .bound(fromDay, toDay)
+                    .execute();
+            })
+            .then(_callback);
+    },
+
+    saveActivity: (record, callback) => {
+        const _callback =
+            typeof callback !== 'function' ? dbService.noop : callback;
+
+        dbService
+            .getDb()
+            .then(s => {
+                return s.update(dbService.DB_ACTIVITY, record);
+            })
+            .then(result => {
+                _callback(result.length > 0 ? result[0] : false);
+            })
+            .catch(error => {
+                console.error('dbService.saveActivity - error:', error);
+                _callback(false);
             });
     },
 
+    removeActivity: (day, callback) => {
+        const _callback =
+            typeof callback !== 'function' ? dbService.noop : callback;
+
+        dbService
+            .getDb()
+            .then(s => {
+                return s.remove(dbService.DB_ACTIVITY, day);
+            })
+            .then(_callback);
+    },
+
     removeSession: (id, callback) => {
         const _id = typeof id === 'string' ? parseInt(id, 10) : id;
         const _callback =
@@ -194,5 +584,4 @@ export const dbService = {
 };
 
 // TODO: Add proper error handling for database operations
-// TODO: Consider adding database migration logic for version updates
 // TODO: Add database connection pooling for better performance
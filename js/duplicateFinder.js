@@ -0,0 +1,94 @@
+// Import dependencies as ES modules for MV3
+import { urlRules } from './urlRules.js';
+
+// Finds the pages that have more than one tab across all spaces: in more than one space,
+// or more than once in the same one. Tabs are the same page when their urls are the
+// same under the url rules (see urlRules.js).
+//
+// A copy is one of those tabs: { sessionId, windowId, spaceName, tabId, index, url, title },
+// where tabId is only set for tabs in open windows (index is the tab's position in its
+// space either way)
+export const duplicateFinder = {
+    // spaces as returned by requestAllSpaces, which lists open spaces first. returns
+    // [{ url, title, copies }], with the pages that have the most copies first
+    findDuplicates: (spaces, rules) => {
+        const groupsByUrl = {};
+        const groups = [];
+
+        spaces.forEach(space => {
+            (space.tabs || []).forEach((tab, index) => {
+                const url = urlRules.normaliseUrl(tab.url, rules);
+                if (!url) return;
+
+                let group = groupsByUrl[url];
+                if (!group) {
+                    group = { url, title: tab.title || tab.url, copies: [] };
+                    groupsByUrl[url] = group;
+                    groups.push(group);
+                }
+                group.copies.push({
+                    sessionId: space.sessionId || false,
+                    windowId: space.windowId || false,
+                    spaceName: space.name || false,
+                    tabId: space.windowId && tab.id ? tab.id : false,
+                    index,
+                    url: tab.url,
+                    title: tab.title || tab.url,
+                });
+            });
+        });
+
+        return groups
+            .filter(group => group.copies.length > 1)
+            .sort((a, b) => b.copies.length - a.copies.length);
+    },
+
+    // which space a copy is in
+    getSpaceKey: copy => {
+        return copy.sessionId ? `session-${copy.sessionId}` : `window-${copy.windowId}`;
+    },
+
+    // the copies to remove so that one of each page is left in every space (scope
+    // 'space'), or just one altogether (scope 'all'). the first copy is the one kept, so
+    // where a page is open it stays open
+    getExtraCopies: (groups, scope) => {
+        const extras = [];
+
+        groups.forEach(group => {
+            const keptKeys = {};
+            group.copies.forEach(copy => {
+                const key = scope === 'all' ? 'all' : duplicateFinder.getSpaceKey(copy);
+                if (keptKeys[key]) {
+                    extras.push(copy);
+                } else {
+                    keptKeys[key] = true;
+                }
+            });
+        });
+        return extras;
+    },
+
+    // the copies to remove, grouped by the space they are in: [{ sessionId, windowId, copies }]
+    groupBySpace: copies => {
+        const spacesByKey = {};
+        const spaces = [];
+
+        copies.forEach(copy => {
+            const key = duplicateFinder.getSpaceKey(copy);
+            if (!spacesByKey[key]) {
+                spacesByKey[key] = { sessionId: copy.sessionId, windowId: copy.windowId, copies: [] };
+                spaces.push(spacesByKey[key]);
+            }
+            spacesByKey[key].copies.push(copy);
+        });
+        return spaces;
+    },
+
+    // the tabs of a saved space without the copies (checked against their urls, in case
+    // the space changed since the copies were found)
+    removeCopies: (tabs, copies) => {
+        return tabs.filter(
+            (tab, index) => !copies.some(copy => copy.index === index && copy.url === tab.url)
+        );
+    },
+};
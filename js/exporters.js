@@ -0,0 +1,210 @@
+// Export formats for spaces. Each exporter turns a list of spaces (as returned by
+// requestAllSpaces or requestSpaceDetail) into the contents of a file. More formats
+// can be added with register()
+export const exporters = {
+    formats: {},
+
+    // format: { label, extension, mimeType, render(spaces) => string }
+    register: (id, format) => {
+        exporters.formats[id] = format;
+    },
+
+    // returns { content, mimeType, filename }. allSpaces is whether this is an export
+    // of every space rather than a single one, which decides the file name
+    exportSpaces: (formatId, spaces, allSpaces) => {
+        const format = exporters.formats[formatId];
+        if (!format) {
+            throw new Error(`Unknown export format: ${formatId}`);
+        }
+
+        const leanSpaces = spaces.map(exporters.getLeanSpace);
+        const basename = allSpaces
+            ? format.allSpacesName || 'spaces-export'
+            : exporters.getSpaceName(spaces[0], 'untitled');
+
+        return {
+            content: format.render(leanSpaces),
+            mimeType: format.mimeType,
+            filename: `${basename}.${format.extension}`,
+        };
+    },
+
+    // full backups hold every space along with the preferences (see preferences.js).
+    // backups from before version 2 are just the list of spaces
+    BACKUP_FORMAT: 'spaces-backup',
+    BACKUP_VERSION: 2,
+
+    // returns { content, mimeType, filename }, like exportSpaces
+    exportBackup: (spaces, preferenceValues) => {
+        const format = exporters.formats.json;
+        return {
+            content: exporters.renderBackup(spaces.map(exporters.getLeanSpace), preferenceValues),
+            mimeType: format.mimeType,
+            filename: `${format.allSpacesName}.${format.extension}`,
+        };
+    },
+
+    renderBackup: (leanSpaces, preferenceValues) => {
+        return JSON.stringify({
+            format: exporters.BACKUP_FORMAT,
+            version: exporters.BACKUP_VERSION,
+            spaces: leanSpaces,
+            preferences: preferenceValues,
+        });
+    },
+
+    // tabs of suspended pages are exported with the url of the page itself
+    normaliseTabUrl: url => {
+        let normalisedUrl = url;
+        if (url.indexOf('suspended.html') > 0 && url.indexOf('uri=') > 0) {
+            normalisedUrl = url.substring(url.indexOf('uri=') + 4, url.length);
+        }
+        return normalisedUrl;
+    },
+
+    // strip out unnessary content from a space
+    getLeanSpace: space => {
+        return {
+            name: space.name,
+            tabs: (space.tabs || []).map(curTab => {
+                return {
+                    title: curTab.title,
+                    url: exporters.normaliseTabUrl(curTab.url),
+                    favIconUrl: curTab.favIconUrl,
+                    pinned: curTab.pinned || undefined,
+                    groupId: curTab.groupId >= 0 ? curTab.groupId : undefined,
+                };
+            }),
+            groups: space.groups && space.groups.length ? space.groups : undefined,
+        };
+    },
+
+    getSpaceName: (space, fallback = 'Unnamed space') => {
+        return (space && space.name) || fallback;
+    },
+
+    getGroupTitle: (space, tab) => {
+        const group =
+            tab.groupId !== undefined &&
+            (space.groups || []).find(curGroup => curGroup.id === tab.groupId);
+        return group ? group.title || '' : '';
+    },
+
+    escapeHtml: text => {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    },
+
+    escapeCsv: value => {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    },
+
+    escapeMarkdown: text => {
+        return String(text).replace(/([\\[\]])/g, '\\$1');
+    },
+
+    // one folder per space, in the format every browser can import bookmarks from
+    renderBookmarksHtml: spaces => {
+        const lines = [
+            '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+            '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+            '<TITLE>Bookmarks</TITLE>',
+            '<H1>Bookmarks</H1>',
+            '<DL><p>',
+        ];
+
+        spaces.forEach(space => {
+            lines.push(`    <DT><H3>${exporters.escapeHtml(exporters.getSpaceName(space))}</H3>`);
+            lines.push('    <DL><p>');
+            space.tabs.forEach(tab => {
+                lines.push(
+                    `        <DT><A HREF="${exporters.escapeHtml(tab.url)}">${exporters.escapeHtml(
+                        tab.title || tab.url
+                    )}</A>`
+                );
+            });
+            lines.push('    </DL><p>');
+        });
+
+        lines.push('</DL><p>');
+        return `${lines.join('\n')}\n`;
+    },
+
+    renderMarkdown: spaces => {
+        return spaces
+            .map(space => {
+                const links = space.tabs.map(tab => {
+                    const url = tab.url.replace(/\(/g, '%28').replace(/\)/g, '%29');
+                    return `- [${exporters.escapeMarkdown(tab.title || tab.url)}](${url})`;
+                });
+                return `## ${exporters.getSpaceName(space)}\n\n${links.join('\n')}\n`;
+            })
+            .join('\n');
+    },
+
+    renderCsv: spaces => {
+        const rows = [['name', 'title', 'url', 'pinned', 'group']];
+
+        spaces.forEach(space => {
+            space.tabs.forEach(tab => {
+                rows.push([
+                    exporters.getSpaceName(space, ''),
+                    tab.title || '',
+                    tab.url,
+                    tab.pinned ? 'true' : 'false',
+                    exporters.getGroupTitle(space, tab),
+                ]);
+            });
+        });
+
+        return `${rows.map(row => row.map(exporters.escapeCsv).join(',')).join('\r\n')}\r\n`;
+    },
+
+    // the urls of each space, with a blank line between spaces
+    renderUrlList: spaces => {
+        return spaces
+            .map(space => space.tabs.map(tab => `${tab.url}\n`).join(''))
+            .join('\n');
+    },
+};
+
+exporters.register('html', {
+    label: 'Bookmarks (HTML)',
+    extension: 'html',
+    mimeType: 'text/html',
+    render: exporters.renderBookmarksHtml,
+});
+
+exporters.register('markdown', {
+    label: 'Markdown',
+    extension: 'md',
+    mimeType: 'text/markdown',
+    render: exporters.renderMarkdown,
+});
+
+exporters.register('csv', {
+    label: 'CSV',
+    extension: 'csv',
+    mimeType: 'text/csv',
+    render: exporters.renderCsv,
+});
+
+exporters.register('txt', {
+    label: 'List of urls',
+    extension: 'txt',
+    mimeType: 'text/plain',
+    render: exporters.renderUrlList,
+});
+
+// the backup format, which can be imported again
+exporters.register('json', {
+    label: 'Spaces backup (JSON)',
+    extension: 'json',
+    mimeType: 'application/json',
+    allSpacesName: 'spaces-backup',
+    render: spaces => JSON.stringify(spaces),
+});
@@ -0,0 +1,239 @@
+// Import dependencies as ES modules for MV3
+import { exporters } from './exporters.js';
+
+// Parsers for the files that other tab managers export, so that their saved tabs can
+// be brought in as spaces. Every parser turns its input into a list of spaces
+// ({ name, tabs: [{ url, title, pinned }] }), with one space per collection or window
+export const importParsers = {
+    // tried in order, the first format whose detect() accepts the input is used.
+    // json is the parsed input, or undefined if it isn't json
+    formats: [
+        {
+            id: 'spaces',
+            label: 'Spaces backup',
+            detect: json =>
+                importParsers.isFullBackup(json) ||
+                (Array.isArray(json) && json.every(item => item && Array.isArray(item.tabs))),
+            parse: json => importParsers.parseSpacesBackup(json),
+        },
+        {
+            id: 'tabSessionManager',
+            label: 'Tab Session Manager',
+            detect: json =>
+                Array.isArray(json) && json.length > 0 && json.every(item => item && item.windows),
+            parse: json => importParsers.parseTabSessionManager(json),
+        },
+        {
+            id: 'sessionBuddy',
+            label: 'Session Buddy',
+            detect: json =>
+                !!json && (Array.isArray(json.sessions) || Array.isArray(json.collections)),
+            parse: json => importParsers.parseSessionBuddy(json),
+        },
+        {
+            id: 'toby',
+            label: 'Toby',
+            detect: json => !!json && (Array.isArray(json.lists) || Array.isArray(json.groups)),
+            parse: json => importParsers.parseToby(json),
+        },
+        {
+            id: 'oneTab',
+            label: 'OneTab',
+            detect: (json, rawInput) =>
+                json === undefined && importParsers._getLines(rawInput).some(line => line.includes(' | ')),
+            parse: (json, rawInput) => importParsers.parseOneTab(rawInput),
+        },
+        {
+            id: 'urlList',
+            label: 'List of urls',
+            detect: (json, rawInput) => json === undefined && importParsers._getLines(rawInput).length > 0,
+            parse: (json, rawInput) => importParsers.parseUrlList(rawInput),
+        },
+    ],
+
+    // returns { format: { id, label }, spaces, preferences }, or false if nothing could be
+    // imported. preferences are only found in full backups, and are false otherwise
+    parse: rawInput => {
+        let json;
+        try {
+            json = JSON.parse(rawInput);
+        } catch (e) {
+            json = undefined;
+        }
+
+        const format = importParsers.formats.find(curFormat => curFormat.detect(json, rawInput));
+        if (!format) {
+            return false;
+        }
+
+        // our own backups are restored as they are
+        const parsedSpaces = format.parse(json, rawInput);
+        const spaces =
+            format.id === 'spaces'
+                ? parsedSpaces
+                : importParsers._dropUnimportable(parsedSpaces);
+
+        const preferences =
+            importParsers.isFullBackup(json) && json.preferences && typeof json.preferences === 'object'
+                ? json.preferences
+                : false;
+
+        return spaces.length > 0
+            ? { format: { id: format.id, label: format.label }, spaces, preferences }
+            : false;
+    },
+
+    isImportableUrl: url => {
+        return typeof url === 'string' && url.indexOf('://') > 0;
+    },
+
+    // drop tabs that can't be opened, and spaces left with no tabs
+    _dropUnimportable: spaces => {
+        return spaces
+            .map(space => ({
+                ...space,
+                tabs: space.tabs.filter(tab => importParsers.isImportableUrl(tab.url)),
+            }))
+            .filter(space => space.tabs.length > 0);
+    },
+
+    _getLines: rawInput => {
+        return rawInput
+            .split('\n')
+            .map(line => line.trim())
+            .filter(line => line.length > 0);
+    },
+
+    _toTab: (url, title, pinned) => {
+        return { url, title: title || url, pinned: !!pinned };
+    },
+
+    // names for spaces that came without one: "OneTab 1", "OneTab 2"...
+    _nameOrDefault: (name, label, index) => {
+        return typeof name === 'string' && name.trim() ? name.trim() : `${label} ${index + 1}`;
+    },
+
+    // a full backup (see exporters.exportBackup), or just the list of spaces
+    isFullBackup: json => {
+        return (
+            !!json &&
+            json.format === exporters.BACKUP_FORMAT &&
+            Array.isArray(json.spaces) &&
+            json.spaces.every(item => item && Array.isArray(item.tabs))
+        );
+    },
+
+    parseSpacesBackup: json => {
+        const spaces = importParsers.isFullBackup(json) ? json.spaces : json;
+        return spaces.map(space => ({ ...space, tabs: space.tabs || [] }));
+    },
+
+    // groups of "url | title" lines, separated by blank lines
+    parseOneTab: rawInput => {
+        const groups = rawInput.split(/\n\s*\n/);
+
+        return groups.map((group, index) => ({
+            name: `OneTab ${index + 1}`,
+            tabs: importParsers._getLines(group).map(line => {
+                const separatorIndex = line.indexOf(' | ');
+                return separatorIndex >= 0
+                    ? importParsers._toTab(
+                          line.slice(0, separatorIndex).trim(),
+                          line.slice(separatorIndex + 3).trim()
+                      )
+                    : importParsers._toTab(line);
+            }),
+        }));
+    },
+
+    parseUrlList: rawInput => {
+        return [
+            {
+                name: 'Imported Session',
+                tabs: importParsers._getLines(rawInput).map(url => importParsers._toTab(url)),
+            },
+        ];
+    },
+
+    // older exports hold sessions of windows, newer ones collections of folders
+    parseSessionBuddy: json => {
+        const spaces = [];
+
+        (json.sessions || []).forEach((session, sessionIndex) => {
+            const windows = session.windows || [];
+            windows.forEach((curWindow, windowIndex) => {
+                const name = importParsers._nameOrDefault(
+                    session.name || session.title,
+                    'Session Buddy',
+                    sessionIndex
+                );
+                spaces.push({
+                    name: windows.length > 1 ? `${name} (${windowIndex + 1})` : name,
+                    tabs: (curWindow.tabs || []).map(tab =>
+                        importParsers._toTab(tab.url, tab.title, tab.pinned)
+                    ),
+                });
+            });
+        });
+
+        (json.collections || []).forEach((collection, collectionIndex) => {
+            const folders = collection.folders || [];
+            folders.forEach((folder, folderIndex) => {
+                const name = importParsers._nameOrDefault(
+                    collection.title || collection.name,
+                    'Session Buddy',
+                    collectionIndex
+                );
+                spaces.push({
+                    name: folders.length > 1 ? `${name} (${folderIndex + 1})` : name,
+                    tabs: (folder.links || folder.tabs || []).map(link =>
+                        importParsers._toTab(link.url, link.title, link.pinned)
+                    ),
+                });
+            });
+        });
+
+        return spaces;
+    },
+
+    // lists of cards, either at the top level or inside groups
+    parseToby: json => {
+        const lists = (json.lists || []).concat(
+            ...(json.groups || []).map(group => group.lists || [])
+        );
+
+        return lists.map((list, index) => ({
+            name: importParsers._nameOrDefault(list.title || list.name, 'Toby', index),
+            tabs: (list.cards || []).map(card =>
+                importParsers._toTab(card.url, card.customTitle || card.title)
+            ),
+        }));
+    },
+
+    // sessions hold their windows as { windowId: { tabId: tab } }
+    parseTabSessionManager: json => {
+        const spaces = [];
+
+        json.forEach((session, sessionIndex) => {
+            const windows = Object.keys(session.windows).map(windowId => session.windows[windowId]);
+            const name = importParsers._nameOrDefault(
+                session.name,
+                'Tab Session Manager',
+                sessionIndex
+            );
+
+            windows.forEach((curWindow, windowIndex) => {
+                const tabs = Object.keys(curWindow)
+                    .map(tabId => curWindow[tabId])
+                    .sort((a, b) => (a.index || 0) - (b.index || 0));
+
+                spaces.push({
+                    name: windows.length > 1 ? `${name} (${windowIndex + 1})` : name,
+                    tabs: tabs.map(tab => importParsers._toTab(tab.url, tab.title, tab.pinned)),
+                });
+            });
+        });
+
+        return spaces;
+    },
+};
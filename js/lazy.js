@@ -0,0 +1,29 @@
+/* global chrome */
+
+import { tabLoader } from './tabLoader.js';
+
+// Stands in for a tab that hasn't loaded yet (see tabLoader.js). It shows the tab's
+// title and icon, and goes to the tab's url as soon as it is selected
+(() => {
+    const placeholder = tabLoader.parsePlaceholderUrl(window.location.href);
+    const params = new URLSearchParams(window.location.search);
+
+    function loadTab() {
+        if (document.visibilityState !== 'visible') return;
+
+        // through the tabs api, which can also open chrome:// and file:// urls
+        chrome.tabs.getCurrent(tab => {
+            chrome.tabs.update(tab.id, { url: placeholder.url });
+        });
+    }
+
+    if (!placeholder) return;
+
+    document.title = placeholder.title;
+    if (params.get('favIconUrl')) {
+        document.getElementById('favicon').href = params.get('favIconUrl');
+    }
+
+    document.addEventListener('visibilitychange', loadTab);
+    loadTab();
+})();
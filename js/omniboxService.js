@@ -0,0 +1,148 @@
+// Builds the address bar suggestions for the spaces omnibox keyword, and works out
+// which space or tab the entered text refers to
+export const omniboxService = {
+    maxSuggestions: 8,
+
+    // suggestion descriptions are xml, so titles and urls need escaping
+    escapeXml: text => {
+        return String(text || '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    },
+
+    getTerms: text => {
+        return text
+            .toLowerCase()
+            .split(/\s+/)
+            .filter(term => term);
+    },
+
+    _matchesTerms: (terms, values) => {
+        const haystack = values.join(' ').toLowerCase();
+        return terms.every(term => haystack.indexOf(term) >= 0);
+    },
+
+    // open spaces first, then the most recently used
+    _sortSessions: sessions => {
+        return sessions.slice().sort((a, b) => {
+            if (!!a.windowId !== !!b.windowId) {
+                return a.windowId ? -1 : 1;
+            }
+            return (b.lastAccess || 0) - (a.lastAccess || 0);
+        });
+    },
+
+    // find spaces whose name matches, followed by tabs whose title or url matches
+    findMatches: (text, sessions) => {
+        const terms = omniboxService.getTerms(text);
+        const spaceMatches = [];
+        const tabMatches = [];
+        const seenUrls = {};
+
+        if (terms.length === 0) return [];
+
+        omniboxService._sortSessions(sessions).forEach(session => {
+            if (
+                session.name &&
+                omniboxService._matchesTerms(terms, [session.name])
+            ) {
+                spaceMatches.push({ session });
+            }
+
+            (session.tabs || []).forEach(tab => {
+                if (
+                    tab.url &&
+                    !seenUrls[tab.url] &&
+                    omniboxService._matchesTerms(terms, [tab.title || '', tab.url])
+                ) {
+                    seenUrls[tab.url] = true;
+                    tabMatches.push({ session, tab });
+                }
+            });
+        });
+
+        // names starting with the search text are the most likely target
+        const firstTerm = terms[0];
+        spaceMatches.sort((a, b) => {
+            const aStarts = a.session.name.toLowerCase().indexOf(firstTerm) === 0;
+            const bStarts = b.session.name.toLowerCase().indexOf(firstTerm) === 0;
+            if (aStarts === bStarts) return 0;
+            return aStarts ? -1 : 1;
+        });
+
+        return spaceMatches.concat(tabMatches);
+    },
+
+    getSuggestions: (text, sessions) => {
+        const escape = omniboxService.escapeXml;
+
+        return omniboxService
+            .findMatches(text, sessions)
+            .slice(0, omniboxService.maxSuggestions)
+            .map(({ session, tab }) => {
+                const state = session.windowId ? 'open' : 'closed';
+
+                if (!tab) {
+                    return {
+                        content: session.name,
+                        description: `<match>${escape(session.name)}</match> <dim>- ${
+                            session.tabs.length
+                        } tabs (${state} space)</dim>`,
+                    };
+                }
+
+                const spaceName = session.name || 'Unnamed window';
+                return {
+                    content: tab.url,
+                    description: `${escape(tab.title || tab.url)} <dim>- ${escape(
+                        spaceName
+                    )}</dim> <url>${escape(tab.url)}</url>`,
+                };
+            });
+    },
+
+    // entered text is either the content of a suggestion (a space name or tab url)
+    // or whatever was typed, in which case the best match is used.
+    // returns { sessionId, windowId, tabUrl } or false
+    resolveInput: (text, sessions) => {
+        const trimmedText = text.trim();
+        const sortedSessions = omniboxService._sortSessions(sessions);
+
+        const namedSession = sortedSessions.find(session => {
+            return (
+                session.name &&
+                session.name.toLowerCase() === trimmedText.toLowerCase()
+            );
+        });
+        if (namedSession) {
+            return omniboxService._getTarget(namedSession);
+        }
+
+        const tabSession = sortedSessions.find(session => {
+            return (session.tabs || []).some(tab => tab.url === trimmedText);
+        });
+        if (tabSession) {
+            return omniboxService._getTarget(tabSession, trimmedText);
+        }
+
+        const [bestMatch] = omniboxService.findMatches(trimmedText, sessions);
+        if (bestMatch) {
+            return omniboxService._getTarget(
+                bestMatch.session,
+                bestMatch.tab && bestMatch.tab.url
+            );
+        }
+        return false;
+    },
+
+    _getTarget: (session, tabUrl) => {
+        return {
+            sessionId: session.id || false,
+            windowId: session.windowId || false,
+            tabUrl: tabUrl || false,
+        };
+    },
+};
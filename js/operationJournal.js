@@ -0,0 +1,135 @@
+/* global chrome */
+
+// Journal of the destructive operations applied to spaces (deletes, restores, moves,
+// renames and tab edits), so that they can be undone and redone.
+//
+// Each entry holds the operations that reverse it (undo) and that apply it again
+// (redo). Operations are plain objects, eg. { type: 'renameSession', sessionId, name },
+// and are carried out by the service worker, which passes in applyOps. The journal is
+// mirrored to storage.session, so that it outlives the service worker being stopped
+// (but not the browser closing, as operations refer to windows by id).
+export const operationJournal = {
+    maxEntries: 50,
+    storageKey: 'operationJournal',
+
+    done: [],
+    undone: [],
+    lastEntryId: 0,
+
+    record: (label, undoOps, redoOps) => {
+        operationJournal.lastEntryId += 1;
+        const entry = {
+            id: operationJournal.lastEntryId,
+            label,
+            timestamp: Date.now(),
+            undo: undoOps,
+            redo: redoOps,
+        };
+
+        operationJournal.done.push(entry);
+        operationJournal.done = operationJournal.done.slice(-operationJournal.maxEntries);
+
+        // a new operation makes anything undone unreachable
+        operationJournal.undone = [];
+        operationJournal.persist();
+        return entry;
+    },
+
+    // applyOps(ops) carries out a list of operations and returns a promise
+    undo: applyOps => {
+        return operationJournal._replay(
+            operationJournal.done,
+            operationJournal.undone,
+            'undo',
+            applyOps
+        );
+    },
+
+    redo: applyOps => {
+        return operationJournal._replay(
+            operationJournal.undone,
+            operationJournal.done,
+            'redo',
+            applyOps
+        );
+    },
+
+    // move the latest entry from one stack to the other once its operations applied
+    _replay: (fromEntries, toEntries, direction, applyOps) => {
+        const entry = fromEntries.pop();
+        if (!entry) {
+            return Promise.reject(new Error(`Nothing to ${direction}`));
+        }
+
+        return Promise.resolve()
+            .then(() => applyOps(entry[direction]))
+            .then(
+                () => {
+                    entry.timestamp = Date.now();
+                    toEntries.push(entry);
+                    operationJournal.persist();
+                    return operationJournal.getState();
+                },
+                error => {
+                    fromEntries.push(entry);
+                    throw error;
+                }
+            );
+    },
+
+    _summarise: entry => {
+        return entry
+            ? { id: entry.id, label: entry.label, timestamp: entry.timestamp }
+            : false;
+    },
+
+    // what can be undone and redone next
+    getState: () => {
+        const { done, undone } = operationJournal;
+        return {
+            undo: operationJournal._summarise(done[done.length - 1]),
+            redo: operationJournal._summarise(undone[undone.length - 1]),
+        };
+    },
+
+    // Storage
+
+    persist: () => {
+        if (!chrome.storage.session) return;
+
+        const { done, undone, lastEntryId } = operationJournal;
+        const key = operationJournal.storageKey;
+        chrome.storage.session.set({ [key]: { done, undone, lastEntryId } }, () => {
+            if (!chrome.runtime.lastError) return;
+
+            // entries hold whole spaces, so keep what fits: the latest few
+            console.error('operationJournal - could not save:', chrome.runtime.lastError.message);
+            chrome.storage.session.set({
+                [key]: { done: done.slice(-5), undone: [], lastEntryId },
+            });
+        });
+    },
+
+    // pick up the journal of a stopped service worker
+    restore: () => {
+        return new Promise(resolve => {
+            if (!chrome.storage.session) {
+                resolve();
+                return;
+            }
+
+            chrome.storage.session.get([operationJournal.storageKey], result => {
+                const stored = result && result[operationJournal.storageKey];
+                if (stored && operationJournal.done.length === 0) {
+                    operationJournal.done = stored.done || [];
+                    operationJournal.undone = stored.undone || [];
+                    operationJournal.lastEntryId = Math.max(
+                        operationJournal.lastEntryId,
+                        stored.lastEntryId || 0
+                    );
+                }
+                resolve();
+            });
+        });
+    },
+};
@@ -2,8 +2,10 @@
 
 // Import utils for hash variable parsing
 import { utils } from './utils.js';
-import { serviceWorkerClient } from './service-worker-client.js';
+import { serviceWorkerClient, spacesApi } from './service-worker-client.js';
 import { spacesRenderer } from './spacesRenderer.js';
+import { spacesEvents } from './spacesEvents.js';
+import { undoToast } from './undoToast.js';
 // service-worker-health.js moved to archive - functionality integrated into main service worker
 
 (() => {
@@ -16,6 +18,7 @@ import { spacesRenderer } from './spacesRenderer.js';
     let globalUrl;
     let globalWindowId;
     let globalSessionName;
+    let unwatchSpaces = false;
 
     /*
      * POPUP INIT
@@ -63,8 +66,7 @@ import { spacesRenderer } from './spacesRenderer.js';
             console.log('🏠 Requesting space details...');
             if (globalWindowId) {
                 console.log('Using provided windowId:', globalWindowId);
-                space = await serviceWorkerClient.sendMessage({
-                    action: 'requestSpaceDetail',
+                space = await spacesApi.requestSpaceDetail({
                     windowId: parseInt(globalWindowId, 10)
                 }, 5000); // 5 second timeout
             } else {
@@ -75,8 +77,7 @@ import { spacesRenderer } from './spacesRenderer.js';
                 });
                 console.log('Current window ID:', currentWindow.id);
                 
-                space = await serviceWorkerClient.sendMessage({
-                    action: 'requestSpaceDetail',
+                space = await spacesApi.requestSpaceDetail({
                     windowId: currentWindow.id
                 }, 5000); // 5 second timeout
             }
@@ -101,6 +102,7 @@ import { spacesRenderer } from './spacesRenderer.js';
             await renderSwitchCard();
         } else {
             await renderMainCard();
+            await updateUndoToast();
         }
     }
 
@@ -163,9 +165,7 @@ import { spacesRenderer } from './spacesRenderer.js';
         const opener = utils.getHashVariable('opener', window.location.href);
         if (opener && opener === 'bg') {
             try {
-                await serviceWorkerClient.sendMessage({
-                    action: 'requestClose',
-                }, 2000);
+                await spacesApi.requestClose({}, 2000);
             } catch (error) {
                 console.error('Failed to send close request:', error);
             }
@@ -184,7 +184,7 @@ import { spacesRenderer } from './spacesRenderer.js';
         // Request hotkeys from service worker with robust error handling
         try {
             console.log('🔑 Requesting hotkeys from service worker...');
-            const hotkeys = await serviceWorkerClient.sendMessage({ action: 'requestHotkeys' }, 3000);
+            const hotkeys = await spacesApi.requestHotkeys({}, 3000);
             console.log('✅ Hotkeys received:', hotkeys);
             
             const switcherHotkey = document.querySelector('#switcherLink .hotkey');
@@ -238,9 +238,7 @@ import { spacesRenderer } from './spacesRenderer.js';
         for (let i = 0; i < hotkeyEls.length; i += 1) {
             hotkeyEls[i].addEventListener('click', async () => {
                 try {
-                    await serviceWorkerClient.sendMessage({
-                        action: 'requestShowKeyboardShortcuts',
-                    }, 2000);
+                    await spacesApi.requestShowKeyboardShortcuts({}, 2000);
                 } catch (error) {
                     console.error('Failed to show keyboard shortcuts:', error);
                 }
@@ -254,9 +252,7 @@ import { spacesRenderer } from './spacesRenderer.js';
             allSpacesLink.addEventListener('click', async () => {
                 console.log('allSpacesLink clicked');
                 try {
-                    await serviceWorkerClient.sendMessage({
-                        action: 'requestShowSpaces',
-                    }, 3000);
+                    await spacesApi.requestShowSpaces({}, 3000);
                 } catch (error) {
                     console.error('Failed to show spaces:', error);
                 }
@@ -270,8 +266,7 @@ import { spacesRenderer } from './spacesRenderer.js';
                 console.log('switcherLink clicked');
                 // Request popup params from service worker
                 try {
-                    const params = await serviceWorkerClient.sendMessage({
-                        action: 'generatePopupParams',
+                    const params = await spacesApi.generatePopupParams({
                         actionType: 'switch'
                     }, 3000);
                     
@@ -291,8 +286,7 @@ import { spacesRenderer } from './spacesRenderer.js';
                 console.log('moverLink clicked');
                 // Request popup params from service worker
                 try {
-                    const params = await serviceWorkerClient.sendMessage({
-                        action: 'generatePopupParams',
+                    const params = await spacesApi.generatePopupParams({
                         actionType: 'move'
                     }, 3000);
                     
@@ -328,23 +322,17 @@ import { spacesRenderer } from './spacesRenderer.js';
 
         try {
             if (globalCurrentSpace && globalCurrentSpace.sessionId) {
-                await serviceWorkerClient.sendMessage(
-                    {
-                        action: 'updateSessionName',
-                        sessionName: newName,
-                        sessionId: globalCurrentSpace.sessionId,
-                    },
-                    5000
-                );
+                await spacesApi.updateSessionName({
+                    sessionName: newName,
+                    sessionId: globalCurrentSpace.sessionId,
+                }, 5000);
+                globalCurrentSpace.name = newName;
+                await updateUndoToast();
             } else if (globalCurrentSpace && globalCurrentSpace.windowId) {
-                await serviceWorkerClient.sendMessage(
-                    {
-                        action: 'saveNewSession',
-                        sessionName: newName,
-                        windowId: globalCurrentSpace.windowId,
-                    },
-                    5000
-                );
+                await spacesApi.saveNewSession({
+                    sessionName: newName,
+                    windowId: globalCurrentSpace.windowId,
+                }, 5000);
             } else {
                 console.warn('No valid session or window ID available for saving');
             }
@@ -353,6 +341,37 @@ import { spacesRenderer } from './spacesRenderer.js';
         }
     }
 
+    /*
+     * UNDO TOAST
+     */
+
+    // offer to undo the last change (eg. a tab moved from this popup a moment ago)
+    async function updateUndoToast(state) {
+        try {
+            undoToast.render(
+                state || (await spacesApi.requestJournal({}, 3000)),
+                () => handleJournalAction('undo'),
+                () => handleJournalAction('redo')
+            );
+        } catch (error) {
+            console.error('Failed to get undo state:', error);
+        }
+    }
+
+    async function handleJournalAction(action) {
+        try {
+            const state = await spacesApi[action]({}, 5000);
+            await updateUndoToast(state);
+
+            // the space shown in the main card may have been renamed back
+            if (document.getElementById('activeSpaceTitle')) {
+                await renderMainCard();
+            }
+        } catch (error) {
+            console.error(`Failed to ${action}:`, error);
+        }
+    }
+
     /*
      * SWITCHER VIEW
      */
@@ -363,7 +382,7 @@ import { spacesRenderer } from './spacesRenderer.js';
         ).innerHTML = document.getElementById('switcherTemplate').innerHTML;
         
         try {
-            const spaces = await serviceWorkerClient.sendMessage({ action: 'requestAllSpaces' }, 5000);
+            const spaces = await spacesApi.requestAllSpaces({}, 5000);
             spacesRenderer.initialise(8, true);
             spacesRenderer.renderSpaces(spaces);
 
@@ -372,13 +391,8 @@ import { spacesRenderer } from './spacesRenderer.js';
                 handleSwitchAction(getSelectedSpace());
             };
 
-            const allSpaceEls = document.querySelectorAll('.space');
-            Array.prototype.forEach.call(allSpaceEls, el => {
-                // eslint-disable-next-line no-param-reassign
-                el.onclick = () => {
-                    handleSwitchAction(el);
-                };
-            });
+            addSpaceClickHandlers(handleSwitchAction);
+            watchSpaces(spaces, handleSwitchAction);
         } catch (error) {
             console.error('Failed to get spaces for switch view:', error);
         }
@@ -388,6 +402,29 @@ import { spacesRenderer } from './spacesRenderer.js';
         return document.querySelector('.space.selected');
     }
 
+    function addSpaceClickHandlers(handler) {
+        const allSpaceEls = document.querySelectorAll('.space');
+        Array.prototype.forEach.call(allSpaceEls, el => {
+            // eslint-disable-next-line no-param-reassign
+            el.onclick = () => {
+                handler(el);
+            };
+        });
+    }
+
+    // keep the spaces list live while the switch or move view is showing
+    function watchSpaces(spaces, clickHandler) {
+        if (unwatchSpaces) unwatchSpaces();
+        unwatchSpaces = spacesEvents.watchSpaces(
+            spaces,
+            () => spacesApi.requestAllSpaces({}, 5000),
+            newSpaces => {
+                spacesRenderer.refreshSpaces(newSpaces);
+                addSpaceClickHandlers(clickHandler);
+            }
+        );
+    }
+
     async function handleSwitchAction(selectedSpaceEl) {
         console.log('=== handleSwitchAction called ===');
         console.log('selectedSpaceEl:', selectedSpaceEl);
@@ -399,7 +436,6 @@ import { spacesRenderer } from './spacesRenderer.js';
         });
         
         const messageData = {
-            action: 'switchToSpace',
             sessionId: selectedSpaceEl.getAttribute('data-sessionId'),
             windowId: selectedSpaceEl.getAttribute('data-windowId'),
         };
@@ -407,8 +443,8 @@ import { spacesRenderer } from './spacesRenderer.js';
         console.log('Sending message to service worker:', messageData);
         
         try {
-            console.log('About to call serviceWorkerClient.sendMessage...');
-            const result = await serviceWorkerClient.sendMessage(messageData, 3000);
+            console.log('About to call spacesApi.switchToSpace...');
+            const result = await spacesApi.switchToSpace(messageData, 3000);
             console.log('Service worker response received:', result);
         } catch (error) {
             console.error('Failed to switch to space:', error);
@@ -431,29 +467,21 @@ import { spacesRenderer } from './spacesRenderer.js';
             'popupContainer'
         ).innerHTML = document.getElementById('moverTemplate').innerHTML;
 
-        await updateTabDetails();
+        const spaces = await updateTabDetails();
 
         document.getElementById('spaceSelectForm').onsubmit = e => {
             e.preventDefault();
             handleSelectAction();
         };
 
-        const allSpaceEls = document.querySelectorAll('.space');
-        Array.prototype.forEach.call(allSpaceEls, el => {
-            // eslint-disable-next-line no-param-reassign
-            el.onclick = () => {
-                handleSelectAction(el);
-            };
-        });
+        addSpaceClickHandlers(handleSelectAction);
+        if (spaces) watchSpaces(spaces, handleSelectAction);
     }
 
     async function updateTabDetails() {
         if (globalTabId) {
             try {
-                const tab = await serviceWorkerClient.sendMessage(
-                    { action: 'requestTabDetail', tabId: globalTabId },
-                    3000
-                );
+                const tab = await spacesApi.requestTabDetail({ tabId: globalTabId }, 3000);
                 if (tab) {
                     document.getElementById('tabTitle').innerHTML = tab.title;
                     document.getElementById('tabUrl').innerHTML = tab.url;
@@ -464,11 +492,13 @@ import { spacesRenderer } from './spacesRenderer.js';
         }
 
         try {
-            const spaces = await serviceWorkerClient.sendMessage({ action: 'requestAllSpaces' }, 5000);
+            const spaces = await spacesApi.requestAllSpaces({}, 5000);
             spacesRenderer.initialise(8, true);
             spacesRenderer.renderSpaces(spaces);
+            return spaces;
         } catch (error) {
             console.error('Failed to get spaces for move view:', error);
+            return false;
         }
     }
 
@@ -487,28 +517,24 @@ import { spacesRenderer } from './spacesRenderer.js';
         try {
             if (globalTabId) {
                 if (sessionId && sessionId !== '' && sessionId !== 'false') {
-                    await serviceWorkerClient.sendMessage({
-                        action: 'moveTabToSession',
+                    await spacesApi.moveTabToSession({
                         tabId: globalTabId,
                         sessionId: sessionId,
                     }, 3000);
                 } else if (windowId && windowId !== '' && windowId !== 'false') {
-                    await serviceWorkerClient.sendMessage({
-                        action: 'moveTabToWindow',
+                    await spacesApi.moveTabToWindow({
                         tabId: globalTabId,
                         windowId: windowId,
                     }, 3000);
                 }
             } else if (globalUrl) {
                 if (sessionId && sessionId !== '' && sessionId !== 'false') {
-                    await serviceWorkerClient.sendMessage({
-                        action: 'addLinkToSession',
+                    await spacesApi.addLinkToSession({
                         url: globalUrl,
                         sessionId: sessionId,
                     }, 3000);
                 } else if (windowId && windowId !== '' && windowId !== 'false') {
-                    await serviceWorkerClient.sendMessage({
-                        action: 'addLinkToWindow',
+                    await spacesApi.addLinkToWindow({
                         url: globalUrl,
                         windowId: windowId,
                     }, 3000);
@@ -529,8 +555,7 @@ import { spacesRenderer } from './spacesRenderer.js';
         }
         
         try {
-            await serviceWorkerClient.sendMessage({
-                action: 'requestShowSpaces',
+            await spacesApi.requestShowSpaces({
                 windowId: globalCurrentSpace.windowId,
                 edit: true,
             }, 3000);
@@ -0,0 +1,311 @@
+/* global chrome */
+
+// Every setting of Spaces, from how long closed tabs are remembered to whether spaces
+// are synced. Each one is described in the schema (its type, default and limits), and
+// the options page is built from it. They are kept together in chrome.storage.local
+// (and in backups), and the service worker and every extension page keep their copy up
+// to date through chrome.storage.onChanged, so a change takes effect everywhere straight
+// away
+export const preferences = {
+    storageKey: 'preferences',
+
+    // type is 'integer' (with min and max), 'boolean', 'choice' (with options, { value:
+    // label }) or 'string' (with maxLength, blank means the default). excludes names a
+    // boolean that is switched off when this one is switched on, and permission an
+    // optional permission that the options page asks for when it is switched on
+    schema: {
+        historyLimit: {
+            type: 'integer',
+            default: 200,
+            min: 0,
+            max: 1000,
+            label: 'Closed tabs remembered in each space',
+        },
+        windowEventDelayMs: {
+            type: 'integer',
+            default: 1000,
+            min: 100,
+            max: 10000,
+            label: 'Wait for more tab changes before saving a space (milliseconds)',
+        },
+        popupWindowWidth: {
+            type: 'integer',
+            default: 500,
+            min: 300,
+            max: 2000,
+            label: 'Width of the switch and move windows (pixels)',
+        },
+        popupWindowHeight: {
+            type: 'integer',
+            default: 400,
+            min: 200,
+            max: 2000,
+            label: 'Height of the switch and move windows (pixels)',
+        },
+        debugLogging: {
+            type: 'boolean',
+            default: false,
+            label: 'Log window and tab events to the console',
+        },
+        loadStrategy: {
+            type: 'choice',
+            default: 'eager',
+            options: { eager: 'All at once', lazy: 'When selected' },
+            label: 'Load the tabs of a space being opened',
+        },
+        maxConcurrentLoads: {
+            type: 'integer',
+            default: 6,
+            min: 0,
+            max: 100,
+            label: 'Tabs loading at a time when opening a space (0 = no limit)',
+        },
+        undoWindowSeconds: {
+            type: 'integer',
+            default: 10,
+            min: 0,
+            // operations refer to windows by id, which don't last long
+            max: 300,
+            label: 'Offer to undo changes for (seconds)',
+        },
+        trashRetentionDays: {
+            type: 'integer',
+            default: 30,
+            // a deleted space can't disappear straight away
+            min: 1,
+            max: 365,
+            label: 'Keep deleted spaces in the trash for (days)',
+        },
+        autoBackupEnabled: {
+            type: 'boolean',
+            default: true,
+            label: 'Back up all spaces automatically',
+        },
+        autoBackupIntervalHours: {
+            type: 'integer',
+            default: 24,
+            min: 1,
+            max: 24 * 30,
+            label: 'Back up every (hours)',
+        },
+        autoBackupKeepCount: {
+            type: 'integer',
+            default: 7,
+            min: 1,
+            max: 100,
+            label: 'Backups to keep',
+        },
+        autoBackupDownload: {
+            type: 'boolean',
+            default: false,
+            permission: 'downloads',
+            label: "Also save backups to the downloads folder (not encrypted: they hold every tab's url)",
+        },
+        autoBackupFolder: {
+            type: 'string',
+            default: 'Spaces backups',
+            maxLength: 200,
+            label: 'Folder for backups, inside the downloads folder',
+        },
+        storageSyncEnabled: {
+            type: 'boolean',
+            default: false,
+            // each space would reach the other devices twice
+            excludes: 'bookmarkSyncEnabled',
+            label: 'Sync spaces with your other devices',
+        },
+        bookmarkSyncEnabled: {
+            type: 'boolean',
+            default: false,
+            excludes: 'storageSyncEnabled',
+            label: 'Keep a bookmarks folder in sync with your spaces',
+        },
+        bookmarkFolderTitle: {
+            type: 'string',
+            default: 'Spaces',
+            maxLength: 200,
+            label: 'Bookmarks folder',
+        },
+        activityTrackingEnabled: {
+            type: 'boolean',
+            default: true,
+            label: 'Keep track of the time spent in each space',
+        },
+    },
+
+    // preferences that earlier versions kept as keys of their own in chrome.storage.local
+    legacyNames: [
+        'loadStrategy',
+        'maxConcurrentLoads',
+        'undoWindowSeconds',
+        'trashRetentionDays',
+        'autoBackupEnabled',
+        'autoBackupIntervalHours',
+        'autoBackupKeepCount',
+        'autoBackupDownload',
+        'autoBackupFolder',
+        'storageSyncEnabled',
+        'bookmarkSyncEnabled',
+        'bookmarkFolderTitle',
+        'activityTrackingEnabled',
+    ],
+
+    // the current preferences (the defaults until initialised)
+    values: {},
+
+    listeners: [],
+
+    noop: () => {},
+
+    initialise: () => {
+        if (!chrome.storage.onChanged.hasListener(preferences.handleStorageChanged)) {
+            chrome.storage.onChanged.addListener(preferences.handleStorageChanged);
+        }
+
+        return new Promise(resolve => {
+            preferences.fetch(values => {
+                preferences.values = values;
+                resolve(values);
+            });
+        });
+    },
+
+    // listener(values, changedNames) is called whenever a preference changes, wherever
+    // it was changed from
+    addChangeListener: listener => {
+        preferences.listeners.push(listener);
+    },
+
+    handleStorageChanged: (changes, areaName) => {
+        if (areaName !== 'local' || !changes[preferences.storageKey]) return;
+
+        const previous = preferences.values;
+        const values = preferences.normalise(changes[preferences.storageKey].newValue);
+        const changedNames = Object.keys(values).filter(name => values[name] !== previous[name]);
+
+        preferences.values = values;
+        if (changedNames.length > 0) {
+            preferences.listeners.forEach(listener => listener(values, changedNames));
+        }
+    },
+
+    getDefaults: () => {
+        const defaults = {};
+        Object.keys(preferences.schema).forEach(name => {
+            defaults[name] = preferences.schema[name].default;
+        });
+        return defaults;
+    },
+
+    // the value if it fits the schema, brought within its limits, or else the default
+    normaliseValue: (name, value) => {
+        const definition = preferences.schema[name];
+
+        switch (definition.type) {
+            case 'integer': {
+                const number = typeof value === 'string' ? parseInt(value, 10) : value;
+                if (typeof number !== 'number' || !Number.isFinite(number)) {
+                    return definition.default;
+                }
+                return Math.min(definition.max, Math.max(definition.min, Math.round(number)));
+            }
+            case 'boolean':
+                return typeof value === 'boolean' ? value : definition.default;
+            case 'choice':
+                return Object.prototype.hasOwnProperty.call(definition.options, value)
+                    ? value
+                    : definition.default;
+            case 'string': {
+                const text = typeof value === 'string' ? value.trim() : '';
+                return text ? text.substring(0, definition.maxLength) : definition.default;
+            }
+            default:
+                return definition.default;
+        }
+    },
+
+    // a full set of preferences. unknown names are dropped, so preferences from a newer
+    // version of Spaces can be imported without harm
+    normalise: values => {
+        const source = values && typeof values === 'object' ? values : {};
+        const normalised = {};
+        Object.keys(preferences.schema).forEach(name => {
+            normalised[name] = preferences.normaliseValue(name, source[name]);
+        });
+
+        // of two that exclude each other, the first one stays on
+        Object.keys(preferences.schema).forEach(name => {
+            const { excludes } = preferences.schema[name];
+            if (excludes && normalised[name]) normalised[excludes] = false;
+        });
+        return normalised;
+    },
+
+    fetch: callback => {
+        chrome.storage.local.get([preferences.storageKey], result => {
+            callback(preferences.normalise((result || {})[preferences.storageKey]));
+        });
+    },
+
+    // changes can be some of the preferences, the rest are kept
+    save: (changes, callback) => {
+        // eslint-disable-next-line no-param-reassign
+        callback = typeof callback !== 'function' ? preferences.noop : callback;
+
+        preferences.fetch(current => {
+            const merged = { ...current, ...changes };
+
+            // switching one on switches off the one it excludes
+            Object.keys(changes || {}).forEach(name => {
+                const definition = preferences.schema[name];
+                if (definition && definition.excludes && changes[name] === true) {
+                    merged[definition.excludes] = false;
+                }
+            });
+
+            const values = preferences.normalise(merged);
+            // values (and the listeners) are updated by handleStorageChanged
+            chrome.storage.local.set({ [preferences.storageKey]: values }, () => {
+                callback(values);
+            });
+        });
+    },
+
+    reset: callback => {
+        preferences.save(preferences.getDefaults(), callback);
+    },
+
+    // move the preferences that earlier versions kept as keys of their own into the
+    // preferences. run by the service worker before anything reads them
+    migrate: callback => {
+        // eslint-disable-next-line no-param-reassign
+        callback = typeof callback !== 'function' ? preferences.noop : callback;
+
+        const keys = [preferences.storageKey].concat(preferences.legacyNames);
+        chrome.storage.local.get(keys, result => {
+            const stored = result || {};
+            const legacyNames = preferences.legacyNames.filter(name => name in stored);
+            if (legacyNames.length === 0) {
+                callback(false);
+                return;
+            }
+
+            // the old keys are only left before the move, so the preferences can
+            // only hold defaults for them
+            const legacyValues = {};
+            legacyNames.forEach(name => {
+                legacyValues[name] = stored[name];
+            });
+            const values = preferences.normalise({
+                ...stored[preferences.storageKey],
+                ...legacyValues,
+            });
+
+            chrome.storage.local.set({ [preferences.storageKey]: values }, () => {
+                chrome.storage.local.remove(legacyNames, () => callback(true));
+            });
+        });
+    },
+};
+
+preferences.values = preferences.getDefaults();
@@ -0,0 +1,211 @@
+// The messaging API between the extension pages and the service worker.
+//
+// Every action the service worker accepts is declared in `methods`, along with the
+// types of its parameters. Messages keep their existing shape ({ action, ...params })
+// and every reply is an envelope: { ok: true, result } or { ok: false, error }.
+// Pages call the service worker through the stubs made by createClient, which
+// unwrap the envelope and reject with an Error when the call fails.
+//
+// Parameter types: 'id' (a number, or a numeric string which is converted),
+// 'string', 'number', 'boolean', 'array', 'object' and 'any'. A trailing '?' makes a
+// parameter optional, in which case missing and 'empty' values (including the
+// strings 'false' and 'null' that hash variables give us) are passed as false.
+export const rpc = {
+    methods: {
+        requestHotkeys: { params: {} },
+        generatePopupParams: { params: { actionType: 'string', tabUrl: 'string?' } },
+        requestSpaceDetail: { params: { windowId: 'id?', sessionId: 'id?' } },
+        requestAllSpaces: { params: {} },
+        requestTabDetail: { params: { tabId: 'id' } },
+        requestShowSpaces: { params: { windowId: 'id?', edit: 'boolean?' } },
+        requestShowSwitcher: { params: {} },
+        requestShowMover: { params: {} },
+        requestShowKeyboardShortcuts: { params: {} },
+        requestClose: { params: {} },
+
+        updateSessionName: { params: { sessionId: 'id', sessionName: 'string' } },
+        saveNewSession: { params: { windowId: 'id', sessionName: 'string' } },
+        deleteSession: { params: { sessionId: 'id' } },
+        requestTrash: { params: {} },
+        restoreFromTrash: { params: { sessionId: 'id' } },
+        deleteFromTrash: { params: { sessionId: 'id' } },
+        requestActivity: { params: { days: 'number' } },
+        clearActivity: { params: {} },
+        requestPreferences: { params: {} },
+        updatePreferences: { params: { preferences: 'object' } },
+        resetPreferences: { params: {} },
+        requestReconciliationReport: { params: {} },
+        dismissReconciliationReport: { params: {} },
+        requestDuplicates: { params: {} },
+        removeDuplicates: { params: { copies: 'array' } },
+        requestUrlRules: { params: {} },
+        updateUrlRules: { params: { rules: 'object' } },
+        requestRoutingRules: { params: {} },
+        updateRoutingRules: { params: { rules: 'array' } },
+        requestBackups: { params: {} },
+        createBackup: { params: {} },
+        restoreBackup: { params: { backupId: 'id' } },
+        requestSyncStatus: { params: {} },
+        resolveSyncConflict: { params: { syncId: 'string', keep: 'string' } },
+        switchToSpace: { params: { sessionId: 'id?', windowId: 'id?' } },
+        loadSession: { params: { sessionId: 'id', tabUrl: 'string?' } },
+        loadWindow: { params: { windowId: 'id', tabUrl: 'string?' } },
+        loadTabInSession: { params: { sessionId: 'id', tabUrl: 'string' } },
+        loadTabInWindow: { params: { windowId: 'id', tabUrl: 'string' } },
+
+        moveTabToSession: { params: { tabId: 'id', sessionId: 'id' } },
+        moveTabToWindow: { params: { tabId: 'id', windowId: 'id' } },
+        moveTabToNewSession: { params: { tabId: 'id', sessionName: 'string' } },
+        addLinkToSession: { params: { url: 'string', sessionId: 'id' } },
+        addLinkToWindow: { params: { url: 'string', windowId: 'id' } },
+        addLinkToNewSession: { params: { url: 'string', sessionName: 'string' } },
+
+        importNewSession: { params: { urlList: 'array' } },
+        importSessions: { params: { spaces: 'array' } },
+        restoreFromBackup: { params: { spaces: 'array' } },
+
+        requestSessionSnapshots: { params: { sessionId: 'id' } },
+        restoreSnapshot: { params: { snapshotId: 'id', target: 'string?' } },
+
+        confirmSessionMatch: { params: { windowId: 'id', sessionId: 'id' } },
+        dismissSessionMatch: { params: { windowId: 'id', sessionId: 'id' } },
+
+        updateSessionLoadStrategy: {
+            params: { sessionId: 'id', loadStrategy: 'string?' },
+        },
+
+        requestJournal: { params: {} },
+        undo: { params: {} },
+        redo: { params: {} },
+    },
+
+    _isEmpty: value => {
+        return (
+            value === undefined ||
+            value === null ||
+            value === false ||
+            value === '' ||
+            value === 'false' ||
+            value === 'null'
+        );
+    },
+
+    // returns the converted value, or undefined if it isn't of the type
+    _convertParam: (type, value) => {
+        switch (type) {
+            case 'id': {
+                const id =
+                    typeof value === 'string' && /^-?\d+$/.test(value)
+                        ? parseInt(value, 10)
+                        : value;
+                return Number.isInteger(id) ? id : undefined;
+            }
+            case 'array':
+                return Array.isArray(value) ? value : undefined;
+            case 'object':
+                return value && typeof value === 'object' && !Array.isArray(value)
+                    ? value
+                    : undefined;
+            case 'any':
+                return value;
+            default:
+                // eslint-disable-next-line valid-typeof
+                return typeof value === type ? value : undefined;
+        }
+    },
+
+    // check a request against the declared params of its method.
+    // returns { params } or { error }
+    validateParams: (action, request) => {
+        const method = rpc.methods[action];
+        if (!method) {
+            return { error: `Unknown action: ${action}` };
+        }
+
+        const params = {};
+        const errors = [];
+        Object.keys(method.params).forEach(name => {
+            const optional = method.params[name].endsWith('?');
+            const type = method.params[name].replace('?', '');
+            const value = request[name];
+
+            if (optional && rpc._isEmpty(value)) {
+                params[name] = false;
+                return;
+            }
+
+            const converted = rpc._convertParam(type, value);
+            if (converted === undefined) {
+                errors.push(`${name} must be of type ${type}`);
+            } else {
+                params[name] = converted;
+            }
+        });
+
+        if (errors.length > 0) {
+            return { error: `Invalid params for ${action}: ${errors.join(', ')}` };
+        }
+        return { params };
+    },
+
+    // handlers are keyed by method name and called with (params, sender). they
+    // can return a value or a promise of one
+    createServer: handlers => {
+        Object.keys(rpc.methods).forEach(action => {
+            if (typeof handlers[action] !== 'function') {
+                console.error(`rpc - no handler registered for ${action}`);
+            }
+        });
+
+        return {
+            dispatch: async (request, sender) => {
+                const action = request && request.action;
+                const { params, error } = rpc.validateParams(action, request || {});
+
+                if (error) {
+                    return { ok: false, error };
+                }
+                if (typeof handlers[action] !== 'function') {
+                    return { ok: false, error: `Unknown action: ${action}` };
+                }
+
+                try {
+                    const result = await handlers[action](params, sender);
+                    return { ok: true, result: result === undefined ? null : result };
+                } catch (handlerError) {
+                    console.error(`rpc - ${action} failed:`, handlerError);
+                    return { ok: false, error: handlerError.message || String(handlerError) };
+                }
+            },
+        };
+    },
+
+    // make a stub for every method, eg. api.loadSession({ sessionId }).
+    // send(message, timeoutMs) delivers the message and resolves with the envelope
+    createClient: send => {
+        const client = {};
+
+        Object.keys(rpc.methods).forEach(action => {
+            client[action] = (params = {}, timeoutMs) => {
+                const { error } = rpc.validateParams(action, params);
+                if (error) {
+                    return Promise.reject(new Error(error));
+                }
+
+                return Promise.resolve(send({ ...params, action }, timeoutMs)).then(
+                    envelope => {
+                        if (!envelope || typeof envelope.ok !== 'boolean') {
+                            throw new Error(`No response to ${action}`);
+                        }
+                        if (!envelope.ok) {
+                            throw new Error(envelope.error);
+                        }
+                        return envelope.result;
+                    }
+                );
+            };
+        });
+
+        return client;
+    },
+};
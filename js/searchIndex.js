@@ -0,0 +1,124 @@
+// Inverted index over the tabs and closed tab history of every space, so that the
+// Manage Spaces search can look up tabs by word prefix instead of scanning every
+// tab of every space on each keystroke
+export const searchIndex = {
+    tokenize: text => {
+        return String(text || '')
+            .toLowerCase()
+            .split(/[^\p{L}\p{N}]+/u)
+            .filter(token => token);
+    },
+
+    // spaces are in the shape returned by requestAllSpaces
+    buildIndex: spaces => {
+        const entries = [];
+        // a Map, as tokens like 'constructor' would find Object.prototype members
+        const postings = new Map();
+
+        const addEntry = (space, tab, source) => {
+            const entryId = entries.length;
+            entries.push({
+                space,
+                source,
+                title: tab.title || tab.url,
+                url: tab.url,
+                favIconUrl: tab.favIconUrl,
+            });
+
+            searchIndex
+                .tokenize(`${tab.title || ''} ${tab.url}`)
+                .forEach(token => {
+                    if (!postings.has(token)) postings.set(token, []);
+                    const posting = postings.get(token);
+                    // the same token often appears more than once in a tab
+                    if (posting[posting.length - 1] !== entryId) {
+                        posting.push(entryId);
+                    }
+                });
+        };
+
+        spaces.forEach(space => {
+            (space.tabs || []).forEach(tab => {
+                if (tab.url) addEntry(space, tab, 'tab');
+            });
+            (space.history || []).forEach(tab => {
+                if (tab.url) addEntry(space, tab, 'history');
+            });
+        });
+
+        return {
+            entries,
+            postings,
+            // sorted so that all tokens starting with a prefix sit together
+            tokens: [...postings.keys()].sort(),
+        };
+    },
+
+    // ids of entries that have a token starting with the prefix
+    _findPrefix: (index, prefix) => {
+        let low = 0;
+        let high = index.tokens.length;
+
+        // binary search for the first token >= prefix
+        while (low < high) {
+            const mid = Math.floor((low + high) / 2);
+            if (index.tokens[mid] < prefix) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+
+        const entryIds = new Set();
+        for (
+            let i = low;
+            i < index.tokens.length && index.tokens[i].startsWith(prefix);
+            i += 1
+        ) {
+            index.postings.get(index.tokens[i]).forEach(entryId => entryIds.add(entryId));
+        }
+        return entryIds;
+    },
+
+    // every word of the query must prefix-match a word in the tab title or url.
+    // hits are grouped by space, in the order the spaces were indexed
+    search: (index, query) => {
+        const terms = searchIndex.tokenize(query);
+        if (terms.length === 0) return [];
+
+        let matches = null;
+        terms.forEach(term => {
+            const termMatches = searchIndex._findPrefix(index, term);
+            matches = matches
+                ? new Set([...matches].filter(entryId => termMatches.has(entryId)))
+                : termMatches;
+        });
+
+        const groups = [];
+        const groupsBySpace = new Map();
+        [...matches]
+            .sort((a, b) => a - b)
+            .forEach(entryId => {
+                const entry = index.entries[entryId];
+                let group = groupsBySpace.get(entry.space);
+                if (!group) {
+                    group = {
+                        sessionId: entry.space.sessionId,
+                        windowId: entry.space.windowId,
+                        name: entry.space.name,
+                        hits: [],
+                    };
+                    groupsBySpace.set(entry.space, group);
+                    groups.push(group);
+                }
+                group.hits.push({
+                    title: entry.title,
+                    url: entry.url,
+                    favIconUrl: entry.favIconUrl,
+                    source: entry.source,
+                });
+            });
+
+        return groups;
+    },
+};
@@ -1,6 +1,8 @@
 // Service Worker Client Utility for MV3
 // Provides proper message sending with service worker wake-up handling
 
+import { rpc } from './rpc.js';
+
 class ServiceWorkerClient {
     constructor() {
         this.maxRetries = 3;
@@ -108,47 +110,16 @@ class ServiceWorkerClient {
         console.error('❌ Service worker not ready within timeout');
         throw new Error('Service worker not ready within timeout');
     }
-
-    // Convenience methods for common operations
-    async getHotkeys() {
-        return this.sendMessage({ action: 'requestHotkeys' });
-    }
-
-    async generatePopupParams(actionType, tabUrl) {
-        return this.sendMessage({ 
-            action: 'generatePopupParams',
-            actionType,
-            tabUrl
-        });
-    }
-
-    async getSpaceDetail(windowId, sessionId) {
-        return this.sendMessage({
-            action: 'requestSpaceDetail',
-            windowId,
-            sessionId
-        });
-    }
-
-    async showSpaces(windowId, editMode) {
-        return this.sendMessage({
-            action: 'requestShowSpaces',
-            windowId,
-            edit: editMode
-        });
-    }
-
-    async showSwitcher() {
-        return this.sendMessage({ action: 'requestShowSwitcher' });
-    }
-
-    async showMover() {
-        return this.sendMessage({ action: 'requestShowMover' });
-    }
 }
 
 // Create global instance
 const serviceWorkerClient = new ServiceWorkerClient();
 
+// Stubs for every method in rpc.methods, eg. spacesApi.requestAllSpaces().
+// They resolve with the method's result and reject if the call fails
+const spacesApi = rpc.createClient((message, timeoutMs) => {
+    return serviceWorkerClient.sendMessage(message, timeoutMs);
+});
+
 // Export for use in other modules
-export { ServiceWorkerClient, serviceWorkerClient }; 
\ No newline at end of file
+export { ServiceWorkerClient, serviceWorkerClient, spacesApi };
@@ -5,6 +5,22 @@
 import spacesService from './spacesService.js';
 import { utils } from './utils.js';
 import { dbService } from './dbService.js';
+import { snapshotService } from './snapshotService.js';
+import { tabLoader } from './tabLoader.js';
+import { omniboxService } from './omniboxService.js';
+import { rpc } from './rpc.js';
+import { spacesEvents } from './spacesEvents.js';
+import { operationJournal } from './operationJournal.js';
+import { trashService } from './trashService.js';
+import { bookmarkSync } from './bookmarkSync.js';
+import { syncEngine } from './syncEngine.js';
+import { backupService } from './backupService.js';
+import { exporters } from './exporters.js';
+import { activityTracker } from './activityTracker.js';
+import { tabRouter } from './tabRouter.js';
+import { preferences } from './preferences.js';
+import { urlRules } from './urlRules.js';
+import { duplicateFinder } from './duplicateFinder.js';
 
 // State management - use chrome.storage for persistence
 let isInitialized = false;
@@ -20,6 +36,10 @@ let activityCheckInterval = null;
 let spacesOpenWindowId = false;
 let spacesPopupWindowId = false;
 
+// Ports of extension pages subscribed to session changes, with the event types
+// each one asked for
+const changeSubscribers = new Map();
+
 // Activity tracking to prevent service worker from becoming unresponsive
 function updateActivity() {
     lastActivityTime = Date.now();
@@ -50,7 +70,14 @@ chrome.runtime.onInstalled.addListener((details) => {
     // Start monitoring
     startMonitoring();
     // Initialize on both install and update to ensure service worker is ready
-    initializeServiceWorker();
+    initializeServiceWorker()
+        .then(() => {
+            // bring the bookmarks folder up to date (changes flow through events after this)
+            if (bookmarkSync.isEnabled()) bookmarkSync.fullSync();
+        })
+        .catch(error => {
+            console.error('Bookmark sync failed:', error);
+        });
 });
 
 // Handle service worker activation
@@ -170,6 +197,20 @@ async function initializeServiceWorker() {
             await ensureDatabaseInitialized();
             console.log('✅ Database is ready');
             
+            // Preferences are needed before any events are handled (settings that
+            // earlier versions kept elsewhere are moved into them first)
+            await new Promise(resolve => preferences.migrate(resolve));
+            applyPreferences(await preferences.initialise());
+            
+            // Pick up events that were still queued when the worker was last stopped,
+            // and what can still be undone
+            await spacesService.restoreEventQueue();
+            await operationJournal.restore();
+            console.log('✅ Event queue restored:', spacesService.historyQueue.length, 'history items pending');
+            
+            // Sessions are hashed with the url rules, so they are needed first
+            spacesService.urlRules = await new Promise(resolve => urlRules.fetchRules(resolve));
+            
             console.log('🔄 Initializing spacesService...');
             // Initialize core services (modules already imported statically)
             await spacesService.initialiseSpaces();
@@ -179,11 +220,47 @@ async function initializeServiceWorker() {
             spacesService.initialiseTabHistory();
             console.log('✅ Tab history initialized');
             
+            // Mirror sessions to bookmarks (if switched on), once they are all loaded
+            // (changes made by syncing aren't the user's to undo, so they aren't journaled)
+            await bookmarkSync.initialise({
+                createSession: createSyncedSession,
+                deleteSession: (sessionId, callback) =>
+                    handleDeleteSession(sessionId, false, callback, false),
+            });
+            
+            // Sync sessions with other devices through chrome.storage.sync (if switched on)
+            await syncEngine.initialise({
+                createSession: createSyncedSession,
+                deleteSession: (sessionId, callback) =>
+                    handleDeleteSession(sessionId, false, callback, false),
+                setWindowTabs: replaceWindowTabs,
+            });
+            
+            // Rules that move new tabs into spaces
+            await tabRouter.initialise({
+                getSessionId: windowId => {
+                    const session = spacesService.getSessionByWindowId(windowId);
+                    return session && session.id ? session.id : false;
+                },
+                moveTab: handleMoveTabToSession,
+            });
+            
+            // Time spent in each space
+            await activityTracker.initialise({
+                isInternalWindow: windowId => checkInternalSpacesWindows(windowId, false),
+            });
+            
             console.log('🔄 Setting up event listeners...');
             // Set up event listeners
             setupEventListeners(spacesService, utils);
             console.log('✅ Event listeners set up');
             
+            // Sessions are matched to windows now, so queued window events can be applied
+            spacesService.replayEventQueue();
+            
+            scheduleTrashPurge();
+            scheduleBackups();
+            
             isInitialized = true;
             console.log('✅ Service worker initialization complete');
             
@@ -208,45 +285,82 @@ async function initializeServiceWorker() {
 // Setup event listeners only after initialization
 function setupEventListeners(spacesService, utils) {
     // Tab event listeners
+    // (session changes reach the extension pages through spacesService change events)
     chrome.tabs.onCreated.addListener(tab => {
         if (checkInternalSpacesWindows(tab.windowId, false)) return;
-        updateSpacesWindow('tabs.onCreated');
+        tabRouter.handleTabCreated(tab);
     });
     
     chrome.tabs.onRemoved.addListener((tabId, removeInfo) => {
+        tabLoader.handleTabRemoved(tabId, removeInfo);
+        tabRouter.handleTabRemoved(tabId);
         if (checkInternalSpacesWindows(removeInfo.windowId, false)) return;
-        spacesService.handleTabRemoved(tabId, removeInfo, () => {
-            updateSpacesWindow('tabs.onRemoved');
-        });
+        spacesService.handleTabRemoved(tabId, removeInfo, spacesService.noop);
     });
     
     chrome.tabs.onMoved.addListener((tabId, moveInfo) => {
         if (checkInternalSpacesWindows(moveInfo.windowId, false)) return;
-        spacesService.handleTabMoved(tabId, moveInfo, () => {
-            updateSpacesWindow('tabs.onMoved');
-        });
+        spacesService.handleTabMoved(tabId, moveInfo, spacesService.noop);
     });
     
     chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+        tabLoader.handleTabUpdated(tabId, changeInfo, tab);
+        activityTracker.handleTabUpdated(tab, changeInfo);
+        tabRouter.handleTabUpdated(tab, changeInfo);
         if (checkInternalSpacesWindows(tab.windowId, false)) return;
-        spacesService.handleTabUpdated(tab, changeInfo, () => {
-            updateSpacesWindow('tabs.onUpdated');
-        });
+        spacesService.handleTabUpdated(tab, changeInfo, spacesService.noop);
     });
     
+    // Tab group event listeners (group title/color/collapsed changes don't fire tab events)
+    if (chrome.tabGroups) {
+        const handleTabGroupEvent = group => {
+            if (checkInternalSpacesWindows(group.windowId, false)) return;
+            spacesService.queueWindowEvent(
+                group.windowId,
+                spacesService.eventQueueCount,
+                spacesService.noop
+            );
+        };
+        chrome.tabGroups.onCreated.addListener(handleTabGroupEvent);
+        chrome.tabGroups.onUpdated.addListener(handleTabGroupEvent);
+        chrome.tabGroups.onRemoved.addListener(handleTabGroupEvent);
+    }
+    
     // Window event listeners
+    chrome.windows.onCreated.addListener(tabRouter.handleWindowCreated);
+    
     chrome.windows.onRemoved.addListener(windowId => {
+        tabLoader.handleWindowRemoved(windowId);
         if (checkInternalSpacesWindows(windowId, true)) return;
-        spacesService.handleWindowRemoved(windowId, true, () => {
-            updateSpacesWindow('windows.onRemoved');
-        });
+        spacesService.handleWindowRemoved(windowId, true, spacesService.noop);
     });
     
+    if (chrome.windows.onBoundsChanged) {
+        chrome.windows.onBoundsChanged.addListener(window => {
+            if (checkInternalSpacesWindows(window.id, false)) return;
+            spacesService.handleWindowBoundsChanged(window);
+        });
+    }
+    
+    // Keep track of connected displays so spaces can reopen on the monitor they were on
+    if (chrome.system && chrome.system.display) {
+        refreshDisplays();
+        chrome.system.display.onDisplayChanged.addListener(refreshDisplays);
+    }
+    
+    chrome.tabs.onActivated.addListener(activityTracker.handleTabActivated);
+    
     chrome.windows.onFocusChanged.addListener(windowId => {
+        activityTracker.handleWindowFocussed(windowId);
         if (windowId === chrome.windows.WINDOW_ID_NONE) return;
         spacesService.handleWindowFocussed(windowId);
     });
     
+    // Focused time stops counting while the user is away
+    if (chrome.idle) {
+        chrome.idle.onStateChanged.addListener(activityTracker.handleIdleStateChanged);
+    }
+    
     // Keyboard shortcuts
     chrome.commands.onCommand.addListener(command => {
         console.log('⌨️ Keyboard command received:', command);
@@ -280,6 +394,127 @@ function setupEventListeners(spacesService, utils) {
     });
 }
 
+// Omnibox keyword - registered at the top level so that typing the keyword can
+// wake the service worker
+chrome.omnibox.onInputStarted.addListener(() => {
+    chrome.omnibox.setDefaultSuggestion({
+        description: 'Switch to space or tab: %s',
+    });
+});
+
+chrome.omnibox.onInputChanged.addListener((text, suggest) => {
+    updateActivity();
+    initializeServiceWorker()
+        .then(() => {
+            suggest(omniboxService.getSuggestions(text, spacesService.getAllSessions()));
+        })
+        .catch(error => {
+            console.error('Omnibox suggestions failed:', error);
+        });
+});
+
+chrome.omnibox.onInputEntered.addListener(text => {
+    updateActivity();
+    initializeServiceWorker()
+        .then(() => {
+            handleOmniboxInput(text);
+        })
+        .catch(error => {
+            console.error('Omnibox input failed:', error);
+        });
+});
+
+// Session change subscriptions from extension pages. Registered at the top level so
+// that a page connecting can wake the service worker
+chrome.runtime.onConnect.addListener(port => {
+    if (port.name !== spacesEvents.PORT_NAME) return;
+
+    updateActivity();
+    changeSubscribers.set(port, spacesEvents.EVENT_TYPES);
+
+    port.onMessage.addListener(message => {
+        if (message && message.action === 'subscribe' && Array.isArray(message.types)) {
+            changeSubscribers.set(
+                port,
+                message.types.filter(type => spacesEvents.EVENT_TYPES.includes(type))
+            );
+        }
+    });
+    port.onDisconnect.addListener(() => {
+        changeSubscribers.delete(port);
+    });
+
+    // sessions only change once the window and tab listeners are registered
+    initializeServiceWorker().catch(error => {
+        console.error('Initialization failed for change subscriber:', error);
+    });
+});
+
+spacesService.addChangeListener(broadcastSessionChange);
+spacesService.addChangeListener(bookmarkSync.handleSessionChange);
+spacesService.addChangeListener(syncEngine.handleSessionChange);
+spacesService.addChangeListener(activityTracker.handleSessionChange);
+
+// Preferences changed in the options page, or restored from a backup
+preferences.addChangeListener(applyPreferences);
+preferences.addChangeListener(bookmarkSync.handlePreferencesChange);
+preferences.addChangeListener(syncEngine.handlePreferencesChange);
+preferences.addChangeListener(activityTracker.handlePreferencesChange);
+
+// Sessions changed on other devices
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'sync') return;
+
+    initializeServiceWorker()
+        .then(() => syncEngine.handleRemoteChange(changes))
+        .catch(error => {
+            console.error('Sync change failed:', error);
+        });
+});
+
+// Edits made in the bookmark manager flow back into sessions (see bookmarkSync.js)
+function addBookmarkListener(event, handler) {
+    event.addListener((...args) => {
+        initializeServiceWorker()
+            .then(() => handler(...args))
+            .catch(error => {
+                console.error('Bookmark event failed:', error);
+            });
+    });
+}
+
+addBookmarkListener(chrome.bookmarks.onCreated, bookmarkSync.handleBookmarkCreated);
+addBookmarkListener(chrome.bookmarks.onRemoved, bookmarkSync.handleBookmarkRemoved);
+addBookmarkListener(chrome.bookmarks.onChanged, bookmarkSync.handleBookmarkChanged);
+addBookmarkListener(chrome.bookmarks.onMoved, bookmarkSync.handleBookmarkMoved);
+addBookmarkListener(chrome.bookmarks.onChildrenReordered, bookmarkSync.handleChildrenReordered);
+
+// Alarms outlive the service worker, so the listener has to be registered at the top level
+chrome.alarms.onAlarm.addListener(alarm => {
+    if (alarm.name === trashService.ALARM_NAME) {
+        trashService.purgeExpired(count => {
+            console.log('Purged', count, 'expired spaces from the trash');
+        });
+    } else if (alarm.name === activityTracker.ALARM_NAME) {
+        initializeServiceWorker()
+            .then(activityTracker.flush)
+            .catch(error => {
+                console.error('Activity flush failed:', error);
+            });
+    } else if (alarm.name === backupService.ALARM_NAME) {
+        // the alarm can wake the service worker, so wait for the sessions to be loaded
+        initializeServiceWorker()
+            .then(() => {
+                takeBackup('scheduled', backup => {
+                    console.log(backup ? 'Backed up all spaces' : 'Spaces unchanged since the last backup');
+                });
+            })
+            .catch(error => {
+                console.error('Scheduled backup failed:', error);
+            });
+    }
+});
+
 // Message handling with proper initialization
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     console.log('📨 Message received:', request.action, 'from:', sender.tab?.url || 'service worker');
@@ -332,7 +567,7 @@ async function handleMessageWithInitialization(request, sender, sendResponse) {
         }
         
         // Now handle the actual message
-        await handleMessage(request, sender, sendResponse);
+        sendResponse(await rpcServer.dispatch(request, sender));
         
             } catch (error) {
             console.error('Error handling message:', error);
@@ -346,11 +581,11 @@ async function handleMessageWithInitialization(request, sender, sendResponse) {
                 // Try to reinitialize the database and retry the operation
                 try {
                     await ensureDatabaseInitialized();
-                    await handleMessage(request, sender, sendResponse);
+                    sendResponse(await rpcServer.dispatch(request, sender));
                     return;
                 } catch (dbError) {
                     console.error('❌ Database reinitialization failed:', dbError);
-                    sendResponse({ error: 'Database initialization failed' });
+                    sendResponse({ ok: false, error: 'Database initialization failed' });
                     return;
                 }
             }
@@ -363,182 +598,217 @@ async function handleMessageWithInitialization(request, sender, sendResponse) {
                 
                 try {
                     await initializeServiceWorker();
-                    await handleMessage(request, sender, sendResponse);
+                    sendResponse(await rpcServer.dispatch(request, sender));
                 } catch (recoveryError) {
                     console.error('Recovery failed:', recoveryError);
-                    sendResponse({ error: recoveryError.message });
+                    sendResponse({ ok: false, error: recoveryError.message });
                 }
             } else {
-                sendResponse({ error: error.message });
+                sendResponse({ ok: false, error: error.message });
             }
         }
 }
 
-// Handle specific messages
-async function handleMessage(request, sender, sendResponse) {
-    // Modules already imported statically
-    
-    switch (request.action) {
-        case 'requestHotkeys':
-            requestHotkeys(sendResponse);
-            break;
-            
-        case 'generatePopupParams':
-            const params = await generatePopupParams(request.actionType, request.tabUrl);
-            sendResponse(params);
-            break;
-            
-        case 'requestSpaceDetail':
-            console.log('Service worker received requestSpaceDetail:', request);
-            const spaceDetail = await requestSpaceDetail(request.windowId, request.sessionId);
-            console.log('Service worker returning spaceDetail:', spaceDetail);
-            sendResponse(spaceDetail);
-            return true; // Keep message channel open for async response
-            
-        case 'requestShowSpaces':
-            showSpacesOpenWindow(request.windowId, request.edit);
-            sendResponse(true);
-            break;
-            
-        case 'requestShowSwitcher':
-            showSpacesSwitchWindow();
-            sendResponse(true);
-            break;
-            
-        case 'requestShowMover':
-            showSpacesMoveWindow();
-            sendResponse(true);
-            break;
-            
-        case 'requestAllSpaces':
-            requestAllSpaces(sendResponse);
-            break;
-            
-        case 'requestTabDetail':
-            requestTabDetail(request.tabId, sendResponse);
-            break;
-            
-        case 'updateSessionName':
-            handleUpdateSessionName(request.sessionId, request.sessionName, sendResponse);
-            break;
-            
-        case 'saveNewSession':
-            handleSaveNewSession(request.windowId, request.sessionName, sendResponse);
-            break;
-            
-        case 'switchToSpace':
-            handleSwitchToSpace(request.sessionId, request.windowId, sendResponse);
-            break;
-            
-        case 'moveTabToSession':
-            handleMoveTabToSession(request.tabId, request.sessionId, sendResponse);
-            break;
-            
-        case 'moveTabToWindow':
-            handleMoveTabToWindow(request.tabId, request.windowId, sendResponse);
-            break;
-            
-        case 'addLinkToSession':
-            handleAddLinkToSession(request.url, request.sessionId, sendResponse);
-            break;
-            
-        case 'addLinkToWindow':
-            handleAddLinkToWindow(request.url, request.windowId, sendResponse);
-            break;
-            
-        case 'requestShowKeyboardShortcuts':
-            createShortcutsWindow();
-            sendResponse(true);
-            break;
-            
-        case 'requestClose':
-            closePopupWindow();
-            sendResponse(true);
-            break;
-            
-        case 'loadSession':
-            const loadSessionId = _cleanParameter(request.sessionId);
-            if (loadSessionId) {
-                handleLoadSession(loadSessionId, request.tabUrl);
-                sendResponse(true);
-            }
-            break;
-            
-        case 'loadWindow':
-            const loadWindowId = _cleanParameter(request.windowId);
-            if (loadWindowId) {
-                handleLoadWindow(loadWindowId, request.tabUrl);
-                sendResponse(true);
-            }
-            break;
-            
-        case 'loadTabInSession':
-            const loadTabSessionId = _cleanParameter(request.sessionId);
-            if (loadTabSessionId && request.tabUrl) {
-                handleLoadSession(loadTabSessionId, request.tabUrl);
-                sendResponse(true);
-            }
-            break;
-            
-        case 'loadTabInWindow':
-            const loadTabWindowId = _cleanParameter(request.windowId);
-            if (loadTabWindowId && request.tabUrl) {
-                handleLoadWindow(loadTabWindowId, request.tabUrl);
-                sendResponse(true);
-            }
-            break;
-            
-        case 'importNewSession':
-            if (request.urlList) {
-                handleImportNewSession(request.urlList, sendResponse);
-            }
-            break;
-            
-        case 'restoreFromBackup':
-            if (request.spaces) {
-                handleRestoreFromBackup(request.spaces, sendResponse);
-            }
-            break;
-            
-        case 'importSessions':
-            if (request.spaces) {
-                handleImportSessions(request.spaces, sendResponse);
-            }
-            break;
-            
-        case 'deleteSession':
-            const deleteSessionId = _cleanParameter(request.sessionId);
-            if (deleteSessionId) {
-                handleDeleteSession(deleteSessionId, false, sendResponse);
-            }
-            break;
-            
-        case 'addLinkToNewSession':
-            const addLinkTabId = _cleanParameter(request.tabId);
-            if (request.sessionName && request.url) {
-                handleAddLinkToNewSession(request.url, request.sessionName, result => {
-                    if (result) updateSpacesWindow('addLinkToNewSession');
-                    sendResponse(result);
-                });
-            }
-            break;
-            
-        case 'moveTabToNewSession':
-            const moveTabToNewSessionId = _cleanParameter(request.tabId);
-            if (request.sessionName && moveTabToNewSessionId) {
-                handleMoveTabToNewSession(moveTabToNewSessionId, request.sessionName, result => {
-                    if (result) updateSpacesWindow('moveTabToNewSession');
-                    sendResponse(result);
-                });
-            }
-            break;
-            
-        default:
-            sendResponse({ error: 'Unknown action' });
-    }
+// Turn a callback-style handler into a promise for the rpc server
+function withCallback(handler) {
+    return new Promise(resolve => {
+        handler(resolve);
+    });
 }
 
+// One handler per method declared in rpc.methods. Params have already been
+// validated and converted (ids are numbers, empty optional params are false)
+const rpcHandlers = {
+    requestHotkeys: () => withCallback(callback => requestHotkeys(callback)),
+
+    generatePopupParams: ({ actionType, tabUrl }) => generatePopupParams(actionType, tabUrl),
+
+    requestSpaceDetail: ({ windowId, sessionId }) => requestSpaceDetail(windowId, sessionId),
+
+    requestAllSpaces: () => withCallback(callback => requestAllSpaces(callback)),
+
+    requestTabDetail: ({ tabId }) => withCallback(callback => requestTabDetail(tabId, callback)),
+
+    requestShowSpaces: ({ windowId, edit }) => {
+        showSpacesOpenWindow(windowId, edit);
+        return true;
+    },
+
+    requestShowSwitcher: () => {
+        showSpacesSwitchWindow();
+        return true;
+    },
+
+    requestShowMover: () => {
+        showSpacesMoveWindow();
+        return true;
+    },
+
+    requestShowKeyboardShortcuts: () => {
+        createShortcutsWindow();
+        return true;
+    },
+
+    requestClose: () => {
+        closePopupWindow();
+        return true;
+    },
+
+    updateSessionName: ({ sessionId, sessionName }) =>
+        withCallback(callback => handleUpdateSessionName(sessionId, sessionName, callback)),
+
+    saveNewSession: ({ windowId, sessionName }) =>
+        withCallback(callback => handleSaveNewSession(windowId, sessionName, callback)),
+
+    deleteSession: ({ sessionId }) =>
+        withCallback(callback => handleDeleteSession(sessionId, false, callback)),
+
+    requestTrash: () => withCallback(requestTrash),
+
+    restoreFromTrash: ({ sessionId }) =>
+        withCallback(callback => handleRestoreFromTrash(sessionId, callback)),
+
+    deleteFromTrash: ({ sessionId }) =>
+        withCallback(callback => trashService.removeEntry(sessionId, () => callback(true))),
+
+    requestSyncStatus: () => syncEngine.getStatus(),
+
+    resolveSyncConflict: ({ syncId, keep }) =>
+        withCallback(callback => syncEngine.resolveConflict(syncId, keep, callback)),
+
+    requestActivity: ({ days }) =>
+        withCallback(callback => {
+            activityTracker.fetchSummary(Math.min(Math.max(days, 1), 90), summary => {
+                callback({ summary });
+            });
+        }),
+
+    clearActivity: () => withCallback(activityTracker.clearRecords),
+
+    requestPreferences: () => withCallback(preferences.fetch),
+
+    updatePreferences: ({ preferences: changes }) =>
+        withCallback(callback => preferences.save(changes, callback)),
+
+    resetPreferences: () => withCallback(preferences.reset),
+
+    requestReconciliationReport: () => withCallback(requestReconciliationReport),
+
+    dismissReconciliationReport: () =>
+        withCallback(callback => {
+            spacesService.reconciliationReport = false;
+            callback(true);
+        }),
+
+    requestDuplicates: () => withCallback(requestDuplicates),
+
+    removeDuplicates: ({ copies }) =>
+        withCallback(callback => handleRemoveDuplicates(copies, callback)),
+
+    requestUrlRules: () => withCallback(urlRules.fetchRules),
+
+    updateUrlRules: ({ rules }) =>
+        withCallback(callback =>
+            urlRules.saveRules(rules, savedRules => {
+                spacesService.setUrlRules(savedRules).then(() => callback(savedRules));
+            })
+        ),
+
+    requestRoutingRules: () => withCallback(tabRouter.fetchRules),
+
+    updateRoutingRules: ({ rules }) =>
+        withCallback(callback => tabRouter.saveRules(rules, callback)),
+
+    requestBackups: () => withCallback(requestBackups),
+
+    createBackup: () => withCallback(callback => takeBackup('manual', callback)),
+
+    restoreBackup: ({ backupId }) =>
+        withCallback(callback => handleRestoreBackup(backupId, callback)),
+
+    switchToSpace: ({ sessionId, windowId }) =>
+        withCallback(callback => handleSwitchToSpace(sessionId, windowId, callback)),
+
+    loadSession: ({ sessionId, tabUrl }) => {
+        handleLoadSession(sessionId, tabUrl);
+        return true;
+    },
+
+    loadWindow: ({ windowId, tabUrl }) => {
+        handleLoadWindow(windowId, tabUrl);
+        return true;
+    },
+
+    loadTabInSession: ({ sessionId, tabUrl }) => {
+        handleLoadSession(sessionId, tabUrl);
+        return true;
+    },
+
+    loadTabInWindow: ({ windowId, tabUrl }) => {
+        handleLoadWindow(windowId, tabUrl);
+        return true;
+    },
+
+    moveTabToSession: ({ tabId, sessionId }) =>
+        withCallback(callback => handleMoveTabToSession(tabId, sessionId, callback)),
+
+    moveTabToWindow: ({ tabId, windowId }) =>
+        withCallback(callback => handleMoveTabToWindow(tabId, windowId, callback)),
+
+    moveTabToNewSession: ({ tabId, sessionName }) =>
+        withCallback(callback => handleMoveTabToNewSession(tabId, sessionName, callback)),
+
+    addLinkToSession: ({ url, sessionId }) =>
+        withCallback(callback => handleAddLinkToSession(url, sessionId, callback)),
+
+    addLinkToWindow: ({ url, windowId }) =>
+        withCallback(callback => handleAddLinkToWindow(url, windowId, callback)),
+
+    addLinkToNewSession: ({ url, sessionName }) =>
+        withCallback(callback => handleAddLinkToNewSession(url, sessionName, callback)),
+
+    importNewSession: ({ urlList }) =>
+        withCallback(callback => handleImportNewSession(urlList, callback)),
+
+    importSessions: ({ spaces }) =>
+        withCallback(callback => handleImportSessions(spaces, callback)),
+
+    restoreFromBackup: ({ spaces }) =>
+        withCallback(callback => handleRestoreFromBackup(spaces, callback)),
+
+    requestSessionSnapshots: ({ sessionId }) =>
+        withCallback(callback => snapshotService.fetchSnapshots(sessionId, callback)),
+
+    restoreSnapshot: ({ snapshotId, target }) =>
+        withCallback(callback => handleRestoreSnapshot(snapshotId, target, callback)),
+
+    confirmSessionMatch: ({ windowId, sessionId }) =>
+        withCallback(callback => handleConfirmSessionMatch(windowId, sessionId, callback)),
+
+    dismissSessionMatch: ({ windowId, sessionId }) =>
+        spacesService.dismissSessionMatch(windowId, sessionId),
+
+    updateSessionLoadStrategy: ({ sessionId, loadStrategy }) =>
+        withCallback(callback =>
+            spacesService.updateSessionLoadStrategy(sessionId, loadStrategy, callback)
+        ),
+
+    requestJournal: () => addJournalSettings(operationJournal.getState()),
+
+    undo: () => operationJournal.undo(applyJournalOps).then(addJournalSettings),
+
+    redo: () => operationJournal.redo(applyJournalOps).then(addJournalSettings),
+};
+
+const rpcServer = rpc.createServer(rpcHandlers);
+
 // Utility functions
+function refreshDisplays() {
+    chrome.system.display.getInfo(displays => {
+        spacesService.displays = displays || [];
+    });
+}
+
 function checkInternalSpacesWindows(windowId, windowClosed) {
     if (windowId === spacesOpenWindowId) {
         if (windowClosed) spacesOpenWindowId = false;
@@ -551,24 +821,51 @@ function checkInternalSpacesWindows(windowId, windowClosed) {
     return false;
 }
 
-function updateSpacesWindow(source) {
-    console.log('🔄 Updating spaces window from source:', source);
-    
-    // Send a message to the Manage Spaces window to refresh its data
-    if (spacesOpenWindowId) {
-        chrome.tabs.query({ windowId: spacesOpenWindowId }, tabs => {
-            if (tabs.length > 0) {
-                // Send refresh message to the Manage Spaces window
-                chrome.tabs.sendMessage(tabs[0].id, { action: 'refreshSpacesData' }, response => {
-                    if (chrome.runtime.lastError) {
-                        console.log('Manage Spaces window not ready for refresh:', chrome.runtime.lastError.message);
-                    } else {
-                        console.log('✅ Manage Spaces window refreshed successfully');
-                    }
-                });
-            }
+// The preferences the services read from their own properties, and the ones that
+// take more than that to change
+function applyPreferences(values, changedNames = []) {
+    spacesService.debug = values.debugLogging;
+    dbService.debug = values.debugLogging;
+    spacesService.historyLimit = values.historyLimit;
+    spacesService.windowEventDelayMs = values.windowEventDelayMs;
+
+    if (changedNames.indexOf('trashRetentionDays') >= 0) {
+        trashService.purgeExpired();
+    }
+    if (changedNames.some(name => name.indexOf('autoBackup') === 0)) {
+        dbService.fetchBackups(backups => {
+            backupService.rotate(backups, values.autoBackupKeepCount);
         });
+        scheduleBackups();
+    }
+}
+
+// Push session changes to every subscribed extension page (see spacesEvents.js)
+function broadcastSessionChange(type, session, changes) {
+    const event = {
+        type,
+        sessionId: session.id || false,
+        windowId: session.windowId || false,
+        changes: type === 'created' ? { space: sessionToSpace(session) } : changes,
+    };
+
+    changeSubscribers.forEach((types, port) => {
+        if (!types.includes(type)) return;
+        try {
+            port.postMessage(event);
+        } catch (error) {
+            console.log('Dropping disconnected change subscriber:', error.message);
+            changeSubscribers.delete(port);
+        }
+    });
+}
+
+// Add a session that was created straight in the db to the cache, and announce it
+function addCreatedSession(session) {
+    if (!spacesService.getSessionBySessionId(session.id)) {
+        spacesService.sessions.push(session);
     }
+    spacesService.notifyChange('created', session);
 }
 
 function requestHotkeys(callback) {
@@ -641,6 +938,9 @@ async function requestSpaceDetail(windowId, sessionId) {
                 name: session.name,
                 tabs: session.tabs,
                 history: session.history,
+                loadStrategy: session.loadStrategy || false,
+                matchConfidence: session.matchConfidence,
+                matchSuggestion: spacesService.getMatchSuggestion(session),
             };
         } else {
             // Otherwise build a space object out of the actual window
@@ -681,6 +981,7 @@ async function requestSpaceDetail(windowId, sessionId) {
                 name: session.name,
                 tabs: session.tabs,
                 history: session.history,
+                loadStrategy: session.loadStrategy || false,
             };
         }
     }
@@ -746,8 +1047,8 @@ function showSpacesMoveWindow(tabUrl) {
             {
                 type: 'popup',
                 url: popupUrl,
-                height: 400,
-                width: 500,
+                height: preferences.values.popupWindowHeight,
+                width: preferences.values.popupWindowWidth,
                 top: 100,
                 left: 100,
             },
@@ -768,8 +1069,8 @@ function showSpacesSwitchWindow() {
             {
                 type: 'popup',
                 url: popupUrl,
-                height: 400,
-                width: 500,
+                height: preferences.values.popupWindowHeight,
+                width: preferences.values.popupWindowWidth,
                 top: 100,
                 left: 100,
             },
@@ -785,9 +1086,7 @@ function showSpacesSwitchWindow() {
 function requestAllSpaces(callback) {
     const sessions = spacesService.getAllSessions();
     const allSpaces = sessions
-        .map(session => {
-            return { sessionId: session.id, ...session };
-        })
+        .map(sessionToSpace)
         .filter(session => {
             return session && session.tabs && session.tabs.length > 0;
         });
@@ -809,81 +1108,265 @@ function requestAllSpaces(callback) {
                 lastAccess: Date.now() // Put open windows at the top
             }));
         
-        // Combine saved sessions and open unnamed windows
-        const combinedSpaces = [...openUnnamedWindows, ...allSpaces];
-        
-        // Sort results by last access
-        combinedSpaces.sort((a, b) => {
-            if (a.windowId && !b.windowId) return -1;
-            if (!a.windowId && b.windowId) return 1;
-            return (b.lastAccess || 0) - (a.lastAccess || 0);
-        });
-        
-        callback(combinedSpaces);
+        // Combine saved sessions and open unnamed windows, sorted by last access
+        callback(spacesEvents.sortSpaces([...openUnnamedWindows, ...allSpaces]));
     });
 }
 
+// The shape of a space in the spaces list
+function sessionToSpace(session) {
+    return {
+        sessionId: session.id,
+        ...session,
+        matchSuggestion: spacesService.getMatchSuggestion(session),
+    };
+}
+
 function requestTabDetail(tabId, callback) {
     // Convert tabId to integer
     const numericTabId = parseInt(tabId, 10);
     chrome.tabs.get(numericTabId, callback);
 }
 
-function handleUpdateSessionName(sessionId, sessionName, callback) {
-    const session = spacesService.getSessionBySessionId(sessionId);
-    if (session) {
-        session.name = sessionName;
-        dbService.updateSession(session, callback);
-    } else {
-        callback(false);
-    }
+// Undo / redo
+
+// the journal state, along with how long pages should offer to undo for
+function addJournalSettings(state) {
+    return { ...state, undoWindowSeconds: preferences.values.undoWindowSeconds };
 }
 
-function handleSaveNewSession(windowId, sessionName, callback) {
-    console.log('handleSaveNewSession called with:', { windowId, sessionName });
-    
-    chrome.windows.get(windowId, { populate: true }, window => {
-        if (chrome.runtime.lastError) {
-            console.error('Error getting window:', chrome.runtime.lastError);
-            callback(false);
-            return;
-        }
-        
-        console.log('Window data retrieved:', window);
-        
-        const session = {
-            name: sessionName,
-            tabs: window.tabs,
-            sessionHash: spacesService.generateSessionHash(window.tabs),
-            lastAccess: Date.now(),
-            windowId: window.id
-        };
-        
-        console.log('Creating session:', session);
-        
-        dbService.createSession(session, (result) => {
-            console.log('dbService.createSession callback result:', result);
-            
-            // Refresh the sessions in spacesService after creating a new session
-            if (result) {
-                dbService.fetchAllSessions(sessions => {
-                    spacesService.sessions = sessions;
-                    console.log('Refreshed spacesService sessions:', sessions);
-                    
-                    // Update the Manage Spaces window if it's open
-                    updateSpacesWindow('saveNewSession');
-                    
-                    callback(result);
-                });
-            } else {
-                callback(result);
-            }
-        });
-    });
+function getSpaceLabel(session) {
+    return session && session.name ? `"${session.name}"` : 'an unnamed space';
 }
 
-function handleSwitchToSpace(sessionId, windowId, callback) {
-    console.log('=== handleSwitchToSpace called ===');
+// Carry out the operations of a journal entry (see operationJournal.js), one at a time
+function applyJournalOps(ops) {
+    return ops.reduce(
+        (chain, op) => chain.then(() => applyJournalOp(op)),
+        Promise.resolve()
+    );
+}
+
+function applyJournalOp(op) {
+    return new Promise((resolve, reject) => {
+        const session = op.sessionId && spacesService.getSessionBySessionId(op.sessionId);
+        const findTab = (windowId, url, callback) => {
+            chrome.tabs.query({ windowId }, tabs => {
+                callback(chrome.runtime.lastError ? false : tabs.find(tab => tab.url === url));
+            });
+        };
+
+        switch (op.type) {
+            // put a deleted session back, under its old id and with its version history
+            // (if the entry kept it)
+            case 'restoreSession': {
+                const restoredSession = { ...op.session, windowId: false };
+                dbService.updateSession(restoredSession, result => {
+                    if (!result) {
+                        reject(new Error(`Could not restore ${getSpaceLabel(restoredSession)}`));
+                        return;
+                    }
+                    (op.snapshots || []).forEach(snapshot => {
+                        dbService.saveSnapshot(snapshot);
+                    });
+                    addCreatedSession(restoredSession);
+                    resolve();
+                });
+                break;
+            }
+
+            case 'removeSession':
+                snapshotService.removeSnapshots(op.sessionId);
+                spacesService.deleteSession(op.sessionId, resolve);
+                break;
+
+            case 'trashSession':
+                handleDeleteSession(op.sessionId, false, resolve, false);
+                break;
+
+            case 'restoreFromTrash':
+                handleRestoreFromTrash(op.sessionId, result => {
+                    if (result) {
+                        resolve();
+                    } else {
+                        reject(new Error('The space is no longer in the trash'));
+                    }
+                });
+                break;
+
+            case 'renameSession':
+                if (!session) {
+                    reject(new Error('The space no longer exists'));
+                    return;
+                }
+                handleUpdateSessionName(op.sessionId, op.name, resolve, false);
+                break;
+
+            // open spaces get their window's tabs replaced
+            case 'setSessionTabs':
+                if (!session) {
+                    reject(new Error('The space no longer exists'));
+                } else if (session.windowId) {
+                    replaceWindowTabs(session.windowId, op.tabs, resolve);
+                } else {
+                    spacesService.updateSessionTabs(session.id, op.tabs, resolve);
+                }
+                break;
+
+            case 'openTab':
+                createOwnTab(
+                    { windowId: op.windowId, url: op.url, index: op.index, pinned: op.pinned },
+                    () => {
+                        if (chrome.runtime.lastError) {
+                            reject(new Error('The window the tab came from is closed'));
+                        } else {
+                            resolve();
+                        }
+                    }
+                );
+                break;
+
+            case 'closeTab':
+                findTab(op.windowId, op.url, tab => {
+                    if (tab) {
+                        chrome.tabs.remove(tab.id, resolve);
+                    } else {
+                        resolve();
+                    }
+                });
+                break;
+
+            case 'moveTab':
+                findTab(op.fromWindowId, op.url, tab => {
+                    if (!tab) {
+                        reject(new Error('The tab is no longer open'));
+                        return;
+                    }
+                    chrome.tabs.move(tab.id, { windowId: op.toWindowId, index: op.index }, () => {
+                        if (chrome.runtime.lastError) {
+                            reject(new Error('The window the tab came from is closed'));
+                            return;
+                        }
+                        spacesService.queueWindowEvent(op.fromWindowId);
+                        spacesService.queueWindowEvent(op.toWindowId);
+                        resolve();
+                    });
+                });
+                break;
+
+            default:
+                reject(new Error(`Unknown journal operation: ${op.type}`));
+        }
+    });
+}
+
+function handleUpdateSessionName(sessionId, sessionName, callback, journal = true) {
+    const session = spacesService.getSessionBySessionId(sessionId);
+    if (session) {
+        const oldName = session.name;
+        session.name = sessionName;
+        spacesService.notifyChange('renamed', session, { name: sessionName });
+        dbService.updateSession(session, callback);
+
+        if (journal && oldName !== sessionName) {
+            operationJournal.record(
+                `Renamed ${getSpaceLabel({ name: oldName })} to "${sessionName}"`,
+                [{ type: 'renameSession', sessionId, name: oldName }],
+                [{ type: 'renameSession', sessionId, name: sessionName }]
+            );
+        }
+    } else {
+        callback(false);
+    }
+}
+
+function handleSaveNewSession(windowId, sessionName, callback) {
+    console.log('handleSaveNewSession called with:', { windowId, sessionName });
+    
+    chrome.windows.get(windowId, { populate: true }, window => {
+        if (chrome.runtime.lastError) {
+            console.error('Error getting window:', chrome.runtime.lastError);
+            callback(false);
+            return;
+        }
+        
+        console.log('Window data retrieved:', window);
+        
+        const tabs = tabLoader.unwrapTabs(window.tabs);
+
+        spacesService.fetchTabGroups(window.id, groups => {
+            const session = {
+                name: sessionName,
+                tabs,
+                groups,
+                sessionHash: spacesService.generateSessionHash(tabs),
+                lastAccess: Date.now(),
+                windowId: window.id
+            };
+        
+            console.log('Creating session:', session);
+        
+            dbService.createSession(session, (result) => {
+                console.log('dbService.createSession callback result:', result);
+            
+                // Refresh the sessions in spacesService after creating a new session
+                if (result) {
+                    snapshotService.recordSnapshot(result);
+
+                    dbService.fetchAllSessions(sessions => {
+                        spacesService.sessions = sessions;
+                        console.log('Refreshed spacesService sessions:', sessions);
+                    
+                        const savedSession =
+                            spacesService.getSessionBySessionId(result.id) || result;
+                        spacesService.updateWindowLink(savedSession, tabs);
+                        spacesService.notifyChange('created', savedSession);
+                    
+                        callback(result);
+                    });
+                } else {
+                    callback(result);
+                }
+            });
+        });
+    });
+}
+
+// Link an open window to the saved session the user confirmed it belongs to
+function handleConfirmSessionMatch(windowId, sessionId, callback) {
+    const session = spacesService.getSessionBySessionId(sessionId);
+    if (!session || session.windowId) {
+        callback(false);
+        return;
+    }
+
+    chrome.windows.get(windowId, { populate: true }, window => {
+        if (chrome.runtime.lastError) {
+            console.error('Error getting window:', chrome.runtime.lastError);
+            callback(false);
+            return;
+        }
+
+        const suggestion = spacesService.getMatchSuggestion(
+            spacesService.getSessionByWindowId(window.id)
+        );
+        spacesService.matchSessionToWindow(session, window);
+        session.matchConfidence =
+            suggestion && suggestion.sessionId === session.id
+                ? suggestion.confidence
+                : 1;
+
+        // the window's tabs are now the source of truth for this space
+        spacesService.updateSessionTabs(
+            session.id,
+            tabLoader.unwrapTabs(window.tabs),
+            callback
+        );
+    });
+}
+
+function handleSwitchToSpace(sessionId, windowId, callback) {
+    console.log('=== handleSwitchToSpace called ===');
     console.log('Parameters:', { sessionId, windowId, sessionIdType: typeof sessionId, windowIdType: typeof windowId });
     
     // Check if sessionId is a valid session ID (not empty or 'false')
@@ -917,22 +1400,40 @@ function handleSwitchToSpace(sessionId, windowId, callback) {
     callback(true);
 }
 
-function handleMoveTabToSession(tabId, sessionId, callback) {
+function handleOmniboxInput(text) {
+    const target = omniboxService.resolveInput(text, spacesService.getAllSessions());
+
+    if (!target) {
+        console.log('No space or tab matches omnibox input:', text);
+    } else if (!target.tabUrl) {
+        handleSwitchToSpace(target.sessionId, target.windowId, () => {});
+    } else if (target.sessionId) {
+        handleLoadSession(target.sessionId, target.tabUrl);
+    } else {
+        handleLoadWindow(target.windowId, target.tabUrl);
+    }
+}
+
+// url is the one a routed tab was routed by: a tab that was only just created has no
+// url until its first page commits
+function handleMoveTabToSession(tabId, sessionId, callback, url = false) {
     console.log('=== handleMoveTabToSession called ===');
-    console.log('Parameters:', { tabId, sessionId });
+    console.log('Parameters:', { tabId, sessionId, url });
     
     // Convert tabId to integer
     const numericTabId = parseInt(tabId, 10);
     console.log('Converted tabId to number:', numericTabId);
     
     // Get tab details first
-    chrome.tabs.get(numericTabId, tab => {
+    chrome.tabs.get(numericTabId, fetchedTab => {
         if (chrome.runtime.lastError) {
             console.error('Error getting tab details:', chrome.runtime.lastError);
             callback(false);
             return;
         }
         
+        const tabUrl = url || fetchedTab.url || fetchedTab.pendingUrl;
+        const tab = { ...fetchedTab, url: tabUrl, title: fetchedTab.title || tabUrl };
         console.log('Tab details:', tab);
         
         const session = spacesService.getSessionBySessionId(sessionId);
@@ -947,7 +1448,12 @@ function handleMoveTabToSession(tabId, sessionId, callback) {
         // If session is currently open, move tab directly to that window
         if (session.windowId) {
             console.log('Moving tab to open session window:', session.windowId);
-            moveTabToWindow(tab, session.windowId, callback);
+            moveTabToWindow(tab, session.windowId, result => {
+                if (result) {
+                    journalTabMove(tab, session.windowId, `Moved tab to ${getSpaceLabel(session)}`);
+                }
+                callback(result);
+            });
             return;
         }
         
@@ -964,18 +1470,160 @@ function handleMoveTabToSession(tabId, sessionId, callback) {
             
             console.log('Tab removed from current window');
             
-            // Add tab to saved session in database
-            const newTabs = [tab];
+            // Add tab to saved session in database (outside of any of its tab groups)
+            const newTabs = [{ ...tab, groupId: -1 }];
+            const oldTabs = session.tabs;
             session.tabs = session.tabs.concat(newTabs);
             
             spacesService.updateSessionTabs(session.id, session.tabs, (result) => {
                 console.log('Session updated in database:', result);
+                operationJournal.record(
+                    `Moved tab to ${getSpaceLabel(session)}`,
+                    [
+                        { type: 'setSessionTabs', sessionId: session.id, tabs: oldTabs },
+                        getReopenTabOp(tab),
+                    ],
+                    [
+                        { type: 'setSessionTabs', sessionId: session.id, tabs: session.tabs },
+                        { type: 'closeTab', windowId: tab.windowId, url: tab.url },
+                    ]
+                );
                 callback(result);
             });
         });
     });
 }
 
+// The windows that couldn't simply be linked back to their spaces when the worker last
+// started (see spacesService.reconcileWindows): [{ sessionId, name, reason, linked }],
+// where reason is 'conflict' (two windows looked like the space) or 'stale' (the
+// window's tabs had changed too much), and linked is whether the space is open now
+function requestReconciliationReport(callback) {
+    const report = spacesService.reconciliationReport;
+    if (!report) {
+        callback([]);
+        return;
+    }
+
+    const problems = [];
+    ['conflicts', 'stale'].forEach(key => {
+        report[key].forEach(({ sessionId }) => {
+            const session = spacesService.getSessionBySessionId(sessionId);
+            if (!session || problems.some(problem => problem.sessionId === sessionId)) {
+                return;
+            }
+            problems.push({
+                sessionId,
+                name: session.name,
+                reason: key === 'conflicts' ? 'conflict' : 'stale',
+                linked: !!session.windowId,
+            });
+        });
+    });
+    callback(problems);
+}
+
+// Duplicate tabs across all spaces (see duplicateFinder.js)
+
+function requestDuplicates(callback) {
+    requestAllSpaces(spaces => {
+        callback(duplicateFinder.findDuplicates(spaces, spacesService.urlRules));
+    });
+}
+
+// Copies in open windows are closed, and those in saved spaces are removed from them,
+// as one entry in the journal. A space is never left without tabs (it couldn't be
+// opened again), so those copies are left where they are. Calls back with the number
+// of tabs removed
+function handleRemoveDuplicates(copies, callback) {
+    const undoOps = [];
+    const redoOps = [];
+    let removedCount = 0;
+
+    const removeFromSpace = space =>
+        new Promise(resolve => {
+            const session = space.sessionId && spacesService.getSessionBySessionId(space.sessionId);
+
+            if (session && !session.windowId) {
+                const newTabs = duplicateFinder.removeCopies(session.tabs, space.copies);
+                if (newTabs.length === session.tabs.length || newTabs.length === 0) {
+                    resolve();
+                    return;
+                }
+                removedCount += session.tabs.length - newTabs.length;
+                undoOps.push({ type: 'setSessionTabs', sessionId: session.id, tabs: session.tabs });
+                redoOps.push({ type: 'setSessionTabs', sessionId: session.id, tabs: newTabs });
+                spacesService.updateSessionTabs(session.id, newTabs, () => resolve());
+                return;
+            }
+
+            const windowId = session ? session.windowId : space.windowId;
+            chrome.tabs.query({ windowId }, tabs => {
+                const openTabs = chrome.runtime.lastError ? [] : tabs;
+                const isCopy = tab =>
+                    space.copies.some(copy => copy.tabId === tab.id && copy.url === tab.url);
+                const tabsToClose = openTabs.filter(isCopy).sort((a, b) => a.index - b.index);
+
+                if (tabsToClose.length === 0 || tabsToClose.length === openTabs.length) {
+                    resolve();
+                    return;
+                }
+                removedCount += tabsToClose.length;
+                tabsToClose.forEach(tab => {
+                    undoOps.push(getReopenTabOp(tab));
+                    redoOps.push({ type: 'closeTab', windowId: tab.windowId, url: tab.url });
+                });
+                chrome.tabs.remove(tabsToClose.map(tab => tab.id), () => resolve());
+            });
+        });
+
+    Promise.all(duplicateFinder.groupBySpace(copies).map(removeFromSpace)).then(() => {
+        if (removedCount > 0) {
+            operationJournal.record(
+                `Removed ${removedCount} duplicate tab${removedCount === 1 ? '' : 's'}`,
+                undoOps,
+                redoOps
+            );
+        }
+        callback(removedCount);
+    });
+}
+
+function getReopenTabOp(tab) {
+    return {
+        type: 'openTab',
+        windowId: tab.windowId,
+        url: tab.url,
+        index: tab.index,
+        pinned: !!tab.pinned,
+    };
+}
+
+function journalTabMove(tab, windowId, label) {
+    const toWindowId = parseInt(windowId, 10);
+    operationJournal.record(
+        label,
+        [
+            {
+                type: 'moveTab',
+                url: tab.url,
+                fromWindowId: toWindowId,
+                toWindowId: tab.windowId,
+                index: tab.index,
+            },
+        ],
+        [
+            {
+                type: 'moveTab',
+                url: tab.url,
+                fromWindowId: tab.windowId,
+                toWindowId,
+                index: -1,
+            },
+        ]
+    );
+}
+
 function moveTabToWindow(tab, windowId, callback) {
     console.log('=== moveTabToWindow called ===');
     console.log('Moving tab:', tab.id, 'to window:', windowId);
@@ -1015,7 +1663,10 @@ function handleMoveTabToWindow(tabId, windowId, callback) {
         }
         
         console.log('Tab details:', tab);
-        moveTabToWindow(tab, windowId, callback);
+        moveTabToWindow(tab, windowId, result => {
+            if (result) journalTabMove(tab, windowId, 'Moved tab to another window');
+            callback(result);
+        });
     });
 }
 
@@ -1042,16 +1693,22 @@ function handleAddLinkToSession(url, sessionId, callback) {
     // If session is not open, add link to saved session in database
     console.log('Adding link to saved session in database');
     const newTabs = [{ url }];
+    const oldTabs = session.tabs;
     session.tabs = session.tabs.concat(newTabs);
     
     spacesService.updateSessionTabs(session.id, session.tabs, (result) => {
         console.log('Session updated in database:', result);
+        operationJournal.record(
+            `Added link to ${getSpaceLabel(session)}`,
+            [{ type: 'setSessionTabs', sessionId: session.id, tabs: oldTabs }],
+            [{ type: 'setSessionTabs', sessionId: session.id, tabs: session.tabs }]
+        );
         callback(result);
     });
 }
 
 function handleAddLinkToWindow(url, windowId, callback) {
-    chrome.tabs.create({ url, windowId: parseInt(windowId, 10) }, callback);
+    createOwnTab({ url, windowId: parseInt(windowId, 10) }, callback);
 }
 
 function createShortcutsWindow() {
@@ -1064,20 +1721,6 @@ function closePopupWindow() {
     console.log('Closing popup window');
 }
 
-// Additional utility functions from background.js
-function _cleanParameter(param) {
-    if (typeof param === 'number') {
-        return param;
-    }
-    if (param === 'false') {
-        return false;
-    }
-    if (param === 'true') {
-        return true;
-    }
-    return parseInt(param, 10);
-}
-
 function handleLoadSession(sessionId, tabUrl) {
     const session = spacesService.getSessionBySessionId(sessionId);
     
@@ -1090,52 +1733,113 @@ function handleLoadSession(sessionId, tabUrl) {
     if (session.windowId) {
         handleLoadWindow(session.windowId, tabUrl);
     } else {
-        // Load space in new window
-        const urls = session.tabs.map(curTab => {
-            return curTab.url;
-        });
-        
-        chrome.windows.create(
-            {
-                url: urls,
-                height: 800,
-                width: 1000,
-                top: 50,
-                left: 50,
-            },
-            newWindow => {
-                // Force match this new window to the session
-                spacesService.matchSessionToWindow(session, newWindow);
-
-                // After window has loaded try to pin any previously pinned tabs
-                session.tabs.forEach(curSessionTab => {
-                    if (curSessionTab.pinned) {
-                        let pinnedTabId = false;
-                        newWindow.tabs.some(curNewTab => {
-                            if (
-                                curNewTab.url === curSessionTab.url ||
-                                curNewTab.pendingUrl === curSessionTab.url
-                            ) {
-                                pinnedTabId = curNewTab.id;
-                                return true;
-                            }
-                            return false;
-                        });
-                        if (pinnedTabId) {
-                            chrome.tabs.update(pinnedTabId, {
-                                pinned: true,
-                            });
+        openSessionInNewWindow(session, tabUrl);
+    }
+}
+
+function openSessionInNewWindow(session, tabUrl) {
+    const { loadStrategy, maxConcurrentLoads } = preferences.values;
+
+    // the tab being switched to loads first, so it doesn't open as a placeholder
+    const tabUrlIndex = tabUrl
+        ? session.tabs.findIndex(curTab => curTab.url === tabUrl)
+        : -1;
+    const loadPlan = tabLoader.planTabLoading(
+        session.tabs,
+        tabLoader.getLoadStrategy(session, loadStrategy),
+        maxConcurrentLoads,
+        Math.max(tabUrlIndex, 0)
+    );
+    const urls = tabLoader.getWindowUrls(session.tabs, loadPlan);
+
+    const windowBounds = session.windowBounds;
+    const createBounds = windowBounds
+        ? spacesService.fitBoundsToDisplays(windowBounds, spacesService.displays)
+        : { height: 800, width: 1000, top: 50, left: 50 };
+
+    chrome.windows.create(
+        {
+            url: urls,
+            ...createBounds,
+        },
+        newWindow => {
+            // Force match this new window to the session
+            spacesService.matchSessionToWindow(session, newWindow);
+
+            // A window can't be created maximized at a position, so create it on the
+            // right display first and then restore its state
+            if (windowBounds && windowBounds.state !== 'normal') {
+                chrome.windows.update(newWindow.id, { state: windowBounds.state });
+            }
+
+            // After window has loaded try to pin any previously pinned tabs
+            session.tabs.forEach(curSessionTab => {
+                if (curSessionTab.pinned) {
+                    let pinnedTabId = false;
+                    newWindow.tabs.some(curNewTab => {
+                        if (
+                            curNewTab.url === curSessionTab.url ||
+                            curNewTab.pendingUrl === curSessionTab.url
+                        ) {
+                            pinnedTabId = curNewTab.id;
+                            return true;
                         }
+                        return false;
+                    });
+                    if (pinnedTabId) {
+                        chrome.tabs.update(pinnedTabId, {
+                            pinned: true,
+                        });
                     }
-                });
-
-                // If tabUrl is defined, then focus this tab
-                if (tabUrl) {
-                    focusOrLoadTabInWindow(newWindow, tabUrl);
                 }
+            });
+
+            // Recreate the space's tab groups around the new tabs
+            restoreTabGroups(newWindow, session.tabs, session.groups);
+
+            // Hold back the tabs that shouldn't load yet
+            tabLoader.startLoading(
+                newWindow,
+                session.tabs,
+                loadPlan,
+                maxConcurrentLoads
+            );
+
+            // If tabUrl is defined, then focus this tab
+            if (tabUrl) {
+                focusOrLoadTabInWindow(newWindow, tabUrl);
             }
-        );
+        }
+    );
+}
+
+// Tabs in a new window are created in session order, so group them by position
+function restoreTabGroups(newWindow, sessionTabs, groups) {
+    if (!chrome.tabGroups || !groups || groups.length === 0) {
+        return;
     }
+
+    groups.forEach(group => {
+        const tabIds = [];
+        sessionTabs.forEach((curSessionTab, index) => {
+            if (curSessionTab.groupId === group.id && newWindow.tabs[index]) {
+                tabIds.push(newWindow.tabs[index].id);
+            }
+        });
+        if (tabIds.length === 0) return;
+
+        chrome.tabs.group({ tabIds, createProperties: { windowId: newWindow.id } }, groupId => {
+            if (chrome.runtime.lastError) {
+                console.error('Error recreating tab group:', chrome.runtime.lastError);
+                return;
+            }
+            chrome.tabGroups.update(groupId, {
+                title: group.title,
+                color: group.color,
+                collapsed: group.collapsed,
+            });
+        });
+    });
 }
 
 function handleLoadWindow(windowId, tabUrl) {
@@ -1149,7 +1853,15 @@ function handleLoadWindow(windowId, tabUrl) {
 
 function focusOrLoadTabInWindow(window, tabUrl) {
     if (tabUrl) {
-        chrome.tabs.create({ url: tabUrl, windowId: window.id });
+        // select the tab if the window already has it open
+        const existingTab = (window.tabs || []).find(curTab => {
+            return curTab.url === tabUrl || curTab.pendingUrl === tabUrl;
+        });
+        if (existingTab) {
+            chrome.tabs.update(existingTab.id, { active: true });
+        } else {
+            createOwnTab({ url: tabUrl, windowId: window.id });
+        }
     }
     chrome.windows.update(window.id, { focused: true });
 }
@@ -1163,7 +1875,12 @@ function handleImportNewSession(urlList, callback) {
         windowId: false
     };
     
-    dbService.createSession(session, callback);
+    dbService.createSession(session, result => {
+        if (result) {
+            addCreatedSession(result);
+        }
+        callback(result);
+    });
 }
 
 function handleRestoreFromBackup(spaces, callback) {
@@ -1171,48 +1888,104 @@ function handleRestoreFromBackup(spaces, callback) {
     
     // Clear existing sessions and restore from backup
     dbService.fetchAllSessions(sessions => {
-        console.log('🗑️ Clearing', sessions.length, 'existing sessions');
-        sessions.forEach(session => {
-            dbService.removeSession(session.id);
-        });
+        // kept for the journal, so that undoing the restore brings them back whole
+        fetchSnapshotsOf(sessions.map(session => session.id), replacedSnapshots => {
+            const replacedSessions = sessions;
+            console.log('🗑️ Clearing', sessions.length, 'existing sessions');
+            sessions.forEach(session => {
+                dbService.removeSession(session.id);
+                snapshotService.removeSnapshots(session.id);
+                spacesService.notifyChange('deleted', session);
+            });
         
-        // Add restored sessions with proper formatting
-        let restoredCount = 0;
-        spaces.forEach((space, index) => {
-            // Ensure imported space has all required fields
-            const formattedSpace = {
-                name: space.name || `Imported Session ${index + 1}`,
-                tabs: space.tabs || [],
-                sessionHash: space.sessionHash || spacesService.generateSessionHash(space.tabs || []),
-                lastAccess: space.lastAccess || Date.now(),
-                windowId: false, // Imported sessions should not be associated with any window
-                history: space.history || [] // Optional history field
-            };
+            // Add restored sessions with proper formatting
+            let restoredCount = 0;
+            const restoredIds = [];
+            spaces.forEach((space, index) => {
+                // Ensure imported space has all required fields
+                const formattedSpace = {
+                    name: space.name || `Imported Session ${index + 1}`,
+                    tabs: space.tabs || [],
+                    groups: space.groups || [],
+                    sessionHash: space.sessionHash || spacesService.generateSessionHash(space.tabs || []),
+                    lastAccess: space.lastAccess || Date.now(),
+                    windowId: false, // Imported sessions should not be associated with any window
+                    history: space.history || [] // Optional history field
+                };
             
-            console.log('📦 Creating imported session:', formattedSpace.name, 'with', formattedSpace.tabs.length, 'tabs');
+                console.log('📦 Creating imported session:', formattedSpace.name, 'with', formattedSpace.tabs.length, 'tabs');
             
-            dbService.createSession(formattedSpace, (result) => {
-                restoredCount++;
-                console.log('✅ Restored session', restoredCount, 'of', spaces.length, ':', result ? 'success' : 'failed');
+                dbService.createSession(formattedSpace, (result) => {
+                    restoredCount++;
+                    if (result) restoredIds.push(result.id);
+                    console.log('✅ Restored session', restoredCount, 'of', spaces.length, ':', result ? 'success' : 'failed');
                 
-                // When all sessions are processed, refresh spacesService and callback
-                if (restoredCount === spaces.length) {
-                    console.log('🔄 Refreshing spacesService after restore...');
-                    dbService.fetchAllSessions(sessions => {
-                        spacesService.sessions = sessions;
-                        console.log('✅ Backup restore complete. Total sessions:', sessions.length);
+                    // When all sessions are processed, refresh spacesService and callback
+                    if (restoredCount === spaces.length) {
+                        console.log('🔄 Refreshing spacesService after restore...');
+                        dbService.fetchAllSessions(sessions => {
+                            spacesService.sessions = sessions;
+                            console.log('✅ Backup restore complete. Total sessions:', sessions.length);
                         
-                        // Update the Manage Spaces window if it's open
-                        updateSpacesWindow('restoreFromBackup');
+                            announceCreatedSessions(restoredIds);
+                            journalBackupRestore(replacedSessions, replacedSnapshots, restoredIds);
                         
-                        callback(true);
-                    });
-                }
+                            callback(true);
+                        });
+                    }
+                });
             });
         });
     });
 }
 
+function announceCreatedSessions(sessionIds) {
+    sessionIds.forEach(sessionId => {
+        const session = spacesService.getSessionBySessionId(sessionId);
+        if (session) spacesService.notifyChange('created', session);
+    });
+}
+
+// the version history of each session ({ sessionId: [snapshot] })
+function fetchSnapshotsOf(sessionIds, callback) {
+    const snapshotsBySession = {};
+    let remaining = sessionIds.length;
+    if (remaining === 0) {
+        callback(snapshotsBySession);
+        return;
+    }
+
+    sessionIds.forEach(sessionId => {
+        dbService.fetchSnapshots(sessionId, snapshots => {
+            snapshotsBySession[sessionId] = snapshots;
+            remaining -= 1;
+            if (remaining === 0) callback(snapshotsBySession);
+        });
+    });
+}
+
+function journalBackupRestore(replacedSessions, replacedSnapshots, restoredIds) {
+    const restoredSessions = restoredIds
+        .map(sessionId => spacesService.getSessionBySessionId(sessionId))
+        .filter(session => session);
+
+    operationJournal.record(
+        'Restored spaces from backup',
+        [
+            ...restoredIds.map(sessionId => ({ type: 'removeSession', sessionId })),
+            ...replacedSessions.map(session => ({
+                type: 'restoreSession',
+                session,
+                snapshots: replacedSnapshots[session.id] || [],
+            })),
+        ],
+        [
+            ...replacedSessions.map(session => ({ type: 'removeSession', sessionId: session.id })),
+            ...restoredSessions.map(session => ({ type: 'restoreSession', session: { ...session } })),
+        ]
+    );
+}
+
 function handleImportSessions(spaces, callback) {
     console.log('📥 Starting session import with', spaces.length, 'spaces');
     
@@ -1223,6 +1996,7 @@ function handleImportSessions(spaces, callback) {
         // Add new sessions without deleting existing ones
         let importedCount = 0;
         let skippedCount = 0;
+        const importedIds = [];
         
         spaces.forEach((space, index) => {
             // Check if session with same name already exists
@@ -1237,6 +2011,7 @@ function handleImportSessions(spaces, callback) {
             const formattedSpace = {
                 name: space.name || `Imported Session ${index + 1}`,
                 tabs: space.tabs || [],
+                groups: space.groups || [],
                 sessionHash: space.sessionHash || spacesService.generateSessionHash(space.tabs || []),
                 lastAccess: space.lastAccess || Date.now(),
                 windowId: false, // Imported sessions should not be associated with any window
@@ -1247,6 +2022,7 @@ function handleImportSessions(spaces, callback) {
             
             dbService.createSession(formattedSpace, (result) => {
                 importedCount++;
+                if (result) importedIds.push(result.id);
                 console.log('✅ Imported session', importedCount, 'of', spaces.length, ':', result ? 'success' : 'failed');
                 
                 // When all sessions are processed, refresh spacesService and callback
@@ -1256,49 +2032,46 @@ function handleImportSessions(spaces, callback) {
                         spacesService.sessions = sessions;
                         console.log('✅ Session import complete. Total sessions:', sessions.length, 'Imported:', importedCount, 'Skipped:', skippedCount);
                         
-                        // Update the Manage Spaces window if it's open
-                        updateSpacesWindow('importSessions');
+                        announceCreatedSessions(importedIds);
                         
                         callback({ success: true, imported: importedCount, skipped: skippedCount, total: sessions.length });
                     });
                 }
             });
         });
+        
+        // nothing was created, so no createSession callback will finish the import
+        if (skippedCount === spaces.length) {
+            callback({ success: true, imported: 0, skipped: skippedCount, total: existingSessions.length });
+        }
     });
 }
 
-function handleDeleteSession(sessionId, force, callback) {
+// Deleted sessions go to the trash, from where they can be restored
+function handleDeleteSession(sessionId, force, callback, journal = true) {
     const session = spacesService.getSessionBySessionId(sessionId);
     if (session) {
-        dbService.removeSession(sessionId, (result) => {
+        trashService.trashSession(session, (result) => {
             if (result) {
-                // Refresh the sessions in spacesService after deleting
-                dbService.fetchAllSessions(sessions => {
-                    // Clear any previously saved windowIds
-                    sessions.forEach(session => {
-                        session.windowId = false;
-                    });
-                    
-                    // Re-evaluate which windows are actually open
-                    chrome.windows.getAll({ populate: true }, windows => {
-                        // Update sessions array
-                        spacesService.sessions = sessions;
-                        
-                        // Match current open windows with saved sessions
-                        windows.forEach(curWindow => {
-                            if (!spacesService.filterInternalWindows(curWindow)) {
-                                spacesService.checkForSessionMatch(curWindow);
-                            }
-                        });
-                        
-                        console.log('Refreshed and re-evaluated spacesService sessions after delete:', spacesService.sessions);
-                        
-                        // Update the Manage Spaces window if it's open
-                        updateSpacesWindow('deleteSession');
-                        
-                        callback(result);
-                    });
-                });
+                if (journal) {
+                    operationJournal.record(
+                        `Deleted ${getSpaceLabel(session)}`,
+                        [{ type: 'restoreFromTrash', sessionId: session.id }],
+                        [{ type: 'trashSession', sessionId: session.id }]
+                    );
+                }
+
+                // the session is already gone from the database, so only the cached
+                // copy and the link to its window are left
+                const { windowId } = session;
+                spacesService.sessions = spacesService.sessions.filter(
+                    curSession => curSession.id !== session.id
+                );
+                spacesService.removeWindowLink(windowId);
+                spacesService.notifyChange('deleted', session);
+
+                // its window may match another space, or else becomes unnamed
+                spacesService.rematchWindow(windowId, () => callback(result));
             } else {
                 callback(result);
             }
@@ -1308,6 +2081,178 @@ function handleDeleteSession(sessionId, force, callback) {
     }
 }
 
+// a session that arrived from the bookmarks folder or from another device
+function createSyncedSession(session, callback) {
+    dbService.createSession(session, result => {
+        if (result) {
+            addCreatedSession(result);
+        }
+        callback(result);
+    });
+}
+
+function handleRestoreFromTrash(sessionId, callback) {
+    trashService.restoreSession(sessionId, session => {
+        if (session) {
+            addCreatedSession(session);
+        }
+        callback(session);
+    });
+}
+
+function requestTrash(callback) {
+    dbService.fetchTrash(entries => {
+        callback({ entries: entries.map(trashService.summariseEntry) });
+    });
+}
+
+// Purge the trash now and then. The alarm is only created once, so that restarts
+// of the service worker don't keep pushing the next purge back
+function scheduleTrashPurge() {
+    trashService.purgeExpired();
+    chrome.alarms.get(trashService.ALARM_NAME, alarm => {
+        if (!alarm) {
+            chrome.alarms.create(trashService.ALARM_NAME, {
+                periodInMinutes: trashService.purgeIntervalMinutes,
+            });
+        }
+    });
+}
+
+// A backup holds the same spaces as the "Backup all spaces" file
+function takeBackup(trigger, callback) {
+    requestAllSpaces(spaces => {
+        backupService.createBackup(spaces.map(exporters.getLeanSpace), trigger, callback);
+    });
+}
+
+function requestBackups(callback) {
+    dbService.fetchBackups(backups => {
+        callback({
+            backups: backups.map(backupService.summariseBackup),
+        });
+    });
+}
+
+function handleRestoreBackup(backupId, callback) {
+    dbService.fetchBackup(backupId, backup => {
+        if (!backup) {
+            callback(false);
+            return;
+        }
+        handleRestoreFromBackup(backup.spaces, callback);
+    });
+}
+
+// Like the trash purge, the alarm is left alone unless the interval has changed, so
+// that restarts of the service worker don't keep pushing the next backup back
+function scheduleBackups() {
+    const { autoBackupEnabled, autoBackupIntervalHours } = preferences.values;
+
+    chrome.alarms.get(backupService.ALARM_NAME, alarm => {
+        const periodInMinutes = autoBackupIntervalHours * 60;
+
+        if (!autoBackupEnabled) {
+            if (alarm) chrome.alarms.clear(backupService.ALARM_NAME);
+        } else if (!alarm || alarm.periodInMinutes !== periodInMinutes) {
+            chrome.alarms.create(backupService.ALARM_NAME, {
+                delayInMinutes: periodInMinutes,
+                periodInMinutes,
+            });
+        }
+    });
+}
+
+// Restore an earlier version of a session, either into a new window or over the session itself
+function handleRestoreSnapshot(snapshotId, target, callback) {
+    dbService.fetchSnapshotById(snapshotId, snapshot => {
+        const session =
+            snapshot && spacesService.getSessionBySessionId(snapshot.sessionId);
+
+        if (!snapshot || snapshot.tabs.length === 0) {
+            callback(false);
+            return;
+        }
+
+        if (target === 'window' || !session) {
+            openTabsInNewWindow(snapshot.tabs, () => callback(true));
+            return;
+        }
+
+        operationJournal.record(
+            `Restored an earlier version of ${getSpaceLabel(session)}`,
+            [{ type: 'setSessionTabs', sessionId: session.id, tabs: session.tabs }],
+            [{ type: 'setSessionTabs', sessionId: session.id, tabs: snapshot.tabs }]
+        );
+        if (session.windowId) {
+            replaceWindowTabs(session.windowId, snapshot.tabs, () => callback(true));
+        } else {
+            spacesService.updateSessionTabs(session.id, snapshot.tabs, callback);
+        }
+    });
+}
+
+function openTabsInNewWindow(tabs, callback) {
+    const { loadStrategy, maxConcurrentLoads } = preferences.values;
+    const loadPlan = tabLoader.planTabLoading(tabs, loadStrategy, maxConcurrentLoads);
+
+    chrome.windows.create(
+        {
+            url: tabLoader.getWindowUrls(tabs, loadPlan),
+            height: 800,
+            width: 1000,
+            top: 50,
+            left: 50,
+        },
+        newWindow => {
+            // tabs are created in the order given, so pin them by position
+            tabs.forEach((curTab, index) => {
+                if (curTab.pinned && newWindow.tabs[index]) {
+                    chrome.tabs.update(newWindow.tabs[index].id, { pinned: true });
+                }
+            });
+            tabLoader.startLoading(newWindow, tabs, loadPlan, maxConcurrentLoads);
+            callback(newWindow);
+        }
+    );
+}
+
+// open a tab for the extension's own purposes (eg. undoing a move), which the tab
+// routing rules leave where it is
+function createOwnTab(createProperties, callback) {
+    tabRouter.expectTab(createProperties.windowId, createProperties.url);
+    chrome.tabs.create(createProperties, callback);
+}
+
+// swap every tab in an open window for the given tabs. the new tabs are created
+// before the old ones are closed so that the window (and its session link) survives
+function replaceWindowTabs(windowId, tabs, callback) {
+    chrome.tabs.query({ windowId }, oldTabs => {
+        const oldTabIds = oldTabs.map(curTab => curTab.id);
+        let createdCount = 0;
+
+        tabs.forEach((curTab, index) => {
+            createOwnTab(
+                {
+                    windowId,
+                    url: curTab.url,
+                    pinned: curTab.pinned,
+                    active: index === 0,
+                },
+                () => {
+                    createdCount += 1;
+                    if (createdCount === tabs.length) {
+                        chrome.tabs.remove(oldTabIds, () => {
+                            spacesService.queueWindowEvent(windowId);
+                            callback(true);
+                        });
+                    }
+                }
+            );
+        });
+    });
+}
+
 function handleAddLinkToNewSession(url, sessionName, callback) {
     const session = {
         name: sessionName,
@@ -1319,8 +2264,7 @@ function handleAddLinkToNewSession(url, sessionName, callback) {
     
     dbService.createSession(session, (result) => {
         if (result) {
-            // Update the Manage Spaces window if it's open
-            updateSpacesWindow('addLinkToNewSession');
+            addCreatedSession(result);
         }
         callback(result);
     });
@@ -1346,8 +2290,15 @@ function handleMoveTabToNewSession(tabId, sessionName, callback) {
         dbService.createSession(session, result => {
             if (result) {
                 chrome.tabs.remove(numericTabId);
-                // Update the Manage Spaces window if it's open
-                updateSpacesWindow('moveTabToNewSession');
+                addCreatedSession(result);
+                operationJournal.record(
+                    `Moved tab to new space "${sessionName}"`,
+                    [{ type: 'removeSession', sessionId: result.id }, getReopenTabOp(tab)],
+                    [
+                        { type: 'restoreSession', session: { ...result } },
+                        { type: 'closeTab', windowId: tab.windowId, url: tab.url },
+                    ]
+                );
             }
             callback(result);
         });
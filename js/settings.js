@@ -0,0 +1,498 @@
+/* global chrome */
+
+import { spacesApi } from './service-worker-client.js';
+import { tabRouter } from './tabRouter.js';
+import { preferences } from './preferences.js';
+import { urlRules } from './urlRules.js';
+
+(() => {
+    const MATCH_TYPE_LABELS = {
+        glob: 'Url matches (* for anything)',
+        regex: 'Url matches regular expression',
+        domain: 'Domain is',
+        opener: 'Opened from space',
+    };
+    const nodes = {};
+    let globalRules = [];
+    let globalSpaces = []; // saved spaces: [{ sessionId, name }]
+    let globalUrlRules = urlRules.normaliseRules();
+
+    // RENDERING
+
+    // one input per preference in the schema
+    function renderPreferences(values) {
+        nodes.preferenceList.innerHTML = '';
+
+        Object.keys(preferences.schema).forEach(name => {
+            const definition = preferences.schema[name];
+            const labelEl = document.createElement('label');
+            const inputEl = document.createElement(definition.type === 'choice' ? 'select' : 'input');
+            inputEl.id = `preference-${name}`;
+
+            if (definition.type === 'boolean') {
+                inputEl.type = 'checkbox';
+                inputEl.checked = values[name];
+                labelEl.appendChild(inputEl);
+                labelEl.appendChild(document.createTextNode(` ${definition.label}`));
+                nodes.preferenceList.appendChild(labelEl);
+            } else {
+                if (definition.type === 'choice') {
+                    Object.keys(definition.options).forEach(value => {
+                        const optionEl = document.createElement('option');
+                        optionEl.value = value;
+                        optionEl.textContent = definition.options[value];
+                        inputEl.appendChild(optionEl);
+                    });
+                } else if (definition.type === 'string') {
+                    inputEl.type = 'text';
+                    inputEl.maxLength = definition.maxLength;
+                } else {
+                    inputEl.type = 'number';
+                    inputEl.min = definition.min;
+                    inputEl.max = definition.max;
+                    inputEl.step = 1;
+                }
+                inputEl.value = values[name];
+                labelEl.setAttribute('for', inputEl.id);
+                labelEl.textContent = definition.label;
+                nodes.preferenceList.appendChild(labelEl);
+                nodes.preferenceList.appendChild(inputEl);
+            }
+
+            inputEl.addEventListener('change', () => {
+                if (definition.type !== 'boolean') {
+                    handlePreferenceChange(name, inputEl.value);
+                } else if (definition.permission && inputEl.checked) {
+                    handlePermissionPreferenceChange(name, definition.permission);
+                } else {
+                    handlePreferenceChange(name, inputEl.checked);
+                }
+            });
+        });
+    }
+
+    function renderRules() {
+        nodes.routingRules.innerHTML = '';
+
+        if (globalRules.length === 0) {
+            const emptyEl = document.createElement('li');
+            emptyEl.textContent = 'No rules yet';
+            nodes.routingRules.appendChild(emptyEl);
+        }
+
+        globalRules.forEach((rule, index) => {
+            nodes.routingRules.appendChild(renderRuleEl(rule, index));
+        });
+        renderTestResult();
+    }
+
+    function renderUrlRules() {
+        nodes.lowercaseHostInput.checked = globalUrlRules.lowercaseHost;
+        nodes.ignoreTrailingSlashInput.checked = globalUrlRules.ignoreTrailingSlash;
+        nodes.keepFragmentInput.checked = globalUrlRules.keepFragment;
+
+        nodes.queryRules.innerHTML = '';
+        globalUrlRules.queryRules.forEach((rule, index) => {
+            nodes.queryRules.appendChild(
+                renderUrlRuleEl('queryRules', index, [
+                    { field: 'domain', value: rule.domain, placeholder: 'example.com' },
+                    { field: 'keep', value: rule.keep.join(', '), placeholder: 'keep, these' },
+                    { field: 'strip', value: rule.strip.join(', '), placeholder: 'but not utm_*' },
+                ])
+            );
+        });
+
+        nodes.suspenders.innerHTML = '';
+        globalUrlRules.suspenders.forEach((suspender, index) => {
+            nodes.suspenders.appendChild(
+                renderUrlRuleEl('suspenders', index, [
+                    { field: 'name', value: suspender.name, placeholder: 'Name' },
+                    { field: 'page', value: suspender.page, placeholder: 'suspended.html' },
+                    { field: 'param', value: suspender.param, placeholder: 'uri' },
+                ])
+            );
+        });
+        renderUrlTestResult();
+    }
+
+    // a row of text inputs for an entry of one of the url rule lists
+    function renderUrlRuleEl(listName, index, inputs) {
+        const listEl = document.createElement('li');
+        const removeEl = document.createElement('span');
+
+        inputs.forEach(({ field, value, placeholder }) => {
+            const inputEl = document.createElement('input');
+            inputEl.type = 'text';
+            inputEl.value = value;
+            inputEl.placeholder = placeholder;
+            inputEl.addEventListener('change', () => {
+                const isList = field === 'keep' || field === 'strip';
+                handleUrlRuleChange(listName, index, {
+                    [field]: isList ? inputEl.value.split(',') : inputEl.value,
+                });
+            });
+            listEl.appendChild(inputEl);
+        });
+
+        removeEl.className = 'icon fa fa-times';
+        removeEl.setAttribute('title', 'Remove');
+        removeEl.addEventListener('click', () => {
+            handleRemoveUrlRule(listName, index);
+        });
+        listEl.appendChild(removeEl);
+        return listEl;
+    }
+
+    function renderUrlTestResult() {
+        const url = nodes.urlTestInput.value.trim();
+        nodes.urlTestResult.textContent = url
+            ? `Compared as: ${urlRules.normaliseUrl(url, globalUrlRules)}`
+            : '';
+    }
+
+    function renderSpaceSelect(selectedSessionId, emptyLabel) {
+        const selectEl = document.createElement('select');
+        const options = [{ value: '', label: emptyLabel }].concat(
+            globalSpaces.map(space => ({ value: space.sessionId, label: space.name }))
+        );
+
+        // rules can point at spaces that have since been deleted
+        if (selectedSessionId && !globalSpaces.some(space => space.sessionId === selectedSessionId)) {
+            options.push({ value: selectedSessionId, label: '(deleted space)' });
+        }
+
+        options.forEach(({ value, label }) => {
+            const optionEl = document.createElement('option');
+            optionEl.value = value;
+            optionEl.textContent = label;
+            selectEl.appendChild(optionEl);
+        });
+        selectEl.value = selectedSessionId || '';
+        return selectEl;
+    }
+
+    function renderRuleEl(rule, index) {
+        const listEl = document.createElement('li');
+        const enabledEl = document.createElement('input');
+        const matchTypeEl = document.createElement('select');
+        const patternEl = document.createElement('input');
+        const openerEl = renderSpaceSelect(rule.openerSessionId, 'Choose a space');
+        const arrowEl = document.createElement('span');
+        const targetEl = renderSpaceSelect(rule.targetSessionId, 'Choose a space');
+        const upEl = document.createElement('span');
+        const downEl = document.createElement('span');
+        const removeEl = document.createElement('span');
+        const errorEl = document.createElement('span');
+        const error = tabRouter.validateRule(rule);
+
+        enabledEl.type = 'checkbox';
+        enabledEl.checked = rule.enabled;
+        enabledEl.setAttribute('title', 'Use this rule');
+        enabledEl.addEventListener('change', () => {
+            handleRuleChange(index, { enabled: enabledEl.checked });
+        });
+
+        tabRouter.MATCH_TYPES.forEach(matchType => {
+            const optionEl = document.createElement('option');
+            optionEl.value = matchType;
+            optionEl.textContent = MATCH_TYPE_LABELS[matchType];
+            matchTypeEl.appendChild(optionEl);
+        });
+        matchTypeEl.value = rule.matchType;
+        matchTypeEl.addEventListener('change', () => {
+            handleRuleChange(index, { matchType: matchTypeEl.value });
+        });
+
+        patternEl.type = 'text';
+        patternEl.value = rule.pattern;
+        patternEl.placeholder = rule.matchType === 'domain' ? 'example.com' : '*://example.com/*';
+        patternEl.style.display = rule.matchType === 'opener' ? 'none' : 'inline';
+        patternEl.addEventListener('change', () => {
+            handleRuleChange(index, { pattern: patternEl.value });
+        });
+
+        openerEl.style.display = rule.matchType === 'opener' ? 'inline' : 'none';
+        openerEl.addEventListener('change', () => {
+            handleRuleChange(index, { openerSessionId: parseInt(openerEl.value, 10) || false });
+        });
+
+        arrowEl.textContent = 'move to ';
+        targetEl.addEventListener('change', () => {
+            handleRuleChange(index, { targetSessionId: parseInt(targetEl.value, 10) || false });
+        });
+
+        upEl.className = 'icon fa fa-arrow-up';
+        upEl.setAttribute('title', 'Try this rule earlier');
+        upEl.addEventListener('click', () => {
+            handleMoveRule(index, -1);
+        });
+
+        downEl.className = 'icon fa fa-arrow-down';
+        downEl.setAttribute('title', 'Try this rule later');
+        downEl.addEventListener('click', () => {
+            handleMoveRule(index, 1);
+        });
+
+        removeEl.className = 'icon fa fa-times';
+        removeEl.setAttribute('title', 'Remove this rule');
+        removeEl.addEventListener('click', () => {
+            handleRemoveRule(index);
+        });
+
+        errorEl.className = 'ruleError';
+        errorEl.textContent = error || '';
+
+        [
+            enabledEl,
+            matchTypeEl,
+            patternEl,
+            openerEl,
+            arrowEl,
+            targetEl,
+            upEl,
+            downEl,
+            removeEl,
+            errorEl,
+        ].forEach(el => listEl.appendChild(el));
+        return listEl;
+    }
+
+    function renderTestOpenerSelect() {
+        const selectEl = renderSpaceSelect(false, 'Not opened from a space');
+        nodes.testOpenerSelect.innerHTML = selectEl.innerHTML;
+    }
+
+    // which space a new tab would be moved to with the current rules
+    function renderTestResult() {
+        const url = nodes.testUrlInput.value.trim();
+
+        if (!url) {
+            nodes.testResult.textContent = '';
+            return;
+        }
+
+        const rule = tabRouter.findRule(globalRules, {
+            url,
+            openerSessionId: parseInt(nodes.testOpenerSelect.value, 10) || false,
+        });
+        if (!rule) {
+            nodes.testResult.textContent = 'No rule matches, so the tab stays where it opens';
+            return;
+        }
+
+        const target = globalSpaces.find(space => space.sessionId === rule.targetSessionId);
+        nodes.testResult.textContent = `Rule ${globalRules.indexOf(rule) + 1} matches: the tab moves to ${
+            target ? target.name : 'a deleted space'
+        }`;
+    }
+
+    // ACTION HANDLERS
+
+    // shows the value as it was saved, which may have been brought within its limits
+    function handlePreferenceChange(name, value) {
+        spacesApi
+            .updatePreferences({ preferences: { [name]: value } })
+            .then(renderPreferences, handleApiError);
+    }
+
+    // it is only switched on if the permission it needs is granted
+    function handlePermissionPreferenceChange(name, permission) {
+        chrome.permissions.request({ permissions: [permission] }, granted => {
+            handlePreferenceChange(name, !!granted);
+        });
+    }
+
+    function handleResetPreferences() {
+        spacesApi.resetPreferences().then(renderPreferences, handleApiError);
+    }
+
+    function handleUrlRuleChange(listName, index, changes) {
+        const list = globalUrlRules[listName].slice();
+        const entry = { ...list[index], ...changes };
+        list[index] = entry;
+        globalUrlRules = { ...globalUrlRules, [listName]: list };
+
+        const isComplete =
+            listName === 'queryRules' ? !!entry.domain.trim() : !!(entry.page.trim() && entry.param.trim());
+        if (isComplete) {
+            saveUrlRules(globalUrlRules);
+        }
+    }
+
+    function handleRemoveUrlRule(listName, index) {
+        const list = globalUrlRules[listName].filter((entry, entryIndex) => entryIndex !== index);
+        saveUrlRules({ ...globalUrlRules, [listName]: list });
+    }
+
+    // entries without a domain (or page and parameter) can't be saved, so new ones are
+    // only kept on the page until they are filled in
+    function handleAddUrlRule(listName) {
+        const entry =
+            listName === 'queryRules'
+                ? { domain: '', keep: [], strip: [] }
+                : { name: '', page: '', param: '', toEnd: false };
+        globalUrlRules = { ...globalUrlRules, [listName]: globalUrlRules[listName].concat(entry) };
+        renderUrlRules();
+    }
+
+    function handleUrlFlagsChange() {
+        saveUrlRules({
+            ...globalUrlRules,
+            lowercaseHost: nodes.lowercaseHostInput.checked,
+            ignoreTrailingSlash: nodes.ignoreTrailingSlashInput.checked,
+            keepFragment: nodes.keepFragmentInput.checked,
+        });
+    }
+
+    function handleRuleChange(index, changes) {
+        globalRules[index] = { ...globalRules[index], ...changes };
+        saveRules();
+    }
+
+    function handleMoveRule(index, offset) {
+        const newIndex = index + offset;
+        if (newIndex < 0 || newIndex >= globalRules.length) return;
+
+        const [rule] = globalRules.splice(index, 1);
+        globalRules.splice(newIndex, 0, rule);
+        saveRules();
+    }
+
+    function handleRemoveRule(index) {
+        globalRules.splice(index, 1);
+        saveRules();
+    }
+
+    function handleAddRule() {
+        globalRules.push({
+            id: `rule-${Date.now()}`,
+            enabled: true,
+            matchType: 'domain',
+            pattern: '',
+            openerSessionId: false,
+            targetSessionId: false,
+        });
+        renderRules();
+    }
+
+    // SERVICES
+
+    function handleApiError(error) {
+        console.error('Spaces request failed:', error.message);
+    }
+
+    // rules are saved as they are edited, including incomplete ones (which never match)
+    function saveRules() {
+        spacesApi.updateRoutingRules({ rules: globalRules }).then(rules => {
+            globalRules = rules;
+            renderRules();
+        }, handleApiError);
+    }
+
+    // saving the url rules hashes every saved space again
+    function saveUrlRules(rules) {
+        spacesApi.updateUrlRules({ rules }).then(savedRules => {
+            globalUrlRules = savedRules;
+            renderUrlRules();
+        }, handleApiError);
+    }
+
+    function fetchUrlRules(callback) {
+        spacesApi.requestUrlRules().then(callback, handleApiError);
+    }
+
+    function fetchSpaces(callback) {
+        spacesApi.requestAllSpaces().then(spaces => {
+            callback(
+                spaces
+                    .filter(space => space.sessionId)
+                    .map(space => ({ sessionId: space.sessionId, name: space.name || 'Unnamed space' }))
+                    .sort((a, b) => a.name.localeCompare(b.name))
+            );
+        }, handleApiError);
+    }
+
+    function fetchRules(callback) {
+        spacesApi.requestRoutingRules().then(callback, handleApiError);
+    }
+
+    // EVENT LISTENERS FOR STATIC DOM ELEMENTS
+
+    function addEventListeners() {
+        nodes.resetPreferencesBtn.addEventListener('click', e => {
+            e.preventDefault();
+            handleResetPreferences();
+        });
+        nodes.addRuleBtn.addEventListener('click', e => {
+            e.preventDefault();
+            handleAddRule();
+        });
+        [nodes.lowercaseHostInput, nodes.ignoreTrailingSlashInput, nodes.keepFragmentInput].forEach(
+            inputEl => inputEl.addEventListener('change', handleUrlFlagsChange)
+        );
+        nodes.addQueryRuleBtn.addEventListener('click', e => {
+            e.preventDefault();
+            handleAddUrlRule('queryRules');
+        });
+        nodes.addSuspenderBtn.addEventListener('click', e => {
+            e.preventDefault();
+            handleAddUrlRule('suspenders');
+        });
+        nodes.resetUrlRulesBtn.addEventListener('click', e => {
+            e.preventDefault();
+            saveUrlRules(urlRules.defaultRules);
+        });
+        nodes.urlTestInput.addEventListener('input', () => {
+            renderUrlTestResult();
+        });
+        nodes.testUrlInput.addEventListener('input', () => {
+            renderTestResult();
+        });
+        nodes.testOpenerSelect.addEventListener('change', () => {
+            renderTestResult();
+        });
+    }
+
+    window.onload = () => {
+        nodes.preferenceList = document.getElementById('preferenceList');
+        nodes.resetPreferencesBtn = document.getElementById('resetPreferencesBtn');
+        nodes.lowercaseHostInput = document.getElementById('lowercaseHostInput');
+        nodes.ignoreTrailingSlashInput = document.getElementById('ignoreTrailingSlashInput');
+        nodes.keepFragmentInput = document.getElementById('keepFragmentInput');
+        nodes.queryRules = document.getElementById('queryRules');
+        nodes.addQueryRuleBtn = document.getElementById('addQueryRuleBtn');
+        nodes.suspenders = document.getElementById('suspenders');
+        nodes.addSuspenderBtn = document.getElementById('addSuspenderBtn');
+        nodes.urlTestInput = document.getElementById('urlTestInput');
+        nodes.urlTestResult = document.getElementById('urlTestResult');
+        nodes.resetUrlRulesBtn = document.getElementById('resetUrlRulesBtn');
+        nodes.routingRules = document.getElementById('routingRules');
+        nodes.addRuleBtn = document.getElementById('addRuleBtn');
+        nodes.testUrlInput = document.getElementById('testUrlInput');
+        nodes.testOpenerSelect = document.getElementById('testOpenerSelect');
+        nodes.testResult = document.getElementById('testResult');
+        nodes.home = document.getElementById('spacesHome');
+
+        nodes.home.setAttribute('href', chrome.runtime.getURL('spaces.html'));
+
+        addEventListeners();
+
+        // changes made elsewhere (such as restoring a backup) show up straight away
+        preferences.addChangeListener(renderPreferences);
+        preferences.initialise().then(renderPreferences);
+
+        fetchUrlRules(rules => {
+            globalUrlRules = rules;
+            renderUrlRules();
+        });
+
+        fetchSpaces(spaces => {
+            globalSpaces = spaces;
+            renderTestOpenerSelect();
+            fetchRules(rules => {
+                globalRules = rules;
+                renderRules();
+            });
+        });
+    };
+})();
@@ -0,0 +1,170 @@
+// Import dependencies as ES modules for MV3
+import { dbService } from './dbService.js';
+
+// Keeps a rolling history of tab-list versions for every saved session, so that
+// a bad save (eg. accidentally closing a bunch of tabs) can be rolled back
+export const snapshotService = {
+    maxSnapshots: 50,
+
+    // versions saved within this time of each other are merged, unless the newer
+    // one removes tabs (removals are what we want to be able to undo)
+    coalesceMs: 30000,
+
+    // per-session promise chains, so that snapshots for a session are written in order
+    snapshotQueues: {},
+
+    noop: () => {},
+
+    getLeanTabs: tabs => {
+        return (tabs || []).map(curTab => {
+            return {
+                url: curTab.url,
+                title: curTab.title,
+                favIconUrl: curTab.favIconUrl,
+                pinned: !!curTab.pinned,
+            };
+        });
+    },
+
+    // count how many tabs (by url) were added and removed between two tab lists
+    diffTabLists: (prevTabs, nextTabs) => {
+        const prevCounts = {};
+        let added = 0;
+
+        prevTabs.forEach(curTab => {
+            prevCounts[curTab.url] = (prevCounts[curTab.url] || 0) + 1;
+        });
+        nextTabs.forEach(curTab => {
+            if (prevCounts[curTab.url]) {
+                prevCounts[curTab.url] -= 1;
+            } else {
+                added += 1;
+            }
+        });
+
+        const removed = Object.keys(prevCounts).reduce((total, url) => {
+            return total + prevCounts[url];
+        }, 0);
+
+        return { added, removed };
+    },
+
+    _isSameTabList: (tabsA, tabsB) => {
+        return (
+            tabsA.length === tabsB.length &&
+            tabsA.every((curTab, index) => {
+                return (
+                    curTab.url === tabsB[index].url &&
+                    curTab.pinned === tabsB[index].pinned
+                );
+            })
+        );
+    },
+
+    // work out what to do with a new version of a session, given its existing
+    // snapshots (oldest first). returns false if it is a duplicate of the latest
+    buildNextSnapshot: (snapshots, session, timestamp) => {
+        const tabs = snapshotService.getLeanTabs(session.tabs);
+        const latest = snapshots[snapshots.length - 1];
+
+        if (latest && snapshotService._isSameTabList(latest.tabs, tabs)) {
+            return false;
+        }
+
+        if (
+            latest &&
+            timestamp - latest.timestamp < snapshotService.coalesceMs &&
+            snapshotService.diffTabLists(latest.tabs, tabs).removed === 0
+        ) {
+            const previous = snapshots[snapshots.length - 2];
+            return {
+                ...latest,
+                ...snapshotService.diffTabLists(
+                    previous ? previous.tabs : [],
+                    tabs
+                ),
+                timestamp,
+                tabs,
+            };
+        }
+
+        return {
+            sessionId: session.id,
+            ...snapshotService.diffTabLists(latest ? latest.tabs : [], tabs),
+            timestamp,
+            tabs,
+        };
+    },
+
+    recordSnapshot: (session, callback) => {
+        // eslint-disable-next-line no-param-reassign
+        callback =
+            typeof callback !== 'function' ? snapshotService.noop : callback;
+
+        if (!session || !session.id) {
+            callback(false);
+            return;
+        }
+
+        snapshotService._enqueue(session.id, done => {
+            dbService.fetchSnapshots(session.id, snapshots => {
+                const snapshot = snapshotService.buildNextSnapshot(
+                    snapshots,
+                    session,
+                    Date.now()
+                );
+
+                if (!snapshot) {
+                    done(false);
+                    return;
+                }
+
+                dbService.saveSnapshot(snapshot, savedSnapshot => {
+                    // drop the oldest versions once over the limit
+                    const total = snapshot.id
+                        ? snapshots.length
+                        : snapshots.length + 1;
+                    snapshots
+                        .slice(0, Math.max(0, total - snapshotService.maxSnapshots))
+                        .forEach(oldSnapshot => {
+                            dbService.removeSnapshot(oldSnapshot.id);
+                        });
+                    done(savedSnapshot);
+                });
+            });
+        }, callback);
+    },
+
+    _enqueue: (sessionId, task, callback) => {
+        const queue = snapshotService.snapshotQueues[sessionId] || Promise.resolve();
+
+        snapshotService.snapshotQueues[sessionId] = queue.then(() => {
+            return new Promise(resolve => {
+                task(result => {
+                    callback(result);
+                    resolve();
+                });
+            });
+        });
+    },
+
+    // newest first, for display
+    fetchSnapshots: (sessionId, callback) => {
+        dbService.fetchSnapshots(sessionId, snapshots => {
+            callback(snapshots.reverse());
+        });
+    },
+
+    removeSnapshots: (sessionId, callback) => {
+        // eslint-disable-next-line no-param-reassign
+        callback =
+            typeof callback !== 'function' ? snapshotService.noop : callback;
+
+        dbService.fetchSnapshots(sessionId, snapshots => {
+            snapshots.forEach(snapshot => {
+                dbService.removeSnapshot(snapshot.id);
+            });
+            callback(true);
+        });
+    },
+};
@@ -1,17 +1,44 @@
 /* global chrome */
 
+import { searchIndex } from './searchIndex.js';
+import { spacesApi } from './service-worker-client.js';
+import { spacesEvents } from './spacesEvents.js';
+import { undoToast } from './undoToast.js';
+import { importParsers } from './importParsers.js';
+import { exporters } from './exporters.js';
+import { backupCrypto } from './backupCrypto.js';
+import { activityReport } from './activityReport.js';
+import { urlRules } from './urlRules.js';
+import { duplicateFinder } from './duplicateFinder.js';
+import { preferences } from './preferences.js';
+
 (() => {
     const UNSAVED_SESSION = '<em>Unnamed window</em>';
     const nodes = {};
+    let globalSpaces = [];
     let globalSelectedSpace;
+    let globalSnapshots = [];
+    let globalSelectedSnapshot;
+    let snapshotTimelineSessionId = false;
     let bannerState;
     let currentImportType = null; // 'add' or 'replace'
+    let pendingImport = false; // what the import modal is previewing
+    let pendingEnvelope = false; // the encrypted backup the import modal needs a passphrase for
+    let globalSearchIndex = searchIndex.buildIndex([]);
+    let globalUrlRules = urlRules.normaliseRules(); // which urls are the same page
+    let globalDuplicates = []; // what the duplicates modal lists (see duplicateFinder.js)
 
     // METHODS FOR RENDERING SIDENAV (spaces list)
 
     function renderSpacesList(spaces) {
         let spaceEl;
 
+        globalSpaces = spaces;
+
+        // keep the search index in step with the spaces list
+        globalSearchIndex = searchIndex.buildIndex(spaces);
+        renderSearchResults();
+
         nodes.openSpaces.innerHTML = '';
         nodes.closedSpaces.innerHTML = '';
 
@@ -72,13 +99,402 @@
         return listEl;
     }
 
+    // the settings shown next to the features they belong to (they are preferences, so
+    // are on the options page too)
+    function renderSettings(values) {
+        nodes.loadStrategySelect.value = values.loadStrategy;
+        nodes.maxConcurrentLoadsInput.value = values.maxConcurrentLoads;
+        nodes.undoWindowInput.value = values.undoWindowSeconds;
+        nodes.trashRetentionInput.value = values.trashRetentionDays;
+        nodes.storageSyncInput.checked = values.storageSyncEnabled;
+        nodes.bookmarkSyncInput.checked = values.bookmarkSyncEnabled;
+        nodes.bookmarkFolderInput.value = values.bookmarkFolderTitle;
+        nodes.autoBackupInput.checked = values.autoBackupEnabled;
+        nodes.autoBackupIntervalInput.value = values.autoBackupIntervalHours;
+        nodes.autoBackupKeepInput.value = values.autoBackupKeepCount;
+        nodes.autoBackupDownloadInput.checked = values.autoBackupDownload;
+        nodes.autoBackupFolderInput.value = values.autoBackupFolder;
+        nodes.activityTrackingInput.checked = values.activityTrackingEnabled;
+    }
+
+    function renderTrash(trash) {
+        nodes.trashList.innerHTML = '';
+
+        if (trash.entries.length === 0) {
+            const emptyEl = document.createElement('li');
+            emptyEl.className = 'empty';
+            emptyEl.textContent = 'The trash is empty';
+            nodes.trashList.appendChild(emptyEl);
+            return;
+        }
+
+        trash.entries.forEach(entry => {
+            nodes.trashList.appendChild(renderTrashListEl(entry));
+        });
+    }
+
+    function renderTrashListEl(entry) {
+        const listEl = document.createElement('li');
+        const nameEl = document.createElement('span');
+        const detailEl = document.createElement('span');
+        const restoreEl = document.createElement('span');
+        const removeEl = document.createElement('span');
+
+        nameEl.textContent = entry.name || 'Unnamed space';
+
+        detailEl.className = 'trashDetail';
+        detailEl.textContent = `(${entry.tabCount} tab${
+            entry.tabCount === 1 ? '' : 's'
+        }, deleted ${new Date(entry.deletedAt).toLocaleDateString()})`;
+
+        restoreEl.className = 'icon fa fa-undo';
+        restoreEl.setAttribute('title', 'Restore this space');
+        restoreEl.addEventListener('click', () => {
+            handleRestoreFromTrash(entry.sessionId);
+        });
+
+        removeEl.className = 'icon fa fa-times';
+        removeEl.setAttribute('title', 'Delete this space for good');
+        removeEl.addEventListener('click', () => {
+            handleDeleteFromTrash(entry);
+        });
+
+        listEl.appendChild(nameEl);
+        listEl.appendChild(detailEl);
+        listEl.appendChild(restoreEl);
+        listEl.appendChild(removeEl);
+        return listEl;
+    }
+
+    function renderSearchResults() {
+        const query = nodes.spaceSearch.value;
+        const groups = searchIndex.search(globalSearchIndex, query);
+
+        nodes.searchResultsList.innerHTML = '';
+        nodes.searchResults.style.display = query.trim() ? 'block' : 'none';
+        nodes.spacesLists.style.display = query.trim() ? 'none' : 'block';
+
+        if (query.trim() && groups.length === 0) {
+            const emptyEl = document.createElement('li');
+            emptyEl.textContent = 'No matching tabs';
+            nodes.searchResultsList.appendChild(emptyEl);
+            return;
+        }
+
+        groups.forEach(group => {
+            nodes.searchResultsList.appendChild(renderSearchGroupEl(group));
+        });
+    }
+
+    function renderSearchGroupEl(group) {
+        const groupEl = document.createElement('li');
+        const spaceLinkEl = document.createElement('a');
+        const hitsEl = document.createElement('ul');
+        const spaceHash = group.sessionId
+            ? `#sessionId=${group.sessionId}`
+            : `#windowId=${group.windowId}`;
+
+        spaceLinkEl.setAttribute('href', spaceHash);
+        if (group.name) {
+            spaceLinkEl.textContent = group.name;
+        } else {
+            spaceLinkEl.innerHTML = UNSAVED_SESSION;
+        }
+        groupEl.appendChild(spaceLinkEl);
+
+        group.hits.forEach(hit => {
+            const hitEl = document.createElement('li');
+            const hitLinkEl = document.createElement('a');
+
+            hitLinkEl.setAttribute(
+                'href',
+                `${spaceHash}&highlight=${encodeURIComponent(hit.url)}`
+            );
+            hitLinkEl.setAttribute('title', hit.url);
+            hitLinkEl.textContent = hit.title;
+            hitEl.appendChild(hitLinkEl);
+
+            if (hit.source === 'history') {
+                const sourceEl = document.createElement('span');
+                sourceEl.className = 'searchSource';
+                sourceEl.textContent = '(closed)';
+                hitEl.appendChild(sourceEl);
+            }
+            hitsEl.appendChild(hitEl);
+        });
+        groupEl.appendChild(hitsEl);
+
+        return groupEl;
+    }
+
     // METHODS FOR RENDERING MAIN CONTENT (space detail)
 
     function renderSpaceDetail(space, editMode) {
         updateNameForm(space);
         toggleNameEditMode(editMode);
         updateButtons(space);
+        renderMatchPrompt(space);
+        renderSpaceLoadStrategy(space);
         renderTabs(space);
+        renderActivityDashboard(!space);
+
+        // only keep the version history open while the same space is shown
+        if (!space || space.sessionId !== snapshotTimelineSessionId) {
+            toggleSnapshotTimeline(false);
+        }
+    }
+
+    // the time spent in each space is shown when no space is selected
+    function renderActivityDashboard(visible) {
+        nodes.activityDashboard.style.display = visible ? 'block' : 'none';
+        if (visible) {
+            updateActivity();
+        }
+    }
+
+    function renderActivity(state) {
+        const { summary } = state;
+        const maxMs = summary.spaces.length > 0 ? summary.spaces[0].ms : 0;
+
+        nodes.activityTotal.textContent = `${activityReport.formatDuration(
+            summary.totalMs
+        )} in spaces over the last ${summary.days.length} days`;
+        nodes.activitySpaces.innerHTML = '';
+        nodes.activityDomains.innerHTML = '';
+
+        if (summary.spaces.length === 0) {
+            const emptyEl = document.createElement('li');
+            emptyEl.className = 'empty';
+            emptyEl.textContent = preferences.values.activityTrackingEnabled
+                ? 'No time spent in saved spaces yet'
+                : 'Time tracking is switched off';
+            nodes.activitySpaces.appendChild(emptyEl);
+        }
+
+        summary.spaces.forEach(space => {
+            nodes.activitySpaces.appendChild(renderActivitySpaceEl(space, maxMs, summary.days));
+        });
+
+        summary.domains.forEach(({ domain, ms }) => {
+            const listEl = document.createElement('li');
+            const timeEl = document.createElement('span');
+            timeEl.className = 'activityTime';
+            timeEl.textContent = activityReport.formatDuration(ms);
+            listEl.appendChild(timeEl);
+            listEl.appendChild(document.createTextNode(domain));
+            nodes.activityDomains.appendChild(listEl);
+        });
+    }
+
+    // a bar for the total time, and a column for each day
+    function renderActivitySpaceEl(space, maxMs, days) {
+        const listEl = document.createElement('li');
+        const nameEl = document.createElement('a');
+        const timeEl = document.createElement('span');
+        const barEl = document.createElement('div');
+        const barFillEl = document.createElement('div');
+        const daysEl = document.createElement('div');
+        const detailEl = document.createElement('div');
+        const maxDayMs = Math.max(...space.dailyMs);
+
+        nameEl.textContent = space.name || 'Unnamed space';
+        nameEl.setAttribute('href', '#');
+        nameEl.addEventListener('click', e => {
+            e.preventDefault();
+            reroute(space.sessionId, false, false);
+        });
+
+        timeEl.className = 'activityTime';
+        timeEl.textContent = activityReport.formatDuration(space.ms);
+
+        barEl.className = 'activityBar';
+        barFillEl.style.width = `${maxMs ? (space.ms / maxMs) * 100 : 0}%`;
+        barEl.appendChild(barFillEl);
+
+        daysEl.className = 'activityDays';
+        space.dailyMs.forEach((ms, index) => {
+            const dayEl = document.createElement('div');
+            dayEl.style.height = `${maxDayMs ? (ms / maxDayMs) * 100 : 0}%`;
+            dayEl.setAttribute('title', `${days[index]}: ${activityReport.formatDuration(ms)}`);
+            daysEl.appendChild(dayEl);
+        });
+
+        detailEl.className = 'activityDetail';
+        detailEl.textContent = space.domains
+            .slice(0, 3)
+            .map(({ domain }) => domain)
+            .join(', ');
+
+        listEl.appendChild(timeEl);
+        listEl.appendChild(nameEl);
+        listEl.appendChild(barEl);
+        listEl.appendChild(daysEl);
+        listEl.appendChild(detailEl);
+        return listEl;
+    }
+
+    // ask whether an unnamed window is really a saved space that it only partly matches
+    function renderMatchPrompt(space) {
+        const suggestion = space && space.matchSuggestion;
+
+        if (!suggestion) {
+            nodes.matchPrompt.style.display = 'none';
+            return;
+        }
+
+        const confidence = Math.round(suggestion.confidence * 100);
+        nodes.matchPromptText.textContent = `Is this window your '${suggestion.name}' space? (${confidence}% of tabs match)`;
+        nodes.matchPrompt.style.display = 'block';
+    }
+
+    function renderReconciliationReport(problems) {
+        nodes.reconciliationList.innerHTML = '';
+        nodes.reconciliationNotice.style.display = problems.length > 0 ? 'block' : 'none';
+
+        problems.forEach(problem => {
+            const listEl = document.createElement('li');
+            const name = `'${problem.name || 'Unnamed space'}'`;
+
+            if (problem.reason === 'conflict') {
+                listEl.textContent = problem.linked
+                    ? `Two windows looked like ${name}. It is linked to the one whose tabs match it best.`
+                    : `Two windows looked like ${name}, and neither could be linked to it.`;
+            } else {
+                listEl.textContent = problem.linked
+                    ? `The tabs of ${name} had changed, so it was linked to its window by matching them again.`
+                    : `The tabs of ${name} had changed too much to find its window. Open the space, or save the window again.`;
+            }
+            nodes.reconciliationList.appendChild(listEl);
+        });
+    }
+
+    function renderSpaceLoadStrategy(space) {
+        if (!space || !space.sessionId) {
+            nodes.spaceLoadSettings.style.display = 'none';
+            return;
+        }
+
+        nodes.spaceLoadStrategySelect.value = space.loadStrategy || '';
+        nodes.spaceLoadSettings.style.display = 'block';
+    }
+
+    function renderSyncStatus(status) {
+        nodes.syncConflicts.innerHTML = '';
+
+        if (!preferences.values.storageSyncEnabled) {
+            nodes.syncStatus.textContent = '';
+            return;
+        }
+
+        const messages = [
+            status.lastSyncedAt
+                ? `Last synced ${new Date(status.lastSyncedAt).toLocaleString()}.`
+                : 'Not synced yet.',
+        ];
+        if (status.overQuota.length > 0) {
+            messages.push(
+                `Sync storage is full, so these spaces were not synced: ${status.overQuota.join(', ')}.`
+            );
+        }
+        if (status.error) {
+            messages.push(`Sync failed: ${status.error}`);
+        }
+        nodes.syncStatus.textContent = messages.join(' ');
+
+        status.conflicts.forEach(conflict => {
+            nodes.syncConflicts.appendChild(renderSyncConflictEl(conflict));
+        });
+    }
+
+    // a space changed both here and on another device
+    function renderSyncConflictEl(conflict) {
+        const listEl = document.createElement('li');
+        const textEl = document.createElement('p');
+        const keepLocalEl = document.createElement('a');
+        const keepRemoteEl = document.createElement('a');
+        const name = conflict.name || 'Unnamed space';
+        const otherVersion = conflict.remoteDeleted
+            ? 'was deleted'
+            : `has ${conflict.remoteTabCount} tab${conflict.remoteTabCount === 1 ? '' : 's'}${
+                  conflict.remoteName !== conflict.name
+                      ? ` and is named "${conflict.remoteName || 'Unnamed space'}"`
+                      : ''
+              }`;
+
+        textEl.textContent = `"${name}" (${conflict.tabCount} tab${
+            conflict.tabCount === 1 ? '' : 's'
+        }) was changed on another device, where it ${otherVersion}.`;
+
+        keepLocalEl.setAttribute('href', '#');
+        keepLocalEl.textContent = 'Keep this version';
+        keepLocalEl.addEventListener('click', e => {
+            e.preventDefault();
+            handleResolveSyncConflict(conflict.syncId, 'local');
+        });
+
+        keepRemoteEl.setAttribute('href', '#');
+        keepRemoteEl.textContent = conflict.remoteDeleted
+            ? 'Delete it here too'
+            : 'Use the other version';
+        keepRemoteEl.addEventListener('click', e => {
+            e.preventDefault();
+            handleResolveSyncConflict(conflict.syncId, 'remote');
+        });
+
+        listEl.appendChild(textEl);
+        listEl.appendChild(keepLocalEl);
+        listEl.appendChild(keepRemoteEl);
+        return listEl;
+    }
+
+    function renderBackups(state) {
+        nodes.backupList.innerHTML = '';
+
+        if (state.backups.length === 0) {
+            const emptyEl = document.createElement('li');
+            emptyEl.className = 'empty';
+            emptyEl.textContent = 'No backups yet';
+            nodes.backupList.appendChild(emptyEl);
+            return;
+        }
+
+        state.backups.forEach(backup => {
+            nodes.backupList.appendChild(renderBackupListEl(backup));
+        });
+    }
+
+    function renderBackupListEl(backup) {
+        const listEl = document.createElement('li');
+        const dateEl = document.createElement('span');
+        const detailEl = document.createElement('span');
+        const restoreEl = document.createElement('span');
+
+        dateEl.textContent = new Date(backup.createdAt).toLocaleString();
+
+        detailEl.className = 'backupDetail';
+        detailEl.textContent = `(${backup.spaceCount} space${
+            backup.spaceCount === 1 ? '' : 's'
+        }, ${backup.tabCount} tab${backup.tabCount === 1 ? '' : 's'}${
+            backup.trigger === 'manual' ? ', taken by hand' : ''
+        })`;
+
+        if (backup.downloadError) {
+            const errorEl = document.createElement('span');
+            errorEl.className = 'backupError';
+            errorEl.textContent = `Not saved to downloads: ${backup.downloadError}`;
+            detailEl.appendChild(errorEl);
+        }
+
+        restoreEl.className = 'icon fa fa-undo';
+        restoreEl.setAttribute('title', 'Restore this backup (replaces all spaces)');
+        restoreEl.addEventListener('click', () => {
+            handleRestoreBackup(backup);
+        });
+
+        listEl.appendChild(dateEl);
+        listEl.appendChild(detailEl);
+        listEl.appendChild(restoreEl);
+        return listEl;
     }
 
     function updateNameForm(space) {
@@ -115,6 +531,7 @@
             space && !windowId ? 'inline-block' : 'none';
         nodes.actionEdit.style.display =
             sessionId || windowId ? 'inline-block' : 'none';
+        nodes.actionHistory.style.display = sessionId ? 'inline-block' : 'none';
         nodes.actionExport.style.display =
             sessionId || windowId ? 'inline-block' : 'none';
         nodes.actionDelete.style.display =
@@ -122,6 +539,12 @@
     }
 
     function renderTabs(space) {
+        const highlightParam = getVariableFromHash('highlight');
+        const highlightUrl = highlightParam
+            ? decodeURIComponent(highlightParam)
+            : false;
+        let highlightEl = false;
+
         nodes.activeTabs.innerHTML = '';
         nodes.historicalTabs.innerHTML = '';
 
@@ -131,17 +554,25 @@
             nodes.spaceDetailContainer.style.display = 'block';
 
             space.tabs.forEach(tab => {
-                nodes.activeTabs.appendChild(renderTabListEl(tab, space));
+                const tabEl = renderTabListEl(tab, space);
+                if (!highlightEl && tab.url === highlightUrl) highlightEl = tabEl;
+                nodes.activeTabs.appendChild(tabEl);
             });
             if (space.history) {
                 space.history.forEach(tab => {
-                    nodes.historicalTabs.appendChild(
-                        renderTabListEl(tab, space)
-                    );
+                    const tabEl = renderTabListEl(tab, space);
+                    if (!highlightEl && tab.url === highlightUrl) highlightEl = tabEl;
+                    nodes.historicalTabs.appendChild(tabEl);
                 });
             } else {
                 // TODO: hide historical tabs section
             }
+
+            // show the tab that a search result pointed to
+            if (highlightEl) {
+                highlightEl.className = 'highlighted';
+                highlightEl.scrollIntoView({ block: 'center' });
+            }
         }
     }
 
@@ -181,6 +612,85 @@
         return listEl;
     }
 
+    function toggleSnapshotTimeline(visible) {
+        nodes.snapshotTimeline.style.display = visible ? 'block' : 'none';
+        if (!visible) {
+            snapshotTimelineSessionId = false;
+            renderSnapshotPreview(false);
+        }
+    }
+
+    function renderSnapshotTimeline(snapshots) {
+        nodes.snapshotList.innerHTML = '';
+
+        if (snapshots.length === 0) {
+            const emptyEl = document.createElement('li');
+            emptyEl.textContent = 'No earlier versions have been saved yet.';
+            nodes.snapshotList.appendChild(emptyEl);
+            return;
+        }
+
+        snapshots.forEach(snapshot => {
+            nodes.snapshotList.appendChild(renderSnapshotListEl(snapshot));
+        });
+    }
+
+    function renderSnapshotListEl(snapshot) {
+        const listEl = document.createElement('li');
+        const linkEl = document.createElement('a');
+        const diffEl = document.createElement('span');
+        const tabCount = snapshot.tabs.length;
+
+        linkEl.textContent = `${new Date(
+            snapshot.timestamp
+        ).toLocaleString()} - ${tabCount} tab${tabCount === 1 ? '' : 's'}`;
+        linkEl.setAttribute('href', '#');
+        if (globalSelectedSnapshot && globalSelectedSnapshot.id === snapshot.id) {
+            linkEl.className = 'selected';
+        }
+        linkEl.addEventListener('click', e => {
+            e.preventDefault();
+            renderSnapshotPreview(snapshot);
+            renderSnapshotTimeline(globalSnapshots);
+        });
+
+        diffEl.className = 'snapshotDiff';
+        diffEl.textContent = `+${snapshot.added} / -${snapshot.removed}`;
+
+        listEl.appendChild(linkEl);
+        listEl.appendChild(diffEl);
+        return listEl;
+    }
+
+    function renderSnapshotPreview(snapshot) {
+        globalSelectedSnapshot = snapshot;
+        nodes.snapshotTabs.innerHTML = '';
+
+        if (!snapshot) {
+            nodes.snapshotPreview.style.display = 'none';
+            return;
+        }
+
+        nodes.snapshotPreviewTitle.textContent = `Tabs saved ${new Date(
+            snapshot.timestamp
+        ).toLocaleString()}:`;
+        snapshot.tabs.forEach(tab => {
+            const listEl = document.createElement('li');
+            const faviconEl = document.createElement('img');
+            const linkEl = document.createElement('a');
+
+            faviconEl.setAttribute('src', tab.favIconUrl || 'img/icon16.png');
+            linkEl.textContent = tab.title || tab.url;
+            linkEl.setAttribute('href', tab.url);
+            linkEl.setAttribute('target', '_blank');
+
+            listEl.appendChild(faviconEl);
+            listEl.appendChild(linkEl);
+            nodes.snapshotTabs.appendChild(listEl);
+        });
+        nodes.snapshotPreview.style.display = 'block';
+    }
+
     function initialiseBanner(spaces) {
         let savedSpacesExist = false;
 
@@ -237,6 +747,10 @@
     function toggleModal(visible) {
         nodes.modalBlocker.style.display = visible ? 'block' : 'none';
         nodes.modalContainer.style.display = visible ? 'block' : 'none';
+        pendingImport = false;
+        pendingEnvelope = false;
+        renderImportPreview(false, true);
+        renderImportPassphrase(false);
 
         if (visible) {
             nodes.modalInput.value = '';
@@ -246,6 +760,163 @@
         }
     }
 
+    // scope is 'space' for the space being viewed, or 'all'
+    function showExportModal(scope) {
+        nodes.exportScopeSelect.value = scope;
+        nodes.exportScopeSelect.querySelector('option[value="space"]').disabled =
+            !globalSelectedSpace;
+        toggleExportModal(true);
+    }
+
+    function toggleExportModal(visible) {
+        nodes.modalBlocker.style.display = visible ? 'block' : 'none';
+        nodes.exportModal.style.display = visible ? 'block' : 'none';
+    }
+
+    function toggleDuplicatesModal(visible) {
+        nodes.modalBlocker.style.display = visible ? 'block' : 'none';
+        nodes.duplicatesModal.style.display = visible ? 'block' : 'none';
+
+        if (visible) {
+            nodes.duplicatesSummary.textContent = 'Looking for duplicate tabs...';
+            nodes.duplicatesList.innerHTML = '';
+            updateDuplicates();
+        }
+    }
+
+    function isDuplicatesModalVisible() {
+        return nodes.duplicatesModal.style.display === 'block';
+    }
+
+    // one entry per page, listing the spaces it is in
+    function renderDuplicates(groups) {
+        const pageCount = groups.length;
+        const spaceExtras = duplicateFinder.getExtraCopies(groups, 'space');
+
+        globalDuplicates = groups;
+        nodes.duplicatesSummary.textContent =
+            pageCount === 0
+                ? 'No page has more than one tab.'
+                : `${pageCount} page${pageCount === 1 ? ' has' : 's have'} more than one tab. ` +
+                  'Where a page is open, the open tab is the one kept.';
+        nodes.removeSpaceDuplicatesBtn.style.display = spaceExtras.length > 0 ? 'inline-block' : 'none';
+        nodes.removeAllDuplicatesBtn.style.display = pageCount > 0 ? 'inline-block' : 'none';
+        nodes.duplicatesList.innerHTML = '';
+
+        groups.forEach(group => {
+            const groupEl = document.createElement('li');
+            const titleEl = document.createElement('span');
+            const copiesEl = document.createElement('ul');
+
+            titleEl.textContent = group.title;
+            titleEl.setAttribute('title', group.url);
+
+            group.copies.forEach(copy => {
+                const copyEl = document.createElement('li');
+                const removeEl = document.createElement('span');
+
+                const spaceName = copy.spaceName || 'Unnamed window';
+                copyEl.textContent = copy.windowId ? `${spaceName} (open)` : spaceName;
+                removeEl.className = 'icon fa fa-times';
+                removeEl.setAttribute('title', 'Remove this tab');
+                removeEl.addEventListener('click', () => {
+                    handleRemoveDuplicates([copy]);
+                });
+                copyEl.appendChild(removeEl);
+                copiesEl.appendChild(copyEl);
+            });
+
+            groupEl.appendChild(titleEl);
+            groupEl.appendChild(copiesEl);
+            nodes.duplicatesList.appendChild(groupEl);
+        });
+    }
+
+    function updateDuplicates() {
+        spacesApi.requestDuplicates().then(renderDuplicates, handleApiError);
+    }
+
+    function togglePassphraseModal(visible) {
+        nodes.modalBlocker.style.display = visible ? 'block' : 'none';
+        nodes.passphraseModal.style.display = visible ? 'block' : 'none';
+        nodes.passphraseInput.value = '';
+        nodes.passphraseConfirmInput.value = '';
+        nodes.passphraseError.textContent = '';
+
+        if (visible) {
+            nodes.passphraseInput.focus();
+        }
+    }
+
+    // ask for the passphrase of an encrypted backup in place of the text input
+    function renderImportPassphrase(envelope) {
+        nodes.importPassphrase.style.display = envelope ? 'block' : 'none';
+        nodes.importPassphraseInput.value = '';
+        nodes.importPassphraseError.textContent = '';
+
+        if (envelope) {
+            nodes.modalInput.style.display = 'none';
+            nodes.modalButton.textContent = 'Decrypt';
+            nodes.importPassphraseInput.focus();
+        }
+    }
+
+    function renderExportFormats() {
+        Object.keys(exporters.formats).forEach(formatId => {
+            const optionEl = document.createElement('option');
+            optionEl.value = formatId;
+            optionEl.textContent = exporters.formats[formatId].label;
+            nodes.exportFormatSelect.appendChild(optionEl);
+        });
+    }
+
+    // list the spaces an import would create. hidden while the input is being edited
+    function renderImportPreview(parsedImport, editing) {
+        const existingNames = globalSpaces.map(space => space.name).filter(name => name);
+        const replacing = currentImportType === 'replace' && parsedImport &&
+            parsedImport.format.id === 'spaces';
+
+        nodes.importPreview.style.display = editing ? 'none' : 'block';
+        nodes.modalInput.style.display = parsedImport ? 'none' : 'block';
+        nodes.modalButton.textContent = parsedImport
+            ? `Import ${parsedImport.spaces.length} space${parsedImport.spaces.length === 1 ? '' : 's'}`
+            : 'Import';
+        nodes.importPreviewList.innerHTML = '';
+        nodes.importPreferences.style.display =
+            parsedImport && parsedImport.preferences ? 'block' : 'none';
+        nodes.importPreferencesInput.checked = true;
+
+        if (editing) {
+            return;
+        }
+        if (!parsedImport) {
+            nodes.importPreviewSummary.textContent =
+                'Nothing to import. Paste a spaces backup, a list of urls, or an export from OneTab, Session Buddy, Toby or Tab Session Manager.';
+            return;
+        }
+
+        nodes.importPreviewSummary.textContent = replacing
+            ? `${parsedImport.format.label}: these spaces will replace all of your existing spaces`
+            : `${parsedImport.format.label}: these spaces will be created`;
+
+        parsedImport.spaces.forEach(space => {
+            const listEl = document.createElement('li');
+            const tabCount = space.tabs.length;
+            let detail = `${tabCount} tab${tabCount === 1 ? '' : 's'}`;
+
+            // importing skips names that are already taken
+            if (
+                !replacing &&
+                parsedImport.format.id !== 'urlList' &&
+                existingNames.includes(space.name)
+            ) {
+                detail += ', skipped as a space with this name already exists';
+            }
+            listEl.textContent = `${space.name} (${detail})`;
+            nodes.importPreviewList.appendChild(listEl);
+        });
+    }
+
     // ACTION HANDLERS
 
     function handleLoadSpace(sessionId, windowId) {
@@ -313,6 +984,64 @@
         }
     }
 
+    // apply a change pushed from the service worker, without refetching everything
+    function handleSpaceChange(event) {
+        if (event.type === 'resync') {
+            fetchAllSpaces(handleAutoUpdateRequest);
+            updateTrash();
+            updateSyncStatus();
+            return;
+        }
+
+        renderSpacesList(spacesEvents.applyChange(globalSpaces, event));
+
+        // closed duplicates only leave their space once the window has been saved again
+        if (isDuplicatesModalVisible()) {
+            updateDuplicates();
+        }
+
+        // deleted spaces go to the trash, and restored ones come back from it
+        if (event.type === 'deleted' || event.type === 'created') {
+            updateTrash();
+            updateSyncStatus();
+        }
+
+        if (!globalSelectedSpace) {
+            return;
+        }
+        if (event.type === 'created') {
+            // the unsaved window being viewed now has a space of its own
+            if (
+                !globalSelectedSpace.sessionId &&
+                event.windowId &&
+                globalSelectedSpace.windowId === event.windowId
+            ) {
+                reroute(event.sessionId, event.windowId, true);
+            }
+            return;
+        }
+        if (!spacesEvents.matchesSpace(globalSelectedSpace, event)) {
+            return;
+        }
+        if (event.type === 'deleted') {
+            reroute(false, false, true);
+            return;
+        }
+
+        globalSelectedSpace = { ...globalSelectedSpace, ...event.changes };
+        if (event.type === 'renamed') {
+            // don't disturb a name that is being edited
+            if (nodes.nameFormInput.style.display === 'none') {
+                updateNameForm(globalSelectedSpace);
+            }
+        } else if (event.type === 'tabsChanged') {
+            addDuplicateMetadata(globalSelectedSpace);
+            renderTabs(globalSelectedSpace);
+        } else {
+            updateButtons(globalSelectedSpace);
+        }
+    }
+
     function handleNameSave() {
         // Safety check for globalSelectedSpace
         if (!globalSelectedSpace) {
@@ -337,6 +1066,7 @@
         if (sessionId) {
             performSessionUpdate(newName, sessionId, session => {
                 if (session) reroute(session.id, false, true);
+                updateUndoToast();
             });
         } else if (windowId) {
             performNewSessionSave(newName, windowId, session => {
@@ -359,6 +1089,164 @@
         }
     }
 
+    function handleMatchConfirm() {
+        const { windowId, matchSuggestion } = globalSelectedSpace;
+
+        performConfirmSessionMatch(windowId, matchSuggestion.sessionId, session => {
+            if (session) reroute(session.id, false, true);
+        });
+    }
+
+    function handleMatchDismiss() {
+        const { windowId, matchSuggestion } = globalSelectedSpace;
+
+        performDismissSessionMatch(windowId, matchSuggestion.sessionId, () => {
+            globalSelectedSpace.matchSuggestion = false;
+            renderMatchPrompt(globalSelectedSpace);
+        });
+    }
+
+    function handleShowHistory() {
+        const { sessionId } = globalSelectedSpace;
+
+        if (snapshotTimelineSessionId === sessionId) {
+            toggleSnapshotTimeline(false);
+            return;
+        }
+
+        fetchSessionSnapshots(sessionId, snapshots => {
+            globalSnapshots = snapshots || [];
+            snapshotTimelineSessionId = sessionId;
+            renderSnapshotPreview(false);
+            renderSnapshotTimeline(globalSnapshots);
+            toggleSnapshotTimeline(true);
+        });
+    }
+
+    function handleRestoreSnapshot(target) {
+        const { sessionId } = globalSelectedSpace;
+
+        if (!globalSelectedSnapshot) return;
+
+        performRestoreSnapshot(globalSelectedSnapshot.id, target, () => {
+            if (target !== 'session') return;
+
+            updateUndoToast();
+
+            // show the restored tabs, along with the new version this created
+            updateSpaceDetail();
+            fetchSessionSnapshots(sessionId, snapshots => {
+                globalSnapshots = snapshots || [];
+                snapshotTimelineSessionId = sessionId;
+                renderSnapshotPreview(false);
+                renderSnapshotTimeline(globalSnapshots);
+                toggleSnapshotTimeline(true);
+            });
+        });
+    }
+
+    // show the undo toast if the last change is still inside the undo window.
+    // the spaces list catches up with an undo through its change events
+    function updateUndoToast(state) {
+        if (state) {
+            undoToast.render(state, handleUndo, handleRedo);
+        } else {
+            fetchJournal(updateUndoToast);
+        }
+    }
+
+    function handleUndo() {
+        spacesApi.undo().then(state => {
+            updateSpaceDetail();
+            updateUndoToast(state);
+        }, handleApiError);
+    }
+
+    function handleRedo() {
+        spacesApi.redo().then(state => {
+            updateSpaceDetail();
+            updateUndoToast(state);
+        }, handleApiError);
+    }
+
+    // shows the values as they were saved, which may have been brought within their
+    // limits (and switching one kind of sync on switches the other off)
+    function handlePreferenceChange(changes) {
+        spacesApi.updatePreferences({ preferences: changes }).then(renderSettings, handleApiError);
+    }
+
+    // changes made here, on the options page or by restoring a backup
+    function handlePreferencesChanged(values, changedNames) {
+        const changed = name => changedNames.indexOf(name) >= 0;
+
+        renderSettings(values);
+        if (changed('storageSyncEnabled')) updateSyncStatus();
+        if (changed('activityTrackingEnabled')) updateActivity();
+        if (changed('autoBackupKeepCount')) updateBackups();
+    }
+
+    function handleResolveSyncConflict(syncId, keep) {
+        spacesApi.resolveSyncConflict({ syncId, keep }).then(() => {
+            updateSyncStatus();
+            updateSpaceDetail();
+        }, handleApiError);
+    }
+
+    function handleRestoreBackup(backup) {
+        const date = new Date(backup.createdAt).toLocaleString();
+        // eslint-disable-next-line no-alert
+        if (!window.confirm(`Replace all your spaces with the backup from ${date}?`)) {
+            return;
+        }
+        spacesApi.restoreBackup({ backupId: backup.backupId }).then(() => {
+            updateSpacesList();
+            updateUndoToast();
+        }, handleApiError);
+    }
+
+    function handleExportActivity() {
+        spacesApi.requestActivity({ days: 7 }).then(({ summary }) => {
+            downloadFile({
+                content: activityReport.toCsv(summary),
+                mimeType: 'text/csv',
+                filename: `spaces-activity-${summary.days[0]}.csv`,
+            });
+        }, handleApiError);
+    }
+
+    function handleClearActivity() {
+        // eslint-disable-next-line no-alert
+        if (!window.confirm('Forget the time spent in all spaces?')) {
+            return;
+        }
+        spacesApi.clearActivity().then(updateActivity, handleApiError);
+    }
+
+    function handleBackupNow() {
+        spacesApi.createBackup().then(updateBackups, handleApiError);
+    }
+
+    // saving to downloads needs the optional downloads permission, which can only be
+    // asked for in response to a click
+    function handleBackupDownloadChange() {
+        if (!nodes.autoBackupDownloadInput.checked) {
+            handlePreferenceChange({ autoBackupDownload: false });
+            return;
+        }
+        chrome.permissions.request({ permissions: ['downloads'] }, granted => {
+            handlePreferenceChange({ autoBackupDownload: !!granted });
+        });
+    }
+
+    function handleSpaceLoadStrategyChange() {
+        const { sessionId } = globalSelectedSpace;
+        const loadStrategy = nodes.spaceLoadStrategySelect.value || false;
+
+        performUpdateSessionLoadStrategy(sessionId, loadStrategy, () => {
+            globalSelectedSpace.loadStrategy = loadStrategy;
+        });
+    }
+
     function handleDelete() {
         const { sessionId } = globalSelectedSpace;
 
@@ -366,247 +1254,303 @@
             performDelete(sessionId, () => {
                 updateSpacesList();
                 reroute(false, false, true);
+                updateUndoToast();
             });
         }
     }
 
-    // import accepts either a newline separated list of urls or a json backup object
-    function handleImport() {
-        let urlList;
-        let spacesObject;
-
-        const rawInput = nodes.modalInput.value;
-
-        // check for json object
-        try {
-            spacesObject = JSON.parse(rawInput);
-            
-            if (currentImportType === 'add') {
-                // Use the new additive import function
-                performImportSessions(spacesObject, (result) => {
-                    console.log('Additive import result:', result);
-                    updateSpacesList();
-                });
-            } else if (currentImportType === 'replace') {
-                // Use the existing restore function (replaces all)
-                performRestoreFromBackup(spacesObject, () => {
-                    updateSpacesList();
-                });
-            } else {
-                // Fallback to replace behavior for backward compatibility
-                performRestoreFromBackup(spacesObject, () => {
-                    updateSpacesList();
-                });
+    function handleRestoreFromTrash(sessionId) {
+        spacesApi.restoreFromTrash({ sessionId }).then(session => {
+            if (session) {
+                reroute(session.id, false, true);
             }
-        } catch (e) {
-            // otherwise treat as a list of newline separated urls
-            if (rawInput.trim().length > 0) {
-                urlList = rawInput.split('\n');
-
-                // filter out bad urls
-                urlList = urlList.filter(url => {
-                    if (url.trim().length > 0 && url.indexOf('://') > 0)
-                        return true;
-                    return false;
-                });
+        }, handleApiError);
+    }
 
-                if (urlList.length > 0) {
-                    performSessionImport(urlList, session => {
-                        if (session) reroute(session.id, false, true);
-                    });
-                }
-            }
+    function handleDeleteFromTrash(entry) {
+        const name = entry.name || 'Unnamed space';
+        // eslint-disable-next-line no-alert
+        if (!window.confirm(`Delete "${name}" for good? This can't be undone.`)) {
+            return;
         }
+        spacesApi.deleteFromTrash({ sessionId: entry.sessionId }).then(updateTrash, handleApiError);
     }
 
-    function handleBackup() {
-        const leanSpaces = [];
+    // import accepts a spaces backup, a newline separated list of urls, or the export
+    // of another tab manager (see importParsers.js). the first click shows what will be
+    // created, the second one imports it
+    function handleImport() {
+        if (pendingEnvelope) {
+            handleDecryptImport();
+            return;
+        }
+        if (!pendingImport) {
+            const envelope = backupCrypto.parseEnvelope(nodes.modalInput.value);
+            if (envelope) {
+                pendingEnvelope = envelope;
+                renderImportPassphrase(envelope);
+                return;
+            }
+            pendingImport = importParsers.parse(nodes.modalInput.value);
+            renderImportPreview(pendingImport);
+            return;
+        }
 
-        fetchAllSpaces(spaces => {
-            // strip out unnessary content from each space
-            spaces.forEach(space => {
-                const leanTabs = [];
-                space.tabs.forEach(curTab => {
-                    leanTabs.push({
-                        title: curTab.title,
-                        url: normaliseTabUrl(curTab.url),
-                        favIconUrl: curTab.favIconUrl,
-                    });
-                });
+        const { format, spaces, preferences } = pendingImport;
+        const restorePreferences = !!preferences && nodes.importPreferencesInput.checked;
+        toggleModal(false);
 
-                leanSpaces.push({
-                    name: space.name,
-                    tabs: leanTabs,
-                });
-            });
+        if (restorePreferences) {
+            spacesApi.updatePreferences({ preferences }).catch(handleApiError);
+        }
 
-            const blob = new Blob([JSON.stringify(leanSpaces)], {
-                type: 'application/json',
+        if (format.id === 'urlList') {
+            performSessionImport(spaces[0].tabs.map(tab => tab.url), session => {
+                if (session) reroute(session.id, false, true);
             });
-            const blobUrl = URL.createObjectURL(blob);
-            const filename = 'spaces-backup.json';
-            const link = document.createElement('a');
-            link.setAttribute('href', blobUrl);
-            link.setAttribute('download', filename);
-            link.click();
-        });
+        } else if (currentImportType === 'add' || format.id !== 'spaces') {
+            // Use the new additive import function
+            performImportSessions(spaces, (result) => {
+                console.log('Additive import result:', result);
+                updateSpacesList();
+            });
+        } else {
+            // Use the existing restore function (replaces all)
+            performRestoreFromBackup(spaces, () => {
+                updateSpacesList();
+                updateUndoToast();
+            });
+        }
     }
 
-    function handleExport() {
-        const { sessionId } = globalSelectedSpace;
-        const { windowId } = globalSelectedSpace;
-        let csvContent = '';
-        let dataString = '';
+    // once decrypted, the backup is previewed like any other import
+    function handleDecryptImport() {
+        const envelope = pendingEnvelope;
 
-        fetchSpaceDetail(sessionId, windowId, space => {
-            space.tabs.forEach(curTab => {
-                const url = normaliseTabUrl(curTab.url);
-                dataString += `${url}\n`;
-            });
-            csvContent += dataString;
+        backupCrypto.decrypt(envelope, nodes.importPassphraseInput.value).then(
+            plaintext => {
+                // the modal may have been closed in the meantime
+                if (pendingEnvelope !== envelope) return;
+
+                pendingEnvelope = false;
+                renderImportPassphrase(false);
+                pendingImport = importParsers.parse(plaintext);
+                renderImportPreview(pendingImport);
+            },
+            error => {
+                nodes.importPassphraseError.textContent = error.message;
+            }
+        );
+    }
+
+    function handleEncryptedBackup() {
+        const passphrase = nodes.passphraseInput.value;
+
+        if (!passphrase) {
+            nodes.passphraseError.textContent = 'Enter a passphrase';
+            return;
+        }
+        if (passphrase !== nodes.passphraseConfirmInput.value) {
+            nodes.passphraseError.textContent = "The passphrases don't match";
+            return;
+        }
 
-            const blob = new Blob([csvContent], { type: 'text/plain' });
-            const blobUrl = URL.createObjectURL(blob);
-            const filename = `${space.name || 'untitled'}.txt`;
-            const link = document.createElement('a');
-            link.setAttribute('href', blobUrl);
-            link.setAttribute('download', filename);
-            link.click();
+        fetchBackup(backup => {
+            backupCrypto.encrypt(backup.content, passphrase).then(
+                envelope => {
+                    togglePassphraseModal(false);
+                    downloadFile({
+                        content: JSON.stringify(envelope),
+                        mimeType: backup.mimeType,
+                        filename: backup.filename.replace(/\.json$/, '-encrypted.json'),
+                    });
+                },
+                error => {
+                    nodes.passphraseError.textContent = error.message;
+                }
+            );
         });
     }
 
-    function normaliseTabUrl(url) {
-        let normalisedUrl = url;
-        if (url.indexOf('suspended.html') > 0 && url.indexOf('uri=') > 0) {
-            normalisedUrl = url.substring(url.indexOf('uri=') + 4, url.length);
+    // copies: the tabs to remove (see duplicateFinder.js)
+    function handleRemoveDuplicates(copies) {
+        if (copies.length === 0) return;
+
+        spacesApi.removeDuplicates({ copies }).then(() => {
+            updateDuplicates();
+            updateSpaceDetail();
+            updateUndoToast();
+        }, handleApiError);
+    }
+
+    function handleBackup() {
+        fetchBackup(downloadFile);
+    }
+
+    function handleExport() {
+        const allSpaces = nodes.exportScopeSelect.value === 'all';
+        const formatId = nodes.exportFormatSelect.value;
+
+        if (allSpaces) {
+            fetchAllSpaces(spaces => {
+                downloadFile(exporters.exportSpaces(formatId, spaces, true));
+            });
+        } else {
+            const { sessionId, windowId } = globalSelectedSpace;
+            fetchSpaceDetail(sessionId, windowId, space => {
+                downloadFile(exporters.exportSpaces(formatId, [space], false));
+            });
         }
-        return normalisedUrl;
+    }
+
+    function downloadFile({ content, mimeType, filename }) {
+        const blob = new Blob([content], { type: mimeType });
+        const blobUrl = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.setAttribute('href', blobUrl);
+        link.setAttribute('download', filename);
+        link.click();
     }
 
     // SERVICES
 
+    function handleApiError(error) {
+        console.error('Spaces request failed:', error.message);
+    }
+
     function fetchAllSpaces(callback) {
-        chrome.runtime.sendMessage(
-            {
-                action: 'requestAllSpaces',
-            },
-            callback
-        );
+        spacesApi.requestAllSpaces().then(callback, handleApiError);
+    }
+
+    function fetchUrlRules(callback) {
+        spacesApi.requestUrlRules().then(callback, handleApiError);
+    }
+
+    // every space along with the preferences, as a file to download
+    function fetchBackup(callback) {
+        fetchAllSpaces(spaces => {
+            spacesApi.requestPreferences().then(preferences => {
+                callback(exporters.exportBackup(spaces, preferences));
+            }, handleApiError);
+        });
     }
 
     function fetchSpaceDetail(sessionId, windowId, callback) {
-        const message = {
-            action: 'requestSpaceDetail',
+        const params = {
             sessionId: sessionId || false,
             windowId: windowId || false,
         };
-        console.log('Sending requestSpaceDetail message:', message);
+        console.log('Requesting space detail:', params);
         
-        chrome.runtime.sendMessage(message, callback);
+        spacesApi.requestSpaceDetail(params).then(callback, handleApiError);
+    }
+
+    function fetchSessionSnapshots(sessionId, callback) {
+        spacesApi
+            .requestSessionSnapshots({ sessionId })
+            .then(callback, handleApiError);
+    }
+
+    function performRestoreSnapshot(snapshotId, target, callback) {
+        spacesApi
+            .restoreSnapshot({ snapshotId, target })
+            .then(callback, handleApiError);
+    }
+
+    function updateTrash() {
+        spacesApi.requestTrash().then(renderTrash, handleApiError);
+    }
+
+    function fetchJournal(callback) {
+        spacesApi.requestJournal().then(callback, handleApiError);
+    }
+
+    function updateReconciliationReport() {
+        spacesApi.requestReconciliationReport().then(renderReconciliationReport, handleApiError);
+    }
+
+    function updateSyncStatus() {
+        spacesApi.requestSyncStatus().then(renderSyncStatus, handleApiError);
+    }
+
+    function updateActivity() {
+        spacesApi
+            .requestActivity({ days: parseInt(nodes.activityRangeSelect.value, 10) })
+            .then(renderActivity, handleApiError);
+    }
+
+    function updateBackups() {
+        spacesApi.requestBackups().then(renderBackups, handleApiError);
+    }
+
+    function performUpdateSessionLoadStrategy(sessionId, loadStrategy, callback) {
+        spacesApi
+            .updateSessionLoadStrategy({ sessionId, loadStrategy })
+            .then(callback, handleApiError);
     }
 
     function performLoadSession(sessionId, callback) {
-        chrome.runtime.sendMessage(
-            {
-                action: 'loadSession',
-                sessionId,
-            },
-            callback
-        );
+        spacesApi.loadSession({ sessionId }).then(callback, handleApiError);
     }
 
     function performLoadWindow(windowId, callback) {
-        chrome.runtime.sendMessage(
-            {
-                action: 'loadWindow',
-                windowId,
-            },
-            callback
-        );
+        spacesApi.loadWindow({ windowId }).then(callback, handleApiError);
     }
 
     function performLoadTabInSession(sessionId, tabUrl, callback) {
-        chrome.runtime.sendMessage(
-            {
-                action: 'loadTabInSession',
-                sessionId,
-                tabUrl,
-            },
-            callback
-        );
+        spacesApi
+            .loadTabInSession({ sessionId, tabUrl })
+            .then(callback, handleApiError);
     }
 
     function performLoadTabInWindow(windowId, tabUrl, callback) {
-        chrome.runtime.sendMessage(
-            {
-                action: 'loadTabInWindow',
-                windowId,
-                tabUrl,
-            },
-            callback
-        );
+        spacesApi
+            .loadTabInWindow({ windowId, tabUrl })
+            .then(callback, handleApiError);
     }
 
     function performDelete(sessionId, callback) {
-        chrome.runtime.sendMessage(
-            {
-                action: 'deleteSession',
-                sessionId,
-            },
-            callback
-        );
+        spacesApi.deleteSession({ sessionId }).then(callback, handleApiError);
+    }
+
+    function performConfirmSessionMatch(windowId, sessionId, callback) {
+        spacesApi
+            .confirmSessionMatch({ windowId, sessionId })
+            .then(callback, handleApiError);
+    }
+
+    function performDismissSessionMatch(windowId, sessionId, callback) {
+        spacesApi
+            .dismissSessionMatch({ windowId, sessionId })
+            .then(callback, handleApiError);
     }
 
     function performSessionUpdate(newName, sessionId, callback) {
-        chrome.runtime.sendMessage(
-            {
-                action: 'updateSessionName',
-                sessionName: newName,
-                sessionId,
-            },
-            callback
-        );
+        spacesApi
+            .updateSessionName({ sessionName: newName, sessionId })
+            .then(callback, handleApiError);
     }
 
     function performNewSessionSave(newName, windowId, callback) {
-        chrome.runtime.sendMessage(
-            {
-                action: 'saveNewSession',
-                sessionName: newName,
-                windowId,
-            },
-            callback
-        );
+        spacesApi
+            .saveNewSession({ sessionName: newName, windowId })
+            .then(callback, handleApiError);
     }
 
     function performSessionImport(urlList, callback) {
-        chrome.runtime.sendMessage(
-            {
-                action: 'importNewSession',
-                urlList,
-            },
-            callback
-        );
+        spacesApi.importNewSession({ urlList }).then(callback, handleApiError);
     }
 
     function performImportSessions(spacesObject, callback) {
-        chrome.runtime.sendMessage(
-            {
-                action: 'importSessions',
-                spaces: spacesObject,
-            },
-            callback
-        );
+        spacesApi
+            .importSessions({ spaces: spacesObject })
+            .then(callback, handleApiError);
     }
 
     function performRestoreFromBackup(spacesObject, callback) {
-        chrome.runtime.sendMessage(
-            {
-                action: 'restoreFromBackup',
-                spaces: spacesObject,
-            },
-            callback
-        );
+        spacesApi
+            .restoreFromBackup({ spaces: spacesObject })
+            .then(callback, handleApiError);
     }
 
     // EVENT LISTENERS FOR STATIC DOM ELEMENTS
@@ -619,21 +1563,15 @@
         };
 
         // register incoming events listener
-        chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+        chrome.runtime.onMessage.addListener(request => {
             if (request.action === 'updateSpaces' && request.spaces) {
                 handleAutoUpdateRequest(request.spaces);
-            } else if (request.action === 'refreshSpacesData') {
-                console.log('🔄 Refresh request received from service worker');
-                // Refresh the spaces list from the service worker
-                fetchAllSpaces(spaces => {
-                    updateSpacesList(spaces);
-                    console.log('✅ Spaces list refreshed successfully');
-                    sendResponse({ success: true });
-                });
-                return true; // Keep message channel open for async response
             }
         });
 
+        // keep the spaces list and the space being viewed live
+        spacesEvents.subscribe(handleSpaceChange);
+
         // register dom listeners
         nodes.nameFormDisplay.addEventListener('click', () => {
             toggleNameEditMode(true);
@@ -657,15 +1595,108 @@
         nodes.actionEdit.addEventListener('click', () => {
             toggleNameEditMode(true);
         });
+        nodes.actionHistory.addEventListener('click', () => {
+            handleShowHistory();
+        });
+        nodes.snapshotOpenBtn.addEventListener('click', e => {
+            e.preventDefault();
+            handleRestoreSnapshot('window');
+        });
+        nodes.snapshotRestoreBtn.addEventListener('click', e => {
+            e.preventDefault();
+            handleRestoreSnapshot('session');
+        });
         nodes.actionExport.addEventListener('click', () => {
+            showExportModal('space');
+        });
+        nodes.actionExportAll.addEventListener('click', e => {
+            e.preventDefault();
+            showExportModal('all');
+        });
+        nodes.exportBtn.addEventListener('click', e => {
+            e.preventDefault();
             handleExport();
+            toggleExportModal(false);
+        });
+        nodes.exportCancelBtn.addEventListener('click', e => {
+            e.preventDefault();
+            toggleExportModal(false);
         });
         nodes.actionBackup.addEventListener('click', () => {
             handleBackup();
         });
+        nodes.actionBackupEncrypted.addEventListener('click', e => {
+            e.preventDefault();
+            togglePassphraseModal(true);
+        });
+        nodes.passphraseBtn.addEventListener('click', e => {
+            e.preventDefault();
+            handleEncryptedBackup();
+        });
+        nodes.passphraseCancelBtn.addEventListener('click', e => {
+            e.preventDefault();
+            togglePassphraseModal(false);
+        });
         nodes.actionDelete.addEventListener('click', () => {
             handleDelete();
         });
+        nodes.matchConfirmBtn.addEventListener('click', e => {
+            e.preventDefault();
+            handleMatchConfirm();
+        });
+        nodes.matchDismissBtn.addEventListener('click', e => {
+            e.preventDefault();
+            handleMatchDismiss();
+        });
+        nodes.reconciliationDismissBtn.addEventListener('click', e => {
+            e.preventDefault();
+            spacesApi
+                .dismissReconciliationReport()
+                .then(() => renderReconciliationReport([]), handleApiError);
+        });
+        // the settings inputs, by the preference they show
+        [
+            ['loadStrategy', nodes.loadStrategySelect],
+            ['maxConcurrentLoads', nodes.maxConcurrentLoadsInput],
+            ['undoWindowSeconds', nodes.undoWindowInput],
+            ['trashRetentionDays', nodes.trashRetentionInput],
+            ['storageSyncEnabled', nodes.storageSyncInput],
+            ['bookmarkSyncEnabled', nodes.bookmarkSyncInput],
+            ['bookmarkFolderTitle', nodes.bookmarkFolderInput],
+            ['autoBackupEnabled', nodes.autoBackupInput],
+            ['autoBackupIntervalHours', nodes.autoBackupIntervalInput],
+            ['autoBackupKeepCount', nodes.autoBackupKeepInput],
+            ['autoBackupFolder', nodes.autoBackupFolderInput],
+            ['activityTrackingEnabled', nodes.activityTrackingInput],
+        ].forEach(([name, inputEl]) => {
+            inputEl.addEventListener('change', () => {
+                handlePreferenceChange({
+                    [name]: inputEl.type === 'checkbox' ? inputEl.checked : inputEl.value,
+                });
+            });
+        });
+        // saving to downloads needs a permission first
+        nodes.autoBackupDownloadInput.addEventListener('change', () => {
+            handleBackupDownloadChange();
+        });
+        nodes.activityRangeSelect.addEventListener('change', () => {
+            updateActivity();
+        });
+        nodes.actionExportActivity.addEventListener('click', e => {
+            e.preventDefault();
+            handleExportActivity();
+        });
+        nodes.actionClearActivity.addEventListener('click', e => {
+            e.preventDefault();
+            handleClearActivity();
+        });
+        nodes.actionBackupNow.addEventListener('click', e => {
+            e.preventDefault();
+            handleBackupNow();
+        });
+        nodes.spaceLoadStrategySelect.addEventListener('change', () => {
+            handleSpaceLoadStrategyChange();
+        });
         nodes.actionImportAdd.addEventListener('click', e => {
             e.preventDefault();
             currentImportType = 'add';
@@ -681,15 +1712,36 @@
         });
         nodes.modalBlocker.addEventListener('click', () => {
             toggleModal(false);
+            toggleExportModal(false);
+            togglePassphraseModal(false);
+            toggleDuplicatesModal(false);
+        });
+        nodes.actionFindDuplicates.addEventListener('click', e => {
+            e.preventDefault();
+            toggleDuplicatesModal(true);
+        });
+        nodes.removeSpaceDuplicatesBtn.addEventListener('click', e => {
+            e.preventDefault();
+            handleRemoveDuplicates(duplicateFinder.getExtraCopies(globalDuplicates, 'space'));
+        });
+        nodes.removeAllDuplicatesBtn.addEventListener('click', e => {
+            e.preventDefault();
+            handleRemoveDuplicates(duplicateFinder.getExtraCopies(globalDuplicates, 'all'));
+        });
+        nodes.duplicatesCancelBtn.addEventListener('click', e => {
+            e.preventDefault();
+            toggleDuplicatesModal(false);
         });
         nodes.modalButton.addEventListener('click', () => {
             handleImport();
-            toggleModal(false);
         });
         
         nodes.cancelBtn.addEventListener('click', () => {
             toggleModal(false);
         });
+        nodes.spaceSearch.addEventListener('input', () => {
+            renderSearchResults();
+        });
     }
 
     // ROUTING
@@ -800,18 +1852,19 @@
             return;
         }
         
+        // tabs are duplicates when their urls are the same page under the url rules
         const dupeCounts = {};
+        const getKey = tab => urlRules.normaliseUrl(tab.url, globalUrlRules) || tab.url;
 
         space.tabs.forEach(tab => {
             // eslint-disable-next-line no-param-reassign
             tab.title = tab.title || tab.url;
-            dupeCounts[tab.title] = dupeCounts[tab.title]
-                ? dupeCounts[tab.title] + 1
-                : 1;
+            const key = getKey(tab);
+            dupeCounts[key] = dupeCounts[key] ? dupeCounts[key] + 1 : 1;
         });
         space.tabs.forEach(tab => {
             // eslint-disable-next-line no-param-reassign
-            tab.duplicate = dupeCounts[tab.title] > 1;
+            tab.duplicate = dupeCounts[getKey(tab)] > 1;
         });
     }
 
@@ -820,40 +1873,129 @@
         nodes.home = document.getElementById('spacesHome');
         nodes.openSpaces = document.getElementById('openSpaces');
         nodes.closedSpaces = document.getElementById('closedSpaces');
+        nodes.spacesLists = document.getElementById('spacesLists');
+        nodes.spaceSearch = document.getElementById('spaceSearch');
+        nodes.searchResults = document.getElementById('searchResults');
+        nodes.searchResultsList = document.getElementById('searchResultsList');
         nodes.activeTabs = document.getElementById('activeTabs');
         nodes.historicalTabs = document.getElementById('historicalTabs');
         nodes.spaceDetailContainer = document.querySelector(
             '.content .contentBody'
         );
+        nodes.activityDashboard = document.getElementById('activityDashboard');
+        nodes.activityRangeSelect = document.getElementById('activityRangeSelect');
+        nodes.activityTotal = document.getElementById('activityTotal');
+        nodes.activitySpaces = document.getElementById('activitySpaces');
+        nodes.activityDomains = document.getElementById('activityDomains');
+        nodes.activityTrackingInput = document.getElementById('activityTrackingInput');
+        nodes.actionExportActivity = document.getElementById('actionExportActivity');
+        nodes.actionClearActivity = document.getElementById('actionClearActivity');
         nodes.nameForm = document.querySelector('#nameForm');
         nodes.nameFormDisplay = document.querySelector('#nameForm span');
         nodes.nameFormInput = document.querySelector('#nameForm input');
         nodes.actionSwitch = document.getElementById('actionSwitch');
         nodes.actionOpen = document.getElementById('actionOpen');
         nodes.actionEdit = document.getElementById('actionEdit');
+        nodes.actionHistory = document.getElementById('actionHistory');
         nodes.actionExport = document.getElementById('actionExport');
         nodes.actionBackup = document.getElementById('actionBackup');
+        nodes.actionExportAll = document.getElementById('actionExportAll');
+        nodes.exportModal = document.getElementById('exportModal');
+        nodes.actionFindDuplicates = document.getElementById('actionFindDuplicates');
+        nodes.duplicatesModal = document.getElementById('duplicatesModal');
+        nodes.duplicatesSummary = document.getElementById('duplicatesSummary');
+        nodes.duplicatesList = document.getElementById('duplicatesList');
+        nodes.removeSpaceDuplicatesBtn = document.getElementById('removeSpaceDuplicatesBtn');
+        nodes.removeAllDuplicatesBtn = document.getElementById('removeAllDuplicatesBtn');
+        nodes.duplicatesCancelBtn = document.getElementById('duplicatesCancelBtn');
+        nodes.exportFormatSelect = document.getElementById('exportFormatSelect');
+        nodes.exportScopeSelect = document.getElementById('exportScopeSelect');
+        nodes.exportBtn = document.getElementById('exportBtn');
+        nodes.exportCancelBtn = document.getElementById('exportCancelBtn');
+        nodes.actionBackupEncrypted = document.getElementById('actionBackupEncrypted');
+        nodes.passphraseModal = document.getElementById('passphraseModal');
+        nodes.passphraseInput = document.getElementById('passphraseInput');
+        nodes.passphraseConfirmInput = document.getElementById('passphraseConfirmInput');
+        nodes.passphraseError = document.getElementById('passphraseError');
+        nodes.passphraseBtn = document.getElementById('passphraseBtn');
+        nodes.passphraseCancelBtn = document.getElementById('passphraseCancelBtn');
         nodes.actionDelete = document.getElementById('actionDelete');
         nodes.actionImportAdd = document.getElementById('actionImportAdd');
         nodes.actionImportReplace = document.getElementById('actionImportReplace');
+        nodes.reconciliationNotice = document.getElementById('reconciliationNotice');
+        nodes.reconciliationList = document.getElementById('reconciliationList');
+        nodes.reconciliationDismissBtn = document.getElementById('reconciliationDismissBtn');
+        nodes.matchPrompt = document.getElementById('matchPrompt');
+        nodes.matchPromptText = document.getElementById('matchPromptText');
+        nodes.matchConfirmBtn = document.getElementById('matchConfirmBtn');
+        nodes.matchDismissBtn = document.getElementById('matchDismissBtn');
+        nodes.snapshotTimeline = document.getElementById('snapshotTimeline');
+        nodes.snapshotList = document.getElementById('snapshotList');
+        nodes.snapshotPreview = document.getElementById('snapshotPreview');
+        nodes.snapshotPreviewTitle = document.getElementById('snapshotPreviewTitle');
+        nodes.snapshotTabs = document.getElementById('snapshotTabs');
+        nodes.snapshotOpenBtn = document.getElementById('snapshotOpenBtn');
+        nodes.snapshotRestoreBtn = document.getElementById('snapshotRestoreBtn');
+        nodes.loadStrategySelect = document.getElementById('loadStrategySelect');
+        nodes.maxConcurrentLoadsInput = document.getElementById('maxConcurrentLoadsInput');
+        nodes.undoWindowInput = document.getElementById('undoWindowInput');
+        nodes.trashList = document.getElementById('trashList');
+        nodes.trashRetentionInput = document.getElementById('trashRetentionInput');
+        nodes.storageSyncInput = document.getElementById('storageSyncInput');
+        nodes.syncStatus = document.getElementById('syncStatus');
+        nodes.syncConflicts = document.getElementById('syncConflicts');
+        nodes.bookmarkSyncInput = document.getElementById('bookmarkSyncInput');
+        nodes.bookmarkFolderInput = document.getElementById('bookmarkFolderInput');
+        nodes.backupList = document.getElementById('backupList');
+        nodes.autoBackupInput = document.getElementById('autoBackupInput');
+        nodes.autoBackupIntervalInput = document.getElementById('autoBackupIntervalInput');
+        nodes.autoBackupKeepInput = document.getElementById('autoBackupKeepInput');
+        nodes.autoBackupDownloadInput = document.getElementById('autoBackupDownloadInput');
+        nodes.autoBackupFolderInput = document.getElementById('autoBackupFolderInput');
+        nodes.actionBackupNow = document.getElementById('actionBackupNow');
+        nodes.spaceLoadSettings = document.getElementById('spaceLoadSettings');
+        nodes.spaceLoadStrategySelect = document.getElementById('spaceLoadStrategySelect');
         nodes.banner = document.getElementById('banner');
         nodes.modalBlocker = document.querySelector('.blocker');
-        nodes.modalContainer = document.querySelector('.modal');
+        nodes.modalContainer = document.getElementById('importModal');
         nodes.modalInput = document.getElementById('importTextArea');
         nodes.modalButton = document.getElementById('importBtn');
         nodes.modalTitle = document.getElementById('modalTitle');
         nodes.importTypeDescription = document.getElementById('importTypeDescription');
+        nodes.importPreview = document.getElementById('importPreview');
+        nodes.importPreviewSummary = document.getElementById('importPreviewSummary');
+        nodes.importPreviewList = document.getElementById('importPreviewList');
+        nodes.importPreferences = document.getElementById('importPreferences');
+        nodes.importPreferencesInput = document.getElementById('importPreferencesInput');
         nodes.cancelBtn = document.getElementById('cancelBtn');
+        nodes.importPassphrase = document.getElementById('importPassphrase');
+        nodes.importPassphraseInput = document.getElementById('importPassphraseInput');
+        nodes.importPassphraseError = document.getElementById('importPassphraseError');
 
         nodes.home.setAttribute('href', chrome.runtime.getURL('spaces.html'));
 
         // initialise event listeners for static elements
         addEventListeners();
+        renderExportFormats();
 
         // render side nav
         updateSpacesList();
+        updateReconciliationReport();
+        updateTrash();
+        updateBackups();
+        fetchJournal(updateUndoToast);
+
+        // the sync status depends on whether sync is switched on
+        preferences.addChangeListener(handlePreferencesChanged);
+        preferences.initialise().then(values => {
+            renderSettings(values);
+            updateSyncStatus();
+        });
 
-        // render main content
-        updateSpaceDetail();
+        // render main content (once it is known which tabs are duplicates)
+        fetchUrlRules(rules => {
+            globalUrlRules = rules;
+            updateSpaceDetail();
+        });
     };
 })();
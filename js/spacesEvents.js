@@ -0,0 +1,128 @@
+/* global chrome */
+
+// Live session changes, pushed from the service worker to extension pages.
+//
+// Pages open a long-lived port with subscribe() and get an event for every change
+// to a session: { type, sessionId, windowId, changes }. Saved sessions are
+// identified by sessionId, temporary (unsaved) ones by windowId. changes holds
+// only the fields that changed, except for 'created' where it holds the whole
+// space. If the port is dropped (eg. the service worker was stopped) the page is
+// reconnected and sent a 'resync' event, as changes may have been missed.
+export const spacesEvents = {
+    PORT_NAME: 'spacesEvents',
+    EVENT_TYPES: ['created', 'renamed', 'tabsChanged', 'opened', 'closed', 'deleted'],
+    reconnectDelay: 1000,
+
+    // returns a function that unsubscribes
+    subscribe: (listener, types = spacesEvents.EVENT_TYPES) => {
+        let port = false;
+        let reconnectTimer = false;
+        let unsubscribed = false;
+
+        const connect = reconnecting => {
+            port = chrome.runtime.connect({ name: spacesEvents.PORT_NAME });
+            port.onMessage.addListener(event => listener(event));
+            port.onDisconnect.addListener(() => {
+                // reading lastError stops chrome logging it as unchecked
+                // eslint-disable-next-line no-unused-expressions
+                chrome.runtime.lastError;
+                port = false;
+                if (!unsubscribed) {
+                    reconnectTimer = setTimeout(
+                        () => connect(true),
+                        spacesEvents.reconnectDelay
+                    );
+                }
+            });
+            port.postMessage({ action: 'subscribe', types });
+
+            if (reconnecting) {
+                listener({ type: 'resync' });
+            }
+        };
+        connect(false);
+
+        return () => {
+            unsubscribed = true;
+            clearTimeout(reconnectTimer);
+            if (port) port.disconnect();
+        };
+    },
+
+    // keep a list of spaces (as returned by requestAllSpaces) up to date.
+    // onChange is called with the new list and the event that changed it
+    watchSpaces: (spaces, fetchSpaces, onChange) => {
+        let curSpaces = spaces;
+
+        return spacesEvents.subscribe(event => {
+            if (event.type === 'resync') {
+                fetchSpaces().then(newSpaces => {
+                    curSpaces = newSpaces;
+                    onChange(curSpaces, event);
+                });
+            } else {
+                curSpaces = spacesEvents.applyChange(curSpaces, event);
+                onChange(curSpaces, event);
+            }
+        });
+    },
+
+    matchesSpace: (space, event) => {
+        if (!space) return false;
+        if (event.sessionId) {
+            return space.sessionId === event.sessionId;
+        }
+        return !space.sessionId && !!event.windowId && space.windowId === event.windowId;
+    },
+
+    // returns a new, re-sorted list with the event applied
+    applyChange: (spaces, event) => {
+        let newSpaces;
+
+        switch (event.type) {
+            case 'created':
+            case 'opened': {
+                // the space takes over the window from any unsaved space that had it
+                newSpaces = spaces.filter(space => {
+                    return !(
+                        !space.sessionId &&
+                        event.windowId &&
+                        space.windowId === event.windowId
+                    );
+                });
+                if (event.type === 'created') {
+                    newSpaces = newSpaces
+                        .filter(space => !spacesEvents.matchesSpace(space, event))
+                        .concat(event.changes.space);
+                } else {
+                    newSpaces = spacesEvents._mergeChanges(newSpaces, event);
+                }
+                break;
+            }
+            case 'deleted':
+                newSpaces = spaces.filter(space => !spacesEvents.matchesSpace(space, event));
+                break;
+            default:
+                newSpaces = spacesEvents._mergeChanges(spaces, event);
+        }
+
+        return spacesEvents.sortSpaces(newSpaces);
+    },
+
+    _mergeChanges: (spaces, event) => {
+        return spaces.map(space => {
+            return spacesEvents.matchesSpace(space, event)
+                ? { ...space, ...event.changes }
+                : space;
+        });
+    },
+
+    // open spaces first, then by last access
+    sortSpaces: spaces => {
+        return spaces.slice().sort((a, b) => {
+            if (a.windowId && !b.windowId) return -1;
+            if (!a.windowId && b.windowId) return 1;
+            return (b.lastAccess || 0) - (a.lastAccess || 0);
+        });
+    },
+};
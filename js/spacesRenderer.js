@@ -34,6 +34,37 @@ export const spacesRenderer = {
         spacesRenderer.nodes.moveInput.focus();
     },
 
+    // re-render the list after a change, keeping the current filter and selection
+    refreshSpaces: spaces => {
+        const selectedEl = document.querySelector('#spacesList .space.selected');
+        const selectedIds = selectedEl && [
+            selectedEl.getAttribute('data-sessionId'),
+            selectedEl.getAttribute('data-windowId'),
+        ];
+
+        spacesRenderer.nodes.spacesList.innerHTML = '';
+        spaces.forEach(space => {
+            const spaceEl = spacesRenderer.renderSpaceEl(space);
+            spacesRenderer.nodes.spacesList.appendChild(spaceEl);
+        });
+        spacesRenderer.updateSpacesList();
+
+        if (selectedIds) {
+            const spaceEls = document.querySelectorAll('#spacesList .space');
+            Array.prototype.some.call(spaceEls, spaceEl => {
+                if (
+                    spaceEl.style.visibility === 'visible' &&
+                    spaceEl.getAttribute('data-sessionId') === selectedIds[0] &&
+                    spaceEl.getAttribute('data-windowId') === selectedIds[1]
+                ) {
+                    spacesRenderer.selectSpace(spaceEl, false);
+                    return true;
+                }
+                return false;
+            });
+        }
+    },
+
     renderSpaceEl: space => {
         const listContainer = document.createElement('div');
         const listTitle = document.createElement('span');
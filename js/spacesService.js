@@ -2,6 +2,9 @@
 
 // Import dependencies as ES modules for MV3
 import { dbService } from './dbService.js';
+import { snapshotService } from './snapshotService.js';
+import { urlRules } from './urlRules.js';
+import { tabLoader } from './tabLoader.js';
 
 /* spaces
  * Copyright (C) 2015 Dean Oemcke
@@ -13,11 +16,57 @@ const spacesService = {
     closedWindowIds: {},
     sessions: [],
     sessionUpdateTimers: {},
+    boundsSaveTimers: {},
     historyQueue: [],
     eventQueueCount: 0,
     lastVersion: 0,
     debug: false,
 
+    // from the preferences (see preferences.js)
+    historyLimit: 200,
+    windowEventDelayMs: 1000,
+
+    // which urls count as the same page (see urlRules.js). saved session hashes depend
+    // on them, so the fingerprint of the rules they were made with is kept in storage
+    urlRules: urlRules.normaliseRules(),
+    hashFingerprintStorageKey: 'sessionHashFingerprint',
+
+    // window events waiting on their batching timer ({ windowId: eventId }). this,
+    // the history queue and closedWindowIds are mirrored to storage.session so that
+    // events pending when the service worker is stopped can be replayed on wake-up.
+    // tab events come in bursts, so the writes are batched too
+    pendingWindowEvents: {},
+    eventQueueStorageKey: 'spacesEventQueue',
+    eventQueuePersistDelayMs: 250,
+    eventQueuePersistTimer: false,
+
+    // ids given to queued events. they only go up, even across browser restarts, so
+    // a session can record the last history event applied to it (session.lastEventId)
+    lastEventId: 0,
+
+    // which saved session each open window belongs to ({ windowId: { sessionId, tabIds } }),
+    // also kept in storage.session. the tab ids fingerprint the window, so a restarted
+    // worker can tell the window is still the same one even if its urls have changed
+    windowLinks: {},
+    windowLinksStorageKey: 'spacesWindowLinks',
+    linkThreshold: 0.5,
+
+    // outcome of the last reconciliation of open windows with saved sessions, shown in
+    // the spaces window until dismissed (see reconcileWindows)
+    reconciliationReport: false,
+
+    // cached chrome.system.display info, kept up to date by the service worker
+    displays: [],
+
+    // url-overlap scores (0..1) used when no session hash matches exactly.
+    // at or above matchThreshold a window is linked automatically, between
+    // suggestThreshold and matchThreshold the user is asked to confirm
+    matchThreshold: 0.7,
+    suggestThreshold: 0.4,
+
+    // called with (type, session, changes) whenever a session changes. see notifyChange
+    changeListeners: [],
+
     noop: () => {},
 
     // initialise spaces - combine open windows with saved sessions
@@ -26,35 +75,156 @@ const spacesService = {
         spacesService.lastVersion = await spacesService.fetchLastVersion();
         spacesService.setLastVersion(chrome.runtime.getManifest().version);
 
-        dbService.fetchAllSessions(sessions => {
-            if (
-                chrome.runtime.getManifest().version === '0.18' &&
-                chrome.runtime.getManifest().version !==
-                    spacesService.lastVersion
-            ) {
-                spacesService.resetAllSessionHashes(sessions);
-            }
+        await spacesService.fetchWindowLinks();
+
+        const sessions = await new Promise(resolve => dbService.fetchAllSessions(resolve));
 
+        // hashes made with other url rules wouldn't match any window
+        await spacesService.rehashIfRulesChanged(sessions);
+
+        // resolve once windows have been matched, so that replayed events find their sessions
+        await new Promise(resolve => {
             chrome.windows.getAll({ populate: true }, windows => {
                 // populate session map from database
                 spacesService.sessions = sessions;
 
-                // clear any previously saved windowIds
-                spacesService.sessions.forEach(session => {
-                    // eslint-disable-next-line no-param-reassign
-                    session.windowId = false;
-                });
+                // then link current open windows with saved sessions
+                spacesService.reconcileWindows(
+                    windows.map(curWindow => spacesService.unwrapWindow(curWindow))
+                );
+                resolve();
+            });
+        });
+    },
 
-                // then try to match current open windows with saved sessions
-                windows.forEach(curWindow => {
-                    if (!spacesService.filterInternalWindows(curWindow)) {
-                        spacesService.checkForSessionMatch(curWindow);
-                    }
-                });
+    // use new url rules, hashing every session again with them
+    setUrlRules: rules => {
+        spacesService.urlRules = rules;
+        return spacesService.rehashIfRulesChanged(spacesService.sessions);
+    },
+
+    rehashIfRulesChanged: sessions => {
+        const key = spacesService.hashFingerprintStorageKey;
+        const fingerprint = urlRules.getFingerprint(spacesService.urlRules);
+
+        return new Promise(resolve => {
+            chrome.storage.local.get([key], result => {
+                if ((result || {})[key] !== fingerprint) {
+                    // eslint-disable-next-line no-console
+                    console.log('url rules have changed, hashing sessions again');
+                    spacesService.resetAllSessionHashes(sessions);
+                    chrome.storage.local.set({ [key]: fingerprint });
+                }
+                resolve();
             });
         });
     },
 
+    // link open windows to sessions: first from the links persisted by the last
+    // worker, then by matching tabs for windows whose link is missing or stale.
+    // expects spacesService.sessions to hold the saved sessions
+    reconcileWindows: windows => {
+        const report = {
+            restored: [],
+            matched: [],
+            unmatched: [],
+            stale: [],
+            conflicts: [],
+        };
+        const curWindows = windows.filter(
+            curWindow => !spacesService.filterInternalWindows(curWindow)
+        );
+        const previousLinks = spacesService.windowLinks;
+        spacesService.windowLinks = {};
+
+        // clear any previously saved windowIds
+        spacesService.sessions.forEach(session => {
+            // eslint-disable-next-line no-param-reassign
+            session.windowId = false;
+        });
+
+        // each session can be claimed by one window. where several claim it, the
+        // window whose tabs changed least keeps it
+        const claims = {};
+        curWindows.forEach(curWindow => {
+            const link = previousLinks[curWindow.id];
+            if (!link) return;
+
+            const session = spacesService.getSessionBySessionId(link.sessionId);
+            const overlap = spacesService.getTabIdOverlap(
+                curWindow.tabs || [],
+                link.tabIds
+            );
+            if (!session || overlap < spacesService.linkThreshold) {
+                report.stale.push({ windowId: curWindow.id, sessionId: link.sessionId });
+                return;
+            }
+
+            const claim = claims[session.id];
+            if (!claim || overlap > claim.overlap) {
+                if (claim) {
+                    report.conflicts.push({ windowId: claim.curWindow.id, sessionId: session.id });
+                }
+                claims[session.id] = { curWindow, session, overlap };
+            } else {
+                report.conflicts.push({ windowId: curWindow.id, sessionId: session.id });
+            }
+        });
+
+        Object.values(claims).forEach(({ curWindow, session }) => {
+            spacesService.matchSessionToWindow(session, curWindow);
+            report.restored.push({ windowId: curWindow.id, sessionId: session.id });
+        });
+
+        // fall back to matching by tabs for everything else
+        const linkedWindowIds = report.restored.map(link => link.windowId);
+        curWindows.forEach(curWindow => {
+            if (linkedWindowIds.includes(curWindow.id)) return;
+
+            spacesService.checkForSessionMatch(curWindow);
+            const session = spacesService.getSessionByWindowId(curWindow.id);
+            if (session && session.id) {
+                report.matched.push({ windowId: curWindow.id, sessionId: session.id });
+            } else {
+                report.unmatched.push({ windowId: curWindow.id });
+            }
+        });
+        spacesService.persistWindowLinks();
+
+        if (report.conflicts.length > 0 || report.stale.length > 0) {
+            // eslint-disable-next-line no-console
+            console.log('window links needed re-matching:', report);
+        }
+        spacesService.reconciliationReport = report;
+        return report;
+    },
+
+    // match one window with the saved sessions again, as when the space it was linked to
+    // is deleted. the other windows keep their links (and their temporary sessions),
+    // and the reconciliation report still describes the worker restart
+    rematchWindow: (windowId, callback) => {
+        // eslint-disable-next-line no-param-reassign
+        callback =
+            typeof callback !== 'function' ? spacesService.noop : callback;
+
+        if (!windowId) {
+            callback();
+            return;
+        }
+        chrome.windows.get(windowId, { populate: true }, curWindow => {
+            if (
+                !chrome.runtime.lastError &&
+                curWindow &&
+                !spacesService.filterInternalWindows(curWindow)
+            ) {
+                spacesService.checkForSessionMatch(
+                    spacesService.unwrapWindow(curWindow)
+                );
+            }
+            callback();
+        });
+    },
+
     resetAllSessionHashes: sessions => {
         sessions.forEach(session => {
             // eslint-disable-next-line no-param-reassign
@@ -69,13 +239,235 @@ const spacesService = {
     initialiseTabHistory: () => {
         chrome.tabs.query({}, tabs => {
             tabs.forEach(tab => {
-                spacesService.tabHistoryUrlMap[tab.id] = tab.url;
+                spacesService.tabHistoryUrlMap[tab.id] = tabLoader.unwrapUrl(tab.url);
             });
         });
     },
 
-    // NOTE: if ever changing this funciton, then we'll need to update all
-    // saved sessionHashes so that they match next time, using: resetAllSessionHashes()
+    // persisted window links
+    // -----------------------------------------------------------------------------------------
+
+    fetchWindowLinks: () => {
+        return new Promise(resolve => {
+            const key = spacesService.windowLinksStorageKey;
+            spacesService._getSessionStorage([key], result => {
+                spacesService.windowLinks = (result && result[key]) || {};
+                resolve(spacesService.windowLinks);
+            });
+        });
+    },
+
+    persistWindowLinks: () => {
+        spacesService._setSessionStorage({
+            [spacesService.windowLinksStorageKey]: spacesService.windowLinks,
+        });
+    },
+
+    // record (or refresh the fingerprint of) the link between a saved session and its window
+    updateWindowLink: (session, tabs) => {
+        if (!session || !session.id || !session.windowId) {
+            return;
+        }
+
+        spacesService.windowLinks[session.windowId] = {
+            sessionId: session.id,
+            tabIds: (tabs || session.tabs || [])
+                .map(tab => tab.id)
+                .filter(tabId => tabId !== undefined),
+        };
+        spacesService.persistWindowLinks();
+    },
+
+    removeWindowLink: windowId => {
+        if (spacesService.windowLinks[windowId]) {
+            delete spacesService.windowLinks[windowId];
+            spacesService.persistWindowLinks();
+        }
+    },
+
+    // share of tab ids that a window still has in common with a link's fingerprint (0..1)
+    getTabIdOverlap: (tabs, tabIds) => {
+        const curTabIds = new Set(tabs.map(tab => tab.id));
+        const linkTabIds = new Set(tabIds || []);
+        if (curTabIds.size === 0 || linkTabIds.size === 0) {
+            return 0;
+        }
+
+        let shared = 0;
+        linkTabIds.forEach(tabId => {
+            if (curTabIds.has(tabId)) shared += 1;
+        });
+        return shared / Math.max(curTabIds.size, linkTabIds.size);
+    },
+
+    // durable event queue
+    // -----------------------------------------------------------------------------------------
+
+    nextEventId: () => {
+        spacesService.lastEventId = Math.max(
+            Date.now(),
+            spacesService.lastEventId + 1
+        );
+        return spacesService.lastEventId;
+    },
+
+    // storage.session is cleared when the browser closes, along with the window and
+    // tab ids it holds. they mean nothing after a restart, so without storage.session
+    // (before chrome 102) nothing is kept
+    _getSessionStorage: (keys, callback) => {
+        if (!chrome.storage.session) {
+            callback({});
+            return;
+        }
+        chrome.storage.session.get(keys, callback);
+    },
+
+    _setSessionStorage: (items, callback) => {
+        // eslint-disable-next-line no-param-reassign
+        callback = typeof callback !== 'function' ? spacesService.noop : callback;
+
+        if (!chrome.storage.session) {
+            callback(false);
+            return;
+        }
+        chrome.storage.session.set(items, () => {
+            if (chrome.runtime.lastError) {
+                console.error(
+                    'spacesService - could not write to storage.session:',
+                    chrome.runtime.lastError.message
+                );
+                callback(false);
+                return;
+            }
+            callback(true);
+        });
+    },
+
+    persistEventQueue: () => {
+        if (spacesService.eventQueuePersistTimer) return;
+
+        spacesService.eventQueuePersistTimer = setTimeout(() => {
+            spacesService.eventQueuePersistTimer = false;
+            spacesService.writeEventQueue();
+        }, spacesService.eventQueuePersistDelayMs);
+    },
+
+    writeEventQueue: () => {
+        const queue = {
+            lastEventId: spacesService.lastEventId,
+            historyQueue: spacesService.historyQueue,
+            pendingWindowEvents: spacesService.pendingWindowEvents,
+            closedWindowIds: spacesService.closedWindowIds,
+            tabHistoryUrlMap: spacesService.tabHistoryUrlMap,
+        };
+        const key = spacesService.eventQueueStorageKey;
+
+        spacesService._setSessionStorage({ [key]: queue }, written => {
+            // the urls of open tabs are by far the largest part. without them only the
+            // history of tabs closed while the worker was stopped is lost
+            if (!written && Object.keys(queue.tabHistoryUrlMap).length > 0) {
+                spacesService._setSessionStorage({
+                    [key]: { ...queue, tabHistoryUrlMap: {} },
+                });
+            }
+        });
+    },
+
+    // merge the queue saved by an earlier instance of the service worker into this one
+    restoreEventQueue: () => {
+        return new Promise(resolve => {
+            const key = spacesService.eventQueueStorageKey;
+            spacesService._getSessionStorage([key], result => {
+                const stored = result && result[key];
+                if (stored) {
+                    const queuedIds = spacesService.historyQueue.map(
+                        historyItem => historyItem.id
+                    );
+
+                    spacesService.lastEventId = Math.max(
+                        spacesService.lastEventId,
+                        stored.lastEventId || 0
+                    );
+                    spacesService.historyQueue = (stored.historyQueue || [])
+                        .filter(historyItem => !queuedIds.includes(historyItem.id))
+                        .concat(spacesService.historyQueue);
+                    spacesService.pendingWindowEvents = {
+                        ...stored.pendingWindowEvents,
+                        ...spacesService.pendingWindowEvents,
+                    };
+                    spacesService.closedWindowIds = {
+                        ...stored.closedWindowIds,
+                        ...spacesService.closedWindowIds,
+                    };
+                    spacesService.tabHistoryUrlMap = {
+                        ...stored.tabHistoryUrlMap,
+                        ...spacesService.tabHistoryUrlMap,
+                    };
+                }
+                resolve();
+            });
+        });
+    },
+
+    // re-queue window events that never completed. the history items they were
+    // batching are still in the queue, and are applied along with them
+    replayEventQueue: () => {
+        Object.keys(spacesService.pendingWindowEvents).forEach(windowId => {
+            const numericWindowId = parseInt(windowId, 10);
+            if (!spacesService.sessionUpdateTimers[numericWindowId]) {
+                spacesService.queueWindowEvent(
+                    numericWindowId,
+                    spacesService.eventQueueCount,
+                    spacesService.noop
+                );
+            }
+        });
+        spacesService.pruneClosedWindowIds();
+    },
+
+    // a closed window only needs remembering while events for it may still be queued.
+    // the events of an earlier worker have been replayed by now, so the windows it
+    // closed can be forgotten
+    pruneClosedWindowIds: () => {
+        const closedWindowIds = {};
+        Object.keys(spacesService.closedWindowIds).forEach(windowId => {
+            const numericWindowId = parseInt(windowId, 10);
+            if (
+                spacesService.pendingWindowEvents[windowId] ||
+                spacesService.sessionUpdateTimers[numericWindowId] ||
+                spacesService.historyQueue.some(
+                    historyItem => historyItem.windowId === numericWindowId
+                )
+            ) {
+                closedWindowIds[windowId] = true;
+            }
+        });
+        spacesService.closedWindowIds = closedWindowIds;
+        spacesService.persistEventQueue();
+    },
+
+    queueHistoryItem: (url, windowId, action) => {
+        spacesService.historyQueue.push({
+            id: spacesService.nextEventId(),
+            url,
+            windowId,
+            action,
+        });
+        spacesService.persistEventQueue();
+    },
+
+    // a newer event for the window may have been queued while this one was handled
+    completeWindowEvent: (windowId, eventId) => {
+        if (spacesService.pendingWindowEvents[windowId] === eventId) {
+            delete spacesService.pendingWindowEvents[windowId];
+            delete spacesService.sessionUpdateTimers[windowId];
+        }
+        spacesService.persistEventQueue();
+    },
+
+    // NOTE: saved sessionHashes are updated automatically when the url rules change. if
+    // ever changing what this function does otherwise, raise urlRules.VERSION so that
+    // they are updated too
     _cleanUrl: url => {
         if (!url) {
             return '';
@@ -91,30 +483,7 @@ const spacesService = {
             return '';
         }
 
-        let cleanUrl = url;
-
-        // add support for 'The Great Suspender'
-        if (
-            cleanUrl.indexOf('suspended.html') > 0 &&
-            cleanUrl.indexOf('uri=') > 0
-        ) {
-            cleanUrl = cleanUrl.substring(
-                cleanUrl.indexOf('uri=') + 4,
-                cleanUrl.length
-            );
-        }
-
-        // remove any text after a '#' symbol
-        if (cleanUrl.indexOf('#') > 0) {
-            cleanUrl = cleanUrl.substring(0, cleanUrl.indexOf('#'));
-        }
-
-        // remove any text after a '?' symbol
-        if (cleanUrl.indexOf('?') > 0) {
-            cleanUrl = cleanUrl.substring(0, cleanUrl.indexOf('?'));
-        }
-
-        return cleanUrl;
+        return urlRules.normaliseUrl(url, spacesService.urlRules);
     },
 
     generateSessionHash: tabs => {
@@ -159,19 +528,50 @@ const spacesService = {
         const temporarySession = spacesService.getSessionByWindowId(
             curWindow.id
         );
-        const matchingSession = spacesService.getSessionBySessionHash(
+        let matchingSession = spacesService.getSessionBySessionHash(
             sessionHash,
             true
         );
+        let matchConfidence = matchingSession ? 1 : 0;
+        let suggestedMatch = false;
+
+        // if no exact hash match then fall back to comparing urls, so that a window
+        // restored with a slightly different set of tabs can still be re-adopted
+        if (!matchingSession) {
+            const dismissedSessionIds =
+                (temporarySession && temporarySession.dismissedSessionIds) ||
+                [];
+            const bestMatch = spacesService.findBestSessionMatch(
+                curWindow.tabs,
+                dismissedSessionIds
+            );
+
+            if (
+                bestMatch &&
+                bestMatch.confidence >= spacesService.matchThreshold
+            ) {
+                matchingSession = bestMatch.session;
+                matchConfidence = bestMatch.confidence;
+            } else if (
+                bestMatch &&
+                bestMatch.confidence >= spacesService.suggestThreshold
+            ) {
+                suggestedMatch = {
+                    sessionId: bestMatch.session.id,
+                    confidence: bestMatch.confidence,
+                };
+            }
+        }
 
         if (matchingSession) {
             if (spacesService.debug)
                 // eslint-disable-next-line no-console
                 console.log(
-                    `matching session found: ${matchingSession.id}. linking with window: ${curWindow.id}`
+                    `matching session found: ${matchingSession.id} (confidence: ${matchConfidence}). linking with window: ${curWindow.id}`
                 );
 
             spacesService.matchSessionToWindow(matchingSession, curWindow);
+            matchingSession.matchConfidence = matchConfidence;
         }
 
         // if no match found and this window does not already have a temporary session
@@ -185,23 +585,153 @@ const spacesService = {
             // create a new temporary session for this window (with no sessionId or name)
             spacesService.createTemporaryUnmatchedSession(curWindow);
         }
+
+        // remember any ambiguous match so the user can be asked about it
+        if (!matchingSession) {
+            const unmatchedSession = spacesService.getSessionByWindowId(
+                curWindow.id
+            );
+            if (unmatchedSession && !unmatchedSession.id) {
+                unmatchedSession.suggestedMatch = suggestedMatch;
+            }
+
+            // only announce new temporary sessions once they have their suggestion
+            if (!temporarySession && unmatchedSession) {
+                spacesService.notifyChange('created', unmatchedSession);
+            }
+        }
+    },
+
+    // returns a 0..1 score of how many distinct (cleaned) urls two tab lists share
+    getSessionSimilarity: (tabs, sessionTabs) => {
+        const toUrlSet = curTabs => {
+            const urls = new Set();
+            (curTabs || []).forEach(curTab => {
+                const cleanUrl = spacesService._cleanUrl(curTab.url);
+                if (cleanUrl.length > 0) urls.add(cleanUrl);
+            });
+            return urls;
+        };
+
+        const urls = toUrlSet(tabs);
+        const sessionUrls = toUrlSet(sessionTabs);
+
+        if (urls.size === 0 || sessionUrls.size === 0) {
+            return 0;
+        }
+
+        let sharedCount = 0;
+        urls.forEach(url => {
+            if (sessionUrls.has(url)) sharedCount += 1;
+        });
+        return sharedCount / (urls.size + sessionUrls.size - sharedCount);
+    },
+
+    // find the closed saved session that most resembles the given tabs.
+    // equal scores are resolved in favour of the most recently accessed session
+    findBestSessionMatch: (tabs, excludeSessionIds) => {
+        const excludeIds = excludeSessionIds || [];
+        let bestMatch = false;
+
+        spacesService.sessions.forEach(session => {
+            if (
+                !session.id ||
+                session.windowId ||
+                excludeIds.indexOf(session.id) >= 0
+            ) {
+                return;
+            }
+
+            const confidence = spacesService.getSessionSimilarity(
+                tabs,
+                session.tabs
+            );
+            if (confidence === 0) {
+                return;
+            }
+
+            if (
+                !bestMatch ||
+                confidence > bestMatch.confidence ||
+                (confidence === bestMatch.confidence &&
+                    spacesService._getLastAccessTime(session) >
+                        spacesService._getLastAccessTime(bestMatch.session))
+            ) {
+                bestMatch = { session, confidence };
+            }
+        });
+
+        return bestMatch;
+    },
+
+    _getLastAccessTime: session => {
+        return session.lastAccess ? new Date(session.lastAccess).getTime() : 0;
+    },
+
+    // describe a pending ambiguous match for a temporary session (if there is one)
+    getMatchSuggestion: session => {
+        if (!session || session.id || !session.suggestedMatch) {
+            return false;
+        }
+
+        const suggestedSession = spacesService.getSessionBySessionId(
+            session.suggestedMatch.sessionId
+        );
+        if (!suggestedSession || suggestedSession.windowId) {
+            return false;
+        }
+
+        return {
+            sessionId: suggestedSession.id,
+            name: suggestedSession.name,
+            confidence: session.suggestedMatch.confidence,
+        };
+    },
+
+    // user has said this window is not the suggested space. don't ask again
+    dismissSessionMatch: (windowId, sessionId) => {
+        const session = spacesService.getSessionByWindowId(windowId);
+        if (!session || session.id) {
+            return false;
+        }
+
+        const numericSessionId =
+            typeof sessionId === 'string' ? parseInt(sessionId, 10) : sessionId;
+        if (!session.dismissedSessionIds) session.dismissedSessionIds = [];
+        session.dismissedSessionIds.push(numericSessionId);
+        session.suggestedMatch = false;
+        return true;
     },
 
     matchSessionToWindow: (session, curWindow) => {
         // remove any other sessions tied to this windowId (temporary sessions)
         for (let i = spacesService.sessions.length - 1; i >= 0; i -= 1) {
-            if (spacesService.sessions[i].windowId === curWindow.id) {
-                if (spacesService.sessions[i].id) {
-                    spacesService.sessions[i].windowId = false;
+            const curSession = spacesService.sessions[i];
+            if (curSession !== session && curSession.windowId === curWindow.id) {
+                if (curSession.id) {
+                    curSession.windowId = false;
+                    spacesService.removeWindowLink(curWindow.id);
+                    spacesService.notifyChange('closed', curSession, {
+                        windowId: false,
+                    });
                 } else {
                     spacesService.sessions.splice(i, 1);
+                    spacesService.notifyChange('deleted', curSession);
                 }
             }
         }
 
+        if (session.windowId && session.windowId !== curWindow.id) {
+            spacesService.removeWindowLink(session.windowId);
+        }
+
         // assign windowId to newly matched session
         // eslint-disable-next-line no-param-reassign
         session.windowId = curWindow.id;
+        spacesService.updateWindowLink(session, curWindow.tabs);
+        spacesService.notifyChange('opened', session, {
+            windowId: curWindow.id,
+        });
     },
 
     createTemporaryUnmatchedSession: curWindow => {
@@ -223,7 +753,7 @@ const spacesService = {
             name: false,
             tabs: curWindow.tabs,
             history: [],
-            lastAccess: new Date(),
+            lastAccess: Date.now(),
         });
     },
 
@@ -272,11 +802,11 @@ const spacesService = {
 
             // if this is a legitimate single tab removal from a window then update session/window
         } else {
-            spacesService.historyQueue.push({
-                url: spacesService.tabHistoryUrlMap[tabId],
-                windowId: removeInfo.windowId,
-                action: 'add',
-            });
+            spacesService.queueHistoryItem(
+                spacesService.tabHistoryUrlMap[tabId],
+                removeInfo.windowId,
+                'add'
+            );
             spacesService.queueWindowEvent(
                 removeInfo.windowId,
                 spacesService.eventQueueCount,
@@ -309,7 +839,7 @@ const spacesService = {
                 );
 
             // update tab history in case the tab url has changed
-            spacesService.tabHistoryUrlMap[tab.id] = tab.url;
+            spacesService.tabHistoryUrlMap[tab.id] = tabLoader.unwrapUrl(tab.url);
             spacesService.queueWindowEvent(
                 tab.windowId,
                 spacesService.eventQueueCount,
@@ -320,11 +850,7 @@ const spacesService = {
         // check for change in tab url. if so, update history
         if (changeInfo.url) {
             // add tab to history queue as an item to be removed (as it is open for this window)
-            spacesService.historyQueue.push({
-                url: changeInfo.url,
-                windowId: tab.windowId,
-                action: 'remove',
-            });
+            spacesService.queueHistoryItem(changeInfo.url, tab.windowId, 'remove');
         }
     },
     handleWindowRemoved: (windowId, markAsClosed, callback) => {
@@ -345,6 +871,13 @@ const spacesService = {
                 console.log(`adding window to closedWindowIds: ${windowId}`);
             spacesService.closedWindowIds[windowId] = true;
             clearTimeout(spacesService.sessionUpdateTimers[windowId]);
+
+            // nothing more will be applied to this window's session
+            delete spacesService.pendingWindowEvents[windowId];
+            spacesService.historyQueue = spacesService.historyQueue.filter(
+                historyItem => historyItem.windowId !== windowId
+            );
+            spacesService.persistEventQueue();
         }
 
         const session = spacesService.getSessionByWindowId(windowId);
@@ -352,6 +885,10 @@ const spacesService = {
             // if this is a saved session then just remove the windowId reference
             if (session.id) {
                 session.windowId = false;
+                spacesService.removeWindowLink(windowId);
+                spacesService.notifyChange('closed', session, {
+                    windowId: false,
+                });
 
                 // else if it is temporary session then remove the session from the cache
             } else {
@@ -362,6 +899,7 @@ const spacesService = {
                     }
                     return false;
                 });
+                spacesService.notifyChange('deleted', session);
             }
         }
 
@@ -378,22 +916,48 @@ const spacesService = {
 
         const session = spacesService.getSessionByWindowId(windowId);
         if (session) {
-            session.lastAccess = new Date();
+            session.lastAccess = Date.now();
         }
     },
 
-    // 1sec timer-based batching system.
+    handleWindowBoundsChanged: curWindow => {
+        const session = spacesService.getSessionByWindowId(curWindow.id);
+
+        if (
+            session &&
+            spacesService.updateSessionWindowBounds(session, curWindow) &&
+            session.id
+        ) {
+            // a drag or resize fires many of these, so only save once it has settled
+            const sessionId = session.id;
+            clearTimeout(spacesService.boundsSaveTimers[sessionId]);
+            spacesService.boundsSaveTimers[sessionId] = setTimeout(() => {
+                delete spacesService.boundsSaveTimers[sessionId];
+                spacesService.saveExistingSession(sessionId);
+            }, spacesService.windowEventDelayMs);
+        }
+    },
+
+    // timer-based batching system (1sec unless changed in the preferences).
     // Set a timeout so that multiple tabs all opened at once (like when restoring a session)
     // only trigger this function once (as per the timeout set by the last tab event)
-    // This will cause multiple triggers if time between tab openings is longer than 1 sec
+    // This will cause multiple triggers if time between tab openings is longer than the delay
     queueWindowEvent: (windowId, eventId, callback) => {
         clearTimeout(spacesService.sessionUpdateTimers[windowId]);
 
         spacesService.eventQueueCount += 1;
 
+        // remembered until handled, in case the worker is stopped before the timer fires
+        const pendingEventId = spacesService.nextEventId();
+        spacesService.pendingWindowEvents[windowId] = pendingEventId;
+        spacesService.persistEventQueue();
+
         spacesService.sessionUpdateTimers[windowId] = setTimeout(() => {
-            spacesService.handleWindowEvent(windowId, eventId, callback);
-        }, 1000);
+            spacesService.handleWindowEvent(windowId, eventId, () => {
+                spacesService.completeWindowEvent(windowId, pendingEventId);
+                if (typeof callback === 'function') callback();
+            });
+        }, spacesService.windowEventDelayMs);
     },
 
     // careful here as this function gets called A LOT
@@ -418,10 +982,12 @@ const spacesService = {
                 console.log(
                     `received an event for windowId: ${windowId} which is obviously wrong`
                 );
+            callback();
             return;
         }
 
-        chrome.windows.get(windowId, { populate: true }, curWindow => {
+        chrome.windows.get(windowId, { populate: true }, fetchedWindow => {
+            const curWindow = fetchedWindow && spacesService.unwrapWindow(fetchedWindow);
             if (chrome.runtime.lastError) {
                 // eslint-disable-next-line no-console
                 console.log(
@@ -436,10 +1002,12 @@ const spacesService = {
                     false,
                     spacesService.noop
                 );
+                callback();
                 return;
             }
 
             if (!curWindow || spacesService.filterInternalWindows(curWindow)) {
+                callback();
                 return;
             }
 
@@ -450,6 +1018,7 @@ const spacesService = {
                     console.log(
                         `ignoring event as it pertains to a closed windowId: ${windowId}`
                     );
+                callback();
                 return;
             }
 
@@ -477,6 +1046,12 @@ const spacesService = {
                 for (let i = historyItems.length - 1; i >= 0; i -= 1) {
                     const historyItem = historyItems[i];
 
+                    // skip items already saved with the session by an earlier (replayed) event
+                    if (historyItem.id <= (session.lastEventId || 0)) {
+                        // eslint-disable-next-line no-continue
+                        continue;
+                    }
+
                     if (historyItem.action === 'add') {
                         spacesService.addUrlToSessionHistory(
                             session,
@@ -488,19 +1063,50 @@ const spacesService = {
                             historyItem.url
                         );
                     }
-                    spacesService.historyQueue.splice(i, 1);
                 }
+                historyItems.forEach(historyItem => {
+                    session.lastEventId = Math.max(
+                        session.lastEventId || 0,
+                        historyItem.id || 0
+                    );
+                });
+
+                // the items leave the queue only once the session holding them is saved
+                const dequeueHistoryItems = () => {
+                    spacesService.historyQueue = spacesService.historyQueue.filter(
+                        historyItem => !historyItems.includes(historyItem)
+                    );
+                    callback();
+                };
+
+                spacesService.updateSessionWindowBounds(session, curWindow);
 
                 // override session tabs with tabs from window
                 session.tabs = curWindow.tabs;
                 session.sessionHash = spacesService.generateSessionHash(
                     session.tabs
                 );
-
-                // if it is a saved session then update db
-                if (session.id) {
-                    spacesService.saveExistingSession(session.id);
-                }
+                spacesService.updateWindowLink(session, curWindow.tabs);
+
+                // capture tab groups along with the tabs (tabs reference them by groupId)
+                spacesService.fetchTabGroups(windowId, groups => {
+                    session.groups = groups;
+                    spacesService.notifyChange('tabsChanged', session, {
+                        tabs: session.tabs,
+                        groups,
+                        history: session.history,
+                    });
+
+                    // if it is a saved session then update db
+                    if (session.id) {
+                        spacesService.saveExistingSession(
+                            session.id,
+                            dequeueHistoryItems
+                        );
+                    } else {
+                        dequeueHistoryItems();
+                    }
+                });
             }
 
             // if no session found, it must be a new window.
@@ -513,10 +1119,177 @@ const spacesService = {
                 }
                 spacesService.checkForSessionMatch(curWindow);
             }
-            callback();
+            if (!session) {
+                callback();
+            }
         });
     },
 
+    // a window with its tabs as they should be saved, so that tabs that haven't loaded
+    // yet (see tabLoader.js) are saved with their own url
+    unwrapWindow: curWindow => {
+        return curWindow.tabs
+            ? { ...curWindow, tabs: tabLoader.unwrapTabs(curWindow.tabs) }
+            : curWindow;
+    },
+
+    // returns the title, color and collapsed state of each tab group in a window
+    fetchTabGroups: (windowId, callback) => {
+        // tabGroups api is only available from chrome 89
+        if (!chrome.tabGroups) {
+            callback([]);
+            return;
+        }
+
+        chrome.tabGroups.query({ windowId }, groups => {
+            if (chrome.runtime.lastError || !groups) {
+                callback([]);
+                return;
+            }
+
+            callback(
+                groups.map(group => {
+                    return {
+                        id: group.id,
+                        title: group.title,
+                        color: group.color,
+                        collapsed: group.collapsed,
+                    };
+                })
+            );
+        });
+    },
+
+    // remember where (and how) a session's window was last shown. returns true if changed
+    updateSessionWindowBounds: (session, curWindow) => {
+        // minimized windows report meaningless positions
+        if (curWindow.state === 'minimized' || curWindow.width === undefined) {
+            return false;
+        }
+
+        const state = curWindow.state || 'normal';
+
+        // maximized and fullscreen windows only change the state. the bounds are kept
+        // from when the window was last normal, so that it can be restored to them
+        // (unless there are none yet, when the display it is on is still worth knowing)
+        if (state !== 'normal' && session.windowBounds) {
+            if (session.windowBounds.state === state) {
+                return false;
+            }
+            // eslint-disable-next-line no-param-reassign
+            session.windowBounds = { ...session.windowBounds, state };
+            return true;
+        }
+
+        const bounds = {
+            left: curWindow.left,
+            top: curWindow.top,
+            width: curWindow.width,
+            height: curWindow.height,
+        };
+        const display = spacesService.findDisplayForBounds(
+            bounds,
+            spacesService.displays
+        );
+        const windowBounds = {
+            ...bounds,
+            state,
+            displayId: display ? display.id : false,
+        };
+
+        if (
+            session.windowBounds &&
+            Object.keys(windowBounds).every(key => {
+                return session.windowBounds[key] === windowBounds[key];
+            })
+        ) {
+            return false;
+        }
+
+        // eslint-disable-next-line no-param-reassign
+        session.windowBounds = windowBounds;
+        return true;
+    },
+
+    // the display containing the centre of the bounds, else the one it overlaps most
+    findDisplayForBounds: (bounds, displays) => {
+        const centreX = bounds.left + bounds.width / 2;
+        const centreY = bounds.top + bounds.height / 2;
+        let bestDisplay = false;
+        let bestOverlap = 0;
+
+        (displays || []).some(display => {
+            const area = display.bounds;
+            if (
+                centreX >= area.left &&
+                centreX < area.left + area.width &&
+                centreY >= area.top &&
+                centreY < area.top + area.height
+            ) {
+                bestDisplay = display;
+                return true;
+            }
+
+            const overlap =
+                Math.max(
+                    0,
+                    Math.min(bounds.left + bounds.width, area.left + area.width) -
+                        Math.max(bounds.left, area.left)
+                ) *
+                Math.max(
+                    0,
+                    Math.min(bounds.top + bounds.height, area.top + area.height) -
+                        Math.max(bounds.top, area.top)
+                );
+            if (overlap > bestOverlap) {
+                bestOverlap = overlap;
+                bestDisplay = display;
+            }
+            return false;
+        });
+
+        return bestDisplay;
+    },
+
+    // work out where to reopen a window so that it is visible on a connected display.
+    // prefers the display it was last on, falling back to the primary display
+    fitBoundsToDisplays: (windowBounds, displays) => {
+        const bounds = {
+            left: windowBounds.left,
+            top: windowBounds.top,
+            width: windowBounds.width,
+            height: windowBounds.height,
+        };
+
+        if (!displays || displays.length === 0) {
+            return bounds;
+        }
+
+        let display =
+            displays.find(curDisplay => curDisplay.id === windowBounds.displayId) ||
+            spacesService.findDisplayForBounds(bounds, displays);
+        let offscreen = false;
+
+        if (!display) {
+            display =
+                displays.find(curDisplay => curDisplay.isPrimary) || displays[0];
+            offscreen = true;
+        }
+
+        const area = display.workArea || display.bounds;
+        const width = Math.min(bounds.width, area.width);
+        const height = Math.min(bounds.height, area.height);
+        const left = offscreen ? area.left + 50 : bounds.left;
+        const top = offscreen ? area.top + 50 : bounds.top;
+
+        return {
+            width,
+            height,
+            left: Math.max(area.left, Math.min(left, area.left + area.width - width)),
+            top: Math.max(area.top, Math.min(top, area.top + area.height - height)),
+        };
+    },
+
     // PUBLIC FUNCTIONS
 
     getSessionBySessionId: sessionId => {
@@ -594,9 +1367,9 @@ const spacesService = {
         // eslint-disable-next-line no-param-reassign
         session.history = tabBeingRemoved.concat(session.history);
 
-        // trim history for this space down to last 200 items
+        // trim history for this space down to the last historyLimit items
         // eslint-disable-next-line no-param-reassign
-        session.history = session.history.slice(0, 200);
+        session.history = session.history.slice(0, spacesService.historyLimit);
 
         return session;
     },
@@ -641,6 +1414,10 @@ const spacesService = {
         // update tabs in session
         session.tabs = tabs;
         session.sessionHash = spacesService.generateSessionHash(session.tabs);
+        spacesService.notifyChange('tabsChanged', session, {
+            tabs: session.tabs,
+            history: session.history,
+        });
 
         spacesService.saveExistingSession(session.id, callback);
     },
@@ -652,6 +1429,23 @@ const spacesService = {
 
         const session = spacesService.getSessionBySessionId(sessionId);
         session.name = sessionName;
+        spacesService.notifyChange('renamed', session, { name: sessionName });
+
+        spacesService.saveExistingSession(session.id, callback);
+    },
+
+    // false goes back to the global load strategy
+    updateSessionLoadStrategy: (sessionId, loadStrategy, callback) => {
+        // eslint-disable-next-line no-param-reassign
+        callback =
+            typeof callback !== 'function' ? spacesService.noop : callback;
+
+        const session = spacesService.getSessionBySessionId(sessionId);
+        if (!session) {
+            callback(false);
+            return;
+        }
+        session.loadStrategy = loadStrategy || false;
 
         spacesService.saveExistingSession(session.id, callback);
     },
@@ -663,7 +1457,10 @@ const spacesService = {
         callback =
             typeof callback !== 'function' ? spacesService.noop : callback;
 
-        dbService.updateSession(session, callback);
+        dbService.updateSession(session, result => {
+            if (result) snapshotService.recordSnapshot(session);
+            callback(result);
+        });
     },
 
     saveNewSession: (sessionName, tabs, windowId, callback) => {
@@ -697,12 +1494,15 @@ const spacesService = {
         session.name = sessionName;
         session.sessionHash = sessionHash;
         session.tabs = tabs;
-        session.lastAccess = new Date();
+        session.lastAccess = Date.now();
 
         // save session to db
         dbService.createSession(session, savedSession => {
             // update sessionId in cache
             session.id = savedSession.id;
+            snapshotService.recordSnapshot(session);
+            spacesService.updateWindowLink(session);
+            spacesService.notifyChange('created', session);
 
             callback(savedSession);
         });
@@ -718,6 +1518,10 @@ const spacesService = {
             spacesService.sessions.some((session, index) => {
                 if (session.id === sessionId) {
                     spacesService.sessions.splice(index, 1);
+                    if (session.windowId) {
+                        spacesService.removeWindowLink(session.windowId);
+                    }
+                    spacesService.notifyChange('deleted', session);
                     return true;
                 }
                 return false;
@@ -725,6 +1529,31 @@ const spacesService = {
             callback();
         });
     },
+
+    // Change notifications
+
+    addChangeListener: listener => {
+        spacesService.changeListeners.push(listener);
+    },
+
+    removeChangeListener: listener => {
+        spacesService.changeListeners = spacesService.changeListeners.filter(
+            curListener => curListener !== listener
+        );
+    },
+
+    // types: created, renamed, tabsChanged, opened, closed and deleted.
+    // changes holds only the session fields that changed
+    notifyChange: (type, session, changes = {}) => {
+        spacesService.changeListeners.forEach(listener => {
+            try {
+                listener(type, session, changes);
+            } catch (e) {
+                // eslint-disable-next-line no-console
+                console.error(`change listener failed for ${type}:`, e);
+            }
+        });
+    },
 };
 
 // Default export for ES modules
@@ -1,4 +1,6 @@
-/* global chrome, spacesRenderer  */
+import { spacesRenderer } from './spacesRenderer.js';
+import { spacesApi } from './service-worker-client.js';
+import { spacesEvents } from './spacesEvents.js';
 
 (() => {
     function getSelectedSpace() {
@@ -6,21 +8,18 @@
     }
 
     function handleSwitchAction(selectedSpaceEl) {
-        chrome.runtime.sendMessage({
-            action: 'switchToSpace',
+        spacesApi.switchToSpace({
             sessionId: selectedSpaceEl.getAttribute('data-sessionId'),
             windowId: selectedSpaceEl.getAttribute('data-windowId'),
         });
     }
 
     function handleCloseAction() {
-        chrome.runtime.sendMessage({
-            action: 'requestClose',
-        });
+        spacesApi.requestClose();
     }
 
     function getSwitchKeycodes(callback) {
-        chrome.runtime.sendMessage({ action: 'requestHotkeys' }, commands => {
+        spacesApi.requestHotkeys().then(commands => {
             // eslint-disable-next-line no-console
             console.dir(commands);
 
@@ -53,12 +52,7 @@
         });
     }
 
-    function addEventListeners() {
-        document.getElementById('spaceSelectForm').onsubmit = e => {
-            e.preventDefault();
-            handleSwitchAction(getSelectedSpace());
-        };
-
+    function addSpaceClickHandlers() {
         const allSpaceEls = document.querySelectorAll('.space');
         Array.prototype.forEach.call(allSpaceEls, el => {
             // eslint-disable-next-line no-param-reassign
@@ -66,6 +60,15 @@
                 handleSwitchAction(el);
             };
         });
+    }
+
+    function addEventListeners() {
+        document.getElementById('spaceSelectForm').onsubmit = e => {
+            e.preventDefault();
+            handleSwitchAction(getSelectedSpace());
+        };
+
+        addSpaceClickHandlers();
 
         // Here lies some pretty hacky stuff. Yus! Hax!
         getSwitchKeycodes(() => {
@@ -81,10 +84,16 @@
     }
 
     window.onload = () => {
-        chrome.runtime.sendMessage({ action: 'requestAllSpaces' }, spaces => {
+        spacesApi.requestAllSpaces().then(spaces => {
             spacesRenderer.initialise(8, true);
             spacesRenderer.renderSpaces(spaces);
             addEventListeners();
+
+            // keep the list live while the switcher is open
+            spacesEvents.watchSpaces(spaces, spacesApi.requestAllSpaces, newSpaces => {
+                spacesRenderer.refreshSpaces(newSpaces);
+                addSpaceClickHandlers();
+            });
         });
     };
 })();
@@ -0,0 +1,618 @@
+/* global chrome */
+
+// Import dependencies as ES modules for MV3
+import spacesService from './spacesService.js';
+import { dbService } from './dbService.js';
+import { preferences } from './preferences.js';
+
+// Opt-in sync of saved sessions between devices through chrome.storage.sync (the
+// storageSyncEnabled preference).
+//
+// Every saved session gets a syncId, shared by all devices, and a revision vector
+// ({ deviceId: number of edits made on that device }). A session is stored in
+// chrome.storage.sync as a meta item ('sp:<syncId>': { syncId, revision, hash, chunks,
+// deviceId, updatedAt }) and its contents (name, tabs, groups) as json split into
+// chunks that fit the per-item quota ('sp:<syncId>:0', 'sp:<syncId>:1'...). Deleted
+// sessions leave a meta item with deleted: true (a tombstone) behind.
+//
+// Comparing revision vectors tells us which side is newer. When both changed the same
+// session (or another device changed a session that is open here) it is a conflict,
+// which is left alone until it is resolved by hand in the Manage Spaces page.
+//
+// Bookmark sync (bookmarkSync.js) carries spaces across devices too, so only one of the
+// two can be switched on (their preferences exclude each other).
+export const syncEngine = {
+    KEY_PREFIX: 'sp:',
+
+    // chrome.storage.sync.QUOTA_BYTES_PER_ITEM is 8192, which counts the key too
+    maxChunkBytes: 7800,
+
+    // chrome.storage.sync allows 120 writes a minute, so local changes are batched
+    syncDelay: 10000,
+    tombstoneTtlMs: 30 * 24 * 60 * 60 * 1000,
+
+    deviceId: false,
+
+    // { syncId: { syncId, sessionId, remote: { meta, payload } } }
+    conflicts: {},
+    conflictsStorageKey: 'syncConflicts',
+
+    // syncIds of deleted sessions whose tombstones still have to be written
+    pendingTombstones: {},
+    tombstonesStorageKey: 'syncPendingTombstones',
+
+    // { lastSyncedAt, overQuota: [session names], error }
+    status: { lastSyncedAt: false, overQuota: [], error: false },
+
+    // sessions that this engine creates or deletes itself, whose change events are ignored
+    remoteSyncIds: {},
+
+    // how the service worker creates, deletes and retabs sessions
+    // ({ createSession, deleteSession, setWindowTabs })
+    handlers: {},
+
+    syncTimer: false,
+    taskQueue: Promise.resolve(),
+
+    noop: () => {},
+
+    initialise: handlers => {
+        syncEngine.handlers = handlers;
+
+        return new Promise(resolve => {
+            chrome.storage.local.get(
+                [
+                    'syncDeviceId',
+                    syncEngine.conflictsStorageKey,
+                    syncEngine.tombstonesStorageKey,
+                ],
+                result => {
+                    const state = result || {};
+                    syncEngine.deviceId = state.syncDeviceId || syncEngine.generateId();
+                    syncEngine.conflicts = state[syncEngine.conflictsStorageKey] || {};
+                    syncEngine.pendingTombstones = state[syncEngine.tombstonesStorageKey] || {};
+                    if (!state.syncDeviceId) {
+                        chrome.storage.local.set({ syncDeviceId: syncEngine.deviceId });
+                    }
+
+                    syncEngine.scheduleSync(0);
+                    resolve();
+                }
+            );
+        });
+    },
+
+    isEnabled: () => {
+        return preferences.values.storageSyncEnabled;
+    },
+
+    // preferences change listener
+    handlePreferencesChange: (values, changedNames) => {
+        if (changedNames.indexOf('storageSyncEnabled') >= 0) {
+            syncEngine.scheduleSync(0);
+        }
+    },
+
+    generateId: () => {
+        return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+    },
+
+    persistState: () => {
+        chrome.storage.local.set({
+            [syncEngine.conflictsStorageKey]: syncEngine.conflicts,
+            [syncEngine.tombstonesStorageKey]: syncEngine.pendingTombstones,
+        });
+    },
+
+    // Revision vectors
+
+    bumpRevision: (revision, deviceId) => {
+        return { ...revision, [deviceId]: ((revision || {})[deviceId] || 0) + 1 };
+    },
+
+    mergeRevisions: (revisionA, revisionB) => {
+        const merged = { ...revisionA };
+        Object.keys(revisionB || {}).forEach(deviceId => {
+            merged[deviceId] = Math.max(merged[deviceId] || 0, revisionB[deviceId]);
+        });
+        return merged;
+    },
+
+    // 'equal', 'ahead' (a has everything b has and more), 'behind' or 'concurrent'
+    compareRevisions: (revisionA, revisionB) => {
+        const deviceIds = Object.keys({ ...revisionA, ...revisionB });
+        let ahead = false;
+        let behind = false;
+
+        deviceIds.forEach(deviceId => {
+            const a = (revisionA || {})[deviceId] || 0;
+            const b = (revisionB || {})[deviceId] || 0;
+            if (a > b) ahead = true;
+            if (a < b) behind = true;
+        });
+
+        if (ahead && behind) return 'concurrent';
+        if (ahead) return 'ahead';
+        if (behind) return 'behind';
+        return 'equal';
+    },
+
+    // Serialising sessions
+
+    // what is synced of a session
+    getPayload: session => {
+        return {
+            name: session.name || false,
+            tabs: (session.tabs || []).map(tab => ({
+                url: tab.url,
+                title: tab.title,
+                pinned: tab.pinned || undefined,
+                groupId: tab.groupId >= 0 ? tab.groupId : undefined,
+            })),
+            groups: session.groups && session.groups.length ? session.groups : undefined,
+        };
+    },
+
+    hashString: text => {
+        let hash = 0;
+        for (let i = 0, len = text.length; i < len; i += 1) {
+            // eslint-disable-next-line no-bitwise
+            hash = (hash << 5) - hash + text.charCodeAt(i);
+            // eslint-disable-next-line no-bitwise
+            hash |= 0; // Convert to 32bit integer
+        }
+        return Math.abs(hash);
+    },
+
+    hashPayload: payload => {
+        return syncEngine.hashString(JSON.stringify(payload));
+    },
+
+    // bytes a character takes up once stored as part of a json string
+    _charBytes: char => {
+        const escaped = JSON.stringify(char).slice(1, -1);
+        if (escaped[0] === '\\') return escaped.length; // escapes are ascii
+        const codePoint = char.codePointAt(0);
+        if (codePoint < 0x80) return 1;
+        if (codePoint < 0x800) return 2;
+        return codePoint < 0x10000 ? 3 : 4;
+    },
+
+    // split text into strings that each store in at most maxBytes (as json)
+    splitIntoChunks: (text, maxBytes) => {
+        const chunks = [];
+        let chunk = '';
+        let chunkBytes = 2; // the quotes
+
+        // by code point, so that surrogate pairs stay together
+        Array.from(text).forEach(char => {
+            const bytes = syncEngine._charBytes(char);
+            if (chunkBytes + bytes > maxBytes && chunk) {
+                chunks.push(chunk);
+                chunk = '';
+                chunkBytes = 2;
+            }
+            chunk += char;
+            chunkBytes += bytes;
+        });
+        if (chunk || chunks.length === 0) {
+            chunks.push(chunk);
+        }
+        return chunks;
+    },
+
+    getMetaKey: syncId => `${syncEngine.KEY_PREFIX}${syncId}`,
+
+    getChunkKey: (syncId, index) => `${syncEngine.KEY_PREFIX}${syncId}:${index}`,
+
+    // the chrome.storage.sync items for a session
+    buildItems: (syncId, revision, payload, deviceId, now) => {
+        const text = JSON.stringify(payload);
+        const chunks = syncEngine.splitIntoChunks(
+            text,
+            syncEngine.maxChunkBytes - syncEngine.getChunkKey(syncId, 999).length
+        );
+        const items = {
+            [syncEngine.getMetaKey(syncId)]: {
+                syncId,
+                revision,
+                hash: syncEngine.hashString(text),
+                chunks: chunks.length,
+                deviceId,
+                updatedAt: now,
+            },
+        };
+        chunks.forEach((chunk, index) => {
+            items[syncEngine.getChunkKey(syncId, index)] = chunk;
+        });
+        return items;
+    },
+
+    // read everything in chrome.storage.sync back into { syncId: { meta, payload } }.
+    // payload is false for tombstones, and for sessions that haven't fully arrived yet
+    parseItems: items => {
+        const remote = {};
+
+        Object.keys(items).forEach(key => {
+            const meta = items[key];
+            if (!key.startsWith(syncEngine.KEY_PREFIX) || !meta || typeof meta !== 'object') {
+                return;
+            }
+
+            let payload = false;
+            if (!meta.deleted) {
+                const chunks = [];
+                for (let i = 0; i < meta.chunks; i += 1) {
+                    chunks.push(items[syncEngine.getChunkKey(meta.syncId, i)]);
+                }
+                const text = chunks.every(chunk => typeof chunk === 'string')
+                    ? chunks.join('')
+                    : false;
+                if (text && syncEngine.hashString(text) === meta.hash) {
+                    payload = JSON.parse(text);
+                }
+            }
+
+            remote[meta.syncId] = { meta, payload };
+        });
+
+        return remote;
+    },
+
+    // Syncing
+
+    _storage: (method, ...args) => {
+        return new Promise((resolve, reject) => {
+            chrome.storage.sync[method](...args, result => {
+                if (chrome.runtime.lastError) {
+                    reject(new Error(chrome.runtime.lastError.message));
+                } else {
+                    resolve(result);
+                }
+            });
+        });
+    },
+
+    _saveSession: session => {
+        return new Promise(resolve => {
+            dbService.updateSession(session, resolve);
+        });
+    },
+
+    _enqueue: task => {
+        syncEngine.taskQueue = syncEngine.taskQueue.then(task).catch(error => {
+            console.error('syncEngine - sync failed:', error);
+            syncEngine.status = { ...syncEngine.status, error: error.message };
+        });
+        return syncEngine.taskQueue;
+    },
+
+    scheduleSync: (delay = syncEngine.syncDelay) => {
+        if (!syncEngine.isEnabled()) return;
+
+        clearTimeout(syncEngine.syncTimer);
+        syncEngine.syncTimer = setTimeout(() => {
+            syncEngine.syncTimer = false;
+            syncEngine._enqueue(syncEngine.sync);
+        }, delay);
+    },
+
+    // spacesService change listener
+    handleSessionChange: (type, session) => {
+        if (!syncEngine.isEnabled() || !session.id) return;
+
+        if (session.syncId && syncEngine.remoteSyncIds[session.syncId]) {
+            delete syncEngine.remoteSyncIds[session.syncId];
+            return;
+        }
+
+        if (type === 'deleted' && session.syncId) {
+            delete syncEngine.conflicts[session.syncId];
+            syncEngine.pendingTombstones[session.syncId] = syncEngine.bumpRevision(
+                session.syncRevision,
+                syncEngine.deviceId
+            );
+            syncEngine.persistState();
+        } else if (type === 'created' && session.syncId) {
+            // a session coming back (eg. from the trash) syncs as a new one, so that
+            // its tombstone doesn't delete it again
+            delete syncEngine.pendingTombstones[session.syncId];
+            Object.assign(session, { syncId: false, syncRevision: false, syncHash: false });
+            syncEngine._saveSession(session);
+        }
+
+        if (['created', 'renamed', 'tabsChanged', 'deleted'].includes(type)) {
+            syncEngine.scheduleSync();
+        }
+    },
+
+    handleRemoteChange: changes => {
+        const relevant = Object.keys(changes).some(key => key.startsWith(syncEngine.KEY_PREFIX));
+        if (relevant) {
+            syncEngine.scheduleSync(1000);
+        }
+    },
+
+    sync: () => {
+        return syncEngine._storage('get', null).then(items => {
+            const remote = syncEngine.parseItems(items || {});
+            const now = Date.now();
+            const writes = [];
+            const removals = [];
+
+            // deletions made here (of sessions that other devices know about)
+            Object.keys(syncEngine.pendingTombstones).forEach(syncId => {
+                const remoteEntry = remote[syncId];
+                if (!remoteEntry) {
+                    delete syncEngine.pendingTombstones[syncId];
+                    return;
+                }
+                removals.push(...syncEngine._getChunkKeys(remoteEntry));
+                writes.push({
+                    syncId,
+                    items: {
+                        [syncEngine.getMetaKey(syncId)]: {
+                            syncId,
+                            revision: syncEngine.mergeRevisions(
+                                syncEngine.pendingTombstones[syncId],
+                                remoteEntry && remoteEntry.meta.revision
+                            ),
+                            deleted: true,
+                            deviceId: syncEngine.deviceId,
+                            updatedAt: now,
+                        },
+                    },
+                });
+            });
+
+            const localSyncIds = {};
+            const tasks = spacesService.sessions
+                .filter(session => session.id)
+                .map(session => {
+                    if (session.syncId) localSyncIds[session.syncId] = true;
+                    return () => syncEngine._syncSession(session, remote, writes, removals, now);
+                });
+
+            // sessions created on other devices
+            Object.keys(remote).forEach(syncId => {
+                const { meta, payload } = remote[syncId];
+                if (localSyncIds[syncId] || syncEngine.pendingTombstones[syncId]) return;
+
+                if (meta.deleted) {
+                    // anyone can clear out old tombstones
+                    if (now - meta.updatedAt > syncEngine.tombstoneTtlMs) {
+                        removals.push(syncEngine.getMetaKey(syncId));
+                    }
+                } else if (payload) {
+                    tasks.push(() => syncEngine._createFromRemote(meta, payload));
+                }
+            });
+
+            return tasks
+                .reduce((chain, task) => chain.then(task), Promise.resolve())
+                .then(() => syncEngine._write(writes, removals, now));
+        });
+    },
+
+    _getChunkKeys: (remoteEntry, fromIndex = 0) => {
+        const keys = [];
+        if (remoteEntry && !remoteEntry.meta.deleted) {
+            for (let i = fromIndex; i < remoteEntry.meta.chunks; i += 1) {
+                keys.push(syncEngine.getChunkKey(remoteEntry.meta.syncId, i));
+            }
+        }
+        return keys;
+    },
+
+    _syncSession: (session, remote, writes, removals, now) => {
+        const payload = syncEngine.getPayload(session);
+        const hash = syncEngine.hashPayload(payload);
+        let changed = false;
+
+        if (!session.syncId) {
+            Object.assign(session, { syncId: syncEngine.generateId(), syncRevision: {} });
+            changed = true;
+        }
+        if (hash !== session.syncHash) {
+            session.syncRevision = syncEngine.bumpRevision(session.syncRevision, syncEngine.deviceId);
+            session.syncHash = hash;
+            changed = true;
+        }
+
+        const saved = changed ? syncEngine._saveSession(session) : Promise.resolve();
+        const remoteEntry = remote[session.syncId];
+
+        if (syncEngine.conflicts[session.syncId]) {
+            // keep the conflict up to date with the latest from the other device
+            if (remoteEntry) {
+                syncEngine.conflicts[session.syncId].remote = remoteEntry;
+                syncEngine.persistState();
+            }
+            return saved;
+        }
+
+        const comparison = remoteEntry
+            ? syncEngine.compareRevisions(session.syncRevision, remoteEntry.meta.revision)
+            : 'ahead';
+
+        if (comparison === 'ahead') {
+            const items = syncEngine.buildItems(
+                session.syncId,
+                session.syncRevision,
+                payload,
+                syncEngine.deviceId,
+                now
+            );
+            writes.push({
+                syncId: session.syncId,
+                name: session.name,
+                items,
+                // chunks left over from a longer version
+                staleKeys: syncEngine._getChunkKeys(
+                    remoteEntry,
+                    items[syncEngine.getMetaKey(session.syncId)].chunks
+                ),
+            });
+            return saved;
+        }
+        if (comparison === 'equal' || (remoteEntry && !remoteEntry.payload && !remoteEntry.meta.deleted)) {
+            // up to date, or the other device's change hasn't fully arrived yet
+            return saved;
+        }
+
+        const identical =
+            remoteEntry.payload && syncEngine.hashPayload(remoteEntry.payload) === hash;
+        if (identical) {
+            session.syncRevision = syncEngine.mergeRevisions(
+                session.syncRevision,
+                remoteEntry.meta.revision
+            );
+            return saved.then(() => syncEngine._saveSession(session));
+        }
+
+        // an open session's window is what it holds, so only replace it when asked to
+        if (comparison === 'concurrent' || session.windowId) {
+            syncEngine.conflicts[session.syncId] = {
+                syncId: session.syncId,
+                sessionId: session.id,
+                remote: remoteEntry,
+            };
+            syncEngine.persistState();
+            return saved;
+        }
+
+        return saved.then(() => syncEngine._applyRemote(session, remoteEntry));
+    },
+
+    // bring a session in line with the other device's version of it
+    _applyRemote: (session, remoteEntry) => {
+        const { meta, payload } = remoteEntry;
+        const revision = syncEngine.mergeRevisions(session.syncRevision, meta.revision);
+
+        if (meta.deleted) {
+            syncEngine.remoteSyncIds[session.syncId] = true;
+            return new Promise(resolve => {
+                syncEngine.handlers.deleteSession(session.id, resolve);
+            });
+        }
+
+        Object.assign(session, {
+            syncRevision: revision,
+            syncHash: syncEngine.hashPayload(payload),
+            groups: payload.groups || [],
+        });
+
+        return new Promise(resolve => {
+            if (payload.name !== (session.name || false)) {
+                spacesService.updateSessionName(session.id, payload.name);
+            }
+            if (session.windowId) {
+                syncEngine.handlers.setWindowTabs(session.windowId, payload.tabs, resolve);
+            } else {
+                spacesService.updateSessionTabs(session.id, payload.tabs, resolve);
+            }
+        });
+    },
+
+    _createFromRemote: (meta, payload) => {
+        syncEngine.remoteSyncIds[meta.syncId] = true;
+
+        return new Promise(resolve => {
+            syncEngine.handlers.createSession(
+                {
+                    name: payload.name,
+                    tabs: payload.tabs,
+                    groups: payload.groups || [],
+                    history: [],
+                    sessionHash: spacesService.generateSessionHash(payload.tabs),
+                    lastAccess: meta.updatedAt,
+                    windowId: false,
+                    syncId: meta.syncId,
+                    syncRevision: meta.revision,
+                    syncHash: syncEngine.hashPayload(payload),
+                },
+                resolve
+            );
+        });
+    },
+
+    // one chrome.storage.sync write per session, so that a session's meta and chunks
+    // arrive together. a session that doesn't fit in the quota is skipped
+    _write: (writes, removals, now) => {
+        const overQuota = [];
+
+        return writes
+            .reduce(
+                (chain, write) =>
+                    chain.then(() =>
+                        syncEngine
+                            ._storage('set', write.items)
+                            .then(() => {
+                                delete syncEngine.pendingTombstones[write.syncId];
+                                removals.push(...(write.staleKeys || []));
+                            })
+                            .catch(error => {
+                                console.error('syncEngine - could not write', write.syncId, error);
+                                overQuota.push(write.name || 'Unnamed space');
+                            })
+                    ),
+                Promise.resolve()
+            )
+            .then(() => (removals.length > 0 ? syncEngine._storage('remove', removals) : false))
+            .then(() => {
+                syncEngine.persistState();
+                syncEngine.status = { lastSyncedAt: now, overQuota, error: false };
+            });
+    },
+
+    // keep is 'local' or 'remote'
+    resolveConflict: (syncId, keep, callback) => {
+        // eslint-disable-next-line no-param-reassign
+        callback = typeof callback !== 'function' ? syncEngine.noop : callback;
+
+        const conflict = syncEngine.conflicts[syncId];
+        const session = conflict && spacesService.getSessionBySessionId(conflict.sessionId);
+        delete syncEngine.conflicts[syncId];
+        syncEngine.persistState();
+
+        if (!session) {
+            callback(false);
+            return;
+        }
+
+        syncEngine._enqueue(() => {
+            if (keep === 'remote') {
+                return syncEngine._applyRemote(session, conflict.remote);
+            }
+            // this device's version wins, so it has to be newer than the other one
+            session.syncRevision = syncEngine.bumpRevision(
+                syncEngine.mergeRevisions(session.syncRevision, conflict.remote.meta.revision),
+                syncEngine.deviceId
+            );
+            return syncEngine._saveSession(session);
+        }).then(() => {
+            syncEngine.scheduleSync(0);
+            callback(true);
+        });
+    },
+
+    // what the Manage Spaces page shows
+    getStatus: () => {
+        const conflicts = Object.keys(syncEngine.conflicts).map(syncId => {
+            const { sessionId, remote } = syncEngine.conflicts[syncId];
+            const session = spacesService.getSessionBySessionId(sessionId) || {};
+            return {
+                syncId,
+                sessionId,
+                name: session.name || false,
+                tabCount: (session.tabs || []).length,
+                remoteName: remote.payload ? remote.payload.name : false,
+                remoteTabCount: remote.payload ? remote.payload.tabs.length : 0,
+                remoteDeleted: !!remote.meta.deleted,
+                remoteUpdatedAt: remote.meta.updatedAt,
+            };
+        });
+
+        return { storageSyncEnabled: syncEngine.isEnabled(), ...syncEngine.status, conflicts };
+    },
+};
@@ -0,0 +1,194 @@
+/* global chrome */
+
+// Controls how the tabs of a space start loading when it is opened in a new window,
+// so that opening a large space doesn't load every page at once.
+//
+// Only the tabs that should load straight away are opened with their own url. The
+// others are opened as placeholders (lazy.html, which holds the tab's url and title)
+// and never touch the network until they are navigated to their url.
+// 'eager' loads every tab, but no more than maxConcurrentLoads at a time. the
+// placeholders are navigated one by one as earlier tabs finish.
+// 'lazy' only loads the active and pinned tabs. the placeholders load themselves
+// when they are first selected.
+//
+// The strategy and limit are preferences (see preferences.js), and a space can have a
+// strategy of its own.
+export const tabLoader = {
+    LOAD_STRATEGIES: ['eager', 'lazy'],
+
+    PLACEHOLDER_PAGE: 'lazy.html',
+
+    // tabs still waiting for a loading slot, keyed by windowId:
+    // { queue: [tabId], loading: [tabId], urls: { tabId: url }, maxConcurrentLoads }
+    // (if the service worker restarts these are lost, and the placeholders stay
+    // until selected, as with the lazy strategy)
+    pendingLoads: {},
+
+    isLoadStrategy: loadStrategy => {
+        return tabLoader.LOAD_STRATEGIES.indexOf(loadStrategy) >= 0;
+    },
+
+    // a space's own strategy wins over the global one (the loadStrategy preference)
+    getLoadStrategy: (session, globalLoadStrategy) => {
+        return session && tabLoader.isLoadStrategy(session.loadStrategy)
+            ? session.loadStrategy
+            : globalLoadStrategy;
+    },
+
+    // work out, by tab position, which tabs to load straight away (load), which to
+    // load once a slot frees up (queue) and which to leave until selected (defer)
+    planTabLoading: (tabs, loadStrategy, maxConcurrentLoads, activeIndex = 0) => {
+        const priority = [];
+        const others = [];
+
+        tabs.forEach((curTab, index) => {
+            if (index === activeIndex || curTab.pinned) {
+                priority.push(index);
+            } else {
+                others.push(index);
+            }
+        });
+
+        const wanted =
+            loadStrategy === 'lazy' ? priority : priority.concat(others);
+        const slots = maxConcurrentLoads > 0 ? maxConcurrentLoads : wanted.length;
+
+        // the active tab is always loaded, even if it goes over the limit
+        const load = wanted.slice(0, Math.max(slots, 1));
+        const queue = wanted.slice(load.length);
+        const defer = loadStrategy === 'lazy' ? others : [];
+
+        return { load, queue, defer };
+    },
+
+    // Placeholders
+
+    getPlaceholderUrl: tab => {
+        const params = new URLSearchParams({ url: tab.url, title: tab.title || tab.url });
+        if (tab.favIconUrl) params.set('favIconUrl', tab.favIconUrl);
+        return `${chrome.runtime.getURL(tabLoader.PLACEHOLDER_PAGE)}?${params.toString()}`;
+    },
+
+    // the url and title a placeholder stands for, or false if it isn't one
+    parsePlaceholderUrl: url => {
+        const prefix = `${chrome.runtime.getURL(tabLoader.PLACEHOLDER_PAGE)}?`;
+        if (typeof url !== 'string' || url.indexOf(prefix) !== 0) {
+            return false;
+        }
+
+        const params = new URLSearchParams(url.substring(prefix.length));
+        const tabUrl = params.get('url');
+        return tabUrl ? { url: tabUrl, title: params.get('title') || tabUrl } : false;
+    },
+
+    // the tab's url, looking through placeholders
+    unwrapUrl: url => {
+        const placeholder = tabLoader.parsePlaceholderUrl(url);
+        return placeholder ? placeholder.url : url;
+    },
+
+    // the tabs of a window as they should be saved, with placeholders replaced by the
+    // tabs they stand for
+    unwrapTabs: tabs => {
+        return (tabs || []).map(curTab => {
+            const placeholder = tabLoader.parsePlaceholderUrl(curTab.url || curTab.pendingUrl);
+            return placeholder ? { ...curTab, ...placeholder } : curTab;
+        });
+    },
+
+    // the urls to create a new window with: the tabs the plan loads straight away get
+    // their own url, the rest a placeholder
+    getWindowUrls: (tabs, plan) => {
+        return tabs.map((curTab, index) => {
+            return plan.load.indexOf(index) >= 0
+                ? curTab.url
+                : tabLoader.getPlaceholderUrl(curTab);
+        });
+    },
+
+    // apply a plan to the tabs of a window created with getWindowUrls
+    startLoading: (newWindow, tabs, plan, maxConcurrentLoads) => {
+        const tabIdAt = index => newWindow.tabs[index] && newWindow.tabs[index].id;
+        const pending = {
+            queue: [],
+            loading: plan.load.map(tabIdAt).filter(tabId => tabId),
+            urls: {},
+            maxConcurrentLoads,
+        };
+
+        // deferred placeholders load themselves when selected
+        if (plan.queue.length === 0) return;
+
+        tabLoader.pendingLoads[newWindow.id] = pending;
+        plan.queue.forEach(index => {
+            const tabId = tabIdAt(index);
+            if (!tabId) return;
+
+            pending.queue.push(tabId);
+            pending.urls[tabId] = tabs[index].url;
+        });
+    },
+
+    // start loading queued tabs of a window until its loading slots are full
+    fillLoadingSlots: windowId => {
+        const pending = tabLoader.pendingLoads[windowId];
+        if (!pending) return;
+
+        while (
+            pending.queue.length > 0 &&
+            (!pending.maxConcurrentLoads ||
+                pending.loading.length < pending.maxConcurrentLoads)
+        ) {
+            const tabId = pending.queue.shift();
+            pending.loading.push(tabId);
+            chrome.tabs.update(tabId, { url: pending.urls[tabId] }, () => {
+                // the tab may have been closed since it was queued
+                if (chrome.runtime.lastError) {
+                    tabLoader.handleTabRemoved(tabId, { windowId });
+                }
+            });
+        }
+
+        if (pending.queue.length === 0) {
+            delete tabLoader.pendingLoads[windowId];
+        }
+    },
+
+    handleTabUpdated: (tabId, changeInfo, tab) => {
+        const pending = tabLoader.pendingLoads[tab.windowId];
+        if (!pending) return;
+
+        // the placeholders loading themselves don't count
+        const isPlaceholder = !!tabLoader.parsePlaceholderUrl(tab.pendingUrl || tab.url);
+
+        // a queued tab that the user selects loads by itself
+        if (
+            changeInfo.status === 'loading' &&
+            !isPlaceholder &&
+            pending.queue.indexOf(tabId) >= 0
+        ) {
+            pending.queue.splice(pending.queue.indexOf(tabId), 1);
+            pending.loading.push(tabId);
+        } else if (
+            changeInfo.status === 'complete' &&
+            !isPlaceholder &&
+            pending.loading.indexOf(tabId) >= 0
+        ) {
+            pending.loading.splice(pending.loading.indexOf(tabId), 1);
+            tabLoader.fillLoadingSlots(tab.windowId);
+        }
+    },
+
+    handleTabRemoved: (tabId, removeInfo) => {
+        const pending = tabLoader.pendingLoads[removeInfo.windowId];
+        if (!pending) return;
+
+        pending.queue = pending.queue.filter(curTabId => curTabId !== tabId);
+        pending.loading = pending.loading.filter(curTabId => curTabId !== tabId);
+        tabLoader.fillLoadingSlots(removeInfo.windowId);
+    },
+
+    handleWindowRemoved: windowId => {
+        delete tabLoader.pendingLoads[windowId];
+    },
+};
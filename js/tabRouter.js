@@ -0,0 +1,263 @@
+/* global chrome */
+
+// Rules that move new tabs into a space. A rule matches a tab by its url (a glob
+// pattern, a regular expression or a domain) or by the space of the tab it was opened
+// from, and the first enabled rule that matches decides where the tab goes.
+//
+// A rule: { id, enabled, matchType, pattern, openerSessionId, targetSessionId }, where
+// pattern is used by the url match types and openerSessionId by 'opener'.
+//
+// Only the first url a new tab gets is routed, and tabs that come with a new window
+// (such as the tabs of a space being opened) are left where they are, as are the tabs
+// the extension opens itself (eg. to undo a move, see expectTab).
+export const tabRouter = {
+    MATCH_TYPES: ['glob', 'regex', 'domain', 'opener'],
+
+    storageKey: 'tabRoutingRules',
+
+    // a new tab's first url has to arrive within this time to be routed
+    pendingTabTtlMs: 10 * 1000,
+
+    // tabs created this soon after their window are part of opening the window
+    newWindowGraceMs: 3 * 1000,
+
+    rules: [],
+
+    // { tabId: time created } for new tabs that don't have a url yet
+    pendingTabs: {},
+
+    // { windowId: time created }
+    newWindows: {},
+
+    // tabs the extension is opening itself: [{ windowId, url, expiresAt }]. their ids
+    // aren't known until they are created, so they are found by window and url
+    ownTabs: [],
+
+    // how the service worker finds and moves tabs ({ getSessionId, moveTab }). moveTab
+    // is given the url the tab was routed by, as the tab itself may not have it yet
+    handlers: {},
+
+    noop: () => {},
+
+    initialise: handlers => {
+        tabRouter.handlers = handlers;
+
+        return new Promise(resolve => {
+            tabRouter.fetchRules(rules => {
+                tabRouter.rules = rules;
+                resolve();
+            });
+        });
+    },
+
+    // Matching
+
+    globToRegExp: glob => {
+        const source = glob
+            .split('*')
+            .map(part =>
+                part
+                    .split('?')
+                    .map(text => text.replace(/[.+^${}()|[\]\\/]/g, '\\$&'))
+                    .join('.')
+            )
+            .join('.*');
+        return new RegExp(`^${source}$`, 'i');
+    },
+
+    getHostname: url => {
+        try {
+            return new URL(url).hostname.toLowerCase();
+        } catch (e) {
+            return false;
+        }
+    },
+
+    // an error message for a rule that can't be used, or false
+    validateRule: rule => {
+        if (tabRouter.MATCH_TYPES.indexOf(rule.matchType) < 0) {
+            return 'Choose what to match';
+        }
+        if (!rule.targetSessionId) {
+            return 'Choose a space to move tabs to';
+        }
+        if (rule.matchType === 'opener') {
+            return rule.openerSessionId ? false : 'Choose the space tabs are opened from';
+        }
+        if (!rule.pattern || !rule.pattern.trim()) {
+            return 'Enter a pattern';
+        }
+        if (rule.matchType === 'regex') {
+            try {
+                // eslint-disable-next-line no-new
+                new RegExp(rule.pattern);
+            } catch (e) {
+                return `Invalid regular expression: ${e.message}`;
+            }
+        }
+        return false;
+    },
+
+    // context: { url, openerSessionId }
+    matchRule: (rule, context) => {
+        if (!rule.enabled || tabRouter.validateRule(rule)) {
+            return false;
+        }
+
+        const pattern = (rule.pattern || '').trim();
+        switch (rule.matchType) {
+            case 'glob':
+                return tabRouter.globToRegExp(pattern).test(context.url);
+            case 'regex':
+                return new RegExp(pattern, 'i').test(context.url);
+            case 'domain': {
+                const hostname = tabRouter.getHostname(context.url);
+                const domain = pattern.toLowerCase().replace(/^\*?\./, '');
+                return !!hostname && (hostname === domain || hostname.endsWith(`.${domain}`));
+            }
+            case 'opener':
+                return !!context.openerSessionId && context.openerSessionId === rule.openerSessionId;
+            default:
+                return false;
+        }
+    },
+
+    // the first rule that matches, or false
+    findRule: (rules, context) => {
+        return rules.find(rule => tabRouter.matchRule(rule, context)) || false;
+    },
+
+    // Routing new tabs
+
+    isRoutableUrl: url => {
+        return /^(https?|file|ftp):/.test(url || '');
+    },
+
+    handleWindowCreated: curWindow => {
+        const now = Date.now();
+        tabRouter.newWindows[curWindow.id] = now;
+
+        // forget windows that are no longer new
+        Object.keys(tabRouter.newWindows).forEach(windowId => {
+            if (now - tabRouter.newWindows[windowId] > tabRouter.newWindowGraceMs) {
+                delete tabRouter.newWindows[windowId];
+            }
+        });
+    },
+
+    // call before the extension creates a tab, so that the tab isn't routed
+    expectTab: (windowId, url) => {
+        tabRouter.ownTabs.push({
+            windowId,
+            url,
+            expiresAt: Date.now() + tabRouter.pendingTabTtlMs,
+        });
+    },
+
+    // whether a new tab is one the extension opened (each expectTab covers one tab)
+    isOwnTab: (windowId, url) => {
+        const now = Date.now();
+        tabRouter.ownTabs = tabRouter.ownTabs.filter(ownTab => ownTab.expiresAt >= now);
+
+        const index = tabRouter.ownTabs.findIndex(
+            ownTab => ownTab.windowId === windowId && ownTab.url === url
+        );
+        if (index === -1) return false;
+
+        tabRouter.ownTabs.splice(index, 1);
+        return true;
+    },
+
+    handleTabCreated: tab => {
+        if (tabRouter.rules.length === 0) return;
+
+        const windowCreatedAt = tabRouter.newWindows[tab.windowId];
+        if (windowCreatedAt && Date.now() - windowCreatedAt <= tabRouter.newWindowGraceMs) {
+            return;
+        }
+
+        const url = tab.pendingUrl || tab.url;
+        if (tabRouter.isOwnTab(tab.windowId, url)) return;
+
+        if (tabRouter.isRoutableUrl(url)) {
+            tabRouter.routeTab(tab, url);
+        } else {
+            // a blank tab, or one whose url isn't known yet
+            tabRouter.pendingTabs[tab.id] = Date.now();
+        }
+    },
+
+    handleTabUpdated: (tab, changeInfo) => {
+        const createdAt = tabRouter.pendingTabs[tab.id];
+        if (!createdAt || !changeInfo.url) return;
+
+        delete tabRouter.pendingTabs[tab.id];
+        if (tabRouter.isOwnTab(tab.windowId, changeInfo.url)) return;
+        if (Date.now() - createdAt <= tabRouter.pendingTabTtlMs && tabRouter.isRoutableUrl(changeInfo.url)) {
+            tabRouter.routeTab(tab, changeInfo.url);
+        }
+    },
+
+    handleTabRemoved: tabId => {
+        delete tabRouter.pendingTabs[tabId];
+    },
+
+    routeTab: (tab, url) => {
+        const { getSessionId, moveTab } = tabRouter.handlers;
+        const route = openerSessionId => {
+            const rule = tabRouter.findRule(tabRouter.rules, { url, openerSessionId });
+            if (rule && rule.targetSessionId !== getSessionId(tab.windowId)) {
+                console.log('Routing tab', tab.id, 'to space', rule.targetSessionId);
+                moveTab(tab.id, rule.targetSessionId, tabRouter.noop, url);
+            }
+        };
+
+        if (!tab.openerTabId) {
+            route(false);
+            return;
+        }
+        chrome.tabs.get(tab.openerTabId, openerTab => {
+            route(!chrome.runtime.lastError && openerTab ? getSessionId(openerTab.windowId) : false);
+        });
+    },
+
+    // Storage
+
+    fetchRules: callback => {
+        chrome.storage.local.get([tabRouter.storageKey], result => {
+            callback(tabRouter.normaliseRules((result || {})[tabRouter.storageKey]));
+        });
+    },
+
+    saveRules: (rules, callback) => {
+        // eslint-disable-next-line no-param-reassign
+        callback = typeof callback !== 'function' ? tabRouter.noop : callback;
+
+        const normalisedRules = tabRouter.normaliseRules(rules);
+        chrome.storage.local.set({ [tabRouter.storageKey]: normalisedRules }, () => {
+            tabRouter.rules = normalisedRules;
+            callback(normalisedRules);
+        });
+    },
+
+    normaliseRules: rules => {
+        if (!Array.isArray(rules)) {
+            return [];
+        }
+
+        const toId = value => {
+            const id = parseInt(value, 10);
+            return Number.isNaN(id) ? false : id;
+        };
+        return rules
+            .filter(rule => rule && typeof rule === 'object')
+            .map((rule, index) => ({
+                id: typeof rule.id === 'string' && rule.id ? rule.id : `rule-${Date.now()}-${index}`,
+                enabled: rule.enabled !== false,
+                matchType: tabRouter.MATCH_TYPES.indexOf(rule.matchType) >= 0 ? rule.matchType : 'domain',
+                pattern: typeof rule.pattern === 'string' ? rule.pattern : '',
+                openerSessionId: toId(rule.openerSessionId),
+                targetSessionId: toId(rule.targetSessionId),
+            }));
+    },
+};
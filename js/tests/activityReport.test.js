@@ -0,0 +1,94 @@
+import { activityReport } from '../activityReport.js';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('activityReport', () => {
+    describe('days', () => {
+        it('should list the days up to a date', () => {
+            expect(activityReport.getDays(new Date(2024, 2, 2, 15).getTime(), 3)).toEqual([
+                '2024-02-29',
+                '2024-03-01',
+                '2024-03-02',
+            ]);
+        });
+
+        it('should split time at midnight', () => {
+            const start = new Date(2024, 2, 1, 23).getTime();
+
+            expect(activityReport.splitByDay(start, start + 3 * HOUR)).toEqual([
+                { day: '2024-03-01', ms: HOUR },
+                { day: '2024-03-02', ms: 2 * HOUR },
+            ]);
+            expect(activityReport.splitByDay(start, start)).toEqual([]);
+        });
+    });
+
+    describe('getDomain', () => {
+        it('should only count web pages', () => {
+            expect(activityReport.getDomain('https://www.github.com/a/b')).toBe('github.com');
+            expect(
+                activityReport.getDomain(
+                    'chrome-extension://abc/suspended.html#ttl=x&uri=https://docs.example.com/'
+                )
+            ).toBe('docs.example.com');
+            expect(activityReport.getDomain('chrome://newtab/')).toBe(false);
+            expect(activityReport.getDomain(undefined)).toBe(false);
+        });
+    });
+
+    describe('summarise', () => {
+        const records = [
+            activityReport.addTime(
+                activityReport.addTime({ day: '2024-03-01', sessions: {} }, 1, 'Work', 'github.com', 2 * HOUR),
+                2,
+                'Reading',
+                'news.com',
+                HOUR
+            ),
+            activityReport.addTime({ day: '2024-03-02', sessions: {} }, 1, 'Job', false, 3 * HOUR),
+            activityReport.addTime({ day: '2024-02-01', sessions: {} }, 3, 'Old', 'old.com', HOUR),
+        ];
+
+        it('should add up the time of each space over the days', () => {
+            const summary = activityReport.summarise(records, ['2024-03-01', '2024-03-02']);
+
+            expect(summary.totalMs).toBe(6 * HOUR);
+            expect(summary.spaces).toEqual([
+                {
+                    sessionId: 1,
+                    name: 'Job',
+                    ms: 5 * HOUR,
+                    dailyMs: [2 * HOUR, 3 * HOUR],
+                    domains: [{ domain: 'github.com', ms: 2 * HOUR }],
+                },
+                {
+                    sessionId: 2,
+                    name: 'Reading',
+                    ms: HOUR,
+                    dailyMs: [HOUR, 0],
+                    domains: [{ domain: 'news.com', ms: HOUR }],
+                },
+            ]);
+            expect(summary.domains).toEqual([
+                { domain: 'github.com', ms: 2 * HOUR },
+                { domain: 'news.com', ms: HOUR },
+            ]);
+        });
+
+        it('should export a row per space', () => {
+            const summary = activityReport.summarise(records, ['2024-03-01', '2024-03-02']);
+
+            expect(activityReport.toCsv(summary)).toBe(
+                'space,from,to,minutes,top domains\r\n' +
+                    'Job,2024-03-01,2024-03-02,300,github.com\r\n' +
+                    'Reading,2024-03-01,2024-03-02,60,news.com\r\n'
+            );
+        });
+    });
+
+    it('should format durations', () => {
+        expect(activityReport.formatDuration(30 * 1000)).toBe('<1m');
+        expect(activityReport.formatDuration(12 * 60 * 1000)).toBe('12m');
+        expect(activityReport.formatDuration(2 * HOUR + 5 * 60 * 1000)).toBe('2h 05m');
+    });
+});
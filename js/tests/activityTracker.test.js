@@ -0,0 +1,112 @@
+import 'fake-indexeddb/auto';
+import spacesService from '../spacesService.js';
+import { dbService } from '../dbService.js';
+import { activityTracker } from '../activityTracker.js';
+import { preferences } from '../preferences.js';
+
+const MINUTE = 60 * 1000;
+
+const fetchDay = day => new Promise(resolve => dbService.fetchActivity(day, day, resolve));
+
+describe('activityTracker', () => {
+    let testCount = 0;
+    let now;
+
+    // every test gets a fresh database (connections opened by dbService stay open)
+    beforeEach(() => {
+        testCount += 1;
+        dbService.DB_SERVER = `spaces-activity-test-${testCount}`;
+        now = new Date(2024, 2, 1, 12).getTime();
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+        jest.spyOn(activityTracker, 'persistState').mockImplementation(() => {});
+        jest.spyOn(activityTracker, '_updateAlarm').mockImplementation(() => {});
+
+        preferences.values = preferences.getDefaults();
+        activityTracker.handlers = { isInternalWindow: () => false };
+        activityTracker.current = false;
+        spacesService.sessions = [
+            { id: 1, name: 'Work', windowId: 10, tabs: [] },
+            { id: false, windowId: 20, tabs: [] },
+        ];
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should only time saved spaces', () => {
+        expect(activityTracker.getTarget(10, { url: 'https://github.com/' })).toEqual({
+            windowId: 10,
+            sessionId: 1,
+            domain: 'github.com',
+        });
+        expect(activityTracker.getTarget(20, { url: 'https://github.com/' })).toBe(false);
+
+        preferences.values = { ...preferences.getDefaults(), activityTrackingEnabled: false };
+        expect(activityTracker.getTarget(10, { url: 'https://github.com/' })).toBe(false);
+    });
+
+    it('should add the time spent on each domain', async () => {
+        await activityTracker.switchTo(activityTracker.getTarget(10, { url: 'https://github.com/' }));
+        now += 2 * MINUTE;
+        await activityTracker.flush();
+        now += MINUTE;
+        await activityTracker.switchTo(activityTracker.getTarget(10, { url: 'https://docs.com/' }));
+        now += 2 * MINUTE;
+        await activityTracker.switchTo(false);
+
+        const [record] = await fetchDay('2024-03-01');
+        expect(record.sessions[1]).toEqual({
+            name: 'Work',
+            ms: 5 * MINUTE,
+            domains: { 'github.com': 3 * MINUTE, 'docs.com': 2 * MINUTE },
+        });
+        expect(activityTracker.current).toBe(false);
+    });
+
+    it('should keep timing when the target is the same', async () => {
+        const target = activityTracker.getTarget(10, { url: 'https://github.com/' });
+
+        await activityTracker.switchTo(target);
+        now += MINUTE;
+        await activityTracker.switchTo({ ...target });
+
+        expect(activityTracker.current.startedAt).toBe(now - MINUTE);
+        expect(await fetchDay('2024-03-01')).toEqual([]);
+    });
+
+    it('should not count time while nothing saw it pass', async () => {
+        await activityTracker.switchTo(activityTracker.getTarget(10, { url: 'https://github.com/' }));
+        now += MINUTE;
+        await activityTracker.flush();
+
+        // the computer was asleep for a few hours
+        now += 5 * 60 * MINUTE;
+        await activityTracker.flush();
+        now += MINUTE;
+        await activityTracker.switchTo(false);
+
+        const [record] = await fetchDay('2024-03-01');
+        expect(record.sessions[1].ms).toBe(2 * MINUTE);
+    });
+
+    it('should stop counting from when the user went idle', async () => {
+        await activityTracker.switchTo(activityTracker.getTarget(10, { url: 'https://github.com/' }));
+
+        // the last input was after 3 minutes, and idle is reported 5 minutes later
+        for (let minute = 1; minute <= 8; minute += 1) {
+            now += MINUTE;
+            // eslint-disable-next-line no-await-in-loop
+            await activityTracker.flush();
+        }
+        activityTracker.handleIdleStateChanged('idle');
+        await activityTracker.taskQueue;
+
+        const [record] = await fetchDay('2024-03-01');
+        expect(record.sessions[1]).toMatchObject({
+            ms: 3 * MINUTE,
+            domains: { 'github.com': 3 * MINUTE },
+        });
+        expect(activityTracker.current).toBe(false);
+    });
+});
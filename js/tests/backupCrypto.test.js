@@ -0,0 +1,69 @@
+import { backupCrypto } from '../backupCrypto.js';
+
+// few iterations, to keep the tests fast
+const ITERATIONS = 1000;
+
+describe('backupCrypto', () => {
+    const backup = JSON.stringify([
+        { name: 'Klanten – Müller', tabs: [{ url: 'https://intranet.example/?token=abc' }] },
+    ]);
+
+    it('should decrypt what it encrypts', async () => {
+        const envelope = await backupCrypto.encrypt(backup, 'correct horse', ITERATIONS);
+
+        expect(envelope).toMatchObject({
+            format: backupCrypto.FORMAT,
+            version: backupCrypto.VERSION,
+            iterations: ITERATIONS,
+        });
+        expect(JSON.stringify(envelope)).not.toContain('token=abc');
+        expect(await backupCrypto.decrypt(envelope, 'correct horse')).toBe(backup);
+    });
+
+    it('should use a new salt and iv every time', async () => {
+        const first = await backupCrypto.encrypt(backup, 'secret', ITERATIONS);
+        const second = await backupCrypto.encrypt(backup, 'secret', ITERATIONS);
+
+        expect(first.salt).not.toBe(second.salt);
+        expect(first.iv).not.toBe(second.iv);
+        expect(first.ciphertext).not.toBe(second.ciphertext);
+    });
+
+    it('should reject a wrong passphrase or altered data', async () => {
+        const envelope = await backupCrypto.encrypt(backup, 'secret', ITERATIONS);
+        const bytes = backupCrypto.fromBase64(envelope.ciphertext);
+        bytes[0] ^= 1;
+
+        await expect(backupCrypto.decrypt(envelope, 'Secret')).rejects.toThrow(
+            'Wrong passphrase'
+        );
+        await expect(
+            backupCrypto.decrypt(
+                { ...envelope, ciphertext: backupCrypto.toBase64(bytes) },
+                'secret'
+            )
+        ).rejects.toThrow('Wrong passphrase');
+    });
+
+    it('should refuse envelopes from a newer version', async () => {
+        const envelope = await backupCrypto.encrypt(backup, 'secret', ITERATIONS);
+
+        await expect(
+            backupCrypto.decrypt({ ...envelope, version: backupCrypto.VERSION + 1 }, 'secret')
+        ).rejects.toThrow('newer version');
+    });
+
+    it('should only recognise encrypted backups as envelopes', async () => {
+        const envelope = await backupCrypto.encrypt(backup, 'secret', ITERATIONS);
+
+        expect(backupCrypto.parseEnvelope(JSON.stringify(envelope))).toEqual(envelope);
+        expect(backupCrypto.parseEnvelope(backup)).toBe(false);
+        expect(backupCrypto.parseEnvelope('https://example.com/')).toBe(false);
+    });
+
+    it('should convert large byte arrays to base64 and back', () => {
+        const bytes = new Uint8Array(100000).map((_, i) => i % 256);
+
+        expect(backupCrypto.fromBase64(backupCrypto.toBase64(bytes))).toEqual(bytes);
+    });
+});
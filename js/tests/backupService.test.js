@@ -0,0 +1,145 @@
+import 'fake-indexeddb/auto';
+import { dbService } from '../dbService.js';
+import { backupService } from '../backupService.js';
+import { preferences } from '../preferences.js';
+
+const call = (fn, ...args) => new Promise(resolve => fn(...args, resolve));
+
+const space = (name, urls) => ({ name, tabs: urls.map(url => ({ url, title: url })) });
+
+describe('backupService', () => {
+    let testCount = 0;
+
+    // every test gets a fresh database (connections opened by dbService stay open)
+    beforeEach(() => {
+        testCount += 1;
+        dbService.DB_SERVER = `spaces-backup-test-${testCount}`;
+        preferences.values = { ...preferences.getDefaults(), autoBackupKeepCount: 2 };
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        chrome.downloads.download.mockReset();
+    });
+
+    describe('createBackup', () => {
+        it('should keep only the most recent backups', async () => {
+            await call(backupService.createBackup, [space('One', ['https://a.com/'])], 'scheduled');
+            await call(backupService.createBackup, [space('Two', ['https://a.com/'])], 'scheduled');
+            const latest = await call(
+                backupService.createBackup,
+                [space('Three', ['https://a.com/', 'https://b.com/'])],
+                'manual'
+            );
+
+            const backups = await call(dbService.fetchBackups);
+            expect(backups.map(backup => backup.spaces[0].name)).toEqual(['Three', 'Two']);
+            expect(backupService.summariseBackup(backups[0])).toEqual({
+                backupId: latest.id,
+                createdAt: latest.createdAt,
+                trigger: 'manual',
+                spaceCount: 1,
+                tabCount: 2,
+                downloaded: false,
+                downloadError: false,
+            });
+        });
+
+        it('should skip scheduled backups when nothing has changed', async () => {
+            const spaces = [space('One', ['https://a.com/'])];
+
+            await call(backupService.createBackup, spaces, 'scheduled');
+            expect(await call(backupService.createBackup, spaces, 'scheduled')).toBe(false);
+            expect(await call(backupService.createBackup, spaces, 'manual')).toBeTruthy();
+            expect(await call(dbService.fetchBackups)).toHaveLength(2);
+        });
+
+        it('should not take a backup of nothing', async () => {
+            expect(await call(backupService.createBackup, [], 'manual')).toBe(false);
+            expect(await call(dbService.fetchBackups)).toEqual([]);
+        });
+
+        it('should save the backup to downloads when asked to', async () => {
+            preferences.values.autoBackupDownload = true;
+            chrome.downloads.download.mockImplementation((options, callback) => callback(42));
+
+            const backup = await call(
+                backupService.createBackup,
+                [space('One', ['https://a.com/'])],
+                'scheduled'
+            );
+
+            const { url, filename } = chrome.downloads.download.mock.calls[0][0];
+            expect(filename).toMatch(/^Spaces backups\/spaces-backup-\d{4}-\d\d-\d\d-\d{4}\.json$/);
+            expect(JSON.parse(decodeURIComponent(url.split(',')[1]))).toEqual({
+                format: 'spaces-backup',
+                version: 2,
+                spaces: backup.spaces,
+                preferences: preferences.values,
+            });
+            expect(backup.downloadId).toBe(42);
+        });
+
+        it('should show in the backups list when the download fails', async () => {
+            preferences.values.autoBackupDownload = true;
+            chrome.downloads.download.mockImplementation((options, callback) => {
+                chrome.runtime.lastError = { message: 'Invalid filename' };
+                callback(undefined);
+                delete chrome.runtime.lastError;
+            });
+
+            await call(backupService.createBackup, [space('One', ['https://a.com/'])], 'manual');
+
+            const [saved] = await call(dbService.fetchBackups);
+            expect(backupService.summariseBackup(saved)).toMatchObject({
+                downloaded: false,
+                downloadError: 'Invalid filename',
+            });
+        });
+
+        it('should not try to download a backup too large for a data url', async () => {
+            preferences.values.autoBackupDownload = true;
+            const { maxDownloadUrlLength } = backupService;
+            backupService.maxDownloadUrlLength = 100;
+
+            const backup = await call(
+                backupService.createBackup,
+                [space('One', ['https://a.com/', 'https://b.com/'])],
+                'manual'
+            );
+            backupService.maxDownloadUrlLength = maxDownloadUrlLength;
+
+            expect(chrome.downloads.download).not.toHaveBeenCalled();
+            expect(backup.downloadError).toBe('Too large to save to downloads');
+        });
+    });
+
+    describe('rotate', () => {
+        it('should remove the files of rotated backups', () => {
+            jest.spyOn(dbService, 'removeBackup').mockImplementation(() => {});
+            chrome.downloads.removeFile.mockImplementation((downloadId, callback) => callback());
+
+            backupService.rotate(
+                [
+                    { id: 3, downloadId: false },
+                    { id: 2, downloadId: 12 },
+                    { id: 1, downloadId: false },
+                ],
+                1
+            );
+
+            expect(dbService.removeBackup.mock.calls.map(args => args[0])).toEqual([2, 1]);
+            expect(chrome.downloads.removeFile).toHaveBeenCalledWith(12, expect.any(Function));
+            expect(chrome.downloads.erase).toHaveBeenCalledWith({ id: 12 });
+        });
+    });
+
+    describe('filenames', () => {
+        it('should keep downloads inside the downloads folder', () => {
+            expect(backupService.sanitiseFolder('../backups/./spa:ces ')).toBe('backups/spaces');
+            expect(backupService.getFilename('', new Date(2024, 2, 9, 8, 15).getTime())).toBe(
+                'spaces-backup-2024-03-09-0815.json'
+            );
+        });
+    });
+});
@@ -0,0 +1,272 @@
+import spacesService from '../spacesService.js';
+import { bookmarkSync } from '../bookmarkSync.js';
+import { preferences } from '../preferences.js';
+
+const bookmark = (id, url, title = url) => ({ id, url, title });
+
+// carry out diffFolder's changes on a plain list of children
+function applyOps(children, ops) {
+    const nodes = children.slice();
+    let nextId = 100;
+    ops.forEach(op => {
+        if (op.type === 'create') {
+            nodes.splice(op.index, 0, bookmark(String(nextId), op.url, op.title));
+            nextId += 1;
+        } else {
+            const index = nodes.findIndex(node => node.id === op.id);
+            if (op.type === 'move') {
+                const [node] = nodes.splice(index, 1);
+                nodes.splice(op.index, 0, node);
+            } else if (op.type === 'update') {
+                nodes[index] = { ...nodes[index], title: op.title };
+            } else {
+                nodes.splice(index, 1);
+            }
+        }
+    });
+    return nodes;
+}
+
+describe('bookmarkSync', () => {
+    describe('diffFolder', () => {
+        const children = [
+            bookmark('1', 'https://a.com/', 'A'),
+            bookmark('2', 'https://b.com/', 'B'),
+            { id: '3', title: 'Subfolder' },
+            bookmark('4', 'https://c.com/', 'C'),
+        ];
+
+        it('should make no changes when the folder matches', () => {
+            const tabs = [
+                { url: 'https://a.com/', title: 'A' },
+                { url: 'https://b.com/', title: 'B' },
+            ];
+            expect(bookmarkSync.diffFolder(children.slice(0, 2), tabs)).toEqual([]);
+        });
+
+        it('should add, move, retitle and remove bookmarks to match the tabs', () => {
+            const tabs = [
+                { url: 'https://c.com/', title: 'C' },
+                { url: 'https://d.com/', title: 'D' },
+                { url: 'https://a.com/', title: 'A (renamed)' },
+            ];
+
+            const ops = bookmarkSync.diffFolder(children, tabs);
+            const result = applyOps(children, ops);
+
+            expect(result.map(node => node.url || node.title)).toEqual([
+                'https://c.com/',
+                'https://d.com/',
+                'https://a.com/',
+                'Subfolder',
+            ]);
+            expect(result[2]).toEqual(bookmark('1', 'https://a.com/', 'A (renamed)'));
+            expect(ops.filter(op => op.type === 'remove')).toEqual([
+                { type: 'remove', id: '2' },
+            ]);
+        });
+
+        it('should keep one bookmark per tab for repeated urls', () => {
+            const tabs = [
+                { url: 'https://a.com/', title: 'A' },
+                { url: 'https://a.com/', title: 'A' },
+            ];
+            const result = applyOps(children.slice(0, 1), bookmarkSync.diffFolder(children.slice(0, 1), tabs));
+            expect(result.map(node => node.url)).toEqual(['https://a.com/', 'https://a.com/']);
+        });
+    });
+
+    describe('getTabsFromBookmarks', () => {
+        it('should keep what the session knew about each url', () => {
+            const tabs = bookmarkSync.getTabsFromBookmarks(
+                [bookmark('1', 'https://b.com/', 'B'), { id: '2', title: 'Folder' }, bookmark('3', 'https://a.com/', 'A')],
+                [{ url: 'https://a.com/', title: 'Old', pinned: true }]
+            );
+
+            expect(tabs).toEqual([
+                { url: 'https://b.com/', title: 'B' },
+                { url: 'https://a.com/', title: 'A', pinned: true },
+            ]);
+        });
+    });
+
+    describe('syncFolder', () => {
+        const folder = { id: '10', parentId: '5', title: 'Work' };
+        let bookmarks;
+
+        beforeEach(() => {
+            bookmarkSync.rootFolderId = '5';
+            bookmarkSync.folderLinks = { 7: '10' };
+            bookmarks = {
+                get: [folder],
+                getChildren: [bookmark('11', 'https://a.com/', 'A'), bookmark('12', 'https://b.com/', 'B')],
+            };
+            jest.spyOn(bookmarkSync, '_bookmarks').mockImplementation(method =>
+                Promise.resolve(bookmarks[method])
+            );
+            jest.spyOn(bookmarkSync, 'persistState').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('should update a closed session from its folder', async () => {
+            spacesService.sessions = [
+                { id: 7, name: 'Work', windowId: false, tabs: [{ url: 'https://a.com/', title: 'A', pinned: true }] },
+            ];
+            const updateSessionTabs = jest
+                .spyOn(spacesService, 'updateSessionTabs')
+                .mockImplementation((sessionId, tabs, callback) => callback(true));
+
+            await bookmarkSync.syncFolder('10');
+
+            expect(updateSessionTabs).toHaveBeenCalledWith(
+                7,
+                [
+                    { url: 'https://a.com/', title: 'A', pinned: true },
+                    { url: 'https://b.com/', title: 'B' },
+                ],
+                expect.any(Function)
+            );
+        });
+
+        it('should rename the session when its folder is renamed', async () => {
+            spacesService.sessions = [
+                {
+                    id: 7,
+                    name: 'Old name',
+                    windowId: false,
+                    tabs: [{ url: 'https://a.com/', title: 'A' }, { url: 'https://b.com/', title: 'B' }],
+                },
+            ];
+            const updateSessionName = jest
+                .spyOn(spacesService, 'updateSessionName')
+                .mockImplementation(() => {});
+
+            await bookmarkSync.syncFolder('10');
+
+            expect(updateSessionName).toHaveBeenCalledWith(7, 'Work');
+        });
+
+        it('should create a session for a new folder', async () => {
+            bookmarkSync.folderLinks = {};
+            spacesService.sessions = [];
+            bookmarkSync.handlers = {
+                createSession: jest.fn((session, callback) => callback({ ...session, id: 9 })),
+            };
+
+            await bookmarkSync.syncFolder('10');
+
+            expect(bookmarkSync.handlers.createSession.mock.calls[0][0]).toMatchObject({
+                name: 'Work',
+                tabs: [
+                    { url: 'https://a.com/', title: 'A' },
+                    { url: 'https://b.com/', title: 'B' },
+                ],
+                windowId: false,
+            });
+            expect(bookmarkSync.folderLinks).toEqual({ 9: '10' });
+        });
+
+        it('should delete the session when its folder leaves the spaces folder', async () => {
+            bookmarks.get = [{ ...folder, parentId: '1' }];
+            bookmarkSync.handlers = {
+                deleteSession: jest.fn((sessionId, callback) => callback(true)),
+            };
+
+            await bookmarkSync.syncFolder('10');
+
+            expect(bookmarkSync.handlers.deleteSession).toHaveBeenCalledWith(7, expect.any(Function));
+            expect(bookmarkSync.folderLinks).toEqual({});
+        });
+    });
+
+    describe('ensureRootFolder', () => {
+        const markerUrl = 'chrome-extension://spaces/spaces.html';
+        let children;
+
+        beforeEach(() => {
+            preferences.values = { ...preferences.getDefaults(), bookmarkSyncEnabled: true };
+            bookmarkSync.rootFolderId = false;
+            bookmarkSync.ownWrites = [];
+            chrome.runtime.getURL.mockImplementation(path => `chrome-extension://spaces/${path}`);
+            children = {
+                0: [
+                    { id: '1', title: 'Bookmarks bar', folderType: 'bookmarks-bar' },
+                    { id: '2', title: 'Other bookmarks', folderType: 'other' },
+                ],
+                2: [{ id: '20', parentId: '2', title: 'Spaces' }],
+                20: [bookmark('21', 'https://a.com/')],
+            };
+            jest.spyOn(bookmarkSync, '_bookmarks').mockImplementation((method, arg) => {
+                if (method === 'get') return Promise.resolve([]);
+                if (method === 'getChildren') return Promise.resolve(children[arg] || []);
+                if (method === 'create') return Promise.resolve({ id: arg.url ? '31' : '30', ...arg });
+                return Promise.reject(new Error(`unexpected ${method}`));
+            });
+            jest.spyOn(bookmarkSync, 'persistState').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+            chrome.runtime.getURL.mockReset();
+        });
+
+        it('should create a marked folder rather than take over one of the same name', async () => {
+            expect(await bookmarkSync.ensureRootFolder()).toBe('30');
+            expect(bookmarkSync._bookmarks).toHaveBeenCalledWith('create', {
+                parentId: '2',
+                title: 'Spaces',
+            });
+            expect(bookmarkSync._bookmarks).toHaveBeenCalledWith('create', {
+                parentId: '30',
+                url: markerUrl,
+                title: 'Spaces',
+            });
+        });
+
+        it('should take over a marked folder in Other Bookmarks', async () => {
+            children[20].push(bookmark('22', markerUrl, 'Spaces'));
+
+            expect(await bookmarkSync.ensureRootFolder()).toBe('20');
+            expect(bookmarkSync._bookmarks).not.toHaveBeenCalledWith('create', expect.anything());
+        });
+    });
+
+    describe('event handling', () => {
+        beforeEach(() => {
+            preferences.values = { ...preferences.getDefaults(), bookmarkSyncEnabled: true };
+            bookmarkSync.rootFolderId = '5';
+            bookmarkSync.folderLinks = { 7: '10' };
+            bookmarkSync.ownWrites = [];
+            jest.spyOn(bookmarkSync, 'scheduleFolderSync').mockImplementation(() => {});
+            jest.spyOn(bookmarkSync, '_bookmarks').mockImplementation(() => Promise.resolve({}));
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('should ignore the events our own writes cause, but not edits made meanwhile', async () => {
+            await bookmarkSync._applyOp('10', { type: 'create', index: 0, url: 'https://a.com/', title: 'A' });
+            await bookmarkSync._applyOp('10', { type: 'move', id: '12', index: 0 });
+
+            bookmarkSync.handleBookmarkCreated('11', { parentId: '10', url: 'https://a.com/', title: 'A' });
+            bookmarkSync.handleBookmarkMoved('12', { parentId: '10', oldParentId: '10' });
+            expect(bookmarkSync.scheduleFolderSync).not.toHaveBeenCalled();
+            expect(bookmarkSync.ownWrites).toEqual([]);
+
+            // the user moving the same bookmark again
+            bookmarkSync.handleBookmarkMoved('12', { parentId: '10', oldParentId: '10' });
+            expect(bookmarkSync.scheduleFolderSync).toHaveBeenCalledWith('10');
+        });
+
+        it('should forget a write that failed', async () => {
+            bookmarkSync._bookmarks.mockImplementation(() => Promise.reject(new Error('gone')));
+
+            await expect(bookmarkSync._applyOp('10', { type: 'remove', id: '12' })).rejects.toThrow('gone');
+            expect(bookmarkSync.ownWrites).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,123 @@
+import 'fake-indexeddb/auto';
+import { dbService } from '../dbService.js';
+import fixtureV1 from './fixtures/spaces-db-v1.json';
+
+// opens the raw database at a given version without running any migrations
+function openRawDb(version, onUpgrade) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(dbService.DB_SERVER, version);
+        request.onupgradeneeded = e => onUpgrade && onUpgrade(e.target.result);
+        request.onsuccess = e => resolve(e.target.result);
+        request.onerror = e => reject(e);
+    });
+}
+
+// builds a database the way version 1 of the extension created it
+async function loadFixture(fixture) {
+    const database = await openRawDb(fixture.version, rawDb => {
+        const store = rawDb.createObjectStore(dbService.DB_SESSIONS, {
+            keyPath: 'id',
+            autoIncrement: true,
+        });
+        store.createIndex('id', 'id');
+    });
+
+    await new Promise((resolve, reject) => {
+        const transaction = database.transaction(dbService.DB_SESSIONS, 'readwrite');
+        const store = transaction.objectStore(dbService.DB_SESSIONS);
+        fixture.ttSessions.forEach(session => {
+            const lastAccess =
+                typeof session.lastAccess === 'string'
+                    ? new Date(session.lastAccess)
+                    : session.lastAccess;
+            store.add({ ...session, lastAccess });
+        });
+        transaction.oncomplete = resolve;
+        transaction.onerror = reject;
+    });
+    database.close();
+}
+
+async function readAll() {
+    const server = await dbService.getDb();
+    const sessions = await server.query(dbService.DB_SESSIONS).all().execute();
+    server.close();
+    return sessions;
+}
+
+async function getIndexNames() {
+    const database = await openRawDb(dbService.DB_VERSION);
+    const transaction = database.transaction(dbService.DB_SESSIONS, 'readonly');
+    const names = Array.from(
+        transaction.objectStore(dbService.DB_SESSIONS).indexNames
+    );
+    database.close();
+    return names.sort();
+}
+
+describe('dbService migrations', () => {
+    let testCount = 0;
+
+    // every test gets a fresh database (connections opened by dbService stay open)
+    beforeEach(() => {
+        testCount += 1;
+        dbService.DB_SERVER = `spaces-test-${testCount}`;
+    });
+
+    it('should create the full schema for a new install', async () => {
+        expect(await readAll()).toEqual([]);
+        expect(await getIndexNames()).toEqual([
+            'id',
+            'lastAccess',
+            'name',
+            'windowId',
+        ]);
+    });
+
+    it('should add the session indexes to a version 1 database', async () => {
+        await loadFixture(fixtureV1);
+
+        expect(await readAll()).toHaveLength(3);
+        expect(await getIndexNames()).toEqual([
+            'id',
+            'lastAccess',
+            'name',
+            'windowId',
+        ]);
+    });
+
+    it('should rewrite version 1 session records in place', async () => {
+        await loadFixture(fixtureV1);
+
+        const [research, holiday, imported] = await readAll();
+
+        expect(research.id).toBe(1);
+        expect(research.lastAccess).toBe(Date.parse('2019-03-04T10:15:00.000Z'));
+        expect(research.windowId).toBe(false);
+        expect(research.tabs).toEqual(fixtureV1.ttSessions[0].tabs);
+        expect(research.history).toEqual(fixtureV1.ttSessions[0].history);
+
+        expect(holiday.lastAccess).toBe(1580000000000);
+        expect(holiday.history).toEqual([]);
+
+        expect(imported.id).toBe(5);
+        expect(imported.lastAccess).toBe(0);
+        expect(imported.history).toEqual([]);
+    });
+
+    it('should keep auto-incrementing ids after a migration', async () => {
+        await loadFixture(fixtureV1);
+
+        const created = await new Promise(resolve => {
+            dbService.createSession({ name: 'New', tabs: [] }, resolve);
+        });
+        expect(created.id).toBe(6);
+    });
+
+    it('should refuse to upgrade past a version with no migration', () => {
+        const nextVersion = dbService.DB_VERSION + 1;
+        expect(() =>
+            dbService.runMigrations(null, null, dbService.DB_VERSION, nextVersion)
+        ).toThrow(`No database migration defined for version ${nextVersion}`);
+    });
+});
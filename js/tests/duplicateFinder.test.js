@@ -0,0 +1,102 @@
+import { duplicateFinder } from '../duplicateFinder.js';
+import { urlRules } from '../urlRules.js';
+
+const rules = urlRules.normaliseRules();
+
+const space = (sessionId, windowId, urls) => ({
+    sessionId,
+    windowId,
+    name: sessionId ? `Space ${sessionId}` : false,
+    tabs: urls.map((url, index) => ({ id: windowId ? windowId * 10 + index : undefined, url })),
+});
+
+describe('duplicateFinder', () => {
+    const spaces = [
+        space(1, 10, ['https://a.com/', 'https://b.com/?utm_source=x', 'https://a.com/#top']),
+        space(false, 20, ['https://b.com/']),
+        space(2, false, ['https://b.com', 'https://c.com/', 'https://www.google.com/search?q=x']),
+        space(3, false, ['https://www.google.com/search?q=y']),
+    ];
+
+    describe('findDuplicates', () => {
+        it('should group tabs that are the same page under the url rules', () => {
+            const groups = duplicateFinder.findDuplicates(spaces, rules);
+
+            expect(groups.map(group => group.url)).toEqual(['https://b.com', 'https://a.com']);
+            expect(groups[0].copies).toEqual([
+                {
+                    sessionId: 1,
+                    windowId: 10,
+                    spaceName: 'Space 1',
+                    tabId: 101,
+                    index: 1,
+                    url: 'https://b.com/?utm_source=x',
+                    title: 'https://b.com/?utm_source=x',
+                },
+                {
+                    sessionId: false,
+                    windowId: 20,
+                    spaceName: false,
+                    tabId: 200,
+                    index: 0,
+                    url: 'https://b.com/',
+                    title: 'https://b.com/',
+                },
+                {
+                    sessionId: 2,
+                    windowId: false,
+                    spaceName: 'Space 2',
+                    tabId: false,
+                    index: 0,
+                    url: 'https://b.com',
+                    title: 'https://b.com',
+                },
+            ]);
+        });
+    });
+
+    describe('getExtraCopies', () => {
+        it('should keep one copy in each space, or one altogether', () => {
+            const groups = duplicateFinder.findDuplicates(spaces, rules);
+            const summarise = copies => copies.map(copy => [copy.sessionId || copy.windowId, copy.index]);
+
+            expect(summarise(duplicateFinder.getExtraCopies(groups, 'space'))).toEqual([[1, 2]]);
+            expect(summarise(duplicateFinder.getExtraCopies(groups, 'all'))).toEqual([
+                [20, 0],
+                [2, 0],
+                [1, 2],
+            ]);
+        });
+    });
+
+    describe('groupBySpace', () => {
+        it('should collect the copies of each space', () => {
+            const groups = duplicateFinder.findDuplicates(spaces, rules);
+            const bySpace = duplicateFinder.groupBySpace(duplicateFinder.getExtraCopies(groups, 'all'));
+            const summary = bySpace.map(({ sessionId, windowId, copies }) => [
+                sessionId,
+                windowId,
+                copies.length,
+            ]);
+
+            expect(summary).toEqual([
+                [false, 20, 1],
+                [2, false, 1],
+                [1, 10, 1],
+            ]);
+        });
+    });
+
+    describe('removeCopies', () => {
+        it('should only remove tabs that are still where they were found', () => {
+            const tabs = [{ url: 'https://a.com/' }, { url: 'https://b.com/' }, { url: 'https://a.com/' }];
+
+            expect(
+                duplicateFinder.removeCopies(tabs, [
+                    { index: 2, url: 'https://a.com/' },
+                    { index: 0, url: 'https://moved.com/' },
+                ])
+            ).toEqual(tabs.slice(0, 2));
+        });
+    });
+});
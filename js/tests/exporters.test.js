@@ -0,0 +1,109 @@
+import { exporters } from '../exporters.js';
+
+const spaces = [
+    {
+        name: 'Work & play',
+        tabs: [
+            { title: 'Docs, "shared"', url: 'https://a.com/?q=1&r=2', pinned: true, groupId: 4 },
+            { title: 'Wiki [draft]', url: 'https://b.com/page_(1)', groupId: -1 },
+        ],
+        groups: [{ id: 4, title: 'Project', color: 'blue', collapsed: false }],
+    },
+    {
+        name: false,
+        tabs: [
+            {
+                title: 'Suspended',
+                url: 'chrome-extension://abc/suspended.html#ttl=x&uri=https://c.com/',
+            },
+        ],
+    },
+];
+
+describe('exporters', () => {
+    it('should write one bookmark folder per space', () => {
+        const { content, filename, mimeType } = exporters.exportSpaces('html', spaces, true);
+
+        expect(filename).toBe('spaces-export.html');
+        expect(mimeType).toBe('text/html');
+        expect(content).toContain('<!DOCTYPE NETSCAPE-Bookmark-file-1>');
+        expect(content).toContain('<DT><H3>Work &amp; play</H3>');
+        expect(content).toContain(
+            '<DT><A HREF="https://a.com/?q=1&amp;r=2">Docs, &quot;shared&quot;</A>'
+        );
+        expect(content).toContain('<DT><H3>Unnamed space</H3>');
+        expect(content).toContain('<DT><A HREF="https://c.com/">Suspended</A>');
+        expect(content.match(/<DL><p>/g)).toHaveLength(3);
+        expect(content.match(/<\/DL><p>/g)).toHaveLength(3);
+    });
+
+    it('should write markdown link lists', () => {
+        const { content } = exporters.exportSpaces('markdown', spaces.slice(0, 1), false);
+
+        expect(content).toBe(
+            [
+                '## Work & play',
+                '',
+                '- [Docs, "shared"](https://a.com/?q=1&r=2)',
+                '- [Wiki \\[draft\\]](https://b.com/page_%281%29)',
+                '',
+            ].join('\n')
+        );
+    });
+
+    it('should write a csv row per tab', () => {
+        const { content, filename } = exporters.exportSpaces('csv', spaces.slice(0, 1), false);
+
+        expect(filename).toBe('Work & play.csv');
+        expect(content.split('\r\n')).toEqual([
+            'name,title,url,pinned,group',
+            'Work & play,"Docs, ""shared""",https://a.com/?q=1&r=2,true,Project',
+            'Work & play,Wiki [draft],https://b.com/page_(1),false,',
+            '',
+        ]);
+    });
+
+    it('should put the preferences in full backups', () => {
+        const { content, filename } = exporters.exportBackup(spaces, { historyLimit: 5 });
+        const backup = JSON.parse(content);
+
+        expect(filename).toBe('spaces-backup.json');
+        expect(backup).toMatchObject({ format: 'spaces-backup', version: 2, preferences: { historyLimit: 5 } });
+        expect(backup.spaces).toEqual(JSON.parse(exporters.exportSpaces('json', spaces, true).content));
+    });
+
+    it('should keep the backup format importable', () => {
+        const { content, filename } = exporters.exportSpaces('json', spaces, true);
+
+        expect(filename).toBe('spaces-backup.json');
+        expect(JSON.parse(content)).toEqual([
+            {
+                name: 'Work & play',
+                tabs: [
+                    { title: 'Docs, "shared"', url: 'https://a.com/?q=1&r=2', pinned: true, groupId: 4 },
+                    { title: 'Wiki [draft]', url: 'https://b.com/page_(1)' },
+                ],
+                groups: spaces[0].groups,
+            },
+            { name: false, tabs: [{ title: 'Suspended', url: 'https://c.com/' }] },
+        ]);
+    });
+
+    it('should accept new formats', () => {
+        exporters.register('count', {
+            label: 'Tab count',
+            extension: 'txt',
+            mimeType: 'text/plain',
+            render: curSpaces => String(curSpaces.length),
+        });
+
+        expect(exporters.exportSpaces('count', spaces, true).content).toBe('2');
+        delete exporters.formats.count;
+    });
+
+    it('should reject unknown formats', () => {
+        expect(() => exporters.exportSpaces('pdf', spaces, true)).toThrow(
+            'Unknown export format: pdf'
+        );
+    });
+});
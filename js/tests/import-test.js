@@ -1,7 +1,8 @@
 // Import Test for MV3 Service Worker
 // Tests the backup import functionality
 
-import { serviceWorkerClient } from '../service-worker-client.js';
+import { spacesApi } from '../service-worker-client.js';
+import { spacesEvents } from '../spacesEvents.js';
 
 // Sample backup data matching the user's format
 const sampleBackup = [
@@ -40,19 +41,18 @@ export const importTests = {
         
         try {
             // First, get current sessions
-            const beforeSessions = await serviceWorkerClient.sendMessage({ action: 'requestAllSpaces' });
+            const beforeSessions = await spacesApi.requestAllSpaces();
             console.log('📊 Sessions before import:', beforeSessions.length);
             
             // Import the sample backup (this will replace all existing sessions)
-            const importResult = await serviceWorkerClient.sendMessage({
-                action: 'restoreFromBackup',
+            const importResult = await spacesApi.restoreFromBackup({
                 spaces: sampleBackup
             });
             
             console.log('📦 Import result:', importResult);
             
             // Get sessions after import
-            const afterSessions = await serviceWorkerClient.sendMessage({ action: 'requestAllSpaces' });
+            const afterSessions = await spacesApi.requestAllSpaces();
             console.log('📊 Sessions after import:', afterSessions.length);
             
             // Check if imported sessions are present
@@ -84,19 +84,18 @@ export const importTests = {
         
         try {
             // First, get current sessions
-            const beforeSessions = await serviceWorkerClient.sendMessage({ action: 'requestAllSpaces' });
+            const beforeSessions = await spacesApi.requestAllSpaces();
             console.log('📊 Sessions before import:', beforeSessions.length);
             
             // Import the sample backup (this will add to existing sessions)
-            const importResult = await serviceWorkerClient.sendMessage({
-                action: 'importSessions',
+            const importResult = await spacesApi.importSessions({
                 spaces: sampleBackup
             });
             
             console.log('📦 Import result:', importResult);
             
             // Get sessions after import
-            const afterSessions = await serviceWorkerClient.sendMessage({ action: 'requestAllSpaces' });
+            const afterSessions = await spacesApi.requestAllSpaces();
             console.log('📊 Sessions after import:', afterSessions.length);
             
             // Check if imported sessions are present
@@ -128,19 +127,18 @@ export const importTests = {
         
         try {
             // First, get current sessions
-            const beforeSessions = await serviceWorkerClient.sendMessage({ action: 'requestAllSpaces' });
+            const beforeSessions = await spacesApi.requestAllSpaces();
             console.log('📊 Sessions before import:', beforeSessions.length);
             
             // Import the real backup (additive - won't delete existing sessions)
-            const importResult = await serviceWorkerClient.sendMessage({
-                action: 'importSessions',
+            const importResult = await spacesApi.importSessions({
                 spaces: backupData
             });
             
             console.log('📦 Import result:', importResult);
             
             // Get sessions after import
-            const afterSessions = await serviceWorkerClient.sendMessage({ action: 'requestAllSpaces' });
+            const afterSessions = await spacesApi.requestAllSpaces();
             console.log('📊 Sessions after import:', afterSessions.length);
             
             // Check if imported sessions are present
@@ -185,7 +183,7 @@ export const importTests = {
         console.log('🧪 Testing session detail retrieval...');
         
         try {
-            const allSessions = await serviceWorkerClient.sendMessage({ action: 'requestAllSpaces' });
+            const allSessions = await spacesApi.requestAllSpaces();
             const savedSessions = allSessions.filter(session => session.id && !session.windowId);
             
             if (savedSessions.length === 0) {
@@ -195,8 +193,7 @@ export const importTests = {
             const testSession = savedSessions[0];
             console.log('🔍 Testing session detail for:', testSession.name);
             
-            const sessionDetail = await serviceWorkerClient.sendMessage({
-                action: 'requestSpaceDetail',
+            const sessionDetail = await spacesApi.requestSpaceDetail({
                 sessionId: testSession.id,
                 windowId: false
             });
@@ -220,37 +217,38 @@ export const importTests = {
         }
     },
 
-    // Test Manage Spaces window refresh functionality
+    // Test that imports are pushed to subscribed pages as change events
     async testManageSpacesRefresh() {
-        console.log('🧪 Testing Manage Spaces window refresh...');
+        console.log('🧪 Testing session change notifications...');
+        
+        const createdEvents = [];
+        const unsubscribe = spacesEvents.subscribe(event => {
+            createdEvents.push(event);
+        }, ['created']);
         
         try {
-            // First, import some test data
-            const importResult = await serviceWorkerClient.sendMessage({
-                action: 'importSessions',
+            const importResult = await spacesApi.importSessions({
                 spaces: sampleBackup
             });
             
             console.log('📦 Import result:', importResult);
             
-            // Check if Manage Spaces window is open by trying to send a refresh message
-            // This will test the refresh mechanism even if the window isn't open
-            const refreshResult = await serviceWorkerClient.sendMessage({
-                action: 'refreshSpacesData'
-            });
+            // events are posted before the import call returns, give them a moment to arrive
+            await new Promise(resolve => setTimeout(resolve, 500));
             
-            console.log('🔄 Refresh test result:', refreshResult);
+            console.log('🔄 Created events received:', createdEvents.length);
             
             return {
-                success: true,
+                success: createdEvents.length === importResult.imported,
                 importResult,
-                refreshResult,
-                note: 'This test verifies the refresh mechanism works (window may not be open)'
+                createdEvents
             };
             
         } catch (error) {
-            console.error('❌ Manage Spaces refresh test failed:', error);
+            console.error('❌ Session change notification test failed:', error);
             return { success: false, error: error.message };
+        } finally {
+            unsubscribe();
         }
     },
 
@@ -260,27 +258,25 @@ export const importTests = {
         
         try {
             // Test additive import
-            const addResult = await serviceWorkerClient.sendMessage({
-                action: 'importSessions',
+            const addResult = await spacesApi.importSessions({
                 spaces: sampleBackup
             });
             
             console.log('📦 Additive import result:', addResult);
             
             // Get current session count
-            const afterAdd = await serviceWorkerClient.sendMessage({ action: 'requestAllSpaces' });
+            const afterAdd = await spacesApi.requestAllSpaces();
             const savedAfterAdd = afterAdd.filter(session => session.id && !session.windowId);
             
             // Test replace import
-            const replaceResult = await serviceWorkerClient.sendMessage({
-                action: 'restoreFromBackup',
+            const replaceResult = await spacesApi.restoreFromBackup({
                 spaces: sampleBackup
             });
             
             console.log('🔄 Replace import result:', replaceResult);
             
             // Get final session count
-            const afterReplace = await serviceWorkerClient.sendMessage({ action: 'requestAllSpaces' });
+            const afterReplace = await spacesApi.requestAllSpaces();
             const savedAfterReplace = afterReplace.filter(session => session.id && !session.windowId);
             
             return {
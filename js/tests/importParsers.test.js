@@ -0,0 +1,162 @@
+import { importParsers } from '../importParsers.js';
+
+const summarise = result => ({
+    format: result.format.id,
+    spaces: result.spaces.map(space => [space.name, space.tabs.map(tab => tab.url)]),
+});
+
+describe('importParsers', () => {
+    it('should restore spaces backups as they are', () => {
+        const backup = [
+            { name: 'Work', tabs: [{ url: 'https://a.com/' }], groups: [] },
+            { name: 'Empty', tabs: [] },
+        ];
+
+        const result = importParsers.parse(JSON.stringify(backup));
+
+        expect(result.format).toEqual({ id: 'spaces', label: 'Spaces backup' });
+        expect(result.spaces).toEqual(backup);
+    });
+
+    it('should restore full backups along with their preferences', () => {
+        const spaces = [{ name: 'Work', tabs: [{ url: 'https://a.com/' }] }];
+        const backup = { format: 'spaces-backup', version: 2, spaces, preferences: { historyLimit: 5 } };
+
+        const result = importParsers.parse(JSON.stringify(backup));
+
+        expect(result.format.id).toBe('spaces');
+        expect(result.spaces).toEqual(spaces);
+        expect(result.preferences).toEqual({ historyLimit: 5 });
+        expect(importParsers.parse(JSON.stringify(spaces)).preferences).toBe(false);
+    });
+
+    it('should read each OneTab group as a space', () => {
+        const input = [
+            'https://a.com/ | A',
+            'https://b.com/ | B | with a pipe',
+            '',
+            'https://c.com/ | C',
+            'not a url | D',
+        ].join('\n');
+
+        const result = importParsers.parse(input);
+
+        expect(summarise(result)).toEqual({
+            format: 'oneTab',
+            spaces: [
+                ['OneTab 1', ['https://a.com/', 'https://b.com/']],
+                ['OneTab 2', ['https://c.com/']],
+            ],
+        });
+        expect(result.spaces[0].tabs[1].title).toBe('B | with a pipe');
+    });
+
+    it('should read a plain list of urls as a single space', () => {
+        const result = importParsers.parse('https://a.com/\n\nhttps://b.com/\nnonsense');
+
+        expect(summarise(result)).toEqual({
+            format: 'urlList',
+            spaces: [['Imported Session', ['https://a.com/', 'https://b.com/']]],
+        });
+    });
+
+    it('should read Session Buddy sessions and collections', () => {
+        const input = {
+            sessions: [
+                {
+                    name: 'Research',
+                    windows: [
+                        { tabs: [{ url: 'https://a.com/', title: 'A', pinned: true }] },
+                        { tabs: [{ url: 'https://b.com/', title: 'B' }] },
+                    ],
+                },
+            ],
+            collections: [
+                { title: '', folders: [{ links: [{ url: 'https://c.com/', title: 'C' }] }] },
+            ],
+        };
+
+        const result = importParsers.parse(JSON.stringify(input));
+
+        expect(summarise(result)).toEqual({
+            format: 'sessionBuddy',
+            spaces: [
+                ['Research (1)', ['https://a.com/']],
+                ['Research (2)', ['https://b.com/']],
+                ['Session Buddy 1', ['https://c.com/']],
+            ],
+        });
+        expect(result.spaces[0].tabs[0]).toEqual({
+            url: 'https://a.com/',
+            title: 'A',
+            pinned: true,
+        });
+    });
+
+    it('should read Toby lists, including those inside groups', () => {
+        const input = {
+            groups: [
+                {
+                    name: 'Home',
+                    lists: [
+                        {
+                            title: 'Recipes',
+                            cards: [
+                                { url: 'https://a.com/', title: 'A', customTitle: 'Soup' },
+                            ],
+                        },
+                    ],
+                },
+            ],
+            lists: [{ title: 'Reading', cards: [{ url: 'https://b.com/', title: 'B' }] }],
+        };
+
+        const result = importParsers.parse(JSON.stringify(input));
+
+        expect(summarise(result)).toEqual({
+            format: 'toby',
+            spaces: [
+                ['Reading', ['https://b.com/']],
+                ['Recipes', ['https://a.com/']],
+            ],
+        });
+        expect(result.spaces[1].tabs[0].title).toBe('Soup');
+    });
+
+    it('should read Tab Session Manager windows in tab order', () => {
+        const input = [
+            {
+                name: 'Trip',
+                windows: {
+                    12: {
+                        40: { url: 'https://b.com/', title: 'B', index: 1 },
+                        41: { url: 'https://a.com/', title: 'A', index: 0 },
+                    },
+                },
+            },
+            {
+                name: '',
+                windows: {
+                    3: { 5: { url: 'https://c.com/', index: 0 } },
+                    4: { 6: { url: 'about:blank', index: 0 } },
+                },
+            },
+        ];
+
+        const result = importParsers.parse(JSON.stringify(input));
+
+        expect(summarise(result)).toEqual({
+            format: 'tabSessionManager',
+            spaces: [
+                ['Trip', ['https://a.com/', 'https://b.com/']],
+                ['Tab Session Manager 2 (1)', ['https://c.com/']],
+            ],
+        });
+    });
+
+    it('should return false when there is nothing to import', () => {
+        expect(importParsers.parse('')).toBe(false);
+        expect(importParsers.parse('{"unknown": true}')).toBe(false);
+        expect(importParsers.parse('just some text')).toBe(false);
+    });
+});
@@ -0,0 +1,84 @@
+import { omniboxService } from '../omniboxService.js';
+
+const sessions = [
+    {
+        id: 1,
+        windowId: false,
+        name: 'Research',
+        lastAccess: 100,
+        tabs: [
+            { url: 'https://scholar.example.com/', title: 'Paper search' },
+            { url: 'https://docs.example.com/notes', title: 'Notes & <draft>' },
+        ],
+    },
+    {
+        id: 2,
+        windowId: 5,
+        name: 'Work',
+        lastAccess: 50,
+        tabs: [{ url: 'https://mail.example.com/', title: 'Inbox' }],
+    },
+    {
+        id: false,
+        windowId: 6,
+        name: false,
+        tabs: [{ url: 'https://research.example.org/', title: 'Lab page' }],
+    },
+];
+
+describe('omniboxService', () => {
+    describe('getSuggestions', () => {
+        it('should suggest matching spaces before matching tabs', () => {
+            const suggestions = omniboxService.getSuggestions('research', sessions);
+
+            expect(suggestions.map(suggestion => suggestion.content)).toEqual([
+                'Research',
+                'https://research.example.org/',
+            ]);
+        });
+
+        it('should match every search term against tab titles and urls', () => {
+            const suggestions = omniboxService.getSuggestions('notes docs', sessions);
+
+            expect(suggestions).toHaveLength(1);
+            expect(suggestions[0].content).toBe('https://docs.example.com/notes');
+        });
+
+        it('should escape titles for the suggestion markup', () => {
+            const [suggestion] = omniboxService.getSuggestions('draft', sessions);
+
+            expect(suggestion.description).toBe(
+                'Notes &amp; &lt;draft&gt; <dim>- Research</dim> <url>https://docs.example.com/notes</url>'
+            );
+        });
+
+        it('should suggest nothing for empty input', () => {
+            expect(omniboxService.getSuggestions('  ', sessions)).toEqual([]);
+        });
+    });
+
+    describe('resolveInput', () => {
+        it('should resolve a space name to that space', () => {
+            expect(omniboxService.resolveInput('work', sessions)).toEqual({
+                sessionId: 2,
+                windowId: 5,
+                tabUrl: false,
+            });
+        });
+
+        it('should resolve a tab url to the space that holds it', () => {
+            expect(
+                omniboxService.resolveInput('https://research.example.org/', sessions)
+            ).toEqual({ sessionId: false, windowId: 6, tabUrl: 'https://research.example.org/' });
+        });
+
+        it('should fall back to the best match for typed text', () => {
+            expect(omniboxService.resolveInput('inbox', sessions)).toEqual({
+                sessionId: 2,
+                windowId: 5,
+                tabUrl: 'https://mail.example.com/',
+            });
+            expect(omniboxService.resolveInput('nothing like it', sessions)).toBe(false);
+        });
+    });
+});
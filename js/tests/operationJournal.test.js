@@ -0,0 +1,141 @@
+import { operationJournal } from '../operationJournal.js';
+import { undoToast } from '../undoToast.js';
+
+describe('operationJournal', () => {
+    beforeEach(() => {
+        operationJournal.done = [];
+        operationJournal.undone = [];
+        operationJournal.lastEntryId = 0;
+    });
+
+    it('should undo and redo the latest entry', async () => {
+        const applied = [];
+        const applyOps = ops => {
+            applied.push(ops);
+            return Promise.resolve();
+        };
+
+        operationJournal.record('Rename "Work"', ['undo-1'], ['redo-1']);
+        operationJournal.record('Delete "Reading"', ['undo-2'], ['redo-2']);
+
+        let state = await operationJournal.undo(applyOps);
+        expect(applied).toEqual([['undo-2']]);
+        expect(state.undo.label).toBe('Rename "Work"');
+        expect(state.redo.label).toBe('Delete "Reading"');
+
+        state = await operationJournal.redo(applyOps);
+        expect(applied).toEqual([['undo-2'], ['redo-2']]);
+        expect(state.undo.label).toBe('Delete "Reading"');
+        expect(state.redo).toBe(false);
+    });
+
+    it('should clear the redo stack when a new entry is recorded', async () => {
+        operationJournal.record('first', [], []);
+        await operationJournal.undo(() => Promise.resolve());
+        expect(operationJournal.getState().redo.label).toBe('first');
+
+        operationJournal.record('second', [], []);
+        expect(operationJournal.getState().redo).toBe(false);
+    });
+
+    it('should keep the entry when its operations fail', async () => {
+        operationJournal.record('first', ['undo'], ['redo']);
+
+        await expect(
+            operationJournal.undo(() => Promise.reject(new Error('failed')))
+        ).rejects.toThrow('failed');
+        expect(operationJournal.getState().undo.label).toBe('first');
+        expect(operationJournal.getState().redo).toBe(false);
+    });
+
+    it('should reject when there is nothing to undo', async () => {
+        await expect(operationJournal.undo(() => Promise.resolve())).rejects.toThrow(
+            'Nothing to undo'
+        );
+    });
+
+    it('should only keep the latest entries', () => {
+        for (let i = 0; i < operationJournal.maxEntries + 5; i += 1) {
+            operationJournal.record(`entry ${i}`, [], []);
+        }
+        expect(operationJournal.done.length).toBe(operationJournal.maxEntries);
+        expect(operationJournal.done[0].label).toBe('entry 5');
+    });
+
+    describe('storage', () => {
+        let stored;
+
+        beforeEach(() => {
+            stored = {};
+            chrome.storage.session = {
+                set: jest.fn((items, callback) => {
+                    Object.assign(stored, items);
+                    if (callback) callback();
+                }),
+                get: jest.fn((keys, callback) => callback(stored)),
+            };
+        });
+
+        afterEach(() => {
+            delete chrome.storage.session;
+        });
+
+        it('should pick up the journal of a stopped service worker', async () => {
+            operationJournal.record('Delete "Reading"', ['undo'], ['redo']);
+
+            operationJournal.done = [];
+            operationJournal.lastEntryId = 0;
+            await operationJournal.restore();
+
+            expect(operationJournal.getState().undo.label).toBe('Delete "Reading"');
+            expect(operationJournal.record('next', [], []).id).toBe(2);
+        });
+
+        it('should keep the latest entries when the whole journal does not fit', () => {
+            for (let i = 0; i < 10; i += 1) {
+                operationJournal.record(`entry ${i}`, [], []);
+            }
+            chrome.storage.session.set.mockImplementationOnce((items, callback) => {
+                chrome.runtime.lastError = { message: 'quota exceeded' };
+                callback();
+                delete chrome.runtime.lastError;
+            });
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            operationJournal.record('entry 10', [], []);
+
+            const saved = stored[operationJournal.storageKey].done;
+            expect(saved.map(entry => entry.label)).toEqual([
+                'entry 6',
+                'entry 7',
+                'entry 8',
+                'entry 9',
+                'entry 10',
+            ]);
+            console.error.mockRestore();
+        });
+    });
+});
+
+describe('undoToast.getLatestAction', () => {
+    const state = {
+        undoWindowSeconds: 10,
+        undo: { id: 1, label: 'first', timestamp: 1000 },
+        redo: { id: 2, label: 'second', timestamp: 4000 },
+    };
+
+    it('should offer the most recent action inside the undo window', () => {
+        expect(undoToast.getLatestAction(state, 5000)).toEqual({
+            action: 'redo',
+            entry: state.redo,
+            remainingMs: 9000,
+        });
+    });
+
+    it('should offer nothing once the undo window has passed', () => {
+        expect(undoToast.getLatestAction(state, 20000)).toBe(false);
+        expect(undoToast.getLatestAction({ ...state, undoWindowSeconds: 0 }, 4000)).toBe(
+            false
+        );
+    });
+});
@@ -0,0 +1,171 @@
+import { preferences } from '../preferences.js';
+
+describe('preferences', () => {
+    let stored;
+
+    beforeEach(() => {
+        stored = {};
+        chrome.storage.local.set.mockImplementation((items, callback) => {
+            Object.assign(stored, items);
+            if (callback) callback();
+        });
+        chrome.storage.local.get.mockImplementation((keys, callback) => {
+            callback(stored);
+        });
+        preferences.values = preferences.getDefaults();
+        preferences.listeners = [];
+    });
+
+    afterEach(() => {
+        chrome.storage.local.set.mockReset();
+        chrome.storage.local.get.mockReset();
+    });
+
+    describe('normalise', () => {
+        it('should fill in defaults and drop unknown preferences', () => {
+            expect(preferences.normalise({ historyLimit: 50, fromTheFuture: true })).toEqual({
+                ...preferences.getDefaults(),
+                historyLimit: 50,
+            });
+            expect(preferences.normalise(undefined)).toEqual(preferences.getDefaults());
+        });
+
+        it('should keep values to their type and limits', () => {
+            const values = preferences.normalise({
+                historyLimit: '25',
+                windowEventDelayMs: 5,
+                popupWindowWidth: 1e9,
+                popupWindowHeight: 'tall',
+                debugLogging: 'yes',
+            });
+
+            expect(values).toEqual({
+                ...preferences.getDefaults(),
+                historyLimit: 25,
+                windowEventDelayMs: 100,
+                popupWindowWidth: 2000,
+                popupWindowHeight: 400,
+                debugLogging: false,
+            });
+        });
+
+        it('should only accept the listed choices, and fall back to the default for blank text', () => {
+            const values = preferences.normalise({
+                loadStrategy: 'sometimes',
+                maxConcurrentLoads: '0',
+                bookmarkFolderTitle: '  ',
+                autoBackupFolder: ' Backups ',
+            });
+
+            expect(values.loadStrategy).toBe('eager');
+            expect(values.maxConcurrentLoads).toBe(0);
+            expect(values.bookmarkFolderTitle).toBe('Spaces');
+            expect(values.autoBackupFolder).toBe('Backups');
+            expect(preferences.normalise({ loadStrategy: 'lazy' }).loadStrategy).toBe('lazy');
+        });
+
+        it('should not leave two preferences that exclude each other switched on', () => {
+            const values = preferences.normalise({ storageSyncEnabled: true, bookmarkSyncEnabled: true });
+
+            expect(values.storageSyncEnabled).toBe(true);
+            expect(values.bookmarkSyncEnabled).toBe(false);
+        });
+    });
+
+    describe('save', () => {
+        it('should keep the preferences that are not changed', done => {
+            stored.preferences = { ...preferences.getDefaults(), historyLimit: 10 };
+
+            preferences.save({ debugLogging: true }, values => {
+                expect(values).toEqual({ ...preferences.getDefaults(), historyLimit: 10, debugLogging: true });
+                expect(stored.preferences).toEqual(values);
+                done();
+            });
+        });
+
+        it('should switch off the preference excluded by one switched on', done => {
+            stored.preferences = { ...preferences.getDefaults(), storageSyncEnabled: true };
+
+            preferences.save({ bookmarkSyncEnabled: true }, values => {
+                expect(values.bookmarkSyncEnabled).toBe(true);
+                expect(values.storageSyncEnabled).toBe(false);
+                done();
+            });
+        });
+
+        it('should go back to the defaults on reset', done => {
+            stored.preferences = { ...preferences.getDefaults(), historyLimit: 10 };
+
+            preferences.reset(values => {
+                expect(values).toEqual(preferences.getDefaults());
+                done();
+            });
+        });
+    });
+
+    describe('migrate', () => {
+        beforeEach(() => {
+            chrome.storage.local.remove.mockImplementation((keys, callback) => {
+                keys.forEach(key => delete stored[key]);
+                callback();
+            });
+        });
+
+        afterEach(() => {
+            chrome.storage.local.remove.mockReset();
+        });
+
+        it('should move settings kept under their own keys into the preferences', done => {
+            stored.preferences = { ...preferences.getDefaults(), historyLimit: 10 };
+            stored.trashRetentionDays = 7;
+            stored.loadStrategy = 'lazy';
+
+            preferences.migrate(migrated => {
+                expect(migrated).toBe(true);
+                expect(stored).toEqual({
+                    preferences: {
+                        ...preferences.getDefaults(),
+                        historyLimit: 10,
+                        trashRetentionDays: 7,
+                        loadStrategy: 'lazy',
+                    },
+                });
+                done();
+            });
+        });
+
+        it('should do nothing once there is nothing left to move', done => {
+            stored.preferences = preferences.getDefaults();
+
+            preferences.migrate(migrated => {
+                expect(migrated).toBe(false);
+                expect(chrome.storage.local.set).not.toHaveBeenCalled();
+                done();
+            });
+        });
+    });
+
+    describe('handleStorageChanged', () => {
+        it('should tell listeners which preferences changed', () => {
+            const listener = jest.fn();
+            preferences.addChangeListener(listener);
+            const newValue = { ...preferences.getDefaults(), popupWindowWidth: 800 };
+
+            preferences.handleStorageChanged({ preferences: { newValue } }, 'local');
+
+            expect(preferences.values).toEqual(newValue);
+            expect(listener).toHaveBeenCalledWith(newValue, ['popupWindowWidth']);
+        });
+
+        it('should ignore other storage changes, and changes that change nothing', () => {
+            const listener = jest.fn();
+            preferences.addChangeListener(listener);
+
+            preferences.handleStorageChanged({ preferences: { newValue: {} } }, 'sync');
+            preferences.handleStorageChanged({ trashRetentionDays: { newValue: 3 } }, 'local');
+            preferences.handleStorageChanged({ preferences: { newValue: {} } }, 'local');
+
+            expect(listener).not.toHaveBeenCalled();
+        });
+    });
+});
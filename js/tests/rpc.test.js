@@ -0,0 +1,124 @@
+import { rpc } from '../rpc.js';
+
+describe('rpc', () => {
+    describe('validateParams', () => {
+        it('should convert numeric string ids to numbers', () => {
+            expect(
+                rpc.validateParams('loadTabInSession', {
+                    sessionId: '12',
+                    tabUrl: 'https://example.com/',
+                })
+            ).toEqual({ params: { sessionId: 12, tabUrl: 'https://example.com/' } });
+        });
+
+        it('should pass empty optional params as false', () => {
+            expect(
+                rpc.validateParams('switchToSpace', { sessionId: 'false', windowId: '' })
+            ).toEqual({ params: { sessionId: false, windowId: false } });
+        });
+
+        it('should reject missing and mistyped params', () => {
+            expect(rpc.validateParams('deleteSession', {})).toEqual({
+                error: 'Invalid params for deleteSession: sessionId must be of type id',
+            });
+            expect(rpc.validateParams('importSessions', { spaces: 'nope' }).error).toBe(
+                'Invalid params for importSessions: spaces must be of type array'
+            );
+            expect(rpc.validateParams('requestTabDetail', { tabId: '12abc' }).error).toBeDefined();
+        });
+
+        it('should reject unknown actions', () => {
+            expect(rpc.validateParams('dropAllTables', {})).toEqual({
+                error: 'Unknown action: dropAllTables',
+            });
+        });
+    });
+
+    describe('createServer', () => {
+        const handlers = {
+            deleteSession: jest.fn(({ sessionId }) => sessionId === 3),
+            loadSession: jest.fn(() => undefined),
+            requestAllSpaces: jest.fn(() => Promise.resolve([{ name: 'Work' }])),
+            requestHotkeys: jest.fn(() => {
+                throw new Error('commands unavailable');
+            }),
+        };
+        const server = rpc.createServer(handlers);
+
+        it('should wrap handler results in an envelope', async () => {
+            await expect(
+                server.dispatch({ action: 'deleteSession', sessionId: '3' })
+            ).resolves.toEqual({ ok: true, result: true });
+            expect(handlers.deleteSession).toHaveBeenCalledWith({ sessionId: 3 }, undefined);
+
+            await expect(server.dispatch({ action: 'requestAllSpaces' })).resolves.toEqual({
+                ok: true,
+                result: [{ name: 'Work' }],
+            });
+            await expect(
+                server.dispatch({ action: 'loadSession', sessionId: 3 })
+            ).resolves.toEqual({ ok: true, result: null });
+        });
+
+        it('should return errors for unknown actions and invalid params', async () => {
+            await expect(server.dispatch({ action: 'invalidAction' })).resolves.toEqual({
+                ok: false,
+                error: 'Unknown action: invalidAction',
+            });
+            await expect(server.dispatch({ action: 'deleteSession' })).resolves.toEqual({
+                ok: false,
+                error: 'Invalid params for deleteSession: sessionId must be of type id',
+            });
+            // declared, but no handler registered
+            await expect(server.dispatch({ action: 'requestClose' })).resolves.toEqual({
+                ok: false,
+                error: 'Unknown action: requestClose',
+            });
+        });
+
+        it('should return handler exceptions as errors', async () => {
+            await expect(server.dispatch({ action: 'requestHotkeys' })).resolves.toEqual({
+                ok: false,
+                error: 'commands unavailable',
+            });
+        });
+    });
+
+    describe('createClient', () => {
+        it('should have a stub for every declared method', () => {
+            const client = rpc.createClient(jest.fn());
+            expect(Object.keys(client).sort()).toEqual(Object.keys(rpc.methods).sort());
+        });
+
+        it('should send the message and resolve with the result', async () => {
+            const send = jest.fn(() => Promise.resolve({ ok: true, result: { id: 4 } }));
+            const client = rpc.createClient(send);
+
+            await expect(
+                client.saveNewSession({ windowId: 9, sessionName: 'Work' }, 3000)
+            ).resolves.toEqual({ id: 4 });
+            expect(send).toHaveBeenCalledWith(
+                { windowId: 9, sessionName: 'Work', action: 'saveNewSession' },
+                3000
+            );
+        });
+
+        it('should reject with the error of a failed call', async () => {
+            const client = rpc.createClient(() => ({ ok: false, error: 'Session not found' }));
+
+            await expect(client.deleteSession({ sessionId: 1 })).rejects.toThrow(
+                'Session not found'
+            );
+        });
+
+        it('should reject invalid params without sending', async () => {
+            const send = jest.fn();
+            const client = rpc.createClient(send);
+
+            await expect(client.loadSession({})).rejects.toThrow(
+                'Invalid params for loadSession'
+            );
+            expect(send).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,102 @@
+import { searchIndex } from '../searchIndex.js';
+
+const spaces = [
+    {
+        sessionId: 1,
+        windowId: 4,
+        name: 'Sprint',
+        tabs: [
+            { url: 'https://jira.example.com/browse/PROJ-123', title: 'PROJ-123 Fix login' },
+            { url: 'https://github.com/example/app/pull/9', title: 'Login refactor' },
+        ],
+        history: [{ url: 'https://jira.example.com/browse/PROJ-7', title: 'PROJ-7 Old bug' }],
+    },
+    {
+        sessionId: 2,
+        windowId: false,
+        name: 'Reading',
+        tabs: [{ url: 'https://blog.example.com/logging', title: 'Structured logging' }],
+        history: [],
+    },
+    {
+        sessionId: '',
+        windowId: 8,
+        name: false,
+        tabs: [{ url: 'https://example.com/', title: undefined }],
+        history: false,
+    },
+];
+
+describe('searchIndex', () => {
+    const index = searchIndex.buildIndex(spaces);
+
+    it('should split text into lower case words', () => {
+        expect(searchIndex.tokenize('PROJ-123 Fix  Login')).toEqual(['proj', '123', 'fix', 'login']);
+    });
+
+    it('should match word prefixes in titles and urls, grouped by space', () => {
+        const groups = searchIndex.search(index, 'log');
+
+        expect(groups.map(group => group.name)).toEqual(['Sprint', 'Reading']);
+        expect(groups[0].hits.map(hit => hit.title)).toEqual([
+            'PROJ-123 Fix login',
+            'Login refactor',
+        ]);
+    });
+
+    it('should require every word of the query to match', () => {
+        const groups = searchIndex.search(index, 'proj 123');
+
+        expect(groups).toHaveLength(1);
+        expect(groups[0].hits).toHaveLength(1);
+        expect(groups[0].hits[0].url).toBe('https://jira.example.com/browse/PROJ-123');
+    });
+
+    it('should include closed tabs from session history', () => {
+        const [group] = searchIndex.search(index, 'old bug');
+
+        expect(group.sessionId).toBe(1);
+        expect(group.hits).toEqual([
+            {
+                title: 'PROJ-7 Old bug',
+                url: 'https://jira.example.com/browse/PROJ-7',
+                favIconUrl: undefined,
+                source: 'history',
+            },
+        ]);
+    });
+
+    it('should fall back to the url for untitled tabs', () => {
+        const [group] = searchIndex.search(index, 'example.com');
+
+        expect(group.name).toBe('Sprint');
+        expect(searchIndex.search(index, 'example com').pop().hits[0].title).toBe(
+            'https://example.com/'
+        );
+    });
+
+    it('should index words that are also names of object properties', () => {
+        const objectWords = [
+            {
+                sessionId: 3,
+                windowId: false,
+                name: 'Docs',
+                tabs: [
+                    { url: 'https://example.com/constructor', title: 'constructor toString' },
+                    { url: 'https://example.com/__proto__', title: '__proto__' },
+                ],
+                history: [],
+            },
+        ];
+        const objectIndex = searchIndex.buildIndex(objectWords);
+
+        expect(searchIndex.search(objectIndex, 'constructor')[0].hits).toHaveLength(1);
+        expect(searchIndex.search(objectIndex, 'tostring')[0].hits).toHaveLength(1);
+        expect(searchIndex.search(objectIndex, 'proto')[0].hits).toHaveLength(1);
+    });
+
+    it('should return nothing for an empty or unmatched query', () => {
+        expect(searchIndex.search(index, '   ')).toEqual([]);
+        expect(searchIndex.search(index, 'zzz')).toEqual([]);
+    });
+});
@@ -13,6 +13,25 @@ const indexedDB = {
 
 global.indexedDB = indexedDB;
 
+// jsdom does not provide structuredClone (fake-indexeddb relies on it)
+if (typeof global.structuredClone !== 'function') {
+  const v8 = require('v8');
+  global.structuredClone = value => v8.deserialize(v8.serialize(value));
+}
+
+// nor TextEncoder/TextDecoder and WebCrypto (used for encrypted backups)
+if (typeof global.TextEncoder !== 'function') {
+  const util = require('util');
+  global.TextEncoder = util.TextEncoder;
+  global.TextDecoder = util.TextDecoder;
+}
+if (!global.crypto || !global.crypto.subtle) {
+  Object.defineProperty(global, 'crypto', {
+    value: require('crypto').webcrypto,
+    configurable: true,
+  });
+}
+
 // Mock window.location for popup testing
 Object.defineProperty(window, 'location', {
   value: {
@@ -0,0 +1,90 @@
+import { snapshotService } from '../snapshotService.js';
+
+const tabsFor = urls => urls.map(url => ({ url, pinned: false }));
+
+describe('snapshotService', () => {
+    describe('diffTabLists', () => {
+        it('should count added and removed tabs by url', () => {
+            expect(
+                snapshotService.diffTabLists(
+                    tabsFor(['https://a.com/', 'https://b.com/']),
+                    tabsFor(['https://b.com/', 'https://c.com/', 'https://d.com/'])
+                )
+            ).toEqual({ added: 2, removed: 1 });
+        });
+
+        it('should count duplicate urls separately', () => {
+            expect(
+                snapshotService.diffTabLists(
+                    tabsFor(['https://a.com/', 'https://a.com/']),
+                    tabsFor(['https://a.com/'])
+                )
+            ).toEqual({ added: 0, removed: 1 });
+        });
+    });
+
+    describe('buildNextSnapshot', () => {
+        const session = urls => ({ id: 3, tabs: tabsFor(urls) });
+        const existing = [
+            {
+                id: 1,
+                sessionId: 3,
+                timestamp: 1000,
+                tabs: tabsFor(['https://a.com/']),
+                added: 1,
+                removed: 0,
+            },
+            {
+                id: 2,
+                sessionId: 3,
+                timestamp: 100000,
+                tabs: tabsFor(['https://a.com/', 'https://b.com/']),
+                added: 1,
+                removed: 0,
+            },
+        ];
+
+        it('should create the first version of a session', () => {
+            expect(
+                snapshotService.buildNextSnapshot([], session(['https://a.com/']), 5)
+            ).toEqual({
+                sessionId: 3,
+                timestamp: 5,
+                tabs: tabsFor(['https://a.com/']),
+                added: 1,
+                removed: 0,
+            });
+        });
+
+        it('should skip versions identical to the latest one', () => {
+            expect(
+                snapshotService.buildNextSnapshot(
+                    existing,
+                    session(['https://a.com/', 'https://b.com/']),
+                    500000
+                )
+            ).toBe(false);
+        });
+
+        it('should merge additions made shortly after the latest version', () => {
+            const snapshot = snapshotService.buildNextSnapshot(
+                existing,
+                session(['https://a.com/', 'https://b.com/', 'https://c.com/']),
+                110000
+            );
+            expect(snapshot.id).toBe(2);
+            expect(snapshot.added).toBe(2);
+            expect(snapshot.timestamp).toBe(110000);
+        });
+
+        it('should always keep a new version when tabs are removed', () => {
+            const snapshot = snapshotService.buildNextSnapshot(
+                existing,
+                session(['https://a.com/']),
+                101000
+            );
+            expect(snapshot.id).toBeUndefined();
+            expect(snapshot).toMatchObject({ added: 0, removed: 1 });
+        });
+    });
+});
@@ -0,0 +1,152 @@
+import { spacesEvents } from '../spacesEvents.js';
+
+const spaces = [
+    { sessionId: 1, windowId: 4, name: 'Work', lastAccess: 300, tabs: [] },
+    { sessionId: '', windowId: 8, name: false, lastAccess: 500, tabs: [] },
+    { sessionId: 2, windowId: false, name: 'Reading', lastAccess: 200, tabs: [] },
+    { sessionId: 3, windowId: false, name: 'Travel', lastAccess: 100, tabs: [] },
+];
+
+const names = curSpaces => curSpaces.map(space => space.name);
+
+describe('spacesEvents', () => {
+    describe('applyChange', () => {
+        it('should merge changes into the matching saved space', () => {
+            const newSpaces = spacesEvents.applyChange(spaces, {
+                type: 'renamed',
+                sessionId: 2,
+                windowId: false,
+                changes: { name: 'Books' },
+            });
+
+            expect(names(newSpaces)).toEqual([false, 'Work', 'Books', 'Travel']);
+            expect(spaces[2].name).toBe('Reading');
+        });
+
+        it('should find unsaved spaces by window', () => {
+            const tabs = [{ url: 'https://example.com/' }];
+            const newSpaces = spacesEvents.applyChange(spaces, {
+                type: 'tabsChanged',
+                sessionId: false,
+                windowId: 8,
+                changes: { tabs },
+            });
+
+            expect(newSpaces[0].tabs).toBe(tabs);
+        });
+
+        it('should move opened and closed spaces between the lists', () => {
+            let newSpaces = spacesEvents.applyChange(spaces, {
+                type: 'closed',
+                sessionId: 1,
+                windowId: false,
+                changes: { windowId: false },
+            });
+            newSpaces = spacesEvents.applyChange(newSpaces, {
+                type: 'opened',
+                sessionId: 3,
+                windowId: 8,
+                changes: { windowId: 8 },
+            });
+
+            // the unsaved space of window 8 is now the Travel space
+            expect(names(newSpaces)).toEqual(['Travel', 'Work', 'Reading']);
+            expect(newSpaces[0].windowId).toBe(8);
+        });
+
+        it('should replace the unsaved space of a window when it is saved', () => {
+            const space = {
+                sessionId: 9,
+                windowId: 8,
+                name: 'New',
+                lastAccess: 600,
+                tabs: [],
+            };
+            const newSpaces = spacesEvents.applyChange(spaces, {
+                type: 'created',
+                sessionId: 9,
+                windowId: 8,
+                changes: { space },
+            });
+
+            expect(names(newSpaces)).toEqual(['New', 'Work', 'Reading', 'Travel']);
+        });
+
+        it('should remove deleted spaces', () => {
+            const newSpaces = spacesEvents.applyChange(spaces, {
+                type: 'deleted',
+                sessionId: false,
+                windowId: 8,
+                changes: {},
+            });
+
+            expect(names(newSpaces)).toEqual(['Work', 'Reading', 'Travel']);
+        });
+    });
+
+    describe('subscribe', () => {
+        let ports;
+
+        const createPort = () => {
+            const port = {
+                messageListeners: [],
+                disconnectListeners: [],
+                onMessage: { addListener: fn => port.messageListeners.push(fn) },
+                onDisconnect: { addListener: fn => port.disconnectListeners.push(fn) },
+                postMessage: jest.fn(),
+                disconnect: jest.fn(),
+            };
+            ports.push(port);
+            return port;
+        };
+
+        beforeEach(() => {
+            jest.useFakeTimers();
+            ports = [];
+            chrome.runtime.connect.mockImplementation(createPort);
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+            chrome.runtime.connect.mockReset();
+        });
+
+        it('should subscribe to the requested event types', () => {
+            const listener = jest.fn();
+            spacesEvents.subscribe(listener, ['renamed']);
+
+            expect(chrome.runtime.connect).toHaveBeenCalledWith({
+                name: spacesEvents.PORT_NAME,
+            });
+            expect(ports[0].postMessage).toHaveBeenCalledWith({
+                action: 'subscribe',
+                types: ['renamed'],
+            });
+
+            ports[0].messageListeners[0]({ type: 'renamed', sessionId: 1 });
+            expect(listener).toHaveBeenCalledWith({ type: 'renamed', sessionId: 1 });
+        });
+
+        it('should reconnect and ask for a resync when the port drops', () => {
+            const listener = jest.fn();
+            spacesEvents.subscribe(listener);
+
+            ports[0].disconnectListeners[0]();
+            jest.advanceTimersByTime(spacesEvents.reconnectDelay);
+
+            expect(ports).toHaveLength(2);
+            expect(listener).toHaveBeenCalledWith({ type: 'resync' });
+        });
+
+        it('should not reconnect once unsubscribed', () => {
+            const unsubscribe = spacesEvents.subscribe(jest.fn());
+
+            unsubscribe();
+            ports[0].disconnectListeners[0]();
+            jest.advanceTimersByTime(spacesEvents.reconnectDelay);
+
+            expect(ports[0].disconnect).toHaveBeenCalled();
+            expect(ports).toHaveLength(1);
+        });
+    });
+});
@@ -0,0 +1,610 @@
+import spacesService from '../spacesService.js';
+import { urlRules } from '../urlRules.js';
+import { tabLoader } from '../tabLoader.js';
+
+const tabsFor = urls => urls.map(url => ({ url }));
+
+describe('spacesService session matching', () => {
+    beforeEach(() => {
+        spacesService.sessions = [];
+        spacesService.matchThreshold = 0.7;
+        spacesService.suggestThreshold = 0.4;
+    });
+
+    describe('getSessionSimilarity', () => {
+        it('should score identical url sets as 1 regardless of order', () => {
+            const score = spacesService.getSessionSimilarity(
+                tabsFor(['https://a.com/', 'https://b.com/']),
+                tabsFor(['https://b.com/', 'https://a.com/'])
+            );
+            expect(score).toBe(1);
+        });
+
+        it('should ignore query strings and fragments when comparing', () => {
+            const score = spacesService.getSessionSimilarity(
+                tabsFor(['https://a.com/page?x=1#top']),
+                tabsFor(['https://a.com/page'])
+            );
+            expect(score).toBe(1);
+        });
+
+        it('should score partial overlap by shared urls over all urls', () => {
+            const score = spacesService.getSessionSimilarity(
+                tabsFor(['https://a.com/', 'https://b.com/', 'https://c.com/']),
+                tabsFor(['https://a.com/', 'https://b.com/', 'https://d.com/'])
+            );
+            expect(score).toBe(0.5);
+        });
+
+        it('should score empty tab lists as 0', () => {
+            expect(
+                spacesService.getSessionSimilarity([], tabsFor(['https://a.com/']))
+            ).toBe(0);
+        });
+    });
+
+    describe('findBestSessionMatch', () => {
+        it('should only consider closed saved sessions', () => {
+            spacesService.sessions = [
+                { id: 1, windowId: 10, tabs: tabsFor(['https://a.com/']) },
+                { id: false, windowId: 11, tabs: tabsFor(['https://a.com/']) },
+            ];
+            expect(
+                spacesService.findBestSessionMatch(tabsFor(['https://a.com/']))
+            ).toBe(false);
+        });
+
+        it('should break ties in favour of the most recently accessed session', () => {
+            spacesService.sessions = [
+                { id: 1, tabs: tabsFor(['https://a.com/']), lastAccess: 1000 },
+                { id: 2, tabs: tabsFor(['https://a.com/']), lastAccess: 2000 },
+            ];
+            const match = spacesService.findBestSessionMatch(
+                tabsFor(['https://a.com/'])
+            );
+            expect(match.session.id).toBe(2);
+            expect(match.confidence).toBe(1);
+        });
+
+        it('should skip excluded sessions', () => {
+            spacesService.sessions = [
+                { id: 1, tabs: tabsFor(['https://a.com/']) },
+            ];
+            expect(
+                spacesService.findBestSessionMatch(tabsFor(['https://a.com/']), [1])
+            ).toBe(false);
+        });
+    });
+
+    describe('checkForSessionMatch', () => {
+        const research = () => ({
+            id: 7,
+            name: 'Research',
+            windowId: false,
+            tabs: tabsFor([
+                'https://a.com/',
+                'https://b.com/',
+                'https://c.com/',
+                'https://d.com/',
+            ]),
+        });
+
+        it('should link a window with one extra tab to its saved session', () => {
+            const session = research();
+            spacesService.sessions = [session];
+
+            spacesService.checkForSessionMatch({
+                id: 42,
+                tabs: tabsFor([
+                    'https://a.com/',
+                    'https://b.com/',
+                    'https://c.com/',
+                    'https://d.com/',
+                    'https://e.com/',
+                ]),
+            });
+
+            expect(session.windowId).toBe(42);
+            expect(session.matchConfidence).toBe(0.8);
+            expect(spacesService.sessions).toHaveLength(1);
+        });
+
+        it('should suggest an ambiguous match instead of linking it', () => {
+            const session = research();
+            spacesService.sessions = [session];
+
+            spacesService.checkForSessionMatch({
+                id: 42,
+                tabs: tabsFor(['https://a.com/', 'https://b.com/']),
+            });
+
+            const temporarySession = spacesService.getSessionByWindowId(42);
+            expect(session.windowId).toBe(false);
+            expect(temporarySession.id).toBe(false);
+            expect(spacesService.getMatchSuggestion(temporarySession)).toEqual({
+                sessionId: 7,
+                name: 'Research',
+                confidence: 0.5,
+            });
+        });
+
+        it('should not suggest a session again once dismissed', () => {
+            spacesService.sessions = [research()];
+            const curWindow = {
+                id: 42,
+                tabs: tabsFor(['https://a.com/', 'https://b.com/']),
+            };
+
+            spacesService.checkForSessionMatch(curWindow);
+            spacesService.dismissSessionMatch(42, '7');
+            spacesService.checkForSessionMatch(curWindow);
+
+            const temporarySession = spacesService.getSessionByWindowId(42);
+            expect(spacesService.getMatchSuggestion(temporarySession)).toBe(false);
+        });
+    });
+
+    describe('window bounds', () => {
+        const laptop = {
+            id: 'laptop',
+            isPrimary: true,
+            bounds: { left: 0, top: 0, width: 1440, height: 900 },
+            workArea: { left: 0, top: 25, width: 1440, height: 875 },
+        };
+        const monitor = {
+            id: 'monitor',
+            isPrimary: false,
+            bounds: { left: 1440, top: 0, width: 2560, height: 1440 },
+            workArea: { left: 1440, top: 0, width: 2560, height: 1440 },
+        };
+
+        it('should record bounds and the display a window is on', () => {
+            spacesService.displays = [laptop, monitor];
+            const session = { id: 1 };
+
+            const changed = spacesService.updateSessionWindowBounds(session, {
+                left: 1600,
+                top: 100,
+                width: 1200,
+                height: 900,
+                state: 'maximized',
+            });
+
+            expect(changed).toBe(true);
+            expect(session.windowBounds).toEqual({
+                left: 1600,
+                top: 100,
+                width: 1200,
+                height: 900,
+                state: 'maximized',
+                displayId: 'monitor',
+            });
+        });
+
+        it('should keep the normal bounds while a window is maximized', () => {
+            spacesService.displays = [laptop, monitor];
+            const session = { id: 1 };
+            spacesService.updateSessionWindowBounds(session, {
+                left: 100,
+                top: 100,
+                width: 800,
+                height: 600,
+                state: 'normal',
+            });
+
+            expect(
+                spacesService.updateSessionWindowBounds(session, {
+                    left: 0,
+                    top: 25,
+                    width: 1440,
+                    height: 875,
+                    state: 'maximized',
+                })
+            ).toBe(true);
+            expect(session.windowBounds).toEqual({
+                left: 100,
+                top: 100,
+                width: 800,
+                height: 600,
+                state: 'maximized',
+                displayId: 'laptop',
+            });
+        });
+
+        it('should save bounds once a window stops moving', () => {
+            jest.useFakeTimers();
+            const session = { id: 1, windowId: 42 };
+            spacesService.sessions = [session];
+            const saveSpy = jest
+                .spyOn(spacesService, 'saveExistingSession')
+                .mockImplementation(() => {});
+
+            [100, 110, 120].forEach(left => {
+                spacesService.handleWindowBoundsChanged({
+                    id: 42,
+                    left,
+                    top: 100,
+                    width: 800,
+                    height: 600,
+                    state: 'normal',
+                });
+            });
+            expect(saveSpy).not.toHaveBeenCalled();
+
+            jest.advanceTimersByTime(spacesService.windowEventDelayMs);
+            expect(saveSpy).toHaveBeenCalledTimes(1);
+            expect(session.windowBounds.left).toBe(120);
+
+            saveSpy.mockRestore();
+            jest.useRealTimers();
+        });
+
+        it('should ignore minimized windows', () => {
+            const session = { id: 1 };
+            expect(
+                spacesService.updateSessionWindowBounds(session, {
+                    left: -32000,
+                    top: -32000,
+                    width: 160,
+                    height: 28,
+                    state: 'minimized',
+                })
+            ).toBe(false);
+            expect(session.windowBounds).toBeUndefined();
+        });
+
+        it('should reopen a window where it was on a connected display', () => {
+            expect(
+                spacesService.fitBoundsToDisplays(
+                    { left: 1600, top: 100, width: 1200, height: 900, displayId: 'monitor' },
+                    [laptop, monitor]
+                )
+            ).toEqual({ left: 1600, top: 100, width: 1200, height: 900 });
+        });
+
+        it('should move a window onto the primary display when its display is gone', () => {
+            expect(
+                spacesService.fitBoundsToDisplays(
+                    { left: 1600, top: 100, width: 1200, height: 1000, displayId: 'monitor' },
+                    [laptop]
+                )
+            ).toEqual({ left: 50, top: 25, width: 1200, height: 875 });
+        });
+    });
+
+    describe('change notifications', () => {
+        const listener = jest.fn();
+
+        beforeEach(() => {
+            listener.mockReset();
+            spacesService.addChangeListener(listener);
+        });
+
+        afterEach(() => {
+            spacesService.removeChangeListener(listener);
+        });
+
+        it('should announce a new temporary session with its match suggestion', () => {
+            spacesService.sessions = [
+                {
+                    id: 7,
+                    name: 'Research',
+                    windowId: false,
+                    tabs: tabsFor(['https://a.com/', 'https://b.com/']),
+                },
+            ];
+
+            spacesService.checkForSessionMatch({ id: 42, tabs: tabsFor(['https://a.com/']) });
+
+            expect(listener).toHaveBeenCalledTimes(1);
+            const [type, session] = listener.mock.calls[0];
+            expect(type).toBe('created');
+            expect(session).toMatchObject({ id: false, windowId: 42 });
+            expect(session.suggestedMatch).toEqual({ sessionId: 7, confidence: 0.5 });
+        });
+
+        it('should replace the temporary session of a window that is matched', () => {
+            const temporarySession = { id: false, windowId: 42, tabs: [] };
+            const session = { id: 7, windowId: false, tabs: [] };
+            spacesService.sessions = [temporarySession, session];
+
+            spacesService.matchSessionToWindow(session, { id: 42 });
+
+            expect(listener.mock.calls).toEqual([
+                ['deleted', temporarySession, {}],
+                ['opened', session, { windowId: 42 }],
+            ]);
+            expect(spacesService.sessions).toEqual([session]);
+        });
+
+        it('should announce a saved session closing with its window', () => {
+            const session = { id: 7, windowId: 42, tabs: [] };
+            spacesService.sessions = [session];
+
+            spacesService.handleWindowRemoved(42, false, () => {});
+
+            expect(listener).toHaveBeenCalledWith('closed', session, { windowId: false });
+        });
+
+        it('should keep notifying when a listener throws', () => {
+            const brokenListener = jest.fn(() => {
+                throw new Error('port closed');
+            });
+            spacesService.changeListeners.unshift(brokenListener);
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            spacesService.notifyChange('renamed', { id: 7 }, { name: 'Work' });
+
+            expect(listener).toHaveBeenCalledWith('renamed', { id: 7 }, { name: 'Work' });
+            spacesService.removeChangeListener(brokenListener);
+            console.error.mockRestore();
+        });
+    });
+
+    describe('durable event queue', () => {
+        let stored;
+
+        beforeEach(() => {
+            stored = {};
+            chrome.storage.session = {
+                set: jest.fn((items, callback) => {
+                    Object.assign(stored, items);
+                    if (callback) callback();
+                }),
+                get: jest.fn((keys, callback) => {
+                    callback(stored);
+                }),
+            };
+            spacesService.historyQueue = [];
+            spacesService.pendingWindowEvents = {};
+            spacesService.closedWindowIds = {};
+            spacesService.sessionUpdateTimers = {};
+            spacesService.eventQueuePersistTimer = false;
+        });
+
+        afterEach(() => {
+            delete chrome.storage.session;
+            delete chrome.runtime.lastError;
+            chrome.windows.get.mockReset();
+            jest.restoreAllMocks();
+        });
+
+        it('should persist queued history items and window events in one write', () => {
+            jest.useFakeTimers();
+            spacesService.queueHistoryItem('https://a.com/', 42, 'add');
+            spacesService.queueWindowEvent(42, 1, () => {});
+            expect(chrome.storage.session.set).not.toHaveBeenCalled();
+
+            jest.advanceTimersByTime(spacesService.eventQueuePersistDelayMs);
+            expect(chrome.storage.session.set).toHaveBeenCalledTimes(1);
+
+            const queue = stored[spacesService.eventQueueStorageKey];
+            expect(queue.historyQueue).toEqual([
+                expect.objectContaining({ url: 'https://a.com/', windowId: 42, action: 'add' }),
+            ]);
+            expect(queue.pendingWindowEvents[42]).toBeGreaterThan(queue.historyQueue[0].id);
+
+            clearTimeout(spacesService.sessionUpdateTimers[42]);
+            jest.useRealTimers();
+        });
+
+        it('should keep the queue without the tab urls when storage is full', () => {
+            spacesService.tabHistoryUrlMap = { 3: 'https://a.com/' };
+            spacesService.historyQueue = [{ id: 5, url: 'https://b.com/', windowId: 42, action: 'add' }];
+            chrome.storage.session.set.mockImplementationOnce((items, callback) => {
+                chrome.runtime.lastError = { message: 'QUOTA_BYTES quota exceeded' };
+                callback();
+                delete chrome.runtime.lastError;
+            });
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            spacesService.writeEventQueue();
+
+            const queue = stored[spacesService.eventQueueStorageKey];
+            expect(queue.historyQueue).toHaveLength(1);
+            expect(queue.tabHistoryUrlMap).toEqual({});
+        });
+
+        it('should not keep window ids without storage.session', () => {
+            delete chrome.storage.session;
+            chrome.storage.local.set.mockClear();
+            spacesService.writeEventQueue();
+            spacesService.persistWindowLinks();
+
+            expect(chrome.storage.local.set).not.toHaveBeenCalled();
+        });
+
+        it('should forget closed windows once their events are replayed', () => {
+            spacesService.closedWindowIds = { 17: true, 18: true };
+            spacesService.historyQueue = [{ id: 5, url: 'https://a.com/', windowId: 18, action: 'add' }];
+
+            spacesService.pruneClosedWindowIds();
+
+            expect(spacesService.closedWindowIds).toEqual({ 18: true });
+            clearTimeout(spacesService.eventQueuePersistTimer);
+            spacesService.eventQueuePersistTimer = false;
+        });
+
+        it('should restore the queue of a stopped worker', async () => {
+            stored[spacesService.eventQueueStorageKey] = {
+                lastEventId: Date.now() + 60000,
+                historyQueue: [{ id: 5, url: 'https://a.com/', windowId: 42, action: 'add' }],
+                pendingWindowEvents: { 42: 6 },
+                closedWindowIds: { 17: true },
+                tabHistoryUrlMap: { 3: 'https://a.com/' },
+            };
+
+            await spacesService.restoreEventQueue();
+
+            expect(spacesService.historyQueue).toHaveLength(1);
+            expect(spacesService.pendingWindowEvents).toEqual({ 42: 6 });
+            expect(spacesService.closedWindowIds[17]).toBe(true);
+            expect(spacesService.tabHistoryUrlMap[3]).toBe('https://a.com/');
+
+            // ids keep going up from where the stopped worker left off
+            const lastEventId = stored[spacesService.eventQueueStorageKey].lastEventId;
+            expect(spacesService.nextEventId()).toBe(lastEventId + 1);
+        });
+
+        it('should not apply a history item twice when its event is replayed', () => {
+            const tabs = tabsFor(['https://a.com/', 'https://b.com/']);
+            const session = { id: 7, windowId: 42, tabs, history: [], lastEventId: 5 };
+            spacesService.sessions = [session];
+            spacesService.historyQueue = [
+                { id: 5, url: 'https://a.com/', windowId: 42, action: 'add' },
+                { id: 6, url: 'https://b.com/', windowId: 42, action: 'add' },
+            ];
+            chrome.windows.get.mockImplementation((windowId, options, callback) => {
+                callback({ id: 42, tabs: tabsFor(['https://a.com/']) });
+            });
+            jest.spyOn(spacesService, 'fetchTabGroups').mockImplementation(
+                (windowId, callback) => callback([])
+            );
+            const save = jest
+                .spyOn(spacesService, 'saveExistingSession')
+                .mockImplementation((sessionId, callback) => callback(session));
+            const callback = jest.fn();
+
+            spacesService.handleWindowEvent(42, 1, callback);
+
+            expect(session.history.map(tab => tab.url)).toEqual(['https://b.com/']);
+            expect(session.lastEventId).toBe(6);
+            expect(save).toHaveBeenCalledWith(7, expect.any(Function));
+            expect(spacesService.historyQueue).toEqual([]);
+            expect(callback).toHaveBeenCalled();
+        });
+    });
+
+    describe('reconcileWindows', () => {
+        const tabsWithIds = (ids, host) =>
+            ids.map(id => ({ id, url: `https://${host}.com/${id}` }));
+
+        beforeEach(() => {
+            chrome.storage.local.set.mockReset();
+        });
+
+        it('should restore a persisted link even when the tabs have drifted', () => {
+            const session = { id: 7, windowId: false, tabs: tabsWithIds([1, 2, 3], 'old') };
+            spacesService.sessions = [session];
+            spacesService.windowLinks = { 42: { sessionId: 7, tabIds: [1, 2, 3] } };
+
+            const report = spacesService.reconcileWindows([
+                { id: 42, tabs: tabsWithIds([1, 2, 3, 4], 'new') },
+            ]);
+
+            expect(session.windowId).toBe(42);
+            expect(report.restored).toEqual([{ windowId: 42, sessionId: 7 }]);
+            expect(spacesService.windowLinks[42]).toEqual({ sessionId: 7, tabIds: [1, 2, 3, 4] });
+        });
+
+        it('should fall back to matching tabs when a link is stale', () => {
+            const session = { id: 7, windowId: false, tabs: tabsWithIds([5, 6], 'a') };
+            spacesService.sessions = [session];
+            spacesService.windowLinks = { 42: { sessionId: 7, tabIds: [1, 2, 3] } };
+
+            const report = spacesService.reconcileWindows([
+                { id: 42, tabs: tabsWithIds([5, 6], 'a') },
+            ]);
+
+            expect(report.stale).toEqual([{ windowId: 42, sessionId: 7 }]);
+            expect(report.matched).toEqual([{ windowId: 42, sessionId: 7 }]);
+            expect(session.windowId).toBe(42);
+        });
+
+        it('should give a session claimed by two windows to the closest one', () => {
+            const session = { id: 7, windowId: false, tabs: tabsWithIds([1, 2], 'a') };
+            spacesService.sessions = [session];
+            spacesService.windowLinks = {
+                42: { sessionId: 7, tabIds: [1, 2, 3, 4] },
+                43: { sessionId: 7, tabIds: [5, 6] },
+            };
+
+            const report = spacesService.reconcileWindows([
+                { id: 42, tabs: tabsWithIds([1, 2, 3], 'b') },
+                { id: 43, tabs: tabsWithIds([5, 6], 'c') },
+            ]);
+
+            expect(session.windowId).toBe(43);
+            expect(report.conflicts).toEqual([{ windowId: 42, sessionId: 7 }]);
+            expect(report.unmatched).toEqual([{ windowId: 42 }]);
+            expect(spacesService.getSessionByWindowId(42).id).toBe(false);
+        });
+    });
+
+    describe('rematchWindow', () => {
+        afterEach(() => {
+            chrome.windows.get.mockReset();
+            chrome.runtime.getURL.mockReset();
+        });
+
+        it('should match only that window, looking through placeholder tabs', done => {
+            chrome.runtime.getURL.mockImplementation(path => `chrome-extension://spaces/${path}`);
+            const urls = ['https://a.com/', 'https://b.com/'];
+            const reading = { id: 8, windowId: false, tabs: tabsFor(urls) };
+            const other = { id: 9, windowId: 43, tabs: tabsFor(['https://c.com/']) };
+            const report = { restored: [{ windowId: 43, sessionId: 9 }] };
+            spacesService.sessions = [reading, other];
+            spacesService.reconciliationReport = report;
+            chrome.windows.get.mockImplementation((windowId, getInfo, callback) =>
+                callback({
+                    id: windowId,
+                    tabs: [
+                        { id: 1, url: urls[0] },
+                        { id: 2, url: tabLoader.getPlaceholderUrl({ url: urls[1] }) },
+                    ],
+                })
+            );
+
+            spacesService.rematchWindow(42, () => {
+                expect(reading.windowId).toBe(42);
+                expect(other.windowId).toBe(43);
+                expect(spacesService.reconciliationReport).toBe(report);
+                done();
+            });
+        });
+    });
+});
+
+describe('spacesService url rules', () => {
+    let stored;
+
+    beforeEach(() => {
+        stored = {};
+        chrome.storage.local.set.mockImplementation(items => {
+            Object.assign(stored, items);
+        });
+        chrome.storage.local.get.mockImplementation((keys, callback) => {
+            callback(stored);
+        });
+        jest.spyOn(spacesService, 'resetAllSessionHashes').mockImplementation(() => {});
+        spacesService.urlRules = urlRules.normaliseRules();
+        spacesService.sessions = [{ id: 1, tabs: tabsFor(['https://a.com/']) }];
+    });
+
+    afterEach(() => {
+        chrome.storage.local.set.mockReset();
+        chrome.storage.local.get.mockReset();
+        jest.restoreAllMocks();
+        spacesService.urlRules = urlRules.normaliseRules();
+    });
+
+    it('should hash sessions again only when the rules have changed', async () => {
+        await spacesService.rehashIfRulesChanged(spacesService.sessions);
+        expect(spacesService.resetAllSessionHashes).toHaveBeenCalledTimes(1);
+        expect(stored.sessionHashFingerprint).toBe(urlRules.getFingerprint(spacesService.urlRules));
+
+        await spacesService.rehashIfRulesChanged(spacesService.sessions);
+        expect(spacesService.resetAllSessionHashes).toHaveBeenCalledTimes(1);
+
+        await spacesService.setUrlRules({ ...spacesService.urlRules, ignoreTrailingSlash: false });
+        expect(spacesService.resetAllSessionHashes).toHaveBeenCalledTimes(2);
+    });
+
+    it('should hash tabs with the url rules', () => {
+        const hash = spacesService.generateSessionHash(tabsFor(['https://a.com/x/']));
+
+        expect(spacesService.generateSessionHash(tabsFor(['https://A.com/x?utm=1']))).toBe(hash);
+        spacesService.urlRules = { ...spacesService.urlRules, ignoreTrailingSlash: false };
+        expect(spacesService.generateSessionHash(tabsFor(['https://a.com/x/']))).not.toBe(hash);
+    });
+});
@@ -0,0 +1,201 @@
+import spacesService from '../spacesService.js';
+import { syncEngine } from '../syncEngine.js';
+
+const byteLength = chunk => Buffer.byteLength(JSON.stringify(chunk));
+
+describe('syncEngine', () => {
+    describe('revision vectors', () => {
+        it('should compare revisions', () => {
+            expect(syncEngine.compareRevisions({ a: 1, b: 2 }, { a: 1, b: 2 })).toBe('equal');
+            expect(syncEngine.compareRevisions({ a: 2, b: 2 }, { a: 1, b: 2 })).toBe('ahead');
+            expect(syncEngine.compareRevisions({ a: 1 }, { a: 1, b: 1 })).toBe('behind');
+            expect(syncEngine.compareRevisions({ a: 2 }, { a: 1, b: 1 })).toBe('concurrent');
+            expect(syncEngine.compareRevisions({ a: 1 }, undefined)).toBe('ahead');
+        });
+
+        it('should merge and bump revisions', () => {
+            expect(syncEngine.mergeRevisions({ a: 2, b: 1 }, { b: 3, c: 1 })).toEqual({
+                a: 2,
+                b: 3,
+                c: 1,
+            });
+            expect(syncEngine.bumpRevision({ a: 2 }, 'b')).toEqual({ a: 2, b: 1 });
+            expect(syncEngine.bumpRevision(false, 'a')).toEqual({ a: 1 });
+        });
+    });
+
+    describe('chunking', () => {
+        it('should split text into chunks that fit the byte limit', () => {
+            const text = `${'a"'.repeat(300)}${'é😀'.repeat(200)}`;
+            const chunks = syncEngine.splitIntoChunks(text, 100);
+
+            expect(chunks.join('')).toBe(text);
+            chunks.forEach(chunk => {
+                expect(byteLength(chunk)).toBeLessThanOrEqual(100);
+            });
+        });
+
+        it('should read back the items it writes', () => {
+            const payload = {
+                name: 'Work',
+                tabs: Array.from({ length: 200 }, (_, i) => ({
+                    url: `https://example.com/${i}`,
+                    title: `Page ${i}`,
+                })),
+            };
+            const items = syncEngine.buildItems('s1', { a: 1 }, payload, 'a', 1000);
+
+            expect(items['sp:s1'].chunks).toBeGreaterThan(1);
+            Object.keys(items).forEach(key => {
+                expect(byteLength(items[key]) + key.length).toBeLessThanOrEqual(8192);
+            });
+            expect(syncEngine.parseItems(items)).toEqual({
+                s1: { meta: items['sp:s1'], payload },
+            });
+        });
+
+        it('should not read a session whose chunks have not all arrived', () => {
+            const items = syncEngine.buildItems('s1', { a: 1 }, { name: 'x'.repeat(9000), tabs: [] }, 'a', 1);
+            delete items['sp:s1:1'];
+
+            expect(syncEngine.parseItems({ ...items, other: 'ignored' }).s1.payload).toBe(false);
+        });
+    });
+
+    describe('sync', () => {
+        let remoteItems;
+        let writtenItems;
+
+        const session = overrides => ({
+            id: 1,
+            name: 'Work',
+            windowId: false,
+            tabs: [{ url: 'https://a.com/', title: 'A' }],
+            ...overrides,
+        });
+
+        const remoteVersion = (syncId, revision, payload) => {
+            Object.assign(remoteItems, syncEngine.buildItems(syncId, revision, payload, 'other', 500));
+        };
+
+        beforeEach(() => {
+            syncEngine.deviceId = 'here';
+            syncEngine.conflicts = {};
+            syncEngine.pendingTombstones = {};
+            syncEngine.remoteSyncIds = {};
+            remoteItems = {};
+            writtenItems = {};
+
+            jest.spyOn(syncEngine, '_storage').mockImplementation((method, items) => {
+                if (method === 'get') return Promise.resolve(remoteItems);
+                if (method === 'set') Object.assign(writtenItems, items);
+                return Promise.resolve();
+            });
+            jest.spyOn(syncEngine, '_saveSession').mockResolvedValue(true);
+            jest.spyOn(syncEngine, 'persistState').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('should give new sessions a sync id and push them', async () => {
+            spacesService.sessions = [session(), { id: false, windowId: 3, tabs: [] }];
+
+            await syncEngine.sync();
+
+            const { syncId, syncRevision } = spacesService.sessions[0];
+            expect(syncRevision).toEqual({ here: 1 });
+            expect(writtenItems[`sp:${syncId}`].revision).toEqual({ here: 1 });
+            expect(syncEngine.parseItems(writtenItems)[syncId].payload.name).toBe('Work');
+        });
+
+        it('should not push sessions that have not changed', async () => {
+            const local = session({ syncId: 's1', syncRevision: { here: 1 } });
+            local.syncHash = syncEngine.hashPayload(syncEngine.getPayload(local));
+            spacesService.sessions = [local];
+            remoteVersion('s1', { here: 1 }, syncEngine.getPayload(local));
+
+            await syncEngine.sync();
+
+            expect(writtenItems).toEqual({});
+        });
+
+        it('should apply newer versions from other devices to closed sessions', async () => {
+            const local = session({ syncId: 's1', syncRevision: { here: 1 } });
+            local.syncHash = syncEngine.hashPayload(syncEngine.getPayload(local));
+            spacesService.sessions = [local];
+            remoteVersion('s1', { here: 1, other: 1 }, {
+                name: 'Work',
+                tabs: [{ url: 'https://b.com/', title: 'B' }],
+            });
+            const updateSessionTabs = jest
+                .spyOn(spacesService, 'updateSessionTabs')
+                .mockImplementation((sessionId, tabs, callback) => callback(true));
+
+            await syncEngine.sync();
+
+            expect(updateSessionTabs).toHaveBeenCalledWith(
+                1,
+                [{ url: 'https://b.com/', title: 'B' }],
+                expect.any(Function)
+            );
+            expect(local.syncRevision).toEqual({ here: 1, other: 1 });
+            expect(writtenItems).toEqual({});
+        });
+
+        it('should record a conflict when both devices changed a session', async () => {
+            const local = session({ syncId: 's1', syncRevision: { here: 1 }, syncHash: 1 });
+            spacesService.sessions = [local];
+            remoteVersion('s1', { here: 1, other: 1 }, { name: 'Work', tabs: [] });
+
+            await syncEngine.sync();
+
+            expect(local.syncRevision).toEqual({ here: 2 });
+            expect(Object.keys(syncEngine.conflicts)).toEqual(['s1']);
+            expect(writtenItems).toEqual({});
+            expect(syncEngine.getStatus().conflicts[0]).toMatchObject({
+                syncId: 's1',
+                sessionId: 1,
+                tabCount: 1,
+                remoteTabCount: 0,
+                remoteDeleted: false,
+            });
+        });
+
+        it('should create sessions that only exist on other devices', async () => {
+            spacesService.sessions = [];
+            remoteVersion('s2', { other: 3 }, { name: 'Reading', tabs: [{ url: 'https://c.com/' }] });
+            syncEngine.handlers = { createSession: jest.fn((newSession, callback) => callback(newSession)) };
+
+            await syncEngine.sync();
+
+            expect(syncEngine.handlers.createSession.mock.calls[0][0]).toMatchObject({
+                name: 'Reading',
+                tabs: [{ url: 'https://c.com/' }],
+                syncId: 's2',
+                syncRevision: { other: 3 },
+            });
+            expect(syncEngine.remoteSyncIds).toEqual({ s2: true });
+        });
+
+        it('should replace deleted sessions with tombstones', async () => {
+            spacesService.sessions = [];
+            remoteVersion('s1', { here: 1 }, { name: 'x'.repeat(9000), tabs: [] });
+            syncEngine.pendingTombstones = { s1: { here: 2 }, s9: { here: 1 } };
+            const removed = [];
+            syncEngine._storage.mockImplementation((method, items) => {
+                if (method === 'get') return Promise.resolve(remoteItems);
+                if (method === 'set') Object.assign(writtenItems, items);
+                if (method === 'remove') removed.push(...items);
+                return Promise.resolve();
+            });
+
+            await syncEngine.sync();
+
+            expect(writtenItems['sp:s1']).toMatchObject({ deleted: true, revision: { here: 2 } });
+            expect(removed).toEqual(['sp:s1:0', 'sp:s1:1']);
+            expect(syncEngine.pendingTombstones).toEqual({});
+        });
+    });
+});
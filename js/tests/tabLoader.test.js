@@ -0,0 +1,165 @@
+import { tabLoader } from '../tabLoader.js';
+
+const tabsFor = count =>
+    Array.from({ length: count }, (value, index) => ({
+        url: `https://example.com/${index}`,
+        pinned: false,
+    }));
+
+describe('tabLoader', () => {
+    describe('getLoadStrategy', () => {
+        it('should prefer the strategy set on the space', () => {
+            expect(tabLoader.getLoadStrategy({ loadStrategy: 'lazy' }, 'eager')).toBe('lazy');
+        });
+
+        it('should use the global strategy when the space has none', () => {
+            expect(tabLoader.getLoadStrategy({ loadStrategy: false }, 'eager')).toBe('eager');
+        });
+    });
+
+    describe('planTabLoading', () => {
+        it('should load everything at once without a limit', () => {
+            expect(tabLoader.planTabLoading(tabsFor(4), 'eager', 0)).toEqual({
+                load: [0, 1, 2, 3],
+                queue: [],
+                defer: [],
+            });
+        });
+
+        it('should queue eager tabs beyond the limit, pinned tabs first', () => {
+            const tabs = tabsFor(5);
+            tabs[3].pinned = true;
+
+            expect(tabLoader.planTabLoading(tabs, 'eager', 2)).toEqual({
+                load: [0, 3],
+                queue: [1, 2, 4],
+                defer: [],
+            });
+        });
+
+        it('should only load the active and pinned tabs when lazy', () => {
+            const tabs = tabsFor(4);
+            tabs[2].pinned = true;
+
+            expect(tabLoader.planTabLoading(tabs, 'lazy', 6)).toEqual({
+                load: [0, 2],
+                queue: [],
+                defer: [1, 3],
+            });
+        });
+    });
+
+    describe('placeholders', () => {
+        beforeEach(() => {
+            chrome.runtime.getURL.mockImplementation(path => `chrome-extension://spaces/${path}`);
+        });
+
+        afterEach(() => {
+            chrome.runtime.getURL.mockReset();
+        });
+
+        it('should only give the new window the urls of the tabs that load straight away', () => {
+            const tabs = tabsFor(4);
+            const plan = tabLoader.planTabLoading(tabs, 'lazy', 6, 2);
+            const urls = tabLoader.getWindowUrls(tabs, plan);
+
+            expect(urls[2]).toBe('https://example.com/2');
+            [0, 1, 3].forEach(index => {
+                expect(urls).not.toContain(tabs[index].url);
+                expect(urls[index].indexOf('chrome-extension://spaces/lazy.html?')).toBe(0);
+            });
+        });
+
+        it('should read placeholders back as the tabs they stand for', () => {
+            const placeholderUrl = tabLoader.getPlaceholderUrl({
+                url: 'https://example.com/?q=a&b=c#top',
+                title: 'Example',
+            });
+
+            expect(
+                tabLoader.unwrapTabs([
+                    { id: 1, url: placeholderUrl, title: 'Example' },
+                    { id: 2, url: 'https://example.com/2', title: 'Two' },
+                ])
+            ).toEqual([
+                { id: 1, url: 'https://example.com/?q=a&b=c#top', title: 'Example' },
+                { id: 2, url: 'https://example.com/2', title: 'Two' },
+            ]);
+            expect(tabLoader.unwrapUrl('https://example.com/2')).toBe('https://example.com/2');
+        });
+    });
+
+    describe('loading queue', () => {
+        beforeEach(() => {
+            tabLoader.pendingLoads = {};
+            chrome.runtime.getURL.mockImplementation(path => `chrome-extension://spaces/${path}`);
+            chrome.tabs.update.mockImplementation((tabId, updateProperties, callback) => callback());
+        });
+
+        afterEach(() => {
+            chrome.runtime.getURL.mockReset();
+            chrome.tabs.update.mockReset();
+        });
+
+        const newWindow = {
+            id: 7,
+            tabs: [{ id: 10 }, { id: 11 }, { id: 12 }, { id: 13 }],
+        };
+
+        it('should send queued tabs to their urls as loading tabs complete', () => {
+            const tabs = tabsFor(4);
+            const plan = tabLoader.planTabLoading(tabs, 'eager', 2);
+            tabLoader.startLoading(newWindow, tabs, plan, 2);
+
+            expect(tabLoader.pendingLoads[7].queue).toEqual([12, 13]);
+
+            tabLoader.handleTabUpdated(10, { status: 'complete' }, { windowId: 7 });
+            expect(chrome.tabs.update).toHaveBeenCalledWith(
+                12,
+                { url: 'https://example.com/2' },
+                expect.any(Function)
+            );
+            expect(tabLoader.pendingLoads[7].queue).toEqual([13]);
+
+            tabLoader.handleTabRemoved(11, { windowId: 7 });
+            expect(chrome.tabs.update).toHaveBeenCalledWith(
+                13,
+                { url: 'https://example.com/3' },
+                expect.any(Function)
+            );
+            expect(tabLoader.pendingLoads[7]).toBeUndefined();
+        });
+
+        it('should take a queued tab out of the queue when it is selected', () => {
+            const tabs = tabsFor(4);
+            const plan = tabLoader.planTabLoading(tabs, 'eager', 1);
+            tabLoader.startLoading(newWindow, tabs, plan, 1);
+
+            // the placeholder itself loading doesn't count
+            tabLoader.handleTabUpdated(
+                13,
+                { status: 'loading' },
+                { windowId: 7, url: tabLoader.getPlaceholderUrl(tabs[3]) }
+            );
+            expect(tabLoader.pendingLoads[7].queue).toEqual([11, 12, 13]);
+
+            tabLoader.handleTabUpdated(
+                13,
+                { status: 'loading' },
+                { windowId: 7, pendingUrl: 'https://example.com/3' }
+            );
+            tabLoader.handleTabUpdated(10, { status: 'complete' }, { windowId: 7 });
+
+            expect(chrome.tabs.update).not.toHaveBeenCalled();
+            expect(tabLoader.pendingLoads[7].queue).toEqual([11, 12]);
+        });
+
+        it('should not track lazily deferred tabs', () => {
+            const tabs = tabsFor(4);
+            const plan = tabLoader.planTabLoading(tabs, 'lazy', 2);
+            tabLoader.startLoading(newWindow, tabs, plan, 2);
+
+            expect(tabLoader.pendingLoads[7]).toBeUndefined();
+        });
+    });
+});
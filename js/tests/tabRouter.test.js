@@ -0,0 +1,202 @@
+import { tabRouter } from '../tabRouter.js';
+
+const makeRule = overrides => ({
+    id: 'rule-1',
+    enabled: true,
+    matchType: 'domain',
+    pattern: 'github.com',
+    openerSessionId: false,
+    targetSessionId: 1,
+    ...overrides,
+});
+
+describe('tabRouter', () => {
+    describe('matching', () => {
+        it('should match glob patterns against the whole url', () => {
+            const rule = makeRule({ matchType: 'glob', pattern: '*://docs.google.com/*' });
+
+            expect(tabRouter.matchRule(rule, { url: 'https://docs.google.com/document/d/1' })).toBe(true);
+            expect(tabRouter.matchRule(rule, { url: 'https://google.com/?q=docs.google.com/' })).toBe(false);
+            expect(tabRouter.globToRegExp('a.b?c').test('a.bxc')).toBe(true);
+            expect(tabRouter.globToRegExp('a.b?c').test('axbxc')).toBe(false);
+        });
+
+        it('should match domains and their subdomains', () => {
+            const rule = makeRule({ pattern: 'GitHub.com' });
+
+            expect(tabRouter.matchRule(rule, { url: 'https://github.com/x' })).toBe(true);
+            expect(tabRouter.matchRule(rule, { url: 'https://gist.github.com/x' })).toBe(true);
+            expect(tabRouter.matchRule(rule, { url: 'https://notgithub.com/' })).toBe(false);
+            expect(tabRouter.matchRule(rule, { url: 'not a url' })).toBe(false);
+        });
+
+        it('should match regular expressions without case', () => {
+            const rule = makeRule({ matchType: 'regex', pattern: 'jira\\.[a-z]+\\.com/browse/' });
+
+            expect(tabRouter.matchRule(rule, { url: 'https://JIRA.acme.com/browse/X-1' })).toBe(true);
+            expect(tabRouter.matchRule(rule, { url: 'https://jira.acme.com/projects' })).toBe(false);
+        });
+
+        it('should match the space a tab was opened from', () => {
+            const rule = makeRule({ matchType: 'opener', pattern: '', openerSessionId: 5 });
+
+            expect(tabRouter.matchRule(rule, { url: 'https://a.com/', openerSessionId: 5 })).toBe(true);
+            expect(tabRouter.matchRule(rule, { url: 'https://a.com/', openerSessionId: 6 })).toBe(false);
+            expect(tabRouter.matchRule(rule, { url: 'https://a.com/', openerSessionId: false })).toBe(false);
+        });
+
+        it('should never match disabled or invalid rules', () => {
+            const url = 'https://github.com/';
+
+            expect(tabRouter.matchRule(makeRule({ enabled: false }), { url })).toBe(false);
+            expect(tabRouter.matchRule(makeRule({ targetSessionId: false }), { url })).toBe(false);
+            expect(tabRouter.matchRule(makeRule({ matchType: 'regex', pattern: '(' }), { url })).toBe(false);
+        });
+
+        it('should use the first rule that matches', () => {
+            const rules = [
+                makeRule({ id: 'a', pattern: 'example.com', targetSessionId: 1 }),
+                makeRule({ id: 'b', pattern: 'github.com', targetSessionId: 2 }),
+                makeRule({ id: 'c', matchType: 'glob', pattern: '*', targetSessionId: 3 }),
+            ];
+
+            expect(tabRouter.findRule(rules, { url: 'https://github.com/' }).id).toBe('b');
+            expect(tabRouter.findRule(rules, { url: 'https://other.org/' }).id).toBe('c');
+            expect(tabRouter.findRule(rules.slice(0, 2), { url: 'https://other.org/' })).toBe(false);
+        });
+    });
+
+    describe('validateRule', () => {
+        it('should explain what is missing from a rule', () => {
+            expect(tabRouter.validateRule(makeRule())).toBe(false);
+            expect(tabRouter.validateRule(makeRule({ targetSessionId: false }))).toMatch(/space to move/);
+            expect(tabRouter.validateRule(makeRule({ pattern: '  ' }))).toMatch(/pattern/);
+            expect(tabRouter.validateRule(makeRule({ matchType: 'regex', pattern: '[' }))).toMatch(
+                /Invalid regular expression/
+            );
+            expect(tabRouter.validateRule(makeRule({ matchType: 'opener' }))).toMatch(/opened from/);
+        });
+    });
+
+    describe('normaliseRules', () => {
+        it('should fill in missing fields and drop anything that is not a rule', () => {
+            const rules = tabRouter.normaliseRules([
+                { id: 'x', matchType: 'glob', pattern: '*', targetSessionId: '4' },
+                null,
+                { matchType: 'unknown', enabled: false },
+            ]);
+
+            expect(rules).toHaveLength(2);
+            expect(rules[0]).toEqual({
+                id: 'x',
+                enabled: true,
+                matchType: 'glob',
+                pattern: '*',
+                openerSessionId: false,
+                targetSessionId: 4,
+            });
+            expect(rules[1]).toMatchObject({ enabled: false, matchType: 'domain', pattern: '' });
+            expect(rules[1].id).toMatch(/^rule-/);
+            expect(tabRouter.normaliseRules(undefined)).toEqual([]);
+        });
+    });
+
+    describe('routing new tabs', () => {
+        let now;
+        let moveTab;
+
+        beforeEach(() => {
+            now = 100000;
+            jest.spyOn(Date, 'now').mockImplementation(() => now);
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            moveTab = jest.fn();
+            tabRouter.handlers = {
+                getSessionId: windowId => ({ 10: 1, 20: 2 }[windowId] || false),
+                moveTab,
+            };
+            tabRouter.rules = [makeRule({ pattern: 'github.com', targetSessionId: 2 })];
+            tabRouter.pendingTabs = {};
+            tabRouter.newWindows = {};
+            tabRouter.ownTabs = [];
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('should move a new tab that matches a rule', () => {
+            tabRouter.handleTabCreated({ id: 1, windowId: 10, pendingUrl: 'https://github.com/' });
+
+            expect(moveTab).toHaveBeenCalledWith(1, 2, tabRouter.noop, 'https://github.com/');
+        });
+
+        it('should leave tabs that are already in the target space', () => {
+            tabRouter.handleTabCreated({ id: 1, windowId: 20, pendingUrl: 'https://github.com/' });
+
+            expect(moveTab).not.toHaveBeenCalled();
+        });
+
+        it('should route a blank tab when it gets its first url', () => {
+            const tab = { id: 1, windowId: 10, url: 'chrome://newtab/' };
+            tabRouter.handleTabCreated(tab);
+            expect(moveTab).not.toHaveBeenCalled();
+
+            tabRouter.handleTabUpdated(tab, { url: 'https://github.com/' });
+            expect(moveTab).toHaveBeenCalledWith(1, 2, tabRouter.noop, 'https://github.com/');
+
+            // only the first url
+            tabRouter.handleTabUpdated(tab, { url: 'https://github.com/other' });
+            expect(moveTab).toHaveBeenCalledTimes(1);
+        });
+
+        it('should not route a blank tab once it has been open for a while', () => {
+            const tab = { id: 1, windowId: 10, url: '' };
+            tabRouter.handleTabCreated(tab);
+
+            now += tabRouter.pendingTabTtlMs + 1;
+            tabRouter.handleTabUpdated(tab, { url: 'https://github.com/' });
+            expect(moveTab).not.toHaveBeenCalled();
+        });
+
+        it('should leave the tabs of a window that was just opened', () => {
+            tabRouter.handleWindowCreated({ id: 30 });
+            tabRouter.handleTabCreated({ id: 1, windowId: 30, pendingUrl: 'https://github.com/' });
+            expect(moveTab).not.toHaveBeenCalled();
+
+            now += tabRouter.newWindowGraceMs + 1;
+            tabRouter.handleTabCreated({ id: 2, windowId: 30, pendingUrl: 'https://github.com/' });
+            expect(moveTab).toHaveBeenCalledWith(2, 2, tabRouter.noop, 'https://github.com/');
+        });
+
+        it('should leave the tabs the extension opens itself', () => {
+            tabRouter.expectTab(10, 'https://github.com/');
+            tabRouter.expectTab(10, 'https://github.com/a');
+
+            tabRouter.handleTabCreated({ id: 1, windowId: 10, pendingUrl: 'https://github.com/' });
+            const blankTab = { id: 2, windowId: 10, url: '' };
+            tabRouter.handleTabCreated(blankTab);
+            tabRouter.handleTabUpdated(blankTab, { url: 'https://github.com/a' });
+            expect(moveTab).not.toHaveBeenCalled();
+
+            // only the tab the extension opened
+            tabRouter.handleTabCreated({ id: 3, windowId: 10, pendingUrl: 'https://github.com/' });
+            expect(moveTab).toHaveBeenCalledWith(3, 2, tabRouter.noop, 'https://github.com/');
+        });
+
+        it('should forget tabs the extension meant to open that never appeared', () => {
+            tabRouter.expectTab(10, 'https://github.com/');
+            now += tabRouter.pendingTabTtlMs + 1;
+
+            tabRouter.handleTabCreated({ id: 1, windowId: 10, pendingUrl: 'https://github.com/' });
+            expect(moveTab).toHaveBeenCalled();
+            expect(tabRouter.ownTabs).toEqual([]);
+        });
+
+        it('should forget blank tabs that are closed', () => {
+            tabRouter.handleTabCreated({ id: 1, windowId: 10, url: '' });
+            tabRouter.handleTabRemoved(1);
+
+            expect(tabRouter.pendingTabs).toEqual({});
+        });
+    });
+});
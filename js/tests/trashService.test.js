@@ -0,0 +1,112 @@
+import 'fake-indexeddb/auto';
+import { dbService } from '../dbService.js';
+import { trashService } from '../trashService.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const call = (fn, ...args) => new Promise(resolve => fn(...args, resolve));
+
+describe('trashService', () => {
+    let testCount = 0;
+
+    // every test gets a fresh database (connections opened by dbService stay open)
+    beforeEach(() => {
+        testCount += 1;
+        dbService.DB_SERVER = `spaces-trash-test-${testCount}`;
+    });
+
+    describe('trashSession', () => {
+        it('should move a session and its versions into the trash', async () => {
+            const session = await call(dbService.createSession, {
+                name: 'Work',
+                tabs: [{ url: 'https://a.com/' }],
+                windowId: false,
+            });
+            await call(dbService.saveSnapshot, {
+                sessionId: session.id,
+                timestamp: 1000,
+                tabs: [{ url: 'https://a.com/' }],
+            });
+
+            const entry = await call(trashService.trashSession, { ...session, windowId: 7 });
+
+            expect(entry.id).toBe(session.id);
+            expect(entry.session.windowId).toBe(false);
+            expect(entry.snapshots).toHaveLength(1);
+            expect(await call(dbService.fetchSessionById, session.id)).toBeNull();
+            expect(await call(dbService.fetchSnapshots, session.id)).toEqual([]);
+
+            const trash = await call(dbService.fetchTrash);
+            expect(trash.map(trashService.summariseEntry)).toEqual([
+                {
+                    sessionId: session.id,
+                    name: 'Work',
+                    tabCount: 1,
+                    deletedAt: entry.deletedAt,
+                },
+            ]);
+        });
+
+        it('should give a restored session back its id and versions', async () => {
+            const session = await call(dbService.createSession, {
+                name: 'Reading',
+                tabs: [],
+                windowId: false,
+            });
+            await call(dbService.saveSnapshot, {
+                sessionId: session.id,
+                timestamp: 1000,
+                tabs: [],
+            });
+            await call(trashService.trashSession, session);
+
+            const restored = await call(trashService.restoreSession, session.id);
+
+            expect(restored.id).toBe(session.id);
+            expect((await call(dbService.fetchSessionById, session.id)).name).toBe('Reading');
+            expect(await call(dbService.fetchSnapshots, session.id)).toHaveLength(1);
+            expect(await call(dbService.fetchTrash)).toEqual([]);
+        });
+
+        it('should not restore a session that is not in the trash', async () => {
+            expect(await call(trashService.restoreSession, 42)).toBe(false);
+        });
+
+        it('should leave the entry in the trash when the session cannot be written', async () => {
+            const session = await call(dbService.createSession, {
+                name: 'Work',
+                tabs: [],
+                windowId: false,
+            });
+            await call(trashService.trashSession, session);
+            // the entry is read, but writing the session back fails
+            const { getDb } = dbService;
+            const getDbSpy = jest
+                .spyOn(dbService, 'getDb')
+                .mockImplementationOnce(getDb)
+                .mockImplementationOnce(() => Promise.reject(new Error('quota exceeded')));
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            expect(await call(trashService.restoreSession, session.id)).toBe(false);
+
+            getDbSpy.mockRestore();
+            console.error.mockRestore();
+            expect((await call(dbService.fetchTrash)).map(entry => entry.id)).toEqual([session.id]);
+        });
+    });
+
+    describe('getExpiredEntries', () => {
+        it('should find entries older than the retention period', () => {
+            const now = 100 * DAY;
+            const entries = [
+                { id: 1, deletedAt: now - 31 * DAY },
+                { id: 2, deletedAt: now - 30 * DAY },
+                { id: 3, deletedAt: now - 29 * DAY },
+            ];
+
+            expect(
+                trashService.getExpiredEntries(entries, 30, now).map(entry => entry.id)
+            ).toEqual([1, 2]);
+        });
+    });
+});
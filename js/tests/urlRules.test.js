@@ -0,0 +1,95 @@
+import { urlRules } from '../urlRules.js';
+
+const defaults = urlRules.normaliseRules();
+const normalise = (url, rules = defaults) => urlRules.normaliseUrl(url, rules);
+
+describe('urlRules', () => {
+    describe('normaliseUrl', () => {
+        it('should drop query strings and fragments by default', () => {
+            expect(normalise('https://a.com/page?x=1#top')).toBe('https://a.com/page');
+            expect(normalise('')).toBe('');
+        });
+
+        it('should keep the query parameters a domain rule keeps', () => {
+            expect(normalise('https://www.google.com/search?q=spaces&ei=abc&tbm=isch')).toBe(
+                'https://www.google.com/search?q=spaces&tbm=isch'
+            );
+            expect(normalise('https://www.google.com/search?q=a')).not.toBe(
+                normalise('https://www.google.com/search?q=b')
+            );
+            expect(normalise('https://youtube.com/watch?v=abc&t=10')).toBe(
+                'https://youtube.com/watch?v=abc'
+            );
+        });
+
+        it('should use the most specific domain rule, with wildcards and stripped names', () => {
+            const rules = urlRules.normaliseRules({
+                queryRules: [
+                    { domain: 'example.com', keep: ['id'] },
+                    { domain: 'shop.example.com', keep: ['*'], strip: ['utm_*'] },
+                ],
+            });
+
+            expect(normalise('https://shop.example.com/?item=1&utm_source=x&id=2', rules)).toBe(
+                'https://shop.example.com?item=1&id=2'
+            );
+            expect(normalise('https://www.example.com/?item=1&id=2', rules)).toBe(
+                'https://www.example.com?id=2'
+            );
+        });
+
+        it('should lowercase hosts and ignore trailing slashes when asked to', () => {
+            expect(normalise('HTTPS://Example.COM/Path/')).toBe('https://example.com/Path');
+
+            const rules = { ...defaults, lowercaseHost: false, ignoreTrailingSlash: false };
+            expect(normalise('https://Example.com/Path/', rules)).toBe('https://Example.com/Path/');
+        });
+
+        it('should keep fragments when asked to', () => {
+            const rules = { ...defaults, keepFragment: true };
+
+            expect(normalise('https://mail.example.com/#inbox', rules)).toBe(
+                'https://mail.example.com#inbox'
+            );
+        });
+
+        it('should read the real url of suspended tabs', () => {
+            expect(
+                normalise(
+                    'chrome-extension://abc/suspended.html#ttl=Page&pos=0&uri=https://a.com/page?x=1&y=2'
+                )
+            ).toBe('https://a.com/page');
+            expect(
+                normalise(
+                    'chrome-extension://def/park.html?title=Page&url=https%3A%2F%2Fwww.google.com%2Fsearch%3Fq%3Dx&tabId=1'
+                )
+            ).toBe('https://www.google.com/search?q=x');
+        });
+    });
+
+    describe('normaliseRules', () => {
+        it('should fall back to the defaults and drop incomplete entries', () => {
+            expect(urlRules.normaliseRules(undefined)).toEqual(defaults);
+
+            const rules = urlRules.normaliseRules({
+                keepFragment: 'yes',
+                queryRules: [{ domain: ' *.Example.com ', keep: [' q ', ''] }, { domain: '' }],
+                suspenders: [{ page: 'park.html' }],
+            });
+            expect(rules.keepFragment).toBe(false);
+            expect(rules.queryRules).toEqual([{ domain: 'example.com', keep: ['q'], strip: [] }]);
+            expect(rules.suspenders).toEqual([]);
+        });
+    });
+
+    describe('getFingerprint', () => {
+        it('should only change when the rules do', () => {
+            const changed = { ...defaults, ignoreTrailingSlash: false };
+
+            expect(urlRules.getFingerprint(urlRules.normaliseRules(defaults))).toBe(
+                urlRules.getFingerprint(defaults)
+            );
+            expect(urlRules.getFingerprint(changed)).not.toBe(urlRules.getFingerprint(defaults));
+        });
+    });
+});
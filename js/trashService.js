@@ -0,0 +1,115 @@
+/* global chrome */
+
+// Import dependencies as ES modules for MV3
+import { dbService } from './dbService.js';
+import { preferences } from './preferences.js';
+
+// Deleted sessions are moved to the trash, along with their version history, rather
+// than being removed straight away. They can be restored from there (under their old
+// id) until they are deleted permanently, or purged once older than the retention period
+// (the trashRetentionDays preference)
+export const trashService = {
+    // chrome.alarms name for the periodic purge
+    ALARM_NAME: 'purgeTrash',
+    purgeIntervalMinutes: 60 * 12,
+
+    noop: () => {},
+
+    trashSession: (session, callback) => {
+        // eslint-disable-next-line no-param-reassign
+        callback = typeof callback !== 'function' ? trashService.noop : callback;
+
+        if (!session || !session.id) {
+            callback(false);
+            return;
+        }
+
+        dbService.fetchSnapshots(session.id, snapshots => {
+            const entry = {
+                id: session.id,
+                session: { ...session, windowId: false },
+                snapshots,
+                deletedAt: Date.now(),
+            };
+
+            dbService.saveTrashEntry(entry, savedEntry => {
+                // only remove the session once it is safely in the trash
+                if (!savedEntry) {
+                    callback(false);
+                    return;
+                }
+                snapshots.forEach(snapshot => {
+                    dbService.removeSnapshot(snapshot.id);
+                });
+                dbService.removeSession(session.id, () => {
+                    callback(entry);
+                });
+            });
+        });
+    },
+
+    // puts the session and its version history back. calls back with the session
+    restoreSession: (sessionId, callback) => {
+        // eslint-disable-next-line no-param-reassign
+        callback = typeof callback !== 'function' ? trashService.noop : callback;
+
+        dbService.fetchTrashEntry(sessionId, entry => {
+            if (!entry) {
+                callback(false);
+                return;
+            }
+
+            dbService.updateSession(entry.session, result => {
+                // the entry stays in the trash unless the session is safely back
+                if (!result) {
+                    callback(false);
+                    return;
+                }
+                entry.snapshots.forEach(snapshot => {
+                    dbService.saveSnapshot(snapshot);
+                });
+                dbService.removeTrashEntry(entry.id, () => {
+                    callback(result);
+                });
+            });
+        });
+    },
+
+    removeEntry: (sessionId, callback) => {
+        dbService.removeTrashEntry(sessionId, callback);
+    },
+
+    // what the trash list shows for each entry
+    summariseEntry: entry => {
+        return {
+            sessionId: entry.id,
+            name: entry.session.name,
+            tabCount: (entry.session.tabs || []).length,
+            deletedAt: entry.deletedAt,
+        };
+    },
+
+    getExpiredEntries: (entries, retentionDays, now) => {
+        const retentionMs = retentionDays * 24 * 60 * 60 * 1000;
+        return entries.filter(entry => now - entry.deletedAt >= retentionMs);
+    },
+
+    // permanently delete everything older than the retention period.
+    // calls back with the number of entries purged
+    purgeExpired: callback => {
+        // eslint-disable-next-line no-param-reassign
+        callback = typeof callback !== 'function' ? trashService.noop : callback;
+
+        dbService.fetchTrash(entries => {
+            const expired = trashService.getExpiredEntries(
+                entries,
+                preferences.values.trashRetentionDays,
+                Date.now()
+            );
+            expired.forEach(entry => {
+                dbService.removeTrashEntry(entry.id);
+            });
+            callback(expired.length);
+        });
+    },
+};
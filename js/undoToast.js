@@ -0,0 +1,76 @@
+// The "Undo" toast shown in the Manage Spaces page and the popup after a destructive
+// operation. It stays up for the undo window from the settings, counted from when the
+// operation happened, and offers to redo an operation that was just undone
+export const undoToast = {
+    el: false,
+    hideTimer: false,
+
+    // state is what the requestJournal, undo and redo calls return
+    render: (state, onUndo, onRedo) => {
+        const toastEl = undoToast._getToastEl();
+        const latest = state && undoToast.getLatestAction(state, Date.now());
+
+        clearTimeout(undoToast.hideTimer);
+        if (!latest) {
+            toastEl.style.display = 'none';
+            return;
+        }
+
+        const undoing = latest.action === 'undo';
+        toastEl.querySelector('.undoToastLabel').textContent = undoing
+            ? latest.entry.label
+            : `Undone: ${latest.entry.label}`;
+
+        const buttonEl = toastEl.querySelector('button');
+        buttonEl.textContent = undoing ? 'Undo' : 'Redo';
+        buttonEl.onclick = () => {
+            toastEl.style.display = 'none';
+            if (undoing) {
+                onUndo();
+            } else {
+                onRedo();
+            }
+        };
+
+        toastEl.style.display = 'flex';
+        undoToast.hideTimer = setTimeout(() => {
+            toastEl.style.display = 'none';
+        }, latest.remainingMs);
+    },
+
+    // the most recent of the next undo and redo, if it is still inside the undo window
+    getLatestAction: (state, now) => {
+        const undoWindowMs = state.undoWindowSeconds * 1000;
+        const candidates = [
+            { action: 'undo', entry: state.undo },
+            { action: 'redo', entry: state.redo },
+        ].filter(({ entry }) => entry && now - entry.timestamp < undoWindowMs);
+
+        if (candidates.length === 0) {
+            return false;
+        }
+
+        candidates.sort((a, b) => b.entry.timestamp - a.entry.timestamp);
+        return {
+            ...candidates[0],
+            remainingMs: undoWindowMs - (now - candidates[0].entry.timestamp),
+        };
+    },
+
+    _getToastEl: () => {
+        if (!undoToast.el) {
+            const toastEl = document.createElement('div');
+            const labelEl = document.createElement('span');
+            const buttonEl = document.createElement('button');
+
+            toastEl.className = 'undoToast';
+            labelEl.className = 'undoToastLabel';
+            buttonEl.type = 'button';
+            toastEl.appendChild(labelEl);
+            toastEl.appendChild(buttonEl);
+            document.body.appendChild(toastEl);
+            undoToast.el = toastEl;
+        }
+        return undoToast.el;
+    },
+};
@@ -0,0 +1,196 @@
+/* global chrome */
+
+// Rules that decide when two urls are the same page. Urls are normalised with them
+// before sessions are hashed, before history is de-duplicated and when looking for
+// duplicate tabs, so that eg. two different searches stay apart while tracking
+// parameters don't make the same page look different.
+//
+// rules: {
+//     lowercaseHost, ignoreTrailingSlash, keepFragment,
+//     queryRules: [{ domain, keep: [param names], strip: [param names] }],
+//     suspenders: [{ name, page, param, toEnd }],
+// }
+//
+// Query parameters are dropped unless the most specific rule for the url's domain
+// keeps them (names can use * for anything), and those it strips are dropped even then.
+// Suspenders are extensions that replace a tab with a page of their own, which holds
+// the real url in one of its parameters. toEnd is for formats that put it last without
+// encoding it, so everything after 'param=' belongs to it
+export const urlRules = {
+    // raise this when normaliseUrl changes what it does, so that sessions are hashed again
+    VERSION: 1,
+
+    storageKey: 'urlRules',
+
+    defaultRules: {
+        lowercaseHost: true,
+        ignoreTrailingSlash: true,
+        keepFragment: false,
+        queryRules: [
+            { domain: 'google.com', keep: ['q', 'tbm'], strip: [] },
+            { domain: 'bing.com', keep: ['q'], strip: [] },
+            { domain: 'duckduckgo.com', keep: ['q'], strip: [] },
+            { domain: 'youtube.com', keep: ['v', 'list', 'search_query'], strip: [] },
+        ],
+        suspenders: [
+            { name: 'The Great Suspender', page: 'suspended.html', param: 'uri', toEnd: true },
+            { name: 'Tab Suspender', page: 'park.html', param: 'url', toEnd: false },
+        ],
+    },
+
+    noop: () => {},
+
+    // scheme and host, path, query (without '?') and fragment (without '#')
+    _splitUrl: url => {
+        const match = /^([a-z][a-z0-9+.-]*:(?:\/\/)?[^/?#]*)([^?#]*)(?:\?([^#]*))?(?:#(.*))?$/i.exec(url);
+        return match
+            ? { origin: match[1], path: match[2], query: match[3] || '', fragment: match[4] || '' }
+            : false;
+    },
+
+    _getHost: origin => {
+        return origin
+            .replace(/^[a-z][a-z0-9+.-]*:(\/\/)?/i, '')
+            .replace(/^[^@]*@/, '')
+            .replace(/:\d+$/, '')
+            .toLowerCase();
+    },
+
+    _escapeRegExp: text => {
+        return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    },
+
+    _matchesName: (patterns, name) => {
+        return patterns.some(pattern => {
+            if (pattern.indexOf('*') < 0) return pattern === name;
+            const source = pattern.split('*').map(urlRules._escapeRegExp).join('.*');
+            return new RegExp(`^${source}$`).test(name);
+        });
+    },
+
+    _decodeParam: text => {
+        try {
+            return decodeURIComponent(text.replace(/\+/g, ' '));
+        } catch (e) {
+            return text;
+        }
+    },
+
+    // the url a suspended tab stands for, or the url itself
+    getSuspendedUrl: (url, rules) => {
+        for (let i = 0; i < rules.suspenders.length; i += 1) {
+            const { page, param, toEnd } = rules.suspenders[i];
+            const pageIndex = url.indexOf(`/${page}`);
+            const paramPattern = new RegExp(`[?#&]${urlRules._escapeRegExp(param)}=`);
+            const paramMatch = pageIndex > 0 && paramPattern.exec(url.substring(pageIndex));
+
+            if (paramMatch) {
+                const value = url.substring(pageIndex + paramMatch.index + paramMatch[0].length);
+                return toEnd ? value : urlRules._decodeParam(value.split('&')[0].split('#')[0]);
+            }
+        }
+        return url;
+    },
+
+    // the rule of the longest domain that the host is, or is a subdomain of
+    findQueryRule: (host, rules) => {
+        return rules.queryRules
+            .filter(rule => host === rule.domain || host.endsWith(`.${rule.domain}`))
+            .sort((a, b) => b.domain.length - a.domain.length)[0];
+    },
+
+    normaliseUrl: (url, rules) => {
+        if (!url) {
+            return '';
+        }
+
+        const unsuspendedUrl = urlRules.getSuspendedUrl(url, rules);
+        const parts = urlRules._splitUrl(unsuspendedUrl);
+
+        // not something we can take apart, so just drop the query and fragment
+        if (!parts) {
+            return unsuspendedUrl.split('#')[0].split('?')[0];
+        }
+
+        const host = urlRules._getHost(parts.origin);
+        const queryRule = urlRules.findQueryRule(host, rules);
+        const params = queryRule
+            ? parts.query.split('&').filter(pair => {
+                  const name = urlRules._decodeParam(pair.split('=')[0]);
+                  return (
+                      name !== '' &&
+                      urlRules._matchesName(queryRule.keep, name) &&
+                      !urlRules._matchesName(queryRule.strip, name)
+                  );
+              })
+            : [];
+
+        const origin = rules.lowercaseHost ? parts.origin.toLowerCase() : parts.origin;
+        const path = rules.ignoreTrailingSlash ? parts.path.replace(/\/+$/, '') : parts.path;
+        const query = params.length > 0 ? `?${params.join('&')}` : '';
+        const fragment = rules.keepFragment && parts.fragment ? `#${parts.fragment}` : '';
+
+        return `${origin}${path}${query}${fragment}`;
+    },
+
+    // changes whenever the rules (or the way they are applied) do
+    getFingerprint: rules => {
+        return `${urlRules.VERSION}:${JSON.stringify(urlRules.normaliseRules(rules))}`;
+    },
+
+    // Storage
+
+    fetchRules: callback => {
+        chrome.storage.local.get([urlRules.storageKey], result => {
+            callback(urlRules.normaliseRules((result || {})[urlRules.storageKey]));
+        });
+    },
+
+    saveRules: (rules, callback) => {
+        // eslint-disable-next-line no-param-reassign
+        callback = typeof callback !== 'function' ? urlRules.noop : callback;
+
+        const normalisedRules = urlRules.normaliseRules(rules);
+        chrome.storage.local.set({ [urlRules.storageKey]: normalisedRules }, () => {
+            callback(normalisedRules);
+        });
+    },
+
+    normaliseRules: rules => {
+        const source = rules && typeof rules === 'object' ? rules : urlRules.defaultRules;
+        const toNames = names =>
+            (Array.isArray(names) ? names : [])
+                .map(name => String(name).trim())
+                .filter(name => name.length > 0);
+        const toFlag = (value, fallback) => (typeof value === 'boolean' ? value : fallback);
+        const defaults = urlRules.defaultRules;
+
+        return {
+            lowercaseHost: toFlag(source.lowercaseHost, defaults.lowercaseHost),
+            ignoreTrailingSlash: toFlag(source.ignoreTrailingSlash, defaults.ignoreTrailingSlash),
+            keepFragment: toFlag(source.keepFragment, defaults.keepFragment),
+            queryRules: (Array.isArray(source.queryRules) ? source.queryRules : defaults.queryRules)
+                .filter(rule => rule && typeof rule.domain === 'string' && rule.domain.trim())
+                .map(rule => ({
+                    domain: rule.domain.trim().toLowerCase().replace(/^\*?\./, ''),
+                    keep: toNames(rule.keep),
+                    strip: toNames(rule.strip),
+                })),
+            suspenders: (Array.isArray(source.suspenders) ? source.suspenders : defaults.suspenders)
+                .filter(
+                    suspender =>
+                        suspender &&
+                        typeof suspender.page === 'string' &&
+                        suspender.page.trim() &&
+                        typeof suspender.param === 'string' &&
+                        suspender.param.trim()
+                )
+                .map(suspender => ({
+                    name: typeof suspender.name === 'string' ? suspender.name : '',
+                    page: suspender.page.trim(),
+                    param: suspender.param.trim(),
+                    toEnd: suspender.toEnd === true,
+                })),
+        };
+    },
+};
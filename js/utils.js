@@ -28,7 +28,8 @@ export const utils = {
     },
 
     getSwitchKeycodes: callback => {
-        chrome.runtime.sendMessage({ action: 'requestHotkeys' }, commands => {
+        chrome.runtime.sendMessage({ action: 'requestHotkeys' }, response => {
+            const commands = response && response.ok ? response.result : {};
             // eslint-disable-next-line no-console
             console.dir(commands);
 